@@ -0,0 +1,47 @@
+// assets-page/auth.js
+// Loaded by every page. Adds the session's CSRF token (doginals_csrf cookie)
+// to same-origin fetch() calls (a few GET routes change state too, so every
+// method gets it), and sends the page back to /login when the server says the
+// session is gone. See scripts/auth.js.
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+
+  function csrfToken() {
+    const m = document.cookie.match(/(?:^|;\s*)doginals_csrf=([^;]*)/);
+    return m ? decodeURIComponent(m[1]) : "";
+  }
+
+  window.fetch = function (input, init) {
+    init = init || {};
+    const req = input instanceof Request ? input : null;
+    const url = new URL(req ? req.url : String(input), location.href);
+    const sameOrigin = url.origin === location.origin;
+
+    if (sameOrigin) {
+      const headers = new Headers(init.headers || (req ? req.headers : undefined));
+      headers.set("X-CSRF-Token", csrfToken());
+      init = Object.assign({}, init, { headers });
+    }
+
+    return nativeFetch(input, init).then((res) => {
+      if (
+        sameOrigin &&
+        res.status === 401 &&
+        res.headers.get("WWW-Authenticate") &&
+        !url.pathname.startsWith("/api/auth/")
+      ) {
+        location.href =
+          "/login?next=" + encodeURIComponent(location.pathname + location.search);
+      }
+      return res;
+    });
+  };
+
+  window.dogeLogout = async function () {
+    try {
+      await window.fetch("/api/auth/logout", { method: "POST" });
+    } finally {
+      location.href = "/login";
+    }
+  };
+})();
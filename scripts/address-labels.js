@@ -0,0 +1,71 @@
+"use strict";
+
+// address-labels.js
+//
+// Node wallet labels (getaddressinfo .label) for UTXO listings. Wallets with
+// thousands of split UTXOs used to cost one getaddressinfo round trip per
+// output; now each unique address is looked up once, in JSON-RPC batches,
+// and remembered.
+//
+// Labels only change when we import something (importprivkey, a new wallet's
+// importaddress), and server.js drops the cache then. Imports made elsewhere
+// (the doginals CLI, dogecoin-cli) show up once an entry expires.
+
+const { rpcBatch } = require("./rpc");
+
+const DEFAULT_LABEL = "default";
+const TTL_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const cache = new Map(); // address -> { label, at }
+
+/**
+ * @param {string[]} addresses  duplicates / empty values are fine
+ * @returns {Promise<Map<string, string>>} address -> label ("default" if none)
+ */
+async function resolveAddressLabels(addresses) {
+  const now = Date.now();
+  const out = new Map();
+  const missing = [];
+
+  for (const address of new Set(addresses.filter(Boolean))) {
+    const hit = cache.get(address);
+    if (hit && now - hit.at < TTL_MS) out.set(address, hit.label);
+    else missing.push(address);
+  }
+
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const chunk = missing.slice(i, i + BATCH_SIZE);
+    let replies;
+    try {
+      replies = await rpcBatch(chunk.map((address) => ({ method: "getaddressinfo", params: [address] })));
+    } catch (e) {
+      // labels are cosmetic: list the UTXOs anyway
+      console.warn("address label lookup failed:", e.message);
+      replies = chunk.map(() => ({ result: null, error: e }));
+    }
+
+    chunk.forEach((address, j) => {
+      const info = replies[j].result;
+      const label =
+        info && typeof info.label === "string" && info.label.length > 0 ? info.label : DEFAULT_LABEL;
+      out.set(address, label);
+      // don't remember failures, retry them next time
+      if (!replies[j].error) cache.set(address, { label, at: now });
+    });
+  }
+
+  return out;
+}
+
+/** Forget some addresses, or everything when called without arguments. */
+function invalidateAddressLabels(addresses) {
+  if (!addresses) return cache.clear();
+  for (const address of addresses) cache.delete(address);
+}
+
+module.exports = {
+  resolveAddressLabels,
+  invalidateAddressLabels,
+  DEFAULT_LABEL,
+};
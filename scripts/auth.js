@@ -0,0 +1,224 @@
+"use strict";
+
+// auth.js
+//
+// Local access control for server.js. Every route except the login page needs
+// either a session cookie (browser) or `Authorization: Bearer <token>` (scripts,
+// curl). Logging in takes the access token — generated on first start and kept
+// in .env as ACCESS_TOKEN — or AUTH_PASSWORD when one is set.
+//
+// Browser requests that change state (anything but GET / HEAD / OPTIONS) must
+// also send the session's CSRF token in X-CSRF-Token; assets-page/auth.js adds
+// it to fetch() from the doginals_csrf cookie. A request whose Origin isn't the
+// app's own is refused outright, and CORS only answers the app's own origins.
+// The few GET routes that change state anyway (a wallet sync, a decode that
+// writes files) get the same check through requireCsrf.
+//
+// Sessions live in memory: restarting the server logs everyone out.
+
+const crypto = require("crypto");
+
+const SESSION_COOKIE = "doginals_sid";
+const CSRF_COOKIE = "doginals_csrf";
+const CSRF_HEADER = "x-csrf-token";
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// reachable without logging in: the login page and what it needs to render
+const PUBLIC_PATHS = ["/login", "/api/auth/login", "/api/auth/status", "/assets-page/auth.js"];
+const PUBLIC_PREFIXES = ["/assets/"];
+
+const sessions = new Map(); // sid -> { csrf, createdAt, expiresAt }
+
+let config = {
+  accessToken: null,
+  password: null,
+  sessionMs: 24 * 3600 * 1000,
+  extraOrigins: [],
+};
+
+function initAuth({ accessToken, password, sessionHours, extraOrigins } = {}) {
+  if (!accessToken) throw new Error("access token required");
+  const hours = Number(sessionHours);
+  config = {
+    accessToken: String(accessToken),
+    password: password ? String(password) : null,
+    sessionMs: (Number.isFinite(hours) && hours > 0 ? hours : 24) * 3600 * 1000,
+    extraOrigins: (extraOrigins || []).map((o) => String(o).trim().replace(/\/+$/, "")).filter(Boolean),
+  };
+}
+
+function generateAccessToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// constant-time compare of two strings of any length
+function secretEquals(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function verifyLoginSecret(secret) {
+  if (!secret || !config.accessToken) return false;
+  if (secretEquals(secret, config.accessToken)) return true;
+  return !!config.password && secretEquals(secret, config.password);
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    const key = part.slice(0, i).trim();
+    if (!key || key in out) continue;
+    try {
+      out[key] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_) {
+      out[key] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+function getSession(req) {
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (!sid) return null;
+  const session = sessions.get(sid);
+  if (!session) return null;
+  if (Date.now() >= session.expiresAt) {
+    sessions.delete(sid);
+    return null;
+  }
+  return { sid, ...session };
+}
+
+function hasBearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ""));
+  return !!(m && config.accessToken && secretEquals(m[1], config.accessToken));
+}
+
+function cookieAttrs(req, maxAgeSec) {
+  const attrs = ["Path=/", "SameSite=Strict", `Max-Age=${maxAgeSec}`];
+  if (req.secure) attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+// New session + cookies on `res`; the CSRF cookie is readable by page scripts.
+function startSession(req, res) {
+  const sid = crypto.randomBytes(32).toString("hex");
+  const csrf = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  sessions.set(sid, { csrf, createdAt: now, expiresAt: now + config.sessionMs });
+
+  const maxAge = Math.floor(config.sessionMs / 1000);
+  res.append("Set-Cookie", `${SESSION_COOKIE}=${sid}; HttpOnly; ${cookieAttrs(req, maxAge)}`);
+  res.append("Set-Cookie", `${CSRF_COOKIE}=${csrf}; ${cookieAttrs(req, maxAge)}`);
+  return { sid, csrf };
+}
+
+function endSession(req, res) {
+  const session = getSession(req);
+  if (session) sessions.delete(session.sid);
+  res.append("Set-Cookie", `${SESSION_COOKIE}=; HttpOnly; ${cookieAttrs(req, 0)}`);
+  res.append("Set-Cookie", `${CSRF_COOKIE}=; ${cookieAttrs(req, 0)}`);
+  return !!session;
+}
+
+function requestOrigin(req) {
+  return `${req.protocol}://${req.headers.host}`;
+}
+
+// Same origin as the request itself, or listed in ALLOWED_ORIGINS
+function isAllowedOrigin(req, origin) {
+  if (!origin) return false;
+  const o = String(origin).replace(/\/+$/, "");
+  return o === requestOrigin(req) || config.extraOrigins.includes(o);
+}
+
+// options delegate for the cors package
+function corsOptions(req, cb) {
+  const origin = req.headers.origin;
+  cb(null, { origin: isAllowedOrigin(req, origin) ? origin : false, credentials: true });
+}
+
+function isPublicPath(p) {
+  return PUBLIC_PATHS.includes(p) || PUBLIC_PREFIXES.some((prefix) => p.startsWith(prefix));
+}
+
+function wantsHtml(req) {
+  return req.method === "GET" && /text\/html/.test(String(req.headers.accept || ""));
+}
+
+/**
+ * Express middleware: foreign Origin → 403, no session / token → 401 (or a
+ * redirect to /login for page loads), state change without CSRF token → 403.
+ */
+function requireAuth(req, res, next) {
+  const unsafe = !SAFE_METHODS.has(req.method);
+
+  if (unsafe && req.headers.origin && !isAllowedOrigin(req, req.headers.origin)) {
+    return res.status(403).json({ error: "cross-origin request refused" });
+  }
+  if (isPublicPath(req.path)) return next();
+
+  // scripts with the token can't be tricked by a page, so no CSRF check
+  if (hasBearerToken(req)) return next();
+
+  const session = getSession(req);
+  if (!session) {
+    if (wantsHtml(req)) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.setHeader("WWW-Authenticate", 'Bearer realm="doginals"');
+    return res.status(401).json({ error: "login required" });
+  }
+
+  if (unsafe && !hasCsrfToken(req, session)) {
+    return res.status(403).json({ error: "missing or invalid CSRF token" });
+  }
+  next();
+}
+
+function hasCsrfToken(req, session) {
+  const sent = String(req.headers[CSRF_HEADER] || "");
+  return !!sent && secretEquals(sent, session.csrf);
+}
+
+/**
+ * Route middleware, after requireAuth: the Origin and CSRF checks of an unsafe
+ * method, for a GET route that changes state.
+ */
+function requireCsrf(req, res, next) {
+  if (req.headers.origin && !isAllowedOrigin(req, req.headers.origin)) {
+    return res.status(403).json({ error: "cross-origin request refused" });
+  }
+  if (hasBearerToken(req)) return next();
+
+  const session = getSession(req);
+  if (!session || !hasCsrfToken(req, session)) {
+    return res.status(403).json({ error: "missing or invalid CSRF token" });
+  }
+  next();
+}
+
+// drop expired sessions even if nobody presents them again
+setInterval(() => {
+  const now = Date.now();
+  for (const [sid, session] of sessions) {
+    if (now >= session.expiresAt) sessions.delete(sid);
+  }
+}, 60000).unref();
+
+module.exports = {
+  initAuth,
+  generateAccessToken,
+  verifyLoginSecret,
+  getSession,
+  startSession,
+  endSession,
+  isAllowedOrigin,
+  corsOptions,
+  requireAuth,
+  requireCsrf,
+  CSRF_HEADER,
+};
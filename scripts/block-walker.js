@@ -0,0 +1,102 @@
+"use strict";
+
+// block-walker.js
+//
+// One background loop for the block-driven indexes (spent outpoints,
+// inscription numbers, DRC-20 ledger), so a full-chain walk fetches each block
+// once instead of once per index.
+//
+// Each index keeps its own height, flush and reorg handling; the walker only
+// decides who runs next and shares the node calls between them. An index that
+// is behind the others is caught up alone until it reaches the next one's
+// height, from then on they move over the same heights together and
+// getblock <hash> 2 (by far the heaviest call) is answered from one fetch.
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// node calls one round of indexes can share: the answers can't change within
+// a round except through a reorg, which every index re-checks next round
+const SHARED_METHODS = new Set(["getblockcount", "getblockhash", "getblock"]);
+
+// rpc that remembers shared calls for as long as it is in use (one round)
+function sharedRpc(rpc) {
+  const calls = new Map();
+  return (method, params = []) => {
+    if (!SHARED_METHODS.has(method)) return rpc(method, params);
+    const key = `${method}:${JSON.stringify(params)}`;
+    if (!calls.has(key)) {
+      const p = rpc(method, params);
+      // a failed call is retried by the next index, not replayed to it
+      p.catch(() => calls.delete(key));
+      calls.set(key, p);
+    }
+    return calls.get(key);
+  };
+}
+
+async function step(index, rpc, maxBlocks) {
+  const before = index.status().height;
+  try {
+    index.last = await index.sync(rpc, { maxBlocks });
+  } catch (e) {
+    // the index records it as its lastError; wait before trying it again
+    console.warn(`${index.name} sync error:`, e.message || String(e));
+    index.last = { caughtUp: true };
+  }
+  return index.status().height > before;
+}
+
+// One round: the indexes furthest behind advance (at most batchBlocks, and
+// not past the next index up). If none of them can move (errors), the others
+// go on without them.
+async function walkOnce(rpc, indexes, batchBlocks) {
+  const heights = indexes.map((ix) => ix.status().height);
+  const low = Math.min(...heights);
+  const above = heights.filter((h) => h > low);
+  const maxBlocks = above.length
+    ? Math.min(batchBlocks, Math.min(...above) - low)
+    : batchBlocks;
+
+  const shared = sharedRpc(rpc);
+  const lagging = indexes.filter((ix, i) => heights[i] === low);
+  let moved = false;
+  for (const ix of lagging) {
+    if (await step(ix, shared, maxBlocks)) moved = true;
+  }
+  if (!moved) {
+    for (const ix of indexes) {
+      if (!lagging.includes(ix)) await step(ix, shared, batchBlocks);
+    }
+  }
+
+  return indexes.every((ix) => ix.last && ix.last.caughtUp);
+}
+
+/**
+ * Keep `indexes` at the node tip in the background. Each entry is
+ * { name, sync(rpc, { maxBlocks }), status() } (status().height is the last
+ * block the index has). Returns a stop() function.
+ *
+ * batchBlocks bounds a round, and with it how many fetched blocks are held
+ * in memory at once.
+ */
+function startBlockWalker(rpc, indexes, { intervalMs = 60000, batchBlocks = 20 } = {}) {
+  let stopped = false;
+  const entries = indexes.map((ix) => ({ ...ix, last: null }));
+
+  (async () => {
+    while (!stopped && entries.length) {
+      const caughtUp = await walkOnce(rpc, entries, batchBlocks);
+      // keep going straight away while catching up, otherwise wait for new blocks
+      await sleep(caughtUp ? intervalMs : 50);
+    }
+  })();
+
+  return () => {
+    stopped = true;
+  };
+}
+
+module.exports = {
+  startBlockWalker,
+};
@@ -0,0 +1,147 @@
+"use strict";
+
+// content-origin.js
+//
+// Inscription content is whatever someone put on chain: HTML, SVG and JS that
+// would run with the app's cookies and API if it were served from the app's
+// own origin. server.js therefore hands every /content request (and the
+// model viewer that renders it) to this second Express app on CONTENT_PORT.
+//
+// Nothing here needs a login and nothing here can reach /api: the only things
+// this origin serves are the content files, the /r/ recursion endpoints
+// (scripts/recursion.js), model-viewer.html and the three.js bundle it loads.
+// Content responses carry a CSP that only lets a document load other
+// /content/<id> resources and /r/ data, plus `sandbox` so even a top-level
+// visit runs in an opaque origin. The viewer pages frame it in sandboxed
+// iframes on top of that.
+
+const path = require("path");
+const express = require("express");
+
+function originOf(req) {
+  return `${req.protocol}://${req.headers.host}`;
+}
+
+function contentCsp(origin) {
+  const content = `${origin}/content/`;
+  const recursion = `${origin}/r/`;
+  return [
+    `default-src ${content} data: blob:`,
+    `script-src ${content} 'unsafe-inline' 'unsafe-eval' data: blob:`,
+    `style-src ${content} 'unsafe-inline' data:`,
+    `img-src ${content} data: blob:`,
+    `media-src ${content} data: blob:`,
+    `font-src ${content} data:`,
+    `connect-src ${content} ${recursion} data: blob:`,
+    "form-action 'none'",
+    "base-uri 'none'",
+    "sandbox allow-scripts allow-pointer-lock",
+  ].join("; ");
+}
+
+// model-viewer.html: its own inline module + the vendored three.js / Draco
+function viewerCsp(origin) {
+  const content = `${origin}/content/`;
+  const three = `${origin}/assets-page/three/`;
+  return [
+    "default-src 'none'",
+    `script-src ${three} 'unsafe-inline' 'wasm-unsafe-eval' blob:`,
+    "worker-src blob:",
+    `connect-src ${content} ${three} data: blob:`,
+    `img-src ${content} data: blob:`,
+    "style-src 'unsafe-inline'",
+    "form-action 'none'",
+    "base-uri 'none'",
+  ].join("; ");
+}
+
+/**
+ * Build the content-origin app.
+ *
+ * @param {object} opts
+ * @param {() => string} opts.contentDir  decoded content dir (the /content
+ *        static root); a function because it follows the active node profile
+ * @param {string} opts.assetsDir   assets-page/ (model-viewer.html + three/)
+ * @param {(id: string) => string|null} opts.resolveContentFile
+ *        path of the file for <txid> / <txid>iN, or null
+ * @param {import("express").Router} [opts.recursion]  mounted at /r
+ */
+function createContentApp({ contentDir, assetsDir, resolveContentFile, recursion }) {
+  const app = express();
+  app.disable("x-powered-by");
+
+  app.use((req, res, next) => {
+    if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+      return res.status(405).end();
+    }
+    // embeddable from the app (COEP require-corp) and readable by fetch()
+    // from sandboxed documents, whose origin is "null"
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+    res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
+    res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Referrer-Policy", "no-referrer");
+    if (req.method === "OPTIONS") return res.status(204).end();
+    next();
+  });
+
+  app.use("/content", (req, res, next) => {
+    res.setHeader("Content-Security-Policy", contentCsp(originOf(req)));
+    next();
+  });
+
+  app.get("/content/:id", (req, res, next) => {
+    const raw = req.params.id || "";
+    if (raw.includes(".")) return next();
+
+    const filePath = resolveContentFile(raw);
+    if (!filePath) {
+      return res.status(404).send("Content not found");
+    }
+    res.sendFile(filePath);
+  });
+
+  const statics = new Map(); // dir -> express.static
+  app.use("/content", (req, res, next) => {
+    const dir = contentDir();
+    if (!statics.has(dir)) statics.set(dir, express.static(dir));
+    statics.get(dir)(req, res, next);
+  });
+
+  if (recursion) app.use("/r", recursion);
+
+  app.get("/assets-page/model-viewer.html", (req, res) => {
+    res.setHeader("Content-Security-Policy", viewerCsp(originOf(req)));
+    res.sendFile(path.join(assetsDir, "model-viewer.html"));
+  });
+
+  app.use("/assets-page/three", express.static(path.join(assetsDir, "three")));
+
+  app.use((req, res) => {
+    res.status(404).send("Not found");
+  });
+
+  return app;
+}
+
+/**
+ * Listen on `port` / `host`; resolves with the http.Server. A failed bind is
+ * logged instead of taking the main server down with it.
+ */
+function startContentServer(app, port, host) {
+  return new Promise((resolve) => {
+    const server = app.listen(port, host, () => resolve(server));
+    server.on("error", (err) => {
+      console.error(`[content] cannot listen on ${host}:${port}: ${err.message}`);
+      resolve(null);
+    });
+  });
+}
+
+module.exports = {
+  createContentApp,
+  startContentServer,
+  contentCsp,
+  viewerCsp,
+};
@@ -1,19 +1,16 @@
 #!/usr/bin/env node
 "use strict";
 
-const axios = require("axios");
 const dotenv = require("dotenv");
 const fs = require("fs");
 const path = require("path");
 const mime = require("mime-types");
+const { lookupSpend, getCoverage } = require("./spent-index");
+const { rpc } = require("./rpc");
 
 dotenv.config();
 
-const NODE_RPC_URL = process.env.NODE_RPC_URL;
-const NODE_RPC_USER = process.env.NODE_RPC_USER;
-const NODE_RPC_PASS = process.env.NODE_RPC_PASS;
-
-if (!NODE_RPC_URL || !NODE_RPC_USER || !NODE_RPC_PASS) {
+if (!process.env.NODE_RPC_URL || !process.env.NODE_RPC_USER || !process.env.NODE_RPC_PASS) {
   console.error(
     "ERROR: Please set NODE_RPC_URL, NODE_RPC_USER and NODE_RPC_PASS in .env for your local node."
   );
@@ -22,56 +19,23 @@ if (!NODE_RPC_URL || !NODE_RPC_USER || !NODE_RPC_PASS) {
   }
 }
 
-const rpcClient =
-  NODE_RPC_URL && NODE_RPC_USER && NODE_RPC_PASS
-    ? axios.create({
-        baseURL: NODE_RPC_URL,
-        auth: {
-          username: NODE_RPC_USER,
-          password: NODE_RPC_PASS,
-        },
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      })
-    : null;
-
-async function rpc(method, params = [], id = "doginals-viewer") {
-  if (!rpcClient) {
-    throw new Error(
-      "RPC client not initialised. Check NODE_RPC_URL / USER / PASS."
-    );
-  }
-  const body = { jsonrpc: "2.0", id, method, params };
-  try {
-    const res = await rpcClient.post("", body);
-    if (res.data.error) {
-      const err = new Error(
-        res.data.error.message || JSON.stringify(res.data.error)
-      );
-      err._method = method;
-      err._params = params;
-      err._raw = res.data.error;
-      throw err;
-    }
-    return res.data.result;
-  } catch (err) {
-    if (err.code === "ECONNREFUSED") {
-      console.error("ERROR: Cannot connect to local node at", NODE_RPC_URL);
-      console.error(
-        "Make sure your dogecoind node is running and RPC is enabled."
-      );
-    }
-    throw err;
-  }
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// re-pointed by useContentDir() when server.js switches node profile
+let CONTENT_DIR;
+let MASTER_DIR;
+let MASTER_PATH;
+
+function useContentDir(dir) {
+  CONTENT_DIR = dir;
+  MASTER_DIR = path.join(CONTENT_DIR, "master");
+  MASTER_PATH = path.join(MASTER_DIR, "master.json");
 }
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+useContentDir(path.join(process.cwd(), "content"));
 
-const CONTENT_DIR = path.join(process.cwd(), "content");
-const MASTER_DIR = path.join(CONTENT_DIR, "master");
-const MASTER_PATH = path.join(MASTER_DIR, "master.json");
+const getContentDir = () => CONTENT_DIR;
+const getMasterPath = () => MASTER_PATH;
 
 function ensureContentDir() {
   if (!fs.existsSync(CONTENT_DIR)) {
@@ -114,17 +78,25 @@ function upsertMasterEntry(meta) {
   saveMaster(master);
 }
 
+// "<txid>iN" -> N (a bare txid is i0)
+function inscriptionIndex(idOrTxid) {
+  const m = /i(\d+)$/i.exec(String(idOrTxid || "").trim());
+  return m ? Number(m[1]) : 0;
+}
+
 function findContentFile(idOrTxid) {
   if (!idOrTxid) return null;
 
   const base = idOrTxid.toLowerCase();
   const cleaned = base.replace(/i\d+$/, "");
+  const suffix = /i(\d+)$/.exec(base);
 
-  const candidates = [
-    ...new Set(
-      [base, cleaned, cleaned ? `${cleaned}i0` : null].filter(Boolean)
-    ),
-  ];
+  // <txid>iN must only ever match its own file; a bare txid (or i0) may also
+  // match files saved before ids carried an index
+  const candidates =
+    suffix && Number(suffix[1]) > 0
+      ? [base]
+      : [...new Set([`${cleaned}i0`, cleaned].filter(Boolean))];
 
   try {
     ensureContentDir();
@@ -419,6 +391,11 @@ function extractDepsFromText(text) {
   const re2 = /\/content\/([0-9a-f]{64})(?![0-9a-f])/gi;
   while ((m = re2.exec(text)) !== null) deps.add(m[1].toLowerCase() + "i0");
 
+  // ord-style recursion: /r/inscription/<id>, /r/children/<id>, ... only
+  // answer for inscriptions we have decoded (see scripts/recursion.js)
+  const re4 = /\/r\/[a-z-]+\/([0-9a-f]{64})(i\d+)?(?![0-9a-f])/gi;
+  while ((m = re4.exec(text)) !== null) deps.add(m[1].toLowerCase() + (m[2] || "i0").toLowerCase());
+
   // bare <txid>iN (helps inline code that omits /content/)
   const re3 = /\b([0-9a-f]{64}i\d+)\b/gi;
   while ((m = re3.exec(text)) !== null) deps.add(m[1].toLowerCase());
@@ -426,6 +403,16 @@ function extractDepsFromText(text) {
   return deps;
 }
 
+// "/r/blockheight", "/r/inscription", ... endpoints a piece calls (logged only)
+function extractRecursionEndpoints(text) {
+  const found = new Set();
+  if (!text) return found;
+  const re = /\/r\/([a-z-]+)/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) found.add(`/r/${m[1].toLowerCase()}`);
+  return found;
+}
+
 function extractDepsFromGltfJson(buffer) {
   const deps = new Set();
   if (!buffer || !Buffer.isBuffer(buffer)) return deps;
@@ -478,9 +465,9 @@ async function handleHtmlSvgDependencies(
   // Only scan text-like content (HTML/SVG + JS/CSS/JSON etc)
   if (!isTextLikeMime(mt)) return;
 
-  const baseTxid = inscriptionId.replace(/i\d+$/, "");
-  if (visited.has(baseTxid)) return;
-  visited.add(baseTxid);
+  const visitKey = inscriptionId.toLowerCase();
+  if (visited.has(visitKey)) return;
+  visited.add(visitKey);
 
   let deps = new Set();
 
@@ -505,6 +492,11 @@ async function handleHtmlSvgDependencies(
       const text = buffer.toString("utf8");
       deps = extractDepsFromText(text);
 
+      const endpoints = extractRecursionEndpoints(text);
+      if (endpoints.size) {
+        console.log(`↺ ${inscriptionId} uses recursion endpoints: ${[...endpoints].join(", ")}`);
+      }
+
       // NEW: detect model-viewer src deps for special GLB saving
       const mv = extractModelViewerSrcDependenciesFromHtml(text);
       for (const id of mv) modelViewerSrcSet.add(id);
@@ -811,11 +803,35 @@ async function findNextOrdinalTx(txid, voutIndex, depthBlocks = 1000) {
 
   console.log(`  ↳ start block height: ${startHeight}`);
 
+  // Spent-outpoint index: one lookup instead of walking blocks
+  const indexed = lookupSpend(txid, voutIndex);
+  if (indexed) {
+    console.log(
+      `    ➜ Found next ordinal TX (index): ${indexed.spendingTxid} in block height ${indexed.height}`
+    );
+    return {
+      nextTxid: indexed.spendingTxid,
+      voutIndex,
+      height: indexed.height,
+    };
+  }
+
+  // Not in the index: only scan heights the index doesn't cover yet
+  const coverage = getCoverage();
+
   for (
     let currentHeight = startHeight;
     currentHeight <= startHeight + depthBlocks;
     currentHeight++
   ) {
+    if (coverage && currentHeight >= coverage.from && currentHeight <= coverage.to) {
+      console.log(
+        `  ↳ heights ${currentHeight}-${coverage.to} covered by spent index (unspent there), skipping scan`
+      );
+      currentHeight = coverage.to;
+      continue;
+    }
+
     let hash;
     try {
       hash = await rpc("getblockhash", [currentHeight]);
@@ -853,11 +869,27 @@ async function findNextOrdinalTx(txid, voutIndex, depthBlocks = 1000) {
   return null;
 }
 
+/**
+ * Walk a reveal chain from genesisTxid and collect its envelopes.
+ *
+ * A chain can carry more than one envelope: once an envelope signals
+ * num_chunks == 0, the next `ord` marker (later in the same tx or further down
+ * the chain) starts envelope i1, and so on. Decoding stops as soon as
+ * envelope `envelopeIndex` is complete.
+ *
+ * Returns the requested envelope as { dataHex, mimeType } plus every envelope
+ * seen on the way (`envelopes`, index order) so callers can store them all.
+ */
 async function decodeDoginalsChain(genesisTxid, depthBlocks = 5000, options = {}) {
-  const { progressKey = genesisTxid, onProgress, maxHops = 20000 } = options;
+  const {
+    progressKey = genesisTxid,
+    onProgress,
+    maxHops = 20000,
+    envelopeIndex = 0,
+  } = options;
 
   console.log(
-    `⛏ Starting Doginals decode for ${genesisTxid} (blockDepth ${depthBlocks}, maxHops ${maxHops}) [progressKey=${progressKey}]`
+    `⛏ Starting Doginals decode for ${genesisTxid}i${envelopeIndex} (blockDepth ${depthBlocks}, maxHops ${maxHops}) [progressKey=${progressKey}]`
   );
 
   if (!getProgress(progressKey)) {
@@ -865,16 +897,24 @@ async function decodeDoginalsChain(genesisTxid, depthBlocks = 5000, options = {}
     initProgress(progressKey);
   }
 
-  let dataHex = "";
-  let mimeType = null;
-  let isGenesis = true;
+  const envelopes = [];
+  let current = null; // envelope being collected: { dataHex, mimeType }
   let txid = genesisTxid;
   const processedTxids = new Set();
   let voutIndex = 0;
-  let endOfData = false;
+  let done = false;
   let hop = 0;
 
-  while (!endOfData && hop < maxHops) {
+  const finishEnvelope = (endOfData) => {
+    envelopes.push({ index: envelopes.length, ...current, endOfData });
+    console.log(
+      `✅ envelope i${envelopes.length - 1} complete (num_chunks == 0 signalled end of data).`
+    );
+    current = null;
+    if (envelopes.length > envelopeIndex) done = true;
+  };
+
+  while (!done && hop < maxHops) {
     hop++;
 
     if (processedTxids.has(txid)) {
@@ -897,45 +937,49 @@ async function decodeDoginalsChain(genesisTxid, depthBlocks = 5000, options = {}
     console.log(`🔎 Processing TX ${txid} (hop ${hop})`);
 
     for (const vin of rawTx.vin || []) {
+      if (done) break;
       if (!vin.scriptSig || !vin.scriptSig.asm) continue;
 
       const asmData = String(vin.scriptSig.asm).trim().split(/\s+/);
       if (!asmData.length) continue;
 
-      if (isGenesis) {
-        if (asmData[0] === "6582895") {
-          const {
-            dataHex: part,
-            mimeType: mt,
-            endOfData: eod,
-            chunksFound,
-            lastNumChunks,
-          } = processGenesisAsm(asmData);
-
-          dataHex += part;
-          mimeType = mt;
-          endOfData = eod;
-          isGenesis = false;
-
-          updateProgress(progressKey, "genesis", chunksFound, lastNumChunks, onProgress);
-        } else {
-          continue;
-        }
+      if (!current) {
+        // waiting for the next genesis envelope
+        if (asmData[0] !== "6582895") continue;
+
+        const {
+          dataHex: part,
+          mimeType: mt,
+          endOfData: eod,
+          chunksFound,
+          lastNumChunks,
+        } = processGenesisAsm(asmData);
+
+        current = { dataHex: part, mimeType: mt };
+        updateProgress(progressKey, "genesis", chunksFound, lastNumChunks, onProgress);
+
+        if (eod) finishEnvelope(true);
       } else {
         const { dataHex: part, endOfData: eod, chunksFound, lastNumChunks } =
           processSubsequentAsm(asmData);
 
-        if (part) dataHex += part;
-        endOfData = endOfData || eod;
+        if (part) current.dataHex += part;
 
         if (chunksFound) {
           updateProgress(progressKey, "chain", chunksFound, lastNumChunks, onProgress);
         }
+
+        if (eod) finishEnvelope(true);
       }
     }
 
-    if (endOfData) {
-      console.log("✅ num_chunks == 0 signalled end of data.");
+    if (done) break;
+
+    // each reveal pays the next one through a P2SH output 0; anything else
+    // there is the final reveal, and nothing further down carries envelopes
+    const out0 = (rawTx.vout || [])[0];
+    if (!out0 || !out0.scriptPubKey || out0.scriptPubKey.type !== "scripthash") {
+      console.log("End of reveal chain reached (output 0 is not P2SH).");
       break;
     }
 
@@ -949,20 +993,38 @@ async function decodeDoginalsChain(genesisTxid, depthBlocks = 5000, options = {}
     }
   }
 
-  if (hop >= maxHops && !endOfData) {
+  // chain ended mid-envelope: keep what we have (may be truncated)
+  if (current && current.dataHex) {
+    envelopes.push({ index: envelopes.length, ...current, endOfData: false });
+    current = null;
+  }
+
+  if (hop >= maxHops && !done) {
     console.warn(
       `⚠ Reached maxHops (${maxHops}) without seeing num_chunks == 0; inscription may be truncated.`
     );
   }
 
-  if (!dataHex.length) {
+  const target = envelopes[envelopeIndex];
+
+  if (!target || !target.dataHex.length) {
     completeProgress(progressKey, onProgress);
-    throw new Error("No Doginals data found in transaction chain.");
+    const err = new Error(
+      envelopeIndex > 0 && envelopes.length
+        ? `Envelope i${envelopeIndex} not found: reveal chain only has ${envelopes.length} envelope(s).`
+        : "No Doginals data found in transaction chain."
+    );
+    err.code = "INSCRIPTION_NOT_FOUND";
+    throw err;
   }
 
-  if (!mimeType) {
-    console.warn("MIME type is unknown, defaulting to application/octet-stream.");
-    mimeType = "application/octet-stream";
+  for (const env of envelopes) {
+    if (!env.mimeType) {
+      console.warn(
+        `MIME type for i${env.index} is unknown, defaulting to application/octet-stream.`
+      );
+      env.mimeType = "application/octet-stream";
+    }
   }
 
   const stats = getProgress(progressKey) || {
@@ -971,21 +1033,23 @@ async function decodeDoginalsChain(genesisTxid, depthBlocks = 5000, options = {}
   };
 
   console.log(
-    `🏁 Doginals decode finished. Chunks found=${stats.chunksFound}` +
+    `🏁 Doginals decode finished. Envelopes=${envelopes.length}, chunks found=${stats.chunksFound}` +
       (stats.estimatedTotal ? `, estimated total≈${stats.estimatedTotal}` : "")
   );
 
   completeProgress(progressKey, onProgress);
 
-  return { dataHex, mimeType, stats };
+  return {
+    dataHex: target.dataHex,
+    mimeType: target.mimeType,
+    stats,
+    envelopes,
+  };
 }
 
-async function reconstructAndReturnBuffer(baseTxid, options = {}) {
-  const { progressKey = baseTxid, onProgress, skipOddHexPad = false } = options;
-  const { dataHex: originalHex, mimeType: rawMimeType, stats } =
-    await decodeDoginalsChain(baseTxid, 5000, { progressKey, onProgress });
-
-  let dataHex = originalHex;
+// Write one decoded envelope to content/<txid>i<N>.<ext> and register it in master.json
+function saveEnvelope(baseTxid, index, rawDataHex, rawMimeType, { skipOddHexPad = false } = {}) {
+  let dataHex = rawDataHex;
 
   if (!skipOddHexPad && dataHex.length % 2 !== 0) {
     console.warn(
@@ -1000,7 +1064,7 @@ async function reconstructAndReturnBuffer(baseTxid, options = {}) {
   let mimeType = normalizeMimeType(rawMimeType);
   let ext = mime.extension(mimeType) || "bin";
 
-  const inscriptionId = `${baseTxid}i0`;
+  const inscriptionId = `${baseTxid}i${index}`;
   let filename = `${inscriptionId}.${ext}`;
   let outPath = path.join(CONTENT_DIR, filename);
 
@@ -1018,10 +1082,6 @@ async function reconstructAndReturnBuffer(baseTxid, options = {}) {
 
   console.log(`✔ Saved inscription → content/${filename}`);
   console.log(`   Size: ${fileStats.size} bytes`);
-  console.log(
-    `   Chunks: ${stats.chunksFound}` +
-      (stats.estimatedTotal ? ` / ~${stats.estimatedTotal}` : "")
-  );
 
   upsertMasterEntry({
     inscriptionId,
@@ -1032,13 +1092,46 @@ async function reconstructAndReturnBuffer(baseTxid, options = {}) {
     size: fileStats.size,
   });
 
+  return { resultBuf, mimeType, inscriptionId, filename, size: fileStats.size };
+}
+
+async function reconstructAndReturnBuffer(baseTxid, options = {}) {
+  const {
+    progressKey = baseTxid,
+    onProgress,
+    skipOddHexPad = false,
+    index = 0,
+  } = options;
+
+  const { envelopes, stats } = await decodeDoginalsChain(baseTxid, 5000, {
+    progressKey,
+    onProgress,
+    envelopeIndex: index,
+  });
+
+  // earlier envelopes in the chain were decoded on the way; store each under
+  // its own id unless we already have it
+  const master = loadMaster();
+  for (const env of envelopes) {
+    if (env.index === index) continue;
+    const id = `${baseTxid}i${env.index}`;
+    if (master[id] && findContentFile(id)) continue;
+    saveEnvelope(baseTxid, env.index, env.dataHex, env.mimeType);
+  }
+
+  const target = envelopes[index];
+  const saved = saveEnvelope(baseTxid, index, target.dataHex, target.mimeType, {
+    skipOddHexPad,
+  });
+
   console.log(
     JSON.stringify(
       {
-        inscriptionId,
-        filename,
-        mimeType,
-        size: fileStats.size,
+        inscriptionId: saved.inscriptionId,
+        filename: saved.filename,
+        mimeType: saved.mimeType,
+        size: saved.size,
+        envelopesInChain: envelopes.length,
         chunksFound: stats.chunksFound,
         estimatedTotalChunks: stats.estimatedTotal,
       },
@@ -1047,14 +1140,18 @@ async function reconstructAndReturnBuffer(baseTxid, options = {}) {
     )
   );
 
-  return { resultBuf, mimeType, inscriptionId };
+  return {
+    resultBuf: saved.resultBuf,
+    mimeType: saved.mimeType,
+    inscriptionId: saved.inscriptionId,
+  };
 }
 
 async function ensureInscriptionDecoded(idOrTxid, options = {}) {
   ensureContentDir();
   const master = loadMaster();
 
-  const clean = idOrTxid.trim();
+  const clean = idOrTxid.trim().toLowerCase();
   const hasSuffix = /i\d+$/.test(clean);
   const inscriptionId = hasSuffix ? clean : `${clean.replace(/i\d+$/, "")}i0`;
   const baseTxid = inscriptionId.replace(/i\d+$/, "");
@@ -1182,6 +1279,7 @@ async function ensureInscriptionDecoded(idOrTxid, options = {}) {
 
   const { resultBuf, mimeType, inscriptionId: realId } =
     await reconstructAndReturnBuffer(baseTxid, {
+      index: inscriptionIndex(inscriptionId),
       progressKey: options.progressKey || baseTxid,
       onProgress: options.onProgress,
       // critical: avoid padding hack on model-viewer model sources
@@ -1261,21 +1359,25 @@ if (require.main === module) {
     })
     .catch((err) => {
       console.error("ERROR:", err.message);
-      if (err._method) {
-        console.error("RPC", err._method, err._params, err._raw);
+      if (err.method) {
+        console.error("RPC", err.method, err.params, err.data);
       }
       process.exit(1);
     });
 }
 
 module.exports = {
+  rpc,
   ensureInscriptionDecoded,
   decodeDoginalsChain,
+  findNextOrdinalTx,
   reconstructAndReturnBuffer,
   handleHtmlSvgDependencies, // IMPORTANT: keep export name so server.js doesn't break
   getProgress,
   resetProgressForId,
-  CONTENT_DIR,
-  MASTER_PATH,
+  useContentDir,
+  getContentDir,
+  getMasterPath,
   findContentFile,
+  inscriptionIndex,
 };
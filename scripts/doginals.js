@@ -4,277 +4,829 @@
 
 const path = require('path');
 const dogecore = require('bitcore-lib-doge');
-const axios = require('axios');
 const fs = require('fs');
 const dotenv = require('dotenv');
 const mime = require('mime-types');
 const express = require('express'); // kept for compatibility, even if not used directly here.
+const bip39 = require('bip39');
+const { decryptPrivkey, encryptWallet, isEncryptedWallet } = require('./wallet-crypto');
+const { rpc: nodeRpc, RpcError } = require('./rpc');
+const { withWalletLock } = require('./wallet-lock');
 
-const { PrivateKey, Address, Transaction, Script, Opcode } = dogecore;
+const { PrivateKey, HDPrivateKey, HDPublicKey, Address, Transaction, Script, Opcode } = dogecore;
 const { Hash, Signature } = dogecore.crypto;
 
 // --------------------------------------------------------------------------
 // ENV + PATHS
 // --------------------------------------------------------------------------
 
-// Force dotenv to read .env from project root (one level above scripts/)
+// Run by hand, read .env from the project root (one level above scripts/);
+// server.js has already loaded it
 const ROOT_DIR = path.resolve(__dirname, '..');
-dotenv.config({ path: path.join(__dirname, '.env') });
+if (require.main === module) dotenv.config({ path: path.join(__dirname, '.env') });
+
+// NETWORK (mainnet / testnet / regtest) and FEE_PER_KB come from the server's
+// node profile, which can be switched while it runs: read them per wallet.
+// TESTNET=true on its own still means testnet.
+function useNodeSettings() {
+  if (process.env.NETWORK === 'regtest') {
+    dogecore.Networks.defaultNetwork = dogecore.Networks.regtest;
+  } else if (process.env.TESTNET === 'true') {
+    dogecore.Networks.defaultNetwork = dogecore.Networks.testnet;
+  } else {
+    dogecore.Networks.defaultNetwork = dogecore.Networks.livenet;
+  }
 
-if (process.env.TESTNET === 'true') {
-  dogecore.Networks.defaultNetwork = dogecore.Networks.testnet;
+  // Fee per KB in *sats* (DOGE base units). Default: 1 DOGE/kB (100_000_000 sats)
+  Transaction.FEE_PER_KB = parseInt(process.env.FEE_PER_KB, 10) || 100000000;
 }
 
-// Fee per KB in *sats* (DOGE base units). Default: 1 DOGE/kB (100_000_000 sats)
-if (process.env.FEE_PER_KB) {
-  Transaction.FEE_PER_KB = parseInt(process.env.FEE_PER_KB, 10);
-} else {
-  Transaction.FEE_PER_KB = 100000000;
+/**
+ * Everything doginals does, against one wallet file. server.js opens one per
+ * operation; the CLI below opens WALLET (default: .wallet.json in the project
+ * root) and prints what it logs.
+ *
+ *   walletPath         the .wallet.json; its pending-txs.json lives next to it
+ *   opts.privkey       unlocked key of an encrypted wallet
+ *   opts.mnemonic      unlocked mnemonic of an encrypted HD wallet
+ *   opts.passphrase    encrypts a new wallet, or decrypts this one
+ *   opts.dryRun        build txs but never broadcast or write the wallet file
+ *   opts.hexOut        dry runs save the raw txs they built to this file
+ *   opts.prompt        ask on the terminal for a missing passphrase
+ *   opts.lockWaitMs    how long to wait for the wallet lock (see wallet-lock.js)
+ *   opts.log / warn    progress lines (default: dropped)
+ *   opts.onEvent       structured events as they happen, each with a `type`:
+ *                      broadcast { txid, index?, total?, alreadySent? },
+ *                      inscription { txid, inscriptionId }, balance { address,
+ *                      balance, ... }, pending-saved { path, txids, sent, ... }
+ *
+ * Methods resolve to plain objects ({ txid }, { txids, inscriptionTxid },
+ * { balance, utxos, ... }). Anything that spends sends a pending-txs.json
+ * left by an earlier failed broadcast first; a broadcast that fails saves
+ * what's left of its chain there and throws a BroadcastError. Methods that
+ * write the wallet file hold its lock throughout and throw WALLET_BUSY if
+ * they can't get it.
+ */
+function openWallet(walletPath, opts = {}) {
+  useNodeSettings();
+
+  const ctx = {
+    walletPath,
+    pendingPath: path.join(path.dirname(walletPath), 'pending-txs.json'),
+    // the node wallet label HD addresses are imported under
+    label: path.basename(path.dirname(walletPath)),
+    privkey: opts.privkey || null,
+    mnemonic: opts.mnemonic || null,
+    passphrase: opts.passphrase || null,
+    dryRun: !!opts.dryRun,
+    hexOut: opts.hexOut || null,
+    prompt: !!opts.prompt,
+    log: opts.log || (() => {}),
+    warn: opts.warn || opts.log || (() => {}),
+    event: opts.onEvent || (() => {}),
+  };
+
+  const locked = (fn) =>
+    withWalletLock(walletPath, fn, {
+      waitMs: opts.lockWaitMs,
+      onWait: () => ctx.warn('wallet is busy, waiting for its lock...'),
+    });
+
+  return {
+    walletPath,
+    pendingPath: ctx.pendingPath,
+    hasPending: () => fs.existsSync(ctx.pendingPath),
+    broadcastPending: () => locked(() => broadcastPending(ctx)),
+    clearPending: () => locked(() => clearPending(ctx)),
+
+    create: ({ hd = false } = {}) => locked(() => walletNew(ctx, { hd })),
+    restore: (mnemonic) => locked(() => walletRestore(ctx, mnemonic)),
+    encrypt: (passphrase) => locked(() => walletEncrypt(ctx, passphrase)),
+    sync: () => locked(() => walletSync(ctx)),
+    balance: () => walletBalance(ctx),
+    receive: () => locked(() => walletReceive(ctx)),
+    send: (address, amount) => locked(() => walletSend(ctx, address, amount)),
+    sendUtxo: (utxo, address, feeUtxo) => locked(() => walletSendUtxo(ctx, utxo, address, feeUtxo)),
+    split: (splits) => locked(() => walletSplit(ctx, splits)),
+
+    mint: (address, contentType, data) => locked(() => mint(ctx, address, contentType, data)),
+    mintFile: (address, file) => locked(() => mintFile(ctx, address, file)),
+    // builds against the file as it is, writes nothing
+    dryRun: (address, files, { hexOut } = {}) => dryRunFiles(ctx, address, files, hexOut || ctx.hexOut),
+    drc20Deploy: (address, tick, max, lim) => locked(() => doge20Deploy(ctx, address, tick, max, lim)),
+    drc20Mint: (address, tick, amt, repeat) =>
+      locked(() => doge20Transfer(ctx, 'mint', address, tick, amt, repeat)),
+    drc20Transfer: (address, tick, amt, repeat) =>
+      locked(() => doge20Transfer(ctx, 'transfer', address, tick, amt, repeat)),
+  };
 }
 
-// For CLI usage you can still override WALLET via env,
-// but we resolve it relative to the project root by default.
-const WALLET_PATH =
-  process.env.WALLET ||
-  path.join(ROOT_DIR, '.wallet.json');
- // Directory that contains .wallet.json – used for per-wallet pending-txs.json
-const WALLET_DIR = path.dirname(WALLET_PATH);
-const PENDING_TXS_PATH = path.join(WALLET_DIR, 'pending-txs.json');
- 
+/**
+ * A broadcast that failed part way through a chain. The txs from the failed
+ * one on are in pending-txs.json; `inscriptionTxid` is the chain's reveal
+ * whether or not it made it out.
+ */
+class BroadcastError extends Error {
+  constructor(message, { cause, method, sent, pending, inscriptionTxid } = {}) {
+    super(message);
+    this.name = 'BroadcastError';
+    this.code = 'BROADCAST_FAILED';
+    this.cause = cause;
+    this.method = method;
+    this.sent = sent || [];
+    this.pending = pending || [];
+    this.inscriptionTxid = inscriptionTxid || null;
+    this.mempoolChain = /too-long-mempool-chain/.test(message);
+  }
+}
+
+// The wallet can't pay for what was asked: code INSUFFICIENT_FUNDS
+function fundsError(message) {
+  const err = new Error(message);
+  err.code = 'INSUFFICIENT_FUNDS';
+  return err;
+}
+
+// --dry-run builds every tx but never broadcasts or writes the wallet file;
+// --hex-out <file> saves the raw txs it built; --json prints newline-delimited
+// JSON events instead of text (see CLI ENTRY). They may go anywhere on the line.
+const DRY_RUN = takeFlag('--dry-run');
+const HEX_OUT = takeOption('--hex-out');
+const JSON_OUT = takeFlag('--json');
+
+function takeFlag(name) {
+  if (require.main !== module) return false;
+  const i = process.argv.indexOf(name);
+  if (i === -1) return false;
+  process.argv.splice(i, 1);
+  return true;
+}
+
+function takeOption(name) {
+  if (require.main !== module) return null;
+  const i = process.argv.indexOf(name);
+  if (i === -1) return null;
+  const [, value] = process.argv.splice(i, 2);
+  return value || null;
+}
 
 // --------------------------------------------------------------------------
 // CLI ENTRY
 // --------------------------------------------------------------------------
 
-  async function main() {
-    const cmd = process.argv[2];
-  
-    // On start, see if there are pending txs to re-broadcast
-    // NOTE: per-wallet pending file lives next to .wallet.json
-    const pendingPath = PENDING_TXS_PATH;
-    if (fs.existsSync(pendingPath)) {
-      console.log('found pending-txs.json. rebroadcasting...');
-      const txs = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
-      await broadcastAll(txs.map((tx) => new Transaction(tx)), false);
-      return;
-    }
-  
+// With --json every line on stdout is one JSON object with a `type`: the
+// library's events (broadcast, inscription, balance, pending-saved), log and
+// warn for the progress lines, then `result` (what the command returned) or
+// `error` (code, message, exitCode...). Prompts go to stderr.
+//
+// Exit codes, text or JSON:
+const EXIT_CODES = {
+  ERROR: 1,
+  INSUFFICIENT_FUNDS: 2,
+  MEMPOOL_CHAIN: 3, // too-long-mempool-chain: the rest is in pending-txs.json
+  RPC_ERROR: 4, // the node failed or refused a call
+  BROADCAST_FAILED: 4, // ...a broadcast; the rest is in pending-txs.json
+  WALLET_BUSY: 5, // another process holds the wallet's lock
+};
+
+function emitJson(event) {
+  process.stdout.write(`${JSON.stringify(event)}\n`);
+}
+
+async function main() {
+  const cmd = process.argv[2];
+  const w = openWallet(process.env.WALLET || path.join(ROOT_DIR, '.wallet.json'), {
+    // DOGINALS_PRIVKEY / DOGINALS_MNEMONIC: an already unlocked key
+    privkey: process.env.DOGINALS_PRIVKEY,
+    mnemonic: process.env.DOGINALS_MNEMONIC,
+    passphrase: process.env.WALLET_PASSPHRASE,
+    dryRun: DRY_RUN,
+    hexOut: HEX_OUT,
+    prompt: true,
+    ...(JSON_OUT
+      ? {
+          log: (message) => emitJson({ type: 'log', message }),
+          warn: (message) => emitJson({ type: 'warn', message }),
+          onEvent: emitJson,
+        }
+      : {
+          log: (line) => console.log(line),
+          warn: (line) => console.warn(line),
+        }),
+  });
+
+  // On start, see if there are pending txs to re-broadcast; that's all this run
+  // does (a dry run notes them and carries on)
+  if (w.hasPending() && !DRY_RUN) {
+    return w.broadcastPending();
+  }
+
+  if (DRY_RUN && cmd !== 'mint' && cmd !== 'drc-20') {
+    throw new Error('--dry-run only works with mint and drc-20');
+  }
 
   if (cmd === 'mint') {
-    await mint();
+    return mintCommand(w);
   } else if (cmd === 'wallet') {
-    await wallet();
-  } else if (cmd === 'server') {
-    await server(); // if you still use this entry
+    return wallet(w);
   } else if (cmd === 'drc-20') {
-    await doge20();
-  } else {
-    throw new Error(`unknown command: ${cmd}`);
+    return doge20(w);
   }
+  throw new Error(`unknown command: ${cmd}`);
+}
+
+// -> { code, exitCode } for a failed command
+function classifyError(e) {
+  let code = 'ERROR';
+  if (e.code === 'INSUFFICIENT_FUNDS' || e.code === 'WALLET_BUSY') code = e.code;
+  else if (e instanceof BroadcastError) code = e.mempoolChain ? 'MEMPOOL_CHAIN' : 'BROADCAST_FAILED';
+  else if (e instanceof RpcError) code = 'RPC_ERROR';
+  return { code, exitCode: EXIT_CODES[code] };
+}
+
+function errorEvent(e) {
+  const event = { type: 'error', ...classifyError(e), message: e.message || 'Unknown error' };
+  if (e.method) event.method = e.method;
+  const cause = e instanceof BroadcastError ? e.cause : e;
+  if (cause instanceof RpcError && cause.code !== undefined) event.rpcCode = cause.code;
+  if (e instanceof BroadcastError) {
+    event.sent = e.sent;
+    event.pending = e.pending;
+    event.inscriptionTxid = e.inscriptionTxid;
+  }
+  if (e.completed) event.completed = e.completed;
+  return event;
+}
+
+// mint <address> <file> [file...]   (several files: --dry-run only)
+// mint <address> <content type> <hex data>
+async function mintCommand(w) {
+  const [address, typeOrFile, ...rest] = process.argv.slice(3);
+  if (fs.existsSync(typeOrFile || '')) {
+    if (DRY_RUN) return w.dryRun(address, [typeOrFile, ...rest]);
+    return w.mintFile(address, typeOrFile);
+  }
+  return w.mint(address, typeOrFile, rest[0]);
 }
 
 // --------------------------------------------------------------------------
 // DRC-20 HELPERS (deploy / mint / transfer)
 // --------------------------------------------------------------------------
 
-async function doge20() {
-  const subcmd = process.argv[3];
+async function doge20(w) {
+  const [subcmd, address, tick, ...rest] = process.argv.slice(3);
 
   if (subcmd === 'mint') {
-    await doge20Transfer('mint');
+    return w.drc20Mint(address, tick, rest[0], Number(rest[1]) || 1);
   } else if (subcmd === 'transfer') {
-    await doge20Transfer('transfer');
+    return w.drc20Transfer(address, tick, rest[0], Number(rest[1]) || 1);
   } else if (subcmd === 'deploy') {
-    await doge20Deploy();
-  } else {
-    throw new Error(`unknown subcommand: ${subcmd}`);
+    return w.drc20Deploy(address, tick, rest[0], rest[1]);
   }
+  throw new Error(`unknown subcommand: ${subcmd}`);
 }
 
-async function doge20Deploy() {
-  const argAddress = process.argv[4];
-  const argTicker = process.argv[5];
-  const argMax = process.argv[6];
-  const argLimit = process.argv[7];
-
+async function doge20Deploy(ctx, address, ticker, max, limit) {
   const doge20Tx = {
     p: 'drc-20',
     op: 'deploy',
-    tick: `${(argTicker || '').toLowerCase()}`,
-    max: `${argMax}`,
-    lim: `${argLimit}`,
+    tick: `${(ticker || '').toLowerCase()}`,
+    max: `${max}`,
+    lim: `${limit}`,
   };
 
   const parsed = JSON.stringify(doge20Tx);
   const encoded = Buffer.from(parsed).toString('hex');
 
-  console.log('Deploying drc-20 token...');
-  const result = await mint(argAddress, 'text/plain;charset=utf-8', encoded);
-  return result;
+  ctx.log('Deploying drc-20 token...');
+  return mint(ctx, address, 'text/plain;charset=utf-8', encoded);
 }
 
-async function doge20Transfer(op = 'transfer') {
-  const argAddress = process.argv[4];
-  const argTicker = process.argv[5];
-  const argAmount = process.argv[6];
-  const argRepeat = Number(process.argv[7]) || 1;
-
+// -> { results: [mint result per repeat] }. A failed broadcast carries the
+// mints before it as err.completed.
+async function doge20Transfer(ctx, op, address, ticker, amount, repeat = 1) {
   const doge20Tx = {
     p: 'drc-20',
     op,
-    tick: `${(argTicker || '').toLowerCase()}`,
-    amt: `${argAmount}`,
+    tick: `${(ticker || '').toLowerCase()}`,
+    amt: `${amount}`,
   };
 
   const parsed = JSON.stringify(doge20Tx);
   const encoded = Buffer.from(parsed).toString('hex');
 
-  for (let i = 0; i < argRepeat; i++) {
-    console.log(
-      `Minting drc-20 token... ${i + 1} of ${argRepeat} times`
-    );
-    await mint(argAddress, 'text/plain;charset=utf-8', encoded);
+  const results = [];
+  for (let i = 0; i < repeat; i++) {
+    ctx.log(`Minting drc-20 token... ${i + 1} of ${repeat} times`);
+    try {
+      results.push(await mint(ctx, address, 'text/plain;charset=utf-8', encoded));
+    } catch (e) {
+      e.completed = results;
+      throw e;
+    }
   }
+  return { results };
 }
 
 // --------------------------------------------------------------------------
 // WALLET SUBCOMMANDS
 // --------------------------------------------------------------------------
 
-async function wallet() {
-  const subcmd = process.argv[3];
+async function wallet(w) {
+  const [subcmd, ...args] = process.argv.slice(3);
 
   if (subcmd === 'new') {
-    walletNew();
+    const created = await w.create({ hd: args[0] === '--hd' });
+    // shown once: it's the only backup an encrypted HD wallet has (with
+    // --json it's in the result)
+    if (created.mnemonic && !JSON_OUT) console.log('mnemonic', created.mnemonic);
+    return created;
   } else if (subcmd === 'sync') {
-    await walletSync();
+    return w.sync();
   } else if (subcmd === 'balance') {
-    walletBalance();
+    return w.balance();
   } else if (subcmd === 'send') {
-    await walletSend();
+    return w.send(args[0], parseInt(args[1], 10));
   } else if (subcmd === 'split') {
-    await walletSplit();
-  } else {
-    throw new Error(`unknown subcommand: ${subcmd}`);
+    return w.split(parseInt(args[0], 10));
+  } else if (subcmd === 'send-utxo') {
+    return w.sendUtxo(args[0], args[1], args[2]);
+  } else if (subcmd === 'encrypt') {
+    return w.encrypt(process.env.WALLET_PASSPHRASE || (await promptPassphrase()));
+  } else if (subcmd === 'receive') {
+    return w.receive();
+  } else if (subcmd === 'restore') {
+    const words =
+      process.env.WALLET_MNEMONIC ||
+      (await promptHidden('mnemonic: ', 'no terminal: set WALLET_MNEMONIC'));
+    return w.restore(words);
   }
+  throw new Error(`unknown subcommand: ${subcmd}`);
 }
 
-function walletNew() {
-  if (!fs.existsSync(WALLET_PATH)) {
-    const privateKey = new PrivateKey();
-    const privkey = privateKey.toWIF();
-    const address = privateKey.toAddress().toString();
-    const json = { privkey, address, utxos: [] };
-    fs.writeFileSync(WALLET_PATH, JSON.stringify(json, null, 2));
-    console.log('address', address);
-  } else {
+function loadWallet(ctx) {
+  if (!fs.existsSync(ctx.walletPath)) {
+    throw new Error('wallet file not found');
+  }
+  return JSON.parse(fs.readFileSync(ctx.walletPath, 'utf8'));
+}
+
+// wallet new [--hd]: --hd makes a mnemonic-backed wallet (see HD WALLETS)
+// -> { address, mnemonic? }; the mnemonic is returned, never logged
+async function walletNew(ctx, { hd }) {
+  if (fs.existsSync(ctx.walletPath)) {
     throw new Error('wallet already exists');
   }
+
+  if (hd) {
+    const json = newHdWallet(bip39.generateMnemonic());
+    createWallet(ctx, json);
+    return { address: json.address, mnemonic: json.mnemonic };
+  }
+
+  const privateKey = new PrivateKey();
+  const privkey = privateKey.toWIF();
+  const address = privateKey.toAddress().toString();
+  createWallet(ctx, { privkey, address, utxos: [] });
+  return { address };
 }
 
-async function walletSync() {
-  if (!fs.existsSync(WALLET_PATH)) {
-    throw new Error('wallet file not found');
+// wallet restore: rebuild an HD wallet from its mnemonic. The next sync
+// rescans the chain while it finds used addresses.
+async function walletRestore(ctx, mnemonic) {
+  if (fs.existsSync(ctx.walletPath)) {
+    throw new Error('wallet already exists');
   }
 
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
+  const json = newHdWallet(String(mnemonic || '').trim().toLowerCase().split(/\s+/).join(' '));
+  json.hd.rescan = true;
+  createWallet(ctx, json);
+  ctx.log('run wallet sync to find funds (it rescans the chain)');
+  return { address: json.address };
+}
 
-  console.log('syncing utxos with local Dogecoin node via RPC');
+function createWallet(ctx, json) {
+  // a passphrase given: the key never touches disk in plaintext
+  writeWallet(ctx, ctx.passphrase ? encryptWallet(json, ctx.passphrase) : json);
+  ctx.log(`address ${json.address}`);
+}
 
-  const body = {
-    jsonrpc: '1.0',
-    id: 'walletsync',
-    method: 'listunspent',
-    params: [0, 9999999, [wallet.address]],
-  };
+// -> { address, balance, inscribed, addresses, utxos }
+async function walletSync(ctx) {
+  const wallet = loadWallet(ctx);
 
-  const options = {
-    auth: {
-      username: process.env.NODE_RPC_USER,
-      password: process.env.NODE_RPC_PASS,
-    },
-  };
+  ctx.log('syncing utxos with local Dogecoin node via RPC');
+
+  if (wallet.hd) await hdDiscover(ctx, wallet);
+  const watched = wallet.hd ? wallet.addresses.map((a) => a.address) : [wallet.address];
+
+  const utxos = (await nodeRpc('listunspent', [0, 9999999, watched])) || [];
 
-  const response = await axios.post(process.env.NODE_RPC_URL, body, options);
-  const utxos = response.data.result || [];
+  // tags from the last sync / from our own txs don't change: only trace new ones
+  const known = new Map(
+    (wallet.utxos || [])
+      .filter((u) => typeof u.inscribed === 'boolean')
+      .map((u) => [`${u.txid}:${u.vout}`, u])
+  );
+  const memo = new Map();
+
+  wallet.utxos = [];
+  for (const utxo of utxos) {
+    const entry = {
+      txid: utxo.txid,
+      vout: utxo.vout,
+      address: utxo.address,
+      script: utxo.scriptPubKey,
+      satoshis: Math.round(utxo.amount * 1e8),
+    };
+
+    const prev = known.get(`${utxo.txid}:${utxo.vout}`);
+    if (prev) {
+      entry.inscribed = prev.inscribed;
+      if (prev.inscribed) entry.inscriptionOffsets = prev.inscriptionOffsets;
+    } else {
+      try {
+        const offsets = await inscriptionOffsets(utxo.txid, utxo.vout, TRACE_DEPTH, memo);
+        entry.inscribed = offsets.length > 0;
+        if (entry.inscribed) entry.inscriptionOffsets = offsets;
+      } catch (e) {
+        // can't tell: null keeps it out of spendableUtxos(), retried next sync
+        entry.inscribed = null;
+        ctx.warn(`could not trace ${utxo.txid}:${utxo.vout}: ${e.message}`);
+      }
+    }
+
+    wallet.utxos.push(entry);
+  }
 
-  wallet.utxos = utxos.map((utxo) => ({
-    txid: utxo.txid,
-    vout: utxo.vout,
-    script: utxo.scriptPubKey,
-    satoshis: Math.round(utxo.amount * 1e8),
-  }));
+  writeWallet(ctx, wallet);
 
-  fs.writeFileSync(WALLET_PATH, JSON.stringify(wallet, null, 2));
+  const balance = spendableUtxos(wallet).reduce((acc, curr) => acc + curr.satoshis, 0);
+  const inscribed = wallet.utxos.filter((u) => u.inscribed).length;
+  ctx.log(`balance ${balance}`);
+  if (inscribed) ctx.log(`inscribed utxos ${inscribed}`);
+  if (wallet.hd) ctx.log(`addresses ${wallet.addresses.length}`);
 
-  const balance = wallet.utxos.reduce((acc, curr) => acc + curr.satoshis, 0);
-  console.log('balance', balance);
+  const addresses = wallet.hd ? wallet.addresses.length : 1;
+  ctx.event({ type: 'balance', address: wallet.address, balance, inscribed, addresses });
+  return { address: wallet.address, balance, inscribed, addresses, utxos: wallet.utxos };
 }
 
-function walletBalance() {
-  if (!fs.existsSync(WALLET_PATH)) {
-    throw new Error('wallet file not found');
+// wallet encrypt: migrate a plaintext .wallet.json
+async function walletEncrypt(ctx, passphrase) {
+  const wallet = loadWallet(ctx);
+  if (isEncryptedWallet(wallet)) throw new Error('wallet is already encrypted');
+
+  writeWallet(ctx, encryptWallet(wallet, passphrase));
+  ctx.log(`encrypted ${wallet.address}`);
+  return { address: wallet.address };
+}
+
+// Encrypted wallets only carry `encrypted` on disk. The WIF comes from
+// opts.privkey (server.js passes an unlocked session's key) or from the
+// passphrase / a prompt when run by hand. HD wallets get their mnemonic the
+// same way, from opts.mnemonic.
+async function readWalletWithKey(ctx) {
+  const wallet = loadWallet(ctx);
+  if (wallet.hd) {
+    const mnemonic = isEncryptedWallet(wallet)
+      ? await decryptWalletSecret(ctx, wallet, ctx.mnemonic)
+      : wallet.mnemonic;
+    return unlockHdWallet(ctx, wallet, mnemonic);
   }
+  if (!isEncryptedWallet(wallet)) return wallet;
 
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
-  const balance = wallet.utxos.reduce((acc, curr) => acc + curr.satoshis, 0);
-  console.log(wallet.address, balance);
+  const privkey = await decryptWalletSecret(ctx, wallet, ctx.privkey);
+  if (new PrivateKey(privkey).toAddress().toString() !== wallet.address) {
+    throw new Error('private key does not match wallet address');
+  }
+  return { ...wallet, privkey };
 }
 
-async function walletSend() {
-  const argAddress = process.argv[4];
-  const argAmount = process.argv[5];
+async function decryptWalletSecret(ctx, wallet, unlocked) {
+  if (unlocked) return unlocked;
+  let passphrase = ctx.passphrase;
+  if (!passphrase && ctx.prompt) passphrase = await promptPassphrase();
+  if (!passphrase) throw new Error('wallet is encrypted and locked');
+  return decryptPrivkey(wallet.encrypted, passphrase);
+}
 
-  if (!fs.existsSync(WALLET_PATH)) {
-    throw new Error('wallet file not found');
+function promptPassphrase() {
+  return promptHidden('wallet passphrase: ', 'wallet is encrypted: set WALLET_PASSPHRASE');
+}
+
+function promptHidden(question, noTtyMessage) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(noTtyMessage));
   }
 
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
+  // stdout is for the events under --json
+  const output = JSON_OUT ? process.stderr : process.stdout;
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      output.write('\n');
+      resolve(answer);
+    });
+    // don't echo what's typed after the prompt
+    rl._writeToOutput = () => {};
+  });
+}
 
-  const balance = wallet.utxos.reduce((acc, curr) => acc + curr.satoshis, 0);
-  if (balance === 0) throw new Error('no funds to send');
+// never write a decrypted key back into an encrypted wallet file; HD wallets
+// re-derive their keys from the mnemonic every run. Written aside and renamed
+// so a reader never sees half a file.
+function writeWallet(ctx, wallet) {
+  if (ctx.dryRun) return;
+  const { privkey, hdKey, changeAddress, ...rest } = wallet;
+  const out = isEncryptedWallet(wallet) || wallet.hd ? rest : wallet;
+  const tmp = `${ctx.walletPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(out, null, 2));
+  fs.renameSync(tmp, ctx.walletPath);
+}
+
+async function walletBalance(ctx) {
+  const wallet = loadWallet(ctx);
+  const balance = spendableUtxos(wallet).reduce((acc, curr) => acc + curr.satoshis, 0);
+  ctx.log(`${wallet.address} ${balance}`);
+  ctx.event({ type: 'balance', address: wallet.address, balance });
+  return { address: wallet.address, balance };
+}
+
+// amount in sats; none sends everything spendable
+async function walletSend(ctx, address, amount) {
+  await sendPendingFirst(ctx);
+  const wallet = await readWalletWithKey(ctx);
+  const spendable = spendableUtxos(wallet);
 
-  const receiver = new Address(argAddress);
-  const amount = parseInt(argAmount, 10);
+  const balance = spendable.reduce((acc, curr) => acc + curr.satoshis, 0);
+  if (balance === 0) throw fundsError('no funds to send');
+
+  const receiver = new Address(address);
 
   let tx = new Transaction();
   if (amount) {
     tx.to(receiver, amount);
     fund(wallet, tx);
   } else {
-    tx.from(wallet.utxos);
+    // "send all" sweeps plain UTXOs only; inscriptions go out via send-utxo
+    tx.from(spendable);
     tx.change(receiver);
-    tx.sign(wallet.privkey);
+    tx.sign(signingKeys(wallet));
   }
 
-  await broadcast(tx, true);
-  console.log(tx.hash);
+  await broadcast(ctx, tx, true);
+  ctx.log(tx.hash);
+  return { txid: tx.hash };
 }
 
-async function walletSplit() {
-  const splits = parseInt(process.argv[4], 10);
-  if (!Number.isFinite(splits) || splits < 2) {
-    throw new Error('invalid split count');
+// wallet send-utxo <txid:vout> <address> [fee txid:vout]
+// Moves one UTXO (e.g. an inscription's postage) to <address> as output 0 with
+// its full value; the fee comes from the wallet's other UTXOs, or only from
+// the given fee UTXO (change goes back to us as output 1).
+async function walletSendUtxo(ctx, utxoArg, address, feeUtxoArg) {
+  const outpoint = parseOutpoint(utxoArg, 'utxo');
+  const feeOutpoint = feeUtxoArg ? parseOutpoint(feeUtxoArg, 'fee utxo') : null;
+
+  await sendPendingFirst(ctx);
+  const wallet = await readWalletWithKey(ctx);
+
+  const findUtxo = ({ txid, vout }) =>
+    wallet.utxos.find((u) => u.txid === txid && u.vout === vout);
+
+  const utxo = findUtxo(outpoint);
+  if (!utxo) throw new Error('utxo not found in wallet (run wallet sync)');
+
+  let feeUtxos = wallet.utxos.filter((u) => u !== utxo);
+  if (feeOutpoint) {
+    const feeUtxo = findUtxo(feeOutpoint);
+    if (!feeUtxo || feeUtxo === utxo) throw new Error('fee utxo not found in wallet');
+    feeUtxos = [feeUtxo];
   }
 
-  if (!fs.existsSync(WALLET_PATH)) {
-    throw new Error('wallet file not found');
+  const receiver = new Address(address);
+
+  const tx = new Transaction();
+  tx.from(utxo);
+  tx.to(receiver, utxo.satoshis);
+
+  // fund from everything else so the sent UTXO is never used for fees
+  // (fund() already skips inscribed UTXOs; this covers a plain one picked here)
+  fund({ ...wallet, utxos: feeUtxos }, tx);
+
+  await broadcast(ctx, tx, true);
+  ctx.log(tx.hash);
+  return { txid: tx.hash };
+}
+
+function parseOutpoint(arg, what) {
+  const [txid, voutStr] = String(arg || '').split(':');
+  const vout = parseInt(voutStr, 10);
+  if (!/^[0-9a-fA-F]{64}$/.test(txid || '') || !Number.isFinite(vout)) {
+    throw new Error(`${what} must be <txid>:<vout>`);
   }
+  return { txid: txid.toLowerCase(), vout };
+}
 
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
-  const balance = wallet.utxos.reduce((acc, curr) => acc + curr.satoshis, 0);
-  if (balance === 0) throw new Error('no funds to split');
+async function walletSplit(ctx, splits) {
+  if (!Number.isFinite(splits) || splits < 2) {
+    throw new Error('invalid split count');
+  }
+
+  await sendPendingFirst(ctx);
+  const wallet = await readWalletWithKey(ctx);
+  const spendable = spendableUtxos(wallet);
+  const balance = spendable.reduce((acc, curr) => acc + curr.satoshis, 0);
+  if (balance === 0) throw fundsError('no funds to split');
 
+  const to = wallet.changeAddress || wallet.address;
   const tx = new Transaction();
-  tx.from(wallet.utxos);
+  tx.from(spendable);
   for (let i = 0; i < splits - 1; i++) {
-    tx.to(wallet.address, Math.floor(balance / splits));
+    tx.to(to, Math.floor(balance / splits));
   }
-  tx.change(wallet.address);
-  tx.sign(wallet.privkey);
+  tx.change(to);
+  tx.sign(signingKeys(wallet));
 
-  await broadcast(tx, true);
-  console.log(tx.hash);
+  await broadcast(ctx, tx, true);
+  ctx.log(tx.hash);
+  return { txid: tx.hash };
+}
+
+// --------------------------------------------------------------------------
+// HD WALLETS (BIP39 mnemonic, BIP44 <account>/<chain>/<index>)
+// --------------------------------------------------------------------------
+//
+// An HD .wallet.json keeps the mnemonic (or `encrypted`, see wallet-crypto)
+// plus the account xpub, so addresses can be derived and synced while the
+// wallet is locked:
+//   { mnemonic, address, hd: { path, xpub, gapLimit, next: { receive, change } },
+//     addresses: [{ address, chain, index, imported?, used? }], utxos }
+// `address` is receive/0: it stays the wallet's default address and the key
+// inscribe() locks its P2SH hops to. Each spending run sends change to a
+// fresh change address; `wallet receive` hands out fresh receive addresses.
+
+// Unused addresses sync keeps watching past the last used one on each chain.
+const HD_GAP_LIMIT = parseInt(process.env.HD_GAP_LIMIT || '20', 10);
+const HD_RECEIVE = 0;
+const HD_CHANGE = 1;
+
+const hdKeyCache = new Map();
+
+function hdAccountPath() {
+  // BIP44 coin type 3 = Dogecoin, 1 = testnet
+  return process.env.TESTNET === 'true' ? "m/44'/1'/0'" : "m/44'/3'/0'";
+}
+
+function hdAccountKey(mnemonic, accountPath) {
+  if (!bip39.validateMnemonic(String(mnemonic || ''))) {
+    throw new Error('invalid mnemonic');
+  }
+  const seed = bip39.mnemonicToSeedSync(mnemonic).toString('hex');
+  return HDPrivateKey.fromSeed(seed).deriveChild(accountPath);
+}
+
+function hdAddress(xpub, chain, index) {
+  return new HDPublicKey(xpub)
+    .deriveChild(chain)
+    .deriveChild(index)
+    .publicKey.toAddress()
+    .toString();
+}
+
+function hdChildKey(account, chain, index) {
+  const id = `${account.xpubkey}/${chain}/${index}`;
+  if (!hdKeyCache.has(id)) {
+    hdKeyCache.set(id, account.deriveChild(chain).deriveChild(index).privateKey);
+  }
+  return hdKeyCache.get(id);
+}
+
+function newHdWallet(mnemonic) {
+  const accountPath = hdAccountPath();
+  const xpub = hdAccountKey(mnemonic, accountPath).hdPublicKey.toString();
+  const address = hdAddress(xpub, HD_RECEIVE, 0);
+  return {
+    mnemonic,
+    address,
+    hd: {
+      path: accountPath,
+      xpub,
+      gapLimit: HD_GAP_LIMIT,
+      next: { receive: 1, change: 0 },
+    },
+    addresses: [{ address, chain: HD_RECEIVE, index: 0 }],
+    utxos: [],
+  };
+}
+
+// Find or derive <chain>/<index> in wallet.addresses
+function hdEntry(wallet, chain, index) {
+  let entry = wallet.addresses.find((a) => a.chain === chain && a.index === index);
+  if (!entry) {
+    entry = { address: hdAddress(wallet.hd.xpub, chain, index), chain, index };
+    wallet.addresses.push(entry);
+  }
+  return entry;
+}
+
+// The node only lists UTXOs for addresses it watches. New addresses go in
+// before anything can pay them, so no rescan is needed unless restoring;
+// then the last import of a batch rescans once for the whole batch.
+async function hdImport(ctx, wallet, rescan) {
+  const pending = wallet.addresses.filter((a) => !a.imported);
+  for (let i = 0; i < pending.length; i++) {
+    const last = i === pending.length - 1;
+    const rescanNow = rescan && last;
+    await nodeRpc('importaddress', [pending[i].address, ctx.label, rescanNow], {
+      timeoutMs: rescanNow ? 0 : undefined,
+    });
+    pending[i].imported = true;
+  }
+}
+
+// Gap-limit scan: derive on both chains until gapLimit watched addresses
+// follow the last one that ever received coins.
+async function hdDiscover(ctx, wallet) {
+  const gap = wallet.hd.gapLimit || HD_GAP_LIMIT;
+
+  for (;;) {
+    await hdImport(ctx, wallet, !!wallet.hd.rescan);
+
+    const received = (await nodeRpc('listreceivedbyaddress', [0, false, true])) || [];
+    const used = new Set(received.map((r) => r.address));
+
+    let grew = false;
+    for (const chain of [HD_RECEIVE, HD_CHANGE]) {
+      const onChain = wallet.addresses.filter((a) => a.chain === chain);
+      onChain.forEach((a) => {
+        if (used.has(a.address)) a.used = true;
+      });
+      const lastUsed = Math.max(-1, ...onChain.filter((a) => a.used).map((a) => a.index));
+
+      for (let i = 0; i <= lastUsed + gap; i++) {
+        if (!onChain.some((a) => a.index === i)) {
+          hdEntry(wallet, chain, i);
+          grew = true;
+        }
+      }
+
+      const next = chain === HD_RECEIVE ? 'receive' : 'change';
+      wallet.hd.next[next] = Math.max(wallet.hd.next[next], lastUsed + 1);
+    }
+    if (!grew) break;
+  }
+
+  wallet.addresses.sort((a, b) => a.chain - b.chain || a.index - b.index);
+  delete wallet.hd.rescan;
+}
+
+// Account key from the mnemonic, checked against the stored xpub, and the
+// change address this run will use (watched and recorded before any tx).
+async function unlockHdWallet(ctx, wallet, mnemonic) {
+  const hdKey = hdAccountKey(mnemonic, wallet.hd.path);
+  if (hdKey.hdPublicKey.toString() !== wallet.hd.xpub) {
+    throw new Error('mnemonic does not match wallet');
+  }
+
+  const unlocked = {
+    ...wallet,
+    hdKey,
+    privkey: hdChildKey(hdKey, HD_RECEIVE, 0).toWIF(),
+  };
+
+  const change = hdEntry(unlocked, HD_CHANGE, wallet.hd.next.change);
+  if (!ctx.dryRun) await hdImport(ctx, unlocked, false);
+  unlocked.hd.next.change += 1;
+  unlocked.changeAddress = change.address;
+  writeWallet(ctx, unlocked);
+
+  return unlocked;
+}
+
+// What fund() and the sweeps sign with: an HD wallet may hold UTXOs on
+// any of its derived addresses.
+function signingKeys(wallet) {
+  if (!wallet.hd) return wallet.privkey;
+  return wallet.addresses.map((a) => hdChildKey(wallet.hdKey, a.chain, a.index));
+}
+
+// wallet receive: next unused receive address (single-key wallets only have one)
+async function walletReceive(ctx) {
+  const wallet = loadWallet(ctx);
+  if (!wallet.hd) {
+    ctx.log(`address ${wallet.address}`);
+    return { address: wallet.address };
+  }
+
+  const entry = hdEntry(wallet, HD_RECEIVE, wallet.hd.next.receive);
+  await hdImport(ctx, wallet, false);
+  wallet.hd.next.receive += 1;
+  writeWallet(ctx, wallet);
+  ctx.log(`address ${entry.address}`);
+  return { address: entry.address };
 }
 
 // --------------------------------------------------------------------------
@@ -285,54 +837,143 @@ const MAX_SCRIPT_ELEMENT_SIZE = 520;
 const MAX_CHUNK_LEN = 240;
 const MAX_PAYLOAD_LEN = 1500;
 
-/**
- * CLI-style mint:
- * - paramAddress: destination address
- * - paramContentTypeOrFilename: MIME type *or* path to file
- * - paramHexData: hex string if not using file
- *
- * For server usage you can call:
- *   await mint(address, contentType, hexData);
- * Or:
- *   await mint(address, filePath); // will auto-detect MIME and read file
- */
-async function mint(paramAddress, paramContentTypeOrFilename, paramHexData) {
-  const argAddress = paramAddress || process.argv[3];
-  const argContentTypeOrFilename = paramContentTypeOrFilename || process.argv[4];
-  const argHexData = paramHexData || process.argv[5];
-
-  const address = new Address(argAddress);
-  let contentType;
-  let data;
-
-  if (fs.existsSync(argContentTypeOrFilename)) {
-    const guess = mime.lookup(argContentTypeOrFilename) || 'application/octet-stream';
-    contentType = mime.contentType(guess);
-    data = fs.readFileSync(argContentTypeOrFilename);
-  } else {
-    contentType = argContentTypeOrFilename;
-    if (!/^[a-fA-F0-9]*$/.test(argHexData || '')) {
+// Spending ops send an earlier failed chain first: its txs spend UTXOs this
+// one would otherwise pick as well.
+async function sendPendingFirst(ctx) {
+  if (!fs.existsSync(ctx.pendingPath)) return;
+  if (ctx.dryRun) {
+    ctx.log('note: pending-txs.json exists; a real run would rebroadcast it first');
+    return;
+  }
+  await broadcastPending(ctx);
+}
+
+// data: a Buffer, or hex. -> { txids, inscriptionTxid } (a dry run: its report)
+async function mint(ctx, address, contentType, data) {
+  if (!Buffer.isBuffer(data)) {
+    if (!/^[a-fA-F0-9]*$/.test(data || '')) {
       throw new Error('data must be hex');
     }
-    data = Buffer.from(argHexData, 'hex');
+    data = Buffer.from(data || '', 'hex');
   }
 
-  if (!data || data.length === 0) {
+  if (data.length === 0) {
     throw new Error('no data to mint');
   }
 
-  if (contentType.length > MAX_SCRIPT_ELEMENT_SIZE) {
-    throw new Error('content type too long');
+  if (!contentType || contentType.length > MAX_SCRIPT_ELEMENT_SIZE) {
+    throw new Error(contentType ? 'content type too long' : 'no content type');
   }
 
-  if (!fs.existsSync(WALLET_PATH)) {
-    throw new Error('wallet file not found');
+  const receiver = new Address(address);
+  await sendPendingFirst(ctx);
+  const wallet = await readWalletWithKey(ctx);
+
+  if (ctx.dryRun) {
+    return dryRunMint(ctx, wallet, receiver, [{ name: contentType, contentType, data }], ctx.hexOut);
+  }
+
+  const txs = inscribe(ctx, wallet, receiver, contentType, data);
+  return broadcastAll(ctx, txs, false);
+}
+
+function readMintFile(file) {
+  if (!fs.existsSync(file)) throw new Error(`file not found: ${file}`);
+  const guess = mime.lookup(file) || 'application/octet-stream';
+  return { name: file, contentType: mime.contentType(guess), data: fs.readFileSync(file) };
+}
+
+// MIME type from the file name
+async function mintFile(ctx, address, file) {
+  const { contentType, data } = readMintFile(file);
+  return mint(ctx, address, contentType, data);
+}
+
+// Dry run over several files (paths, or { name, contentType, data }) as if
+// minted one after the other; never broadcasts, whatever the wallet's opts.
+async function dryRunFiles(ctx, address, files, hexOut) {
+  const items = files.map((f) => (typeof f === 'string' ? readMintFile(f) : f));
+  const dry = { ...ctx, dryRun: true };
+  const receiver = new Address(address);
+  await sendPendingFirst(dry);
+  const wallet = await readWalletWithKey(dry);
+  return dryRunMint(dry, wallet, receiver, items, hexOut);
+}
+
+// Build the full chain for each item, one after the other against the same
+// in-memory wallet, and report sizes / fees without broadcasting anything.
+function dryRunMint(ctx, wallet, address, items, hexOutPath) {
+  const balanceOf = (w) => spendableUtxos(w).reduce((acc, u) => acc + u.satoshis, 0);
+
+  const report = {
+    address: address.toString(),
+    feePerKb: Transaction.FEE_PER_KB,
+    startBalance: balanceOf(wallet),
+    endBalance: null,
+    totalFee: 0,
+    totalPostage: 0,
+    files: [],
+  };
+  const hexOut = [];
+
+  for (const item of items) {
+    if (item.data.length === 0) {
+      report.files.push({ file: item.name, error: 'no data to mint' });
+      continue;
+    }
+    if (item.contentType.length > MAX_SCRIPT_ELEMENT_SIZE) {
+      report.files.push({ file: item.name, error: 'content type too long' });
+      continue;
+    }
+
+    let txs;
+    try {
+      txs = inscribe(ctx, wallet, address, item.contentType, item.data);
+    } catch (e) {
+      // out of funds: everything after this would fail too
+      report.files.push({ file: item.name, error: e.message });
+      break;
+    }
+
+    const sizes = txs.map((tx) => tx.toBuffer().length);
+    const fee = txs.reduce((acc, tx) => acc + tx.inputAmount - tx.outputAmount, 0);
+    const entry = {
+      file: item.name,
+      contentType: item.contentType,
+      bytes: item.data.length,
+      txCount: txs.length,
+      sizes,
+      totalSize: sizes.reduce((a, b) => a + b, 0),
+      fee,
+      postage: 100000,
+      balanceAfter: balanceOf(wallet),
+      inscriptionTxid: inscriptionTxidOf(txs),
+    };
+    report.files.push(entry);
+    report.totalFee += fee;
+    report.totalPostage += entry.postage;
+
+    ctx.log(
+      `dry-run ${path.basename(item.name)}: ${entry.txCount} txs, ${entry.totalSize} bytes, ` +
+        `fee ${fee}, postage ${entry.postage}, balance after ${entry.balanceAfter}`
+    );
+    if (hexOutPath) {
+      hexOut.push({
+        file: item.name,
+        txs: txs.map((tx) => ({ txid: tx.hash, hex: tx.toString() })),
+      });
+    }
+  }
+
+  report.endBalance = balanceOf(wallet);
+
+  if (hexOutPath) {
+    fs.writeFileSync(hexOutPath, JSON.stringify({ address: report.address, files: hexOut }, null, 2));
+    ctx.log(`raw txs written to ${hexOutPath}`);
   }
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
 
-  const txs = inscribe(wallet, address, contentType, data);
-  const result = await broadcastAll(txs, false);
-  return result;
+  ctx.log(`dry-run report: ${JSON.stringify(report)}`);
+  return report;
 }
 
 function bufferToChunk(b, type) {
@@ -361,7 +1002,7 @@ function opcodeToChunk(op) {
   return { opcodenum: op };
 }
 
-function inscribe(wallet, address, contentType, data) {
+function inscribe(ctx, wallet, address, contentType, data) {
   const txs = [];
 
   const privateKey = new PrivateKey(wallet.privkey);
@@ -449,7 +1090,7 @@ function inscribe(wallet, address, contentType, data) {
       tx.inputs[0].setScript(unlock);
     }
 
-    updateWallet(wallet, tx);
+    updateWallet(ctx, wallet, tx);
     txs.push(tx);
 
     p2shInput = new Transaction.Input({
@@ -489,41 +1130,130 @@ function inscribe(wallet, address, contentType, data) {
   unlock.chunks.push(bufferToChunk(lastLock.toBuffer()));
   tx.inputs[0].setScript(unlock);
 
-  updateWallet(wallet, tx);
+  updateWallet(ctx, wallet, tx, [0]);
   txs.push(tx);
 
   return txs;
 }
 
+// --------------------------------------------------------------------------
+// INSCRIPTION-AWARE COIN CONTROL
+// --------------------------------------------------------------------------
+
+// How many txs back walletSync follows a UTXO's sats looking for a reveal.
+const TRACE_DEPTH = parseInt(process.env.INSCRIPTION_TRACE_DEPTH || '3', 10);
+
+// The lock script inscribe() puts behind every P2SH hop:
+// <pubkey> OP_CHECKSIGVERIFY OP_DROP... OP_TRUE
+const DOGINALS_LOCK_RE = /^21[0-9a-f]{66}ad(75)+51$/;
+
+// UTXOs fund / send / split may use. Inscribed ones (true) and ones walletSync
+// couldn't trace (null) are left alone; untagged legacy entries count as plain.
+function spendableUtxos(wallet) {
+  return (wallet.utxos || []).filter(
+    (u) => u.inscribed === false || u.inscribed === undefined
+  );
+}
+
+// A reveal is the last tx of an inscribe() chain: it spends a Doginals P2SH
+// hop (or carries a whole envelope itself) and pays vout 0 to an address.
+function isRevealTx(tx) {
+  const vin0 = (tx.vin || [])[0];
+  const out0 = (tx.vout || [])[0];
+  if (!vin0 || !vin0.scriptSig || !out0) return false;
+  if (out0.scriptPubKey && out0.scriptPubKey.type === 'scripthash') return false;
+
+  const asm = String(vin0.scriptSig.asm || '').trim().split(/\s+/);
+  if (asm[0] === '6582895') return true;
+  return DOGINALS_LOCK_RE.test(asm[asm.length - 1] || '');
+}
+
+/**
+ * Sat offsets inside txid:vout that carry an inscription, found by walking
+ * back through inputs (first-in-first-out sat order) up to `depth` txs.
+ * Empty array = plain UTXO as far as we can see.
+ */
+async function inscriptionOffsets(txid, vout, depth, memo = new Map()) {
+  const key = `${txid}:${vout}`;
+  if (memo.has(key)) return memo.get(key);
+
+  const getTx = async (id) => {
+    if (!memo.has(id)) memo.set(id, await nodeRpc('getrawtransaction', [id, true]));
+    return memo.get(id);
+  };
+
+  const tx = await getTx(txid);
+  let offsets = [];
+
+  if (isRevealTx(tx)) {
+    offsets = vout === 0 ? [0] : [];
+  } else if (depth > 0) {
+    const sats = (v) => Math.round(Number(v || 0) * 1e8);
+
+    let outStart = 0;
+    for (let i = 0; i < vout; i++) outStart += sats(tx.vout[i].value);
+    const outEnd = outStart + sats(tx.vout[vout].value);
+
+    let inStart = 0;
+    for (const vin of tx.vin || []) {
+      if (inStart >= outEnd || !vin.txid) break;
+      const prev = await getTx(vin.txid);
+      const inEnd = inStart + sats(prev.vout[vin.vout].value);
+
+      if (inEnd > outStart) {
+        const inner = await inscriptionOffsets(vin.txid, vin.vout, depth - 1, memo);
+        for (const o of inner) {
+          const at = inStart + o;
+          if (at >= outStart && at < outEnd) offsets.push(at - outStart);
+        }
+      }
+      inStart = inEnd;
+    }
+  }
+
+  memo.set(key, offsets);
+  return offsets;
+}
+
 // --------------------------------------------------------------------------
 // FUND / WALLET BOOK-KEEPING / BROADCAST
 // --------------------------------------------------------------------------
 
 function fund(wallet, tx) {
-  tx.change(wallet.address);
+  const change = wallet.changeAddress || wallet.address;
+  const keys = signingKeys(wallet);
+  tx.change(change);
   delete tx._fee;
 
-  for (const utxo of wallet.utxos) {
-    if (
-      tx.inputs.length &&
-      tx.outputs.length &&
-      tx.inputAmount >= tx.outputAmount + tx.getFee()
-    ) {
+  for (const utxo of spendableUtxos(wallet)) {
+    if (tx.inputs.length && tx.outputs.length && isFunded(tx)) {
       break;
     }
 
     delete tx._fee;
     tx.from(utxo);
-    tx.change(wallet.address);
-    tx.sign(wallet.privkey);
+    tx.change(change);
+    tx.sign(keys);
   }
 
-  if (tx.inputAmount < tx.outputAmount + tx.getFee()) {
-    throw new Error('not enough funds');
+  if (!isFunded(tx)) {
+    throw fundsError('not enough funds');
   }
 }
 
-function updateWallet(wallet, tx) {
+// When the change would be dust, tx.change() parks the remainder in _fee,
+// and that goes negative while the inputs are still short. getFee() would
+// return it as-is, so compare against a fresh estimate instead.
+function isFunded(tx) {
+  const fee = tx._fee;
+  delete tx._fee;
+  const funded = tx.inputAmount >= tx.outputAmount + tx.getFee();
+  if (fee !== undefined) tx._fee = fee;
+  return funded;
+}
+
+// inscribedOutputs: vouts of `tx` that carry an inscription (the reveal's vout 0)
+function updateWallet(ctx, wallet, tx, inscribedOutputs) {
   // Remove spent UTXOs
   wallet.utxos = wallet.utxos.filter((utxo) => {
     for (const input of tx.inputs) {
@@ -537,116 +1267,167 @@ function updateWallet(wallet, tx) {
     return true;
   });
 
-  // Add change / outputs back to our address
+  // Add change / outputs back to our addresses. broadcast() runs this again
+  // for txs inscribe() already recorded, so skip outputs we already have.
   tx.outputs.forEach((output, vout) => {
     const addr = output.script.toAddress();
-    if (addr && addr.toString() === wallet.address) {
-      wallet.utxos.push({
-        txid: tx.hash,
-        vout,
-        script: output.script.toHex(),
-        satoshis: output.satoshis,
-      });
-    }
+    if (!addr || !isWalletAddress(wallet, addr.toString())) return;
+    if (wallet.utxos.some((u) => u.txid === tx.hash && u.vout === vout)) return;
+
+    const derived = (wallet.addresses || []).find((a) => a.address === addr.toString());
+    if (derived) derived.used = true;
+
+    const inscribed = !!(inscribedOutputs && inscribedOutputs.includes(vout));
+    wallet.utxos.push({
+      txid: tx.hash,
+      vout,
+      address: addr.toString(),
+      script: output.script.toHex(),
+      satoshis: output.satoshis,
+      inscribed,
+      ...(inscribed ? { inscriptionOffsets: [0] } : {}),
+    });
   });
 
-  fs.writeFileSync(WALLET_PATH, JSON.stringify(wallet, null, 2));
+  writeWallet(ctx, wallet);
+}
+
+function isWalletAddress(wallet, address) {
+  return (
+    address === wallet.address ||
+    (wallet.addresses || []).some((a) => a.address === address)
+  );
+}
+
+// The tx whose first input carries the "ord" envelope: txs[1] for an
+// inscribe() chain (txs[0] funds it)
+function inscriptionTxidOf(txs) {
+  const reveal = txs.find((tx) => {
+    const input = tx.inputs[0];
+    const chunk = input && input.script && input.script.chunks[0];
+    return !!(chunk && chunk.buf && chunk.buf.toString('utf8') === 'ord');
+  });
+  return reveal ? reveal.hash : null;
 }
 
-async function broadcastAll(txs, retry) {
-    // Per-wallet pending file, lives next to .wallet.json
-    const pendingPath = PENDING_TXS_PATH;
-  
+// -> { txids, inscriptionTxid }. On failure what's left of the chain goes to
+// pending-txs.json and a BroadcastError is thrown.
+async function broadcastAll(ctx, txs, retry) {
+  const inscriptionTxid = inscriptionTxidOf(txs);
+  const sent = [];
+
   for (let i = 0; i < txs.length; i++) {
-    console.log(`broadcasting tx ${i + 1} of ${txs.length}`);
+    ctx.log(`broadcasting tx ${i + 1} of ${txs.length}`);
 
     try {
-      await broadcast(txs[i], retry);
+      await broadcast(ctx, txs[i], retry, { index: i + 1, total: txs.length });
     } catch (e) {
-      console.log('broadcast failed', e?.response?.data || e.message);
-      const msg =
-        e?.response?.data?.error?.message ||
-        e?.message ||
-        '';
+      ctx.log(`broadcast failed ${e.message}`);
+      const msg = e.message || '';
 
       if (
         msg.includes('bad-txns-inputs-spent') ||
         msg.includes('already in block chain')
       ) {
-        console.log('tx already sent, skipping');
+        ctx.log('tx already sent, skipping');
+        ctx.event({ type: 'broadcast', txid: txs[i].hash, index: i + 1, total: txs.length, alreadySent: true });
+        sent.push(txs[i].hash);
         continue;
       }
 
-      console.log('saving pending txs to pending-txs.json');
-      console.log('to reattempt broadcast, re-run the command');
+      ctx.log('saving pending txs to pending-txs.json');
+      ctx.log('to reattempt broadcast, re-run the command');
+      const pending = txs.slice(i);
       fs.writeFileSync(
-        pendingPath,
+        ctx.pendingPath,
         JSON.stringify(
-          txs.slice(i).map((tx) => tx.toString()),
+          pending.map((tx) => tx.toString()),
           null,
           2
         )
       );
-      process.exit(1);
+      const err = new BroadcastError(msg, {
+        cause: e,
+        method: e.method,
+        sent,
+        pending: pending.map((tx) => tx.hash),
+        inscriptionTxid,
+      });
+      ctx.event({
+        type: 'pending-saved',
+        path: ctx.pendingPath,
+        txids: err.pending,
+        sent,
+        inscriptionTxid,
+        mempoolChain: err.mempoolChain,
+        message: msg,
+      });
+      throw err;
     }
+    sent.push(txs[i].hash);
   }
 
   try {
-    fs.unlinkSync(pendingPath);
+    fs.unlinkSync(ctx.pendingPath);
   } catch (_) {
     // ignore
   }
 
-  if (txs.length > 1) {
-    console.log('inscription txid:', txs[1].hash);
+  if (inscriptionTxid) {
+    ctx.log(`inscription txid: ${inscriptionTxid}`);
+    ctx.event({ type: 'inscription', txid: inscriptionTxid, inscriptionId: `${inscriptionTxid}i0` });
   }
 
-  return {
-    txids: txs.map((t) => t.hash),
-    inscriptionTxid: txs.length > 1 ? txs[1].hash : txs[0]?.hash,
-  };
+  return { txids: sent, inscriptionTxid };
 }
 
-async function broadcast(tx, retry) {
-  const body = {
-    jsonrpc: '1.0',
-    id: 0,
-    method: 'sendrawtransaction',
-    params: [tx.toString()],
-  };
+// Send what an earlier failed broadcastAll() left in pending-txs.json.
+// -> null when there's nothing pending, otherwise like broadcastAll()
+async function broadcastPending(ctx) {
+  if (!fs.existsSync(ctx.pendingPath)) return null;
+  ctx.log('found pending-txs.json. rebroadcasting...');
+  const txs = JSON.parse(fs.readFileSync(ctx.pendingPath, 'utf8'));
+  return broadcastAll(ctx, txs.map((tx) => new Transaction(tx)), false);
+}
 
-  const options = {
-    auth: {
-      username: process.env.NODE_RPC_USER,
-      password: process.env.NODE_RPC_PASS,
-    },
-  };
+// Drop pending-txs.json without sending it (after too-long-mempool-chain the
+// server re-syncs the wallet from the node instead).
+// -> { deleted }, false when there was nothing pending
+function clearPending(ctx) {
+  try {
+    fs.unlinkSync(ctx.pendingPath);
+  } catch (e) {
+    if (e.code === 'ENOENT') return { deleted: false };
+    throw e;
+  }
+  ctx.log('deleted pending-txs.json');
+  return { deleted: true };
+}
 
+// info: where tx sits in its chain ({ index, total }), for the broadcast event
+async function broadcast(ctx, tx, retry, info) {
   // Simple retry loop for too-long-mempool-chain
   // (exposed via CLI; the higher-level bulk-logic will live in the server).
   // eslint-disable-next-line no-constant-condition
   while (true) {
     try {
-      await axios.post(process.env.NODE_RPC_URL, body, options);
+      await nodeRpc('sendrawtransaction', [tx.toString()]);
       break;
     } catch (e) {
       if (!retry) throw e;
-      const msg =
-        e?.response?.data?.error?.message ||
-        e?.message ||
-        '';
-      if (msg.includes('too-long-mempool-chain')) {
-        console.warn('retrying, too-long-mempool-chain');
+      if (String(e.message).includes('too-long-mempool-chain')) {
+        ctx.warn('retrying, too-long-mempool-chain');
         await new Promise((resolve) => setTimeout(resolve, 1000));
       } else {
         throw e;
       }
     }
   }
+  ctx.event({ type: 'broadcast', txid: tx.hash, ...info });
 
-  if (!fs.existsSync(WALLET_PATH)) return;
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
-  updateWallet(wallet, tx);
+  if (!fs.existsSync(ctx.walletPath)) return;
+  const wallet = JSON.parse(fs.readFileSync(ctx.walletPath, 'utf8'));
+  updateWallet(ctx, wallet, tx);
 }
 
 // --------------------------------------------------------------------------
@@ -662,22 +1443,7 @@ function chunkToNumber(chunk) {
 }
 
 async function extract(txid) {
-  const body = {
-    jsonrpc: '1.0',
-    id: 'extract',
-    method: 'getrawtransaction',
-    params: [txid, true],
-  };
-
-  const options = {
-    auth: {
-      username: process.env.NODE_RPC_USER,
-      password: process.env.NODE_RPC_PASS,
-    },
-  };
-
-  let response = await axios.post(process.env.NODE_RPC_URL, body, options);
-  let transaction = response.data.result;
+  let transaction = await nodeRpc('getrawtransaction', [txid, true]);
 
   let inputs = transaction.vin;
   let scriptHex = inputs[0].scriptSig.hex;
@@ -700,8 +1466,7 @@ async function extract(txid) {
     if (n !== remaining - 1) {
       // follow to next transaction if necessary
       txid = transaction.vout[0].spent.hash;
-      response = await axios.post(process.env.NODE_RPC_URL, body, options);
-      transaction = response.data.result;
+      transaction = await nodeRpc('getrawtransaction', [txid, true]);
       inputs = transaction.vin;
       scriptHex = inputs[0].scriptSig.hex;
       script = Script.fromHex(scriptHex);
@@ -716,23 +1481,50 @@ async function extract(txid) {
   return { contentType, data };
 }
 
+// extract() for a chain in hand: the first inputs' scriptSigs (hex) from the
+// reveal on, in chain order, whether or not those txs are on chain yet
+function extractFromScripts(scriptSigHexes) {
+  const scripts = scriptSigHexes.map((hex) => Script.fromHex(hex).chunks);
+  let chunks = scripts.shift() || [];
+
+  const prefix = chunks.shift();
+  if (!prefix || !prefix.buf || prefix.buf.toString('utf-8') !== 'ord') {
+    throw new Error('not a doginal');
+  }
+
+  let remaining = chunkToNumber(chunks.shift());
+  const contentType = chunks.shift().buf.toString('utf-8');
+  let data = Buffer.alloc(0);
+
+  while (remaining) {
+    const n = chunks.length ? chunkToNumber(chunks[0]) : undefined;
+    if (n !== remaining - 1) {
+      // the rest of this tx is its spend; the data goes on in the next one
+      if (!scripts.length) throw new Error('chain ends before the inscription does');
+      chunks = scripts.shift();
+      continue;
+    }
+    chunks.shift();
+    data = Buffer.concat([data, chunks.shift().buf]);
+    remaining -= 1;
+  }
+
+  return { contentType, data };
+}
+
 // --------------------------------------------------------------------------
 // EXPORTS FOR SERVER.JS
 // --------------------------------------------------------------------------
 
 module.exports = {
+  openWallet,
+  BroadcastError,
   // low-level building blocks
-  mint,
-  walletNew,
-  walletSync,
-  walletBalance,
-  walletSend,
-  walletSplit,
-  doge20Deploy,
-  doge20Transfer,
   extract,
-  broadcastAll,
-  broadcast,
+  extractFromScripts,
+  inscriptionTxidOf,
+  spendableUtxos,
+  inscriptionOffsets,
 };
 
 // --------------------------------------------------------------------------
@@ -740,12 +1532,16 @@ module.exports = {
 // --------------------------------------------------------------------------
 
 if (require.main === module) {
-  main().catch((e) => {
-    const reason =
-      e?.response?.data?.error?.message ||
-      e.message ||
-      'Unknown error';
-    console.error(reason ? `${e.message}:${reason}` : e.message);
-    process.exit(1);
-  });
+  main().then(
+    (result) => {
+      if (JSON_OUT) emitJson({ type: 'result', result: result === undefined ? null : result });
+    },
+    (e) => {
+      const event = errorEvent(e);
+      if (JSON_OUT) emitJson(event);
+      // RPC failures: "<method>: <node message>" (see scripts/rpc.js)
+      else console.error(e.method ? `${e.method}: ${e.message}` : e.message || 'Unknown error');
+      process.exit(event.exitCode);
+    }
+  );
 }
@@ -0,0 +1,706 @@
+#!/usr/bin/env node
+"use strict";
+
+// drc20-ledger.js
+//
+// DRC-20 state engine: replays {"p":"drc-20", "op": ...} text inscriptions in
+// chain order and keeps per-ticker supply and per-address balances.
+//
+// Rules (same as BRC-20, which DRC-20 copies):
+//   deploy    first deploy of a tick wins; later ones are invalid.
+//             lim defaults to max, dec defaults to 18 (max 18).
+//   mint      credited to whoever receives the inscription on reveal.
+//             amt must be <= lim; once max is reached mints are invalid, and
+//             the mint that crosses max only gets what's left.
+//   transfer  inscribing moves amt from available to transferable (invalid if
+//             the inscriber doesn't have it). The first time that inscription
+//             is spent, amt goes to the receiving output's address, or back
+//             to the sender if it went to fee.
+//
+// DRC-20 payloads are tiny, so only envelopes that are revealed whole in a
+// single tx (what doginals.js produces for them) are considered.
+//
+// Layout (index/drc20/):
+//   state.json     { startHeight, height, hash, hashes, tokens, balances, transfers, undo }
+//   events.ndjson  one line per DRC-20 inscription / transfer settlement,
+//                  with valid + reason so a mint can be checked after the fact
+
+const fs = require("fs");
+const path = require("path");
+
+const { INDEX_ROOT } = require("./spent-index");
+const { locateInSpend, outputAddress } = require("./ownership");
+
+// re-pointed by useDrc20LedgerRoot() when server.js switches node profile
+let DRC20_DIR = path.join(INDEX_ROOT, "drc20");
+let STATE_PATH = path.join(DRC20_DIR, "state.json");
+let EVENTS_PATH = path.join(DRC20_DIR, "events.ndjson");
+
+const ORD_MARKER = "6582895";
+
+// same defaults as the spent index (see spent-index.js)
+const DEFAULT_START_HEIGHT = 4600000;
+const REORG_WINDOW = 200;
+const FLUSH_EVERY_BLOCKS = 50;
+
+const MAX_DECIMALS = 18;
+const UINT64_MAX = 2n ** 64n - 1n;
+
+function ensureLedgerDir() {
+  if (!fs.existsSync(DRC20_DIR)) {
+    fs.mkdirSync(DRC20_DIR, { recursive: true });
+  }
+}
+
+function getStartHeight() {
+  const v = Number(process.env.DRC20_INDEX_START_HEIGHT);
+  return Number.isFinite(v) && v >= 0 ? Math.floor(v) : DEFAULT_START_HEIGHT;
+}
+
+function freshState() {
+  const startHeight = getStartHeight();
+  return {
+    startHeight,
+    height: startHeight - 1, // last fully processed height
+    hash: null,
+    hashes: {},
+    // tick -> { tick, max, lim, dec, minted, deployId, deployHeight, deployer }
+    tokens: {},
+    // "<tick>\t<address>" -> { available, transferable }
+    balances: {},
+    // "<txid>:<vout>" -> { id, tick, amt, from, offset } (inscribed, not yet spent)
+    transfers: {},
+    // <height> -> { tokens, balances, transfers }: previous values of touched keys
+    undo: {},
+    updatedAt: null,
+  };
+}
+
+let stateCache = null;
+
+function loadState() {
+  if (stateCache) return stateCache;
+  try {
+    if (fs.existsSync(STATE_PATH)) {
+      const raw = fs.readFileSync(STATE_PATH, "utf8");
+      if (raw.trim()) {
+        stateCache = JSON.parse(raw);
+        return stateCache;
+      }
+    }
+  } catch (e) {
+    console.warn("Invalid drc20 state.json, starting fresh:", e.message);
+  }
+  stateCache = freshState();
+  return stateCache;
+}
+
+function saveState(state) {
+  ensureLedgerDir();
+  state.updatedAt = new Date().toISOString();
+  const tmp = STATE_PATH + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(state), "utf8");
+  fs.renameSync(tmp, STATE_PATH);
+  stateCache = state;
+}
+
+// ---------------- events ----------------
+
+let eventsCache = null;
+const pendingEvents = [];
+
+function loadEvents() {
+  if (eventsCache) return eventsCache;
+  eventsCache = [];
+  let text = "";
+  try {
+    text = fs.readFileSync(EVENTS_PATH, "utf8");
+  } catch {
+    return eventsCache;
+  }
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      eventsCache.push(JSON.parse(line));
+    } catch {
+      // torn last line after a crash; the block gets processed again anyway
+    }
+  }
+  return eventsCache;
+}
+
+function flushPending() {
+  if (!pendingEvents.length) return;
+  const cached = loadEvents(); // read before appending so nothing is counted twice
+  ensureLedgerDir();
+  fs.appendFileSync(
+    EVENTS_PATH,
+    pendingEvents.map((e) => JSON.stringify(e) + "\n").join(""),
+    "utf8"
+  );
+  cached.push(...pendingEvents);
+  pendingEvents.length = 0;
+}
+
+function dropEventsAbove(forkHeight) {
+  const kept = loadEvents().filter((e) => e.height <= forkHeight);
+  ensureLedgerDir();
+  const tmp = EVENTS_PATH + ".tmp";
+  fs.writeFileSync(tmp, kept.map((e) => JSON.stringify(e) + "\n").join(""), "utf8");
+  fs.renameSync(tmp, EVENTS_PATH);
+  eventsCache = kept;
+}
+
+// ---------------- amounts ----------------
+
+// "12.5" with dec=8 -> 1250000000n; null if malformed or too many decimals
+function parseAmount(value, dec) {
+  if (typeof value !== "string") return null;
+  const m = /^(\d+)(?:\.(\d+))?$/.exec(value);
+  if (!m) return null;
+  const frac = m[2] || "";
+  if (frac.length > dec) return null;
+  return BigInt(m[1] + frac.padEnd(dec, "0"));
+}
+
+function formatAmount(raw, dec) {
+  const s = BigInt(raw).toString().padStart(dec + 1, "0");
+  if (!dec) return s;
+  const whole = s.slice(0, -dec);
+  const frac = s.slice(-dec).replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole;
+}
+
+// ---------------- state helpers (with undo) ----------------
+
+function touch(state, undo, kind, key) {
+  if (key in undo[kind]) return;
+  const prev = state[kind][key];
+  undo[kind][key] = prev === undefined ? null : JSON.parse(JSON.stringify(prev));
+}
+
+function balanceKey(tick, address) {
+  return `${tick}\t${address}`;
+}
+
+function adjustBalance(state, undo, tick, address, field, delta) {
+  const key = balanceKey(tick, address);
+  touch(state, undo, "balances", key);
+  const bal = state.balances[key] || { available: "0", transferable: "0" };
+  bal[field] = (BigInt(bal[field]) + delta).toString();
+  if (bal.available === "0" && bal.transferable === "0") delete state.balances[key];
+  else state.balances[key] = bal;
+}
+
+function availableOf(state, tick, address) {
+  const bal = state.balances[balanceKey(tick, address)];
+  return bal ? BigInt(bal.available) : 0n;
+}
+
+// ---------------- inscription parsing ----------------
+
+function hexToAscii(hex) {
+  try {
+    return Buffer.from(hex, "hex").toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+// First envelope of a tx if it is complete within that tx:
+// { index, mimeType, text } or null
+function readSingleTxEnvelope(tx) {
+  for (const vin of tx.vin || []) {
+    const asmText = vin && vin.scriptSig && vin.scriptSig.asm;
+    if (!asmText) continue;
+    const asm = String(asmText).trim().split(/\s+/);
+    if (asm[0] !== ORD_MARKER || asm.length < 3) continue;
+
+    const mimeType = (hexToAscii(asm[2]) || "").toLowerCase();
+    let dataHex = "";
+    for (let i = 3; i + 1 < asm.length && /^-?\d+$/.test(asm[i]); i += 2) {
+      dataHex += asm[i + 1];
+      if (parseInt(asm[i].replace(/^-/, ""), 10) === 0) {
+        return { index: 0, mimeType, text: hexToAscii(dataHex) };
+      }
+    }
+    return null; // continues in a later tx
+  }
+  return null;
+}
+
+function parseDrc20(envelope) {
+  if (!envelope || typeof envelope.text !== "string") return null;
+  const mt = envelope.mimeType;
+  if (!mt.startsWith("text/plain") && !mt.startsWith("application/json")) return null;
+
+  let json;
+  try {
+    json = JSON.parse(envelope.text);
+  } catch {
+    return null;
+  }
+  if (!json || typeof json !== "object" || json.p !== "drc-20") return null;
+  return json;
+}
+
+// ---------------- operations ----------------
+
+function applyDeploy(state, undo, op, ctx) {
+  const tick = typeof op.tick === "string" ? op.tick.toLowerCase() : "";
+  if ([...tick].length !== 4) return { valid: false, reason: "tick must be 4 characters" };
+  if (state.tokens[tick]) return { valid: false, reason: "tick already deployed", tick };
+
+  let dec = MAX_DECIMALS;
+  if (op.dec !== undefined) {
+    if (typeof op.dec !== "string" || !/^\d+$/.test(op.dec) || Number(op.dec) > MAX_DECIMALS) {
+      return { valid: false, reason: "invalid dec", tick };
+    }
+    dec = Number(op.dec);
+  }
+
+  const max = parseAmount(op.max, dec);
+  if (max === null || max <= 0n) return { valid: false, reason: "invalid max", tick };
+  if (max > UINT64_MAX * 10n ** BigInt(dec)) return { valid: false, reason: "max too large", tick };
+
+  let lim = max;
+  if (op.lim !== undefined) {
+    lim = parseAmount(op.lim, dec);
+    if (lim === null || lim <= 0n) return { valid: false, reason: "invalid lim", tick };
+    if (lim > max) lim = max;
+  }
+
+  touch(state, undo, "tokens", tick);
+  state.tokens[tick] = {
+    tick,
+    max: max.toString(),
+    lim: lim.toString(),
+    dec,
+    minted: "0",
+    deployId: ctx.id,
+    deployHeight: ctx.height,
+    deployer: ctx.address,
+  };
+  return { valid: true, tick };
+}
+
+function applyMint(state, undo, op, ctx) {
+  const tick = typeof op.tick === "string" ? op.tick.toLowerCase() : "";
+  const token = state.tokens[tick];
+  if (!token) return { valid: false, reason: "tick not deployed", tick };
+
+  const amt = parseAmount(op.amt, token.dec);
+  if (amt === null || amt <= 0n) return { valid: false, reason: "invalid amt", tick };
+  if (amt > BigInt(token.lim)) return { valid: false, reason: "amt exceeds lim", tick };
+
+  const remaining = BigInt(token.max) - BigInt(token.minted);
+  if (remaining <= 0n) return { valid: false, reason: "max supply reached", tick };
+
+  const credited = amt > remaining ? remaining : amt;
+
+  touch(state, undo, "tokens", tick);
+  token.minted = (BigInt(token.minted) + credited).toString();
+  adjustBalance(state, undo, tick, ctx.address, "available", credited);
+
+  return {
+    valid: true,
+    tick,
+    amt: formatAmount(credited, token.dec),
+    reason: credited < amt ? "partial: only the remaining supply was minted" : undefined,
+  };
+}
+
+function applyTransferInscribe(state, undo, op, ctx) {
+  const tick = typeof op.tick === "string" ? op.tick.toLowerCase() : "";
+  const token = state.tokens[tick];
+  if (!token) return { valid: false, reason: "tick not deployed", tick };
+
+  const amt = parseAmount(op.amt, token.dec);
+  if (amt === null || amt <= 0n) return { valid: false, reason: "invalid amt", tick };
+  if (amt > availableOf(state, tick, ctx.address)) {
+    return { valid: false, reason: "insufficient available balance", tick };
+  }
+
+  adjustBalance(state, undo, tick, ctx.address, "available", -amt);
+  adjustBalance(state, undo, tick, ctx.address, "transferable", amt);
+
+  const key = `${ctx.txid}:0`;
+  touch(state, undo, "transfers", key);
+  state.transfers[key] = {
+    id: ctx.id,
+    tick,
+    amt: amt.toString(),
+    from: ctx.address,
+    offset: 0,
+  };
+
+  return { valid: true, tick, amt: formatAmount(amt, token.dec) };
+}
+
+async function settleTransfer(rpc, state, undo, tx, vinIndex, key, height) {
+  const t = state.transfers[key];
+  touch(state, undo, "transfers", key);
+  delete state.transfers[key];
+
+  const moved = await locateInSpend(rpc, tx, vinIndex, t.offset);
+  const to = moved ? outputAddress(moved.output) : null;
+  const amt = BigInt(t.amt);
+  const dec = state.tokens[t.tick].dec;
+
+  adjustBalance(state, undo, t.tick, t.from, "transferable", -amt);
+  // sent to fee (or an output without an address): back to the sender
+  adjustBalance(state, undo, t.tick, to || t.from, "available", amt);
+
+  pendingEvents.push({
+    height,
+    txid: tx.txid,
+    id: t.id,
+    op: "transfer-send",
+    tick: t.tick,
+    amt: formatAmount(amt, dec),
+    from: t.from,
+    to: to || t.from,
+    returned: !to,
+  });
+}
+
+async function recordBlock(rpc, state, height, blk) {
+  const undo = { tokens: {}, balances: {}, transfers: {} };
+
+  for (const tx of blk.tx || []) {
+    const vins = tx.vin || [];
+
+    // spends first: a tx can move a transfer inscription and reveal a new one
+    for (let i = 0; i < vins.length; i++) {
+      const vin = vins[i];
+      if (!vin || !vin.txid) continue;
+      const key = `${vin.txid}:${vin.vout}`;
+      if (state.transfers[key]) {
+        await settleTransfer(rpc, state, undo, tx, i, key, height);
+      }
+    }
+
+    const envelope = readSingleTxEnvelope(tx);
+    const op = parseDrc20(envelope);
+    if (!op) continue;
+
+    const out0 = (tx.vout || [])[0];
+    const address = outputAddress(out0);
+    const ctx = { id: `${tx.txid}i${envelope.index}`, txid: tx.txid, height, address };
+
+    let result;
+    if (!address || (out0.scriptPubKey && out0.scriptPubKey.type === "scripthash")) {
+      result = { valid: false, reason: "not revealed to an address" };
+    } else if (op.op === "deploy") {
+      result = applyDeploy(state, undo, op, ctx);
+    } else if (op.op === "mint") {
+      result = applyMint(state, undo, op, ctx);
+    } else if (op.op === "transfer") {
+      result = applyTransferInscribe(state, undo, op, ctx);
+    } else {
+      result = { valid: false, reason: "unknown op" };
+    }
+
+    pendingEvents.push({
+      height,
+      txid: tx.txid,
+      id: ctx.id,
+      op: String(op.op),
+      tick: result.tick || (typeof op.tick === "string" ? op.tick.toLowerCase() : null),
+      amt: result.amt || (typeof op.amt === "string" ? op.amt : undefined),
+      address,
+      valid: result.valid,
+      reason: result.reason,
+    });
+  }
+
+  state.undo[height] = undo;
+  delete state.undo[height - REORG_WINDOW];
+
+  state.height = height;
+  state.hash = blk.hash;
+  state.hashes[height] = blk.hash;
+  delete state.hashes[height - REORG_WINDOW];
+}
+
+async function rollbackToFork(rpc, state) {
+  let forkHeight = null;
+
+  for (let h = state.height; h > state.height - REORG_WINDOW; h--) {
+    const known = state.hashes[h];
+    if (!known) break;
+    let nodeHash;
+    try {
+      nodeHash = await rpc("getblockhash", [h]);
+    } catch {
+      continue; // node tip is below h after the reorg
+    }
+    if (nodeHash === known) {
+      forkHeight = h;
+      break;
+    }
+  }
+
+  if (forkHeight === null) {
+    throw new Error(
+      `drc20-ledger: reorg deeper than ${REORG_WINDOW} blocks (or no hash history); delete index/drc20 to rebuild`
+    );
+  }
+
+  console.log(`↺ drc20-ledger: reorg detected, rolling back ${state.height} → ${forkHeight}`);
+
+  flushPending();
+  dropEventsAbove(forkHeight);
+
+  // undo orphaned blocks newest first
+  for (let h = state.height; h > forkHeight; h--) {
+    const undo = state.undo[h];
+    if (undo) {
+      for (const kind of ["tokens", "balances", "transfers"]) {
+        for (const [key, prev] of Object.entries(undo[kind])) {
+          if (prev === null) delete state[kind][key];
+          else state[kind][key] = prev;
+        }
+      }
+    }
+    delete state.undo[h];
+    delete state.hashes[h];
+  }
+
+  state.height = forkHeight;
+  state.hash = state.hashes[forkHeight];
+  saveState(state);
+}
+
+// ---------------- sync loop ----------------
+
+let syncing = null;
+let lastSeenTip = null;
+let lastError = null;
+
+/**
+ * Move the ledger to <root>/drc20 (node profile switch). Stop it and wait
+ * for whenDrc20LedgerIdle() first.
+ */
+function useDrc20LedgerRoot(root) {
+  DRC20_DIR = path.join(root, "drc20");
+  STATE_PATH = path.join(DRC20_DIR, "state.json");
+  EVENTS_PATH = path.join(DRC20_DIR, "events.ndjson");
+  stateCache = null;
+  eventsCache = null;
+  pendingEvents.length = 0;
+  lastSeenTip = null;
+  lastError = null;
+}
+
+function whenDrc20LedgerIdle() {
+  return syncing ? syncing.catch(() => {}) : Promise.resolve();
+}
+
+/**
+ * Process blocks from the last processed height up to the node tip (or at most
+ * maxBlocks of them). Safe to call repeatedly; concurrent calls share one run.
+ */
+function syncDrc20Ledger(rpc, options = {}) {
+  if (syncing) return syncing;
+  syncing = runSync(rpc, options)
+    .catch((e) => {
+      lastError = e.message || String(e);
+      throw e;
+    })
+    .finally(() => {
+      syncing = null;
+    });
+  return syncing;
+}
+
+async function runSync(rpc, { maxBlocks = 1000, onProgress } = {}) {
+  const state = loadState();
+  const tip = await rpc("getblockcount", []);
+  lastSeenTip = tip;
+
+  if (state.hash && state.height <= tip) {
+    const nodeHash = await rpc("getblockhash", [state.height]);
+    if (nodeHash !== state.hash) await rollbackToFork(rpc, state);
+  } else if (state.hash && state.height > tip) {
+    await rollbackToFork(rpc, state);
+  }
+
+  const target = Math.min(tip, state.height + maxBlocks);
+  let sinceFlush = 0;
+
+  try {
+    for (let height = state.height + 1; height <= target; height++) {
+      const hash = await rpc("getblockhash", [height]);
+      const blk = await rpc("getblock", [hash, 2]);
+
+      if (state.hash && blk.previousblockhash && blk.previousblockhash !== state.hash) {
+        // chain moved under us mid-sync; persist what we have and retry next round
+        break;
+      }
+
+      // a block is applied whole or not at all: on error, reload from disk
+      try {
+        await recordBlock(rpc, state, height, blk);
+      } catch (e) {
+        pendingEvents.length = 0;
+        stateCache = null;
+        throw e;
+      }
+      sinceFlush++;
+
+      if (sinceFlush >= FLUSH_EVERY_BLOCKS) {
+        flushPending();
+        saveState(state);
+        sinceFlush = 0;
+        if (typeof onProgress === "function") onProgress(getDrc20LedgerStatus());
+      }
+    }
+  } finally {
+    if (stateCache === state) {
+      flushPending();
+      saveState(state);
+    }
+  }
+
+  lastError = null;
+  return { height: state.height, tip, caughtUp: state.height >= tip };
+}
+
+// ---------------- queries ----------------
+
+function tokenView(state, token) {
+  let holders = 0;
+  const prefix = `${token.tick}\t`;
+  for (const key of Object.keys(state.balances)) {
+    if (key.startsWith(prefix)) holders++;
+  }
+  return {
+    tick: token.tick,
+    max: formatAmount(token.max, token.dec),
+    lim: formatAmount(token.lim, token.dec),
+    dec: token.dec,
+    minted: formatAmount(token.minted, token.dec),
+    mintedOut: BigInt(token.minted) >= BigInt(token.max),
+    holders,
+    deployId: token.deployId,
+    deployHeight: token.deployHeight,
+    deployer: token.deployer,
+  };
+}
+
+function listTokens() {
+  const state = loadState();
+  return Object.values(state.tokens)
+    .sort((a, b) => a.deployHeight - b.deployHeight)
+    .map((t) => tokenView(state, t));
+}
+
+/**
+ * One ticker plus its holders (largest first), paged.
+ * Returns null if the tick was never (validly) deployed.
+ */
+function getToken(tick, { page = 1, limit = 50 } = {}) {
+  const state = loadState();
+  const token = state.tokens[String(tick || "").toLowerCase()];
+  if (!token) return null;
+
+  const prefix = `${token.tick}\t`;
+  const holders = [];
+  for (const [key, bal] of Object.entries(state.balances)) {
+    if (!key.startsWith(prefix)) continue;
+    const total = BigInt(bal.available) + BigInt(bal.transferable);
+    holders.push({ address: key.slice(prefix.length), total, bal });
+  }
+  holders.sort((a, b) => (b.total > a.total ? 1 : b.total < a.total ? -1 : 0));
+
+  const safeLimit = Math.max(1, Math.min(500, Number(limit) || 50));
+  const safePage = Math.max(1, Number(page) || 1);
+  const start = (safePage - 1) * safeLimit;
+
+  return {
+    ...tokenView(state, token),
+    page: safePage,
+    limit: safeLimit,
+    holderList: holders.slice(start, start + safeLimit).map((h) => ({
+      address: h.address,
+      available: formatAmount(h.bal.available, token.dec),
+      transferable: formatAmount(h.bal.transferable, token.dec),
+      total: formatAmount(h.total, token.dec),
+    })),
+  };
+}
+
+function getAddressBalances(address) {
+  const state = loadState();
+  const out = [];
+  for (const [key, bal] of Object.entries(state.balances)) {
+    const [tick, addr] = key.split("\t");
+    if (addr !== address) continue;
+    const dec = state.tokens[tick].dec;
+    out.push({
+      tick,
+      available: formatAmount(bal.available, dec),
+      transferable: formatAmount(bal.transferable, dec),
+      total: formatAmount(BigInt(bal.available) + BigInt(bal.transferable), dec),
+    });
+  }
+  return out.sort((a, b) => a.tick.localeCompare(b.tick));
+}
+
+/**
+ * Everything the ledger knows about one inscription id: how it was judged
+ * when revealed (valid / reason) and, for transfers, where it was sent.
+ */
+function getInscriptionEvents(inscriptionId) {
+  const id = String(inscriptionId || "").toLowerCase();
+  const full = /i\d+$/.test(id) ? id : `${id}i0`;
+  return loadEvents()
+    .concat(pendingEvents)
+    .filter((e) => e.id === full);
+}
+
+function getDrc20LedgerStatus() {
+  const state = loadState();
+  return {
+    startHeight: state.startHeight,
+    height: state.height,
+    hash: state.hash,
+    tokens: Object.keys(state.tokens).length,
+    pendingTransfers: Object.keys(state.transfers).length,
+    syncing: !!syncing,
+    tip: lastSeenTip,
+    lastError: lastError,
+    updatedAt: state.updatedAt,
+  };
+}
+
+module.exports = {
+  listTokens,
+  getToken,
+  getAddressBalances,
+  getInscriptionEvents,
+  getDrc20LedgerStatus,
+  syncDrc20Ledger,
+  useDrc20LedgerRoot,
+  whenDrc20LedgerIdle,
+};
+
+if (require.main === module) {
+  // node scripts/drc20-ledger.js [maxBlocks] — process a batch using decode.js RPC
+  const { rpc } = require("./decode");
+  const maxBlocks = Number(process.argv[2]) || 1000;
+
+  syncDrc20Ledger(rpc, {
+    maxBlocks,
+    onProgress: (s) => console.log(`drc20-ledger height ${s.height} / tip ${s.tip}`),
+  })
+    .then((r) => {
+      console.log(`Done. height=${r.height} tip=${r.tip} caughtUp=${r.caughtUp}`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error("ERROR:", err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+"use strict";
+
+// inscription-index.js
+//
+// Local inscription index: scans blocks for Doginals genesis envelopes and
+// gives each one a sequential inscription number.
+//
+// A genesis envelope is a scriptSig whose first ASM token is 6582895 ("ord"),
+// the same marker decodeDoginalsChain looks for. Its data usually continues
+// down a chain of P2SH txs, so an envelope stays "open" (keyed by the P2SH
+// outpoint that carries it on) until num_chunks reaches 0; only then do we
+// know its size. A chain can carry several envelopes (i0, i1, ...), each with
+// its own number.
+//
+// Numbers are local: they count from the first indexed block
+// (INSCRIPTION_INDEX_START_HEIGHT), not from the first Doginal ever.
+//
+// Layout (index/inscriptions/):
+//   meta.json           { startHeight, height, hash, hashes, nextNumber, open, undo }
+//   inscriptions.ndjson one finished envelope per line:
+//                       { number, id, txid, height, contentType, size, complete, completedHeight }
+
+const fs = require("fs");
+const path = require("path");
+
+const { INDEX_ROOT } = require("./spent-index");
+
+// re-pointed by useInscriptionIndexRoot() when server.js switches node profile
+let INSCRIPTIONS_DIR = path.join(INDEX_ROOT, "inscriptions");
+let META_PATH = path.join(INSCRIPTIONS_DIR, "meta.json");
+let RECORDS_PATH = path.join(INSCRIPTIONS_DIR, "inscriptions.ndjson");
+
+const ORD_MARKER = "6582895";
+
+// same defaults as the spent index (see spent-index.js)
+const DEFAULT_START_HEIGHT = 4600000;
+const REORG_WINDOW = 200;
+const FLUSH_EVERY_BLOCKS = 50;
+
+function ensureIndexDir() {
+  if (!fs.existsSync(INSCRIPTIONS_DIR)) {
+    fs.mkdirSync(INSCRIPTIONS_DIR, { recursive: true });
+  }
+}
+
+function getStartHeight() {
+  const v = Number(process.env.INSCRIPTION_INDEX_START_HEIGHT);
+  return Number.isFinite(v) && v >= 0 ? Math.floor(v) : DEFAULT_START_HEIGHT;
+}
+
+function freshMeta() {
+  const startHeight = getStartHeight();
+  return {
+    startHeight,
+    height: startHeight - 1, // last fully indexed height
+    hash: null,
+    hashes: {},
+    nextNumber: 0,
+    // "<txid>:<vout>" -> chain still being revealed
+    open: {},
+    // <height> -> { nextNumber, open: { key: previous value | null } }
+    undo: {},
+    updatedAt: null,
+  };
+}
+
+let metaCache = null;
+
+function readMeta() {
+  try {
+    if (fs.existsSync(META_PATH)) {
+      const raw = fs.readFileSync(META_PATH, "utf8");
+      if (raw.trim()) return JSON.parse(raw);
+    }
+  } catch (e) {
+    console.warn("Invalid inscription-index meta.json, starting fresh:", e.message);
+  }
+  return freshMeta();
+}
+
+function loadMeta() {
+  if (metaCache) return metaCache;
+  metaCache = readMeta();
+  // records are appended before meta.json is saved: after a crash between the
+  // two, the file has records for blocks the meta doesn't, which re-indexing
+  // those blocks would append a second time
+  if (loadRecords().some((r) => r.completedHeight > metaCache.height)) {
+    dropRecordsAbove(metaCache.height);
+  }
+  return metaCache;
+}
+
+function saveMeta(meta) {
+  ensureIndexDir();
+  meta.updatedAt = new Date().toISOString();
+  const tmp = META_PATH + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(meta), "utf8");
+  fs.renameSync(tmp, META_PATH);
+  metaCache = meta;
+}
+
+// ---------------- records ----------------
+
+let recordsCache = null; // finished envelopes, in file order
+const pendingRecords = [];
+
+function loadRecords() {
+  if (recordsCache) return recordsCache;
+  recordsCache = [];
+  let text = "";
+  try {
+    text = fs.readFileSync(RECORDS_PATH, "utf8");
+  } catch {
+    return recordsCache;
+  }
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      recordsCache.push(JSON.parse(line));
+    } catch {
+      // torn last line after a crash; the block gets re-indexed anyway
+    }
+  }
+  return recordsCache;
+}
+
+function flushPending() {
+  if (!pendingRecords.length) return;
+  const cached = loadRecords(); // read before appending so nothing is counted twice
+  ensureIndexDir();
+  fs.appendFileSync(
+    RECORDS_PATH,
+    pendingRecords.map((r) => JSON.stringify(r) + "\n").join(""),
+    "utf8"
+  );
+  cached.push(...pendingRecords);
+  pendingRecords.length = 0;
+}
+
+function dropRecordsAbove(forkHeight) {
+  const kept = loadRecords().filter((r) => r.completedHeight <= forkHeight);
+  ensureIndexDir();
+  const tmp = RECORDS_PATH + ".tmp";
+  fs.writeFileSync(tmp, kept.map((r) => JSON.stringify(r) + "\n").join(""), "utf8");
+  fs.renameSync(tmp, RECORDS_PATH);
+  recordsCache = kept;
+}
+
+// ---------------- envelope parsing ----------------
+
+function isIntegerString(s) {
+  return /^-?\d+$/.test(s);
+}
+
+// Read "<num_chunks> <data>" pairs from asm[start]. Quiet counterpart of
+// processGenesisAsm / processSubsequentAsm in decode.js: only sizes matter here.
+function readChunks(asm, start) {
+  let bytes = 0;
+  let i = start;
+  while (i < asm.length && isIntegerString(asm[i])) {
+    const data = asm[i + 1];
+    if (typeof data !== "string") break;
+    bytes += Math.floor(data.length / 2);
+    const numChunks = parseInt(asm[i].replace(/^-/, ""), 10);
+    i += 2;
+    if (numChunks === 0) return { bytes, endOfData: true, next: i };
+  }
+  return { bytes, endOfData: false, next: i };
+}
+
+function hexToAscii(hex) {
+  try {
+    return Buffer.from(hex, "hex").toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+// ---------------- block processing ----------------
+
+function setOpen(meta, undo, key, value) {
+  if (!(key in undo.open)) {
+    undo.open[key] = meta.open[key] === undefined ? null : meta.open[key];
+  }
+  if (value === null) delete meta.open[key];
+  else meta.open[key] = value;
+}
+
+function finishEnvelope(chain, height, complete) {
+  const env = chain.current;
+  pendingRecords.push({
+    number: env.number,
+    id: `${chain.genesisTxid}i${env.index}`,
+    txid: chain.genesisTxid,
+    height: env.height,
+    contentType: env.contentType,
+    size: env.size,
+    complete,
+    completedHeight: height,
+  });
+  chain.current = null;
+}
+
+function recordBlock(meta, height, blk) {
+  const undo = { nextNumber: meta.nextNumber, open: {} };
+
+  for (const tx of blk.tx || []) {
+    const vins = tx.vin || [];
+    let chain = null;
+
+    // does this tx carry on a chain we're already following?
+    for (const vin of vins) {
+      if (!vin || !vin.txid) continue;
+      const key = `${vin.txid}:${vin.vout}`;
+      if (meta.open[key]) {
+        // copy: the stored object must stay as it was for rollback
+        chain = JSON.parse(JSON.stringify(meta.open[key]));
+        setOpen(meta, undo, key, null);
+        break;
+      }
+    }
+
+    for (const vin of vins) {
+      const asmText = vin && vin.scriptSig && vin.scriptSig.asm;
+      if (!asmText) continue;
+      const asm = String(asmText).trim().split(/\s+/);
+      let pos = 0;
+
+      // several envelopes can sit back to back in one scriptSig
+      while (pos < asm.length) {
+        if (chain && chain.current) {
+          const r = readChunks(asm, pos);
+          chain.current.size += r.bytes;
+          if (!r.endOfData) break;
+          finishEnvelope(chain, height, true);
+          pos = r.next;
+          continue;
+        }
+
+        if (asm[pos] !== ORD_MARKER || asm.length < pos + 3) break;
+
+        if (!chain) chain = { genesisTxid: tx.txid, nextIndex: 0, current: null };
+        chain.current = {
+          index: chain.nextIndex++,
+          number: meta.nextNumber++,
+          height,
+          contentType: hexToAscii(asm[pos + 2]) || "application/octet-stream",
+          size: 0,
+        };
+        // asm[pos + 1] is the envelope's total chunk count, data pairs follow
+        const r = readChunks(asm, pos + 3);
+        chain.current.size += r.bytes;
+        if (!r.endOfData) break;
+        finishEnvelope(chain, height, true);
+        pos = r.next;
+      }
+    }
+
+    if (!chain) continue;
+
+    // inscribe() keeps the chain going through vout 0 while it is P2SH
+    const out0 = (tx.vout || [])[0];
+    const continues = out0 && out0.scriptPubKey && out0.scriptPubKey.type === "scripthash";
+
+    if (continues) {
+      setOpen(meta, undo, `${tx.txid}:0`, chain);
+    } else if (chain.current) {
+      // chain ended before num_chunks reached 0
+      finishEnvelope(chain, height, false);
+    }
+  }
+
+  meta.undo[height] = undo;
+  delete meta.undo[height - REORG_WINDOW];
+
+  meta.height = height;
+  meta.hash = blk.hash;
+  meta.hashes[height] = blk.hash;
+  delete meta.hashes[height - REORG_WINDOW];
+}
+
+async function rollbackToFork(rpc, meta) {
+  let forkHeight = null;
+
+  for (let h = meta.height; h > meta.height - REORG_WINDOW; h--) {
+    const known = meta.hashes[h];
+    if (!known) break;
+    let nodeHash;
+    try {
+      nodeHash = await rpc("getblockhash", [h]);
+    } catch {
+      continue; // node tip is below h after the reorg
+    }
+    if (nodeHash === known) {
+      forkHeight = h;
+      break;
+    }
+  }
+
+  if (forkHeight === null) {
+    throw new Error(
+      `inscription-index: reorg deeper than ${REORG_WINDOW} blocks (or no hash history); delete index/inscriptions to rebuild`
+    );
+  }
+
+  console.log(
+    `↺ inscription-index: reorg detected, rolling back ${meta.height} → ${forkHeight}`
+  );
+
+  flushPending();
+  dropRecordsAbove(forkHeight);
+
+  // undo orphaned blocks newest first
+  for (let h = meta.height; h > forkHeight; h--) {
+    const undo = meta.undo[h];
+    if (!undo) continue;
+    for (const [key, prev] of Object.entries(undo.open)) {
+      if (prev === null) delete meta.open[key];
+      else meta.open[key] = prev;
+    }
+    meta.nextNumber = undo.nextNumber;
+    delete meta.undo[h];
+    delete meta.hashes[h];
+  }
+
+  meta.height = forkHeight;
+  meta.hash = meta.hashes[forkHeight];
+  saveMeta(meta);
+}
+
+// ---------------- sync loop ----------------
+
+let syncing = null;
+let lastSeenTip = null;
+let lastError = null;
+
+/**
+ * Move the index to <root>/inscriptions (node profile switch). Stop the
+ * indexer and wait for whenInscriptionIndexIdle() first.
+ */
+function useInscriptionIndexRoot(root) {
+  INSCRIPTIONS_DIR = path.join(root, "inscriptions");
+  META_PATH = path.join(INSCRIPTIONS_DIR, "meta.json");
+  RECORDS_PATH = path.join(INSCRIPTIONS_DIR, "inscriptions.ndjson");
+  metaCache = null;
+  recordsCache = null;
+  pendingRecords.length = 0;
+  lastSeenTip = null;
+  lastError = null;
+}
+
+function whenInscriptionIndexIdle() {
+  return syncing ? syncing.catch(() => {}) : Promise.resolve();
+}
+
+/**
+ * Index blocks from the last indexed height up to the node tip (or at most
+ * maxBlocks of them). Safe to call repeatedly; concurrent calls share one run.
+ */
+function syncInscriptionIndex(rpc, options = {}) {
+  if (syncing) return syncing;
+  syncing = runSync(rpc, options)
+    .catch((e) => {
+      lastError = e.message || String(e);
+      throw e;
+    })
+    .finally(() => {
+      syncing = null;
+    });
+  return syncing;
+}
+
+async function runSync(rpc, { maxBlocks = 1000, onProgress } = {}) {
+  const meta = loadMeta();
+  const tip = await rpc("getblockcount", []);
+  lastSeenTip = tip;
+
+  if (meta.hash && meta.height <= tip) {
+    const nodeHash = await rpc("getblockhash", [meta.height]);
+    if (nodeHash !== meta.hash) await rollbackToFork(rpc, meta);
+  } else if (meta.hash && meta.height > tip) {
+    await rollbackToFork(rpc, meta);
+  }
+
+  const target = Math.min(tip, meta.height + maxBlocks);
+  let sinceFlush = 0;
+
+  try {
+    for (let height = meta.height + 1; height <= target; height++) {
+      const hash = await rpc("getblockhash", [height]);
+      const blk = await rpc("getblock", [hash, 2]);
+
+      if (meta.hash && blk.previousblockhash && blk.previousblockhash !== meta.hash) {
+        // chain moved under us mid-sync; persist what we have and retry next round
+        break;
+      }
+
+      recordBlock(meta, height, blk);
+      sinceFlush++;
+
+      if (sinceFlush >= FLUSH_EVERY_BLOCKS) {
+        flushPending();
+        saveMeta(meta);
+        sinceFlush = 0;
+        if (typeof onProgress === "function") onProgress(getInscriptionIndexStatus());
+      }
+    }
+  } finally {
+    flushPending();
+    saveMeta(meta);
+  }
+
+  lastError = null;
+  return { height: meta.height, tip, caughtUp: meta.height >= tip };
+}
+
+// ---------------- queries ----------------
+
+function openEnvelopes() {
+  const meta = loadMeta();
+  return Object.values(meta.open)
+    .filter((chain) => chain.current)
+    .map((chain) => ({
+      number: chain.current.number,
+      id: `${chain.genesisTxid}i${chain.current.index}`,
+      txid: chain.genesisTxid,
+      height: chain.current.height,
+      contentType: chain.current.contentType,
+      size: chain.current.size,
+      complete: false,
+      pending: true,
+    }));
+}
+
+/**
+ * Indexed inscriptions, newest number first. Envelopes whose chain is still
+ * being revealed are included with pending: true.
+ *
+ * Options: { page = 1, limit = 50, contentType (prefix match), exclude (Set of ids) }
+ * Returns { total, page, limit, items }.
+ */
+function listInscriptions({ page = 1, limit = 50, contentType, exclude } = {}) {
+  let all = loadRecords().concat(pendingRecords, openEnvelopes());
+
+  if (contentType) {
+    const want = String(contentType).toLowerCase();
+    all = all.filter((r) => String(r.contentType || "").toLowerCase().startsWith(want));
+  }
+  if (exclude && exclude.size) {
+    all = all.filter((r) => !exclude.has(r.id));
+  }
+
+  all.sort((a, b) => b.number - a.number);
+
+  const safeLimit = Math.max(1, Math.min(500, Number(limit) || 50));
+  const safePage = Math.max(1, Number(page) || 1);
+  const start = (safePage - 1) * safeLimit;
+
+  return {
+    total: all.length,
+    page: safePage,
+    limit: safeLimit,
+    items: all.slice(start, start + safeLimit),
+  };
+}
+
+function getInscriptionByNumber(number) {
+  const n = Number(number);
+  return (
+    loadRecords().concat(pendingRecords, openEnvelopes()).find((r) => r.number === n) ||
+    null
+  );
+}
+
+function getInscriptionById(id) {
+  const want = String(id || "").toLowerCase();
+  return loadRecords().concat(pendingRecords, openEnvelopes()).find((r) => r.id === want) || null;
+}
+
+function getInscriptionIndexStatus() {
+  const meta = loadMeta();
+  return {
+    startHeight: meta.startHeight,
+    height: meta.height,
+    hash: meta.hash,
+    count: meta.nextNumber,
+    open: Object.keys(meta.open).length,
+    syncing: !!syncing,
+    tip: lastSeenTip,
+    lastError: lastError,
+    updatedAt: meta.updatedAt,
+  };
+}
+
+module.exports = {
+  listInscriptions,
+  getInscriptionByNumber,
+  getInscriptionById,
+  getInscriptionIndexStatus,
+  syncInscriptionIndex,
+  useInscriptionIndexRoot,
+  whenInscriptionIndexIdle,
+};
+
+if (require.main === module) {
+  // node scripts/inscription-index.js [maxBlocks] — index a batch using decode.js RPC
+  const { rpc } = require("./decode");
+  const maxBlocks = Number(process.argv[2]) || 1000;
+
+  syncInscriptionIndex(rpc, {
+    maxBlocks,
+    onProgress: (s) =>
+      console.log(`inscription-index height ${s.height} / tip ${s.tip} (${s.count} inscriptions)`),
+  })
+    .then((r) => {
+      console.log(`Done. height=${r.height} tip=${r.tip} caughtUp=${r.caughtUp}`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error("ERROR:", err.message);
+      process.exit(1);
+    });
+}
@@ -5,7 +5,7 @@
 // Usage: node inspect.js <txid>
 //
 // For the given txid:
-//  - fetches decoded tx via local dogecoind (same RPC style as decode.js)
+//  - fetches decoded tx via local dogecoind (shared client, scripts/rpc.js)
 //  - prints vin[0].scriptSig (hex + ASM + chunk breakdown)
 //  - looks up the prevout for vin[0]
 //  - if prevout is P2SH, tries to:
@@ -13,9 +13,9 @@
 //      * decode redeemScript (asm + hex)
 //      * verify HASH160(redeemScript) matches scriptPubKey
 
-const axios = require("axios");
 const dotenv = require("dotenv");
 const dogecore = require("bitcore-lib-doge");
+const { rpc } = require("./rpc");
 
 dotenv.config();
 
@@ -33,47 +33,6 @@ if (!NODE_RPC_URL || !NODE_RPC_USER || !NODE_RPC_PASS) {
   process.exit(1);
 }
 
-const rpcClient = axios.create({
-  baseURL: NODE_RPC_URL,
-  auth: {
-    username: NODE_RPC_USER,
-    password: NODE_RPC_PASS,
-  },
-  headers: {
-    "Content-Type": "application/json",
-  },
-  timeout: 30000,
-});
-
-async function rpc(method, params = [], id = "inspect-doge") {
-  const body = { jsonrpc: "2.0", id, method, params };
-
-  try {
-    const res = await rpcClient.post("", body);
-
-    if (res.data && res.data.error) {
-      const err = new Error(res.data.error.message || JSON.stringify(res.data.error));
-      err._method = method;
-      err._params = params;
-      err._raw = res.data.error;
-      throw err;
-    }
-    return res.data.result;
-  } catch (err) {
-    if (err.response) {
-      console.error("RPC HTTP error:", err.response.status, err.response.statusText);
-      console.error("RPC body:", JSON.stringify(err.response.data, null, 2));
-    } else {
-      console.error("RPC error:", err.message);
-    }
-    if (err.code === "ECONNREFUSED") {
-      console.error("ERROR: Cannot connect to local node at", NODE_RPC_URL);
-      console.error("Make sure your dogecoind node is running and RPC is enabled.");
-    }
-    throw err;
-  }
-}
-
 // ---------------- HELPERS ----------------
 
 function dumpScriptChunks(label, scriptHex) {
@@ -213,7 +172,7 @@ if (!txid) {
 
 inspectTx(txid).catch((err) => {
   console.error("ERROR:", err.message);
-  if (err._method) {
-    console.error("RPC", err._method, err._params, err._raw);
+  if (err.method) {
+    console.error("RPC", err.method, err.params, err.code);
   }
 });
@@ -0,0 +1,369 @@
+"use strict";
+
+// jobs.js
+//
+// Background jobs for the long operations (mint streams). A job runs on the
+// server whether or not anyone is watching: closing the tab or a laptop going
+// to sleep only drops a subscriber, the batch carries on.
+//
+// A job type is a handler written like an SSE route, run(req, res). It gets a
+// request/response stand-in instead of a socket:
+//   req.query / req.body  the job's params
+//   req.on("close")       fires when the job is cancelled
+//   req.job               { id, cancelled, paused, checkpoint() }
+//   res                   writeHead / write / end (+ status().json() for an
+//                         early error); end() finishes the job
+// Handlers call `await req.job.checkpoint()` between units of work: it waits
+// while the job is paused and returns at once when it's cancelled.
+//
+// Everything written is split into SSE frames and kept (the last MAX_FRAMES)
+// so a subscriber can join late and replay. Job state goes to
+// <dir>/<id>.json; jobs still running when the server stopped are marked
+// "interrupted" on the next start.
+//
+// status: running | paused | done | error | cancelled | interrupted
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const MAX_FRAMES = 5000;
+const SAVE_DELAY_MS = 1000;
+const ACTIVE = new Set(["running", "paused"]);
+
+let jobsDir = null;
+const types = new Map(); // type -> run(req, res)
+const jobs = new Map(); // id -> job
+
+function jobPath(id) {
+  return path.join(jobsDir, `${id}.json`);
+}
+
+function saveJob(job) {
+  clearTimeout(job.saveTimer);
+  job.saveTimer = null;
+  if (!jobsDir) return;
+  try {
+    if (!fs.existsSync(jobsDir)) fs.mkdirSync(jobsDir, { recursive: true });
+    const tmp = `${jobPath(job.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ ...publicJob(job), frames: job.frames }, null, 2));
+    fs.renameSync(tmp, jobPath(job.id));
+  } catch (e) {
+    console.warn(`job ${job.id}: failed to save state:`, e.message);
+  }
+}
+
+function saveSoon(job) {
+  if (!job.saveTimer) job.saveTimer = setTimeout(() => saveJob(job), SAVE_DELAY_MS);
+}
+
+/**
+ * Load the jobs kept in `dir` (a profile's jobs/ dir). Jobs that were still
+ * running or paused there didn't survive the restart: they become "interrupted".
+ * Jobs of the previous dir that are still running stay listed until they end.
+ */
+function useJobsDir(dir) {
+  jobsDir = dir;
+  for (const [id, job] of jobs) if (!ACTIVE.has(job.status)) jobs.delete(id);
+
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).filter((n) => n.endsWith(".json"));
+  } catch {
+    return;
+  }
+  for (const name of names) {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+    } catch {
+      continue;
+    }
+    if (!stored || !stored.id || jobs.has(stored.id)) continue;
+
+    const job = { ...stored, frames: stored.frames || [], subscribers: new Map() };
+    if (ACTIVE.has(job.status)) {
+      job.status = "interrupted";
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+      saveJob(job);
+    }
+    jobs.set(job.id, job);
+  }
+}
+
+function registerJobType(type, run) {
+  types.set(type, run);
+}
+
+// what the API returns: no frames, no sockets
+function publicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    params: job.params,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    frameCount: job.frameTotal || 0,
+    subscribers: job.subscribers ? job.subscribers.size : 0,
+  };
+}
+
+function listJobs() {
+  return [...jobs.values()]
+    .map(publicJob)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
+
+function hasActiveJobs() {
+  return [...jobs.values()].some((job) => ACTIVE.has(job.status));
+}
+
+// ---------------- running ----------------
+
+function pushFrame(job, frame) {
+  job.frames.push(frame);
+  job.frameTotal = (job.frameTotal || 0) + 1;
+  if (job.frames.length > MAX_FRAMES) job.frames.splice(0, job.frames.length - MAX_FRAMES);
+
+  // the handlers report failure as an event, not as an exception
+  if (/^event: mintError$/m.test(frame) || /^data: \{"type":"error"/m.test(frame)) job.failed = true;
+
+  for (const sub of job.subscribers.values()) {
+    try {
+      sub.write(frame);
+    } catch (_) {}
+  }
+  saveSoon(job);
+}
+
+function finishJob(job, status, error) {
+  if (!ACTIVE.has(job.status)) return;
+  job.status = status;
+  job.error = error || job.error || null;
+  job.finishedAt = new Date().toISOString();
+  job.control.emit("settled");
+  saveJob(job);
+
+  const end = `event: jobEnd\ndata: ${JSON.stringify({ id: job.id, status })}\n\n`;
+  for (const sub of job.subscribers.values()) {
+    try {
+      sub.write(end);
+      sub.end();
+    } catch (_) {}
+  }
+  job.subscribers.clear();
+}
+
+function jobResponse(job) {
+  let pending = "";
+  const res = new EventEmitter();
+  res.headersSent = false;
+  res.statusCode = 200;
+  res.writeHead = () => {
+    res.headersSent = true;
+    return res;
+  };
+  res.setHeader = () => res;
+  res.flushHeaders = () => {};
+  res.write = (chunk) => {
+    pending += String(chunk);
+    let i;
+    while ((i = pending.indexOf("\n\n")) > -1) {
+      pushFrame(job, pending.slice(0, i + 2));
+      pending = pending.slice(i + 2);
+    }
+    return true;
+  };
+  res.end = (chunk) => {
+    if (chunk) res.write(chunk);
+    if (pending) res.write("\n\n");
+    const status = job.cancelRequested ? "cancelled" : job.failed ? "error" : "done";
+    finishJob(job, status);
+    return res;
+  };
+  // an early return res.status(400).json(...) from a handler
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    const message = (body && (body.error || body.message)) || `HTTP ${res.statusCode}`;
+    res.write(`data: ${JSON.stringify({ type: "error", message })}\n\n`);
+    finishJob(job, res.statusCode >= 400 ? "error" : "done", res.statusCode >= 400 ? message : null);
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Start a job of a registered type. Returns its public state; the handler
+ * runs in the background.
+ */
+function submitJob(type, params = {}) {
+  const run = types.get(type);
+  if (!run) throw new Error(`unknown job type ${type}`);
+
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`;
+  const control = new EventEmitter();
+  const job = {
+    id,
+    type,
+    params,
+    status: "running",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    frames: [],
+    frameTotal: 0,
+    subscribers: new Map(),
+    control,
+    cancelRequested: false,
+  };
+  jobs.set(id, job);
+  saveJob(job);
+
+  const req = new EventEmitter();
+  req.query = params;
+  req.body = params;
+  req.params = {};
+  req.job = {
+    id,
+    get cancelled() {
+      return job.cancelRequested;
+    },
+    get paused() {
+      return job.status === "paused";
+    },
+    checkpoint() {
+      if (job.status !== "paused") return Promise.resolve();
+      return new Promise((resolve) => {
+        const done = () => {
+          control.off("resumed", done);
+          control.off("settled", done);
+          resolve();
+        };
+        control.on("resumed", done);
+        control.on("settled", done);
+      });
+    },
+  };
+  control.on("cancel", () => req.emit("close"));
+
+  const res = jobResponse(job);
+  Promise.resolve()
+    .then(() => run(req, res))
+    .catch((err) => {
+      const message = (err && err.message) || String(err);
+      console.error(`job ${id} (${type}) failed:`, err);
+      res.write(`data: ${JSON.stringify({ type: "error", message })}\n\n`);
+      finishJob(job, "error", message);
+    });
+
+  return publicJob(job);
+}
+
+// ---------------- control ----------------
+
+function controlJob(id, action) {
+  const job = jobs.get(id);
+  if (!job) return { status: 404, error: "unknown job" };
+  if (!ACTIVE.has(job.status)) return { status: 409, error: `job is ${job.status}` };
+
+  if (action === "pause") {
+    if (job.status === "running") {
+      job.status = "paused";
+      job.control.emit("paused");
+    }
+  } else if (action === "resume") {
+    if (job.status === "paused") {
+      job.status = "running";
+      job.control.emit("resumed");
+    }
+  } else if (action === "cancel") {
+    if (!job.cancelRequested) {
+      job.cancelRequested = true;
+      // a paused job must get to its next checkpoint to see the cancel
+      if (job.status === "paused") job.status = "running";
+      job.control.emit("resumed");
+      job.control.emit("cancel");
+    }
+  } else {
+    return { status: 400, error: `unknown action ${action}` };
+  }
+
+  pushFrame(job, `event: jobStatus\ndata: ${JSON.stringify({ id, status: job.status, action })}\n\n`);
+  saveJob(job);
+  return { job: publicJob(job) };
+}
+
+const pauseJob = (id) => controlJob(id, "pause");
+const resumeJob = (id) => controlJob(id, "resume");
+const cancelJob = (id) => controlJob(id, "cancel");
+
+// ---------------- subscribers ----------------
+
+/**
+ * Stream a job to an HTTP response: the `job` event (with the subscriber
+ * id), the frames kept so far, then live frames until the job ends or the
+ * client goes away. Returns false for an unknown job.
+ */
+function subscribeJob(id, res) {
+  const job = jobs.get(id);
+  if (!job) return false;
+
+  const subscriberId = crypto.randomBytes(6).toString("hex");
+  if (!res.headersSent) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Job-Id": id,
+    });
+  }
+  res.write(`event: job\ndata: ${JSON.stringify({ ...publicJob(job), subscriberId })}\n\n`);
+  for (const frame of job.frames) res.write(frame);
+
+  if (!ACTIVE.has(job.status)) {
+    res.write(`event: jobEnd\ndata: ${JSON.stringify({ id, status: job.status })}\n\n`);
+    res.end();
+    return true;
+  }
+
+  job.subscribers.set(subscriberId, res);
+  res.on("close", () => job.subscribers.delete(subscriberId));
+  return true;
+}
+
+/** End one subscriber's stream; the job keeps running. */
+function unsubscribeJob(id, subscriberId) {
+  const job = jobs.get(id);
+  const res = job && job.subscribers.get(subscriberId);
+  if (!res) return false;
+  job.subscribers.delete(subscriberId);
+  try {
+    res.end();
+  } catch (_) {}
+  return true;
+}
+
+module.exports = {
+  useJobsDir,
+  registerJobType,
+  submitJob,
+  listJobs,
+  getJob,
+  hasActiveJobs,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  subscribeJob,
+  unsubscribeJob,
+};
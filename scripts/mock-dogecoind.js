@@ -0,0 +1,1130 @@
+#!/usr/bin/env node
+"use strict";
+
+// mock-dogecoind.js
+//
+// A stand-in for dogecoind's JSON-RPC interface so the server, doginals.js and
+// the indexers can run without a synced node: offline, on a laptop or in CI
+// (npm test uses it, see test/).
+//
+// It keeps a chain and a mempool in memory and speaks the dialect used across
+// this repo: Dogecoin Core 1.14 method names, error codes and messages, asm
+// with small pushes as numbers and [ALL] sighash suffixes, HTTP 500 + { error }
+// for failed calls, batches, basic auth.
+//
+//   chain    getblockcount getbestblockhash getblockhash getblockheader
+//            getblock (verbosity 0 / 1 / 2) getblockchaininfo getrawtransaction
+//            gettxout getrawmempool getmempoolinfo getnetworkinfo
+//            sendrawtransaction
+//   wallet   importaddress importprivkey listunspent listtransactions
+//            gettransaction listreceivedbyaddress getaddressinfo
+//            validateaddress createrawtransaction signrawtransaction
+//            sendtoaddress
+//   mining   generate generatetoaddress (blocks on demand), or a block every
+//            blockIntervalMs
+//
+// sendrawtransaction checks inputs (missing / already spent / in the mempool)
+// and amounts, and enforces the mempool chain limits (25 unconfirmed
+// ancestors / descendants by default) with dogecoind's
+// "64: too-long-mempool-chain". Scripts and signatures are NOT verified.
+// The wallet sees every tx touching an imported address, as if each import
+// rescanned; coinbase outputs are spendable straight away.
+//
+// CLI: node scripts/mock-dogecoind.js [--port 18332] [--host 127.0.0.1]
+//        [--user u --pass p] [--network regtest|testnet|mainnet]
+//        [--chain-limit 25] [--block-interval-ms 0] [--blocks 0]
+
+const http = require("http");
+const dogecore = require("bitcore-lib-doge");
+
+const { PrivateKey, Address, Transaction, Script, Opcode } = dogecore;
+const { Hash } = dogecore.crypto;
+
+const COIN = 1e8;
+
+const NETWORKS = {
+  mainnet: { bitcore: "livenet", chain: "main", port: 22555 },
+  testnet: { bitcore: "testnet", chain: "test", port: 44555 },
+  regtest: { bitcore: "regtest", chain: "regtest", port: 18332 },
+};
+
+// RPC error codes (rpc/protocol.h)
+const RPC_MISC_ERROR = -1;
+const RPC_TYPE_ERROR = -3;
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+const RPC_INVALID_PARAMETER = -8;
+const RPC_DESERIALIZATION_ERROR = -22;
+const RPC_VERIFY_ERROR = -25;
+const RPC_VERIFY_REJECTED = -26;
+const RPC_VERIFY_ALREADY_IN_CHAIN = -27;
+const RPC_IN_WARMUP = -28;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_WALLET_INSUFFICIENT_FUNDS = -6;
+
+function rpcError(code, message) {
+  const err = new Error(message);
+  err.rpcCode = code;
+  return err;
+}
+
+const toCoins = (sats) => Number((sats / COIN).toFixed(8));
+const toSats = (coins) => Math.round(Number(coins) * COIN);
+const sha256d = (buf) => Hash.sha256sha256(buf);
+const reverseHex = (buf) => Buffer.from(buf).reverse().toString("hex");
+
+function truthy(v) {
+  return v === true || v === 1 || v === "true" || v === "1";
+}
+
+// ---------------- script rendering (core_write.cpp) ----------------
+
+const SIGHASH_NAMES = {
+  0x01: "ALL",
+  0x81: "ALL|ANYONECANPAY",
+  0x02: "NONE",
+  0x82: "NONE|ANYONECANPAY",
+  0x03: "SINGLE",
+  0x83: "SINGLE|ANYONECANPAY",
+};
+
+// BIP66 strict DER + a defined hashtype byte
+function isSignatureEncoding(sig) {
+  if (sig.length < 9 || sig.length > 73) return false;
+  if (sig[0] !== 0x30 || sig[1] !== sig.length - 3) return false;
+  const lenR = sig[3];
+  if (5 + lenR >= sig.length) return false;
+  const lenS = sig[5 + lenR];
+  if (lenR + lenS + 7 !== sig.length) return false;
+  if (sig[2] !== 0x02 || lenR === 0 || sig[4] & 0x80) return false;
+  if (lenR > 1 && sig[4] === 0x00 && !(sig[5] & 0x80)) return false;
+  if (sig[lenR + 4] !== 0x02 || lenS === 0 || sig[lenR + 6] & 0x80) return false;
+  if (lenS > 1 && sig[lenR + 6] === 0x00 && !(sig[lenR + 7] & 0x80)) return false;
+  return !!SIGHASH_NAMES[sig[sig.length - 1]];
+}
+
+// CScriptNum(vch).getint(): little endian, sign bit in the last byte
+function scriptNum(buf) {
+  if (!buf.length) return 0;
+  let n = 0;
+  for (let i = 0; i < buf.length; i++) n += buf[i] * 2 ** (8 * i);
+  const last = buf[buf.length - 1];
+  if (last & 0x80) return -(n - 0x80 * 2 ** (8 * (buf.length - 1)));
+  return n;
+}
+
+function scriptNumBuffer(n) {
+  if (n === 0) return Buffer.alloc(0);
+  const out = [];
+  let abs = Math.abs(n);
+  while (abs > 0) {
+    out.push(abs & 0xff);
+    abs = Math.floor(abs / 256);
+  }
+  if (out[out.length - 1] & 0x80) out.push(n < 0 ? 0x80 : 0x00);
+  else if (n < 0) out[out.length - 1] |= 0x80;
+  return Buffer.from(out);
+}
+
+function opName(opcodenum) {
+  if (opcodenum === Opcode.OP_1NEGATE) return "-1";
+  if (opcodenum >= Opcode.OP_1 && opcodenum <= Opcode.OP_16) return String(opcodenum - Opcode.OP_1 + 1);
+  return Opcode.reverseMap[opcodenum] || "OP_UNKNOWN";
+}
+
+function scriptToAsm(buf, attemptSighashDecode) {
+  let script;
+  try {
+    script = Script.fromBuffer(buf);
+  } catch {
+    return "[error]";
+  }
+  const unspendable = buf[0] === Opcode.OP_RETURN;
+
+  return script.chunks
+    .map((chunk) => {
+      if (chunk.opcodenum > Opcode.OP_PUSHDATA4) return opName(chunk.opcodenum);
+      const data = chunk.buf || Buffer.alloc(0);
+      if (data.length <= 4) return String(scriptNum(data));
+      if (attemptSighashDecode && !unspendable && isSignatureEncoding(data)) {
+        return `${data.slice(0, -1).toString("hex")}[${SIGHASH_NAMES[data[data.length - 1]]}]`;
+      }
+      return data.toString("hex");
+    })
+    .join(" ");
+}
+
+// ---------------- the node ----------------
+
+/**
+ * @param {object} [opts]
+ * @param {"regtest"|"testnet"|"mainnet"} [opts.network]  address format, chain name
+ * @param {string} [opts.user]  basic auth (none when unset)
+ * @param {string} [opts.pass]
+ * @param {number} [opts.chainLimit]  mempool ancestor / descendant limit (25)
+ * @param {number} [opts.blockReward]  coinbase value in DOGE (10000)
+ * @param {number} [opts.connections]  getnetworkinfo peers (8; 0 looks offline)
+ * @param {number} [opts.warmupCalls]  answer the first N calls with -28
+ */
+function createMockDogecoind(opts = {}) {
+  const networkName = NETWORKS[opts.network] ? opts.network : "regtest";
+  const net = NETWORKS[networkName];
+  const network = dogecore.Networks.get(net.bitcore);
+  let chainLimit = opts.chainLimit || 25;
+  const blockReward = toSats(opts.blockReward || 10000);
+  let connections = opts.connections !== undefined ? opts.connections : 8;
+  let warmupCalls = opts.warmupCalls || 0;
+
+  const blocks = []; // { hash, height, time, prev, txids, header, merkleroot }
+  const blocksByHash = new Map();
+  const txs = new Map(); // txid -> { tx, hex, block: null | block, time, seq }
+  const mempool = new Set(); // txids, in arrival order (parents first)
+  const spends = new Map(); // "txid:vout" -> spending txid (chain or mempool)
+
+  const watched = new Map(); // address -> label
+  const keys = new Map(); // address -> PrivateKey
+
+  // coinbase of `generate` goes here: not a wallet address
+  const minerKey = new PrivateKey(undefined, network);
+  let seq = 0;
+  let server = null;
+  let miningTimer = null;
+
+  const tip = () => blocks[blocks.length - 1];
+  const now = () => Math.floor(Date.now() / 1000);
+
+  // ---- helpers over txs ----
+
+  function outputAddress(output) {
+    try {
+      const addr = output.script && output.script.toAddress(network);
+      return addr ? addr.toString() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function getOutput(txid, vout) {
+    const rec = txs.get(txid);
+    if (!rec || vout >= rec.tx.outputs.length) return null;
+    return rec.tx.outputs[vout];
+  }
+
+  function confirmations(rec) {
+    return rec.block ? tip().height - rec.block.height + 1 : 0;
+  }
+
+  function scriptPubKeyJson(output) {
+    const script = output.script;
+    const hex = script.toBuffer().toString("hex");
+    let type = "nonstandard";
+    let reqSigs;
+    let addresses;
+    if (script.isPublicKeyHashOut()) type = "pubkeyhash";
+    else if (script.isScriptHashOut()) type = "scripthash";
+    else if (script.isPublicKeyOut()) type = "pubkey";
+    else if (script.isMultisigOut()) type = "multisig";
+    else if (script.isDataOut()) type = "nulldata";
+
+    if (type === "pubkeyhash" || type === "scripthash") {
+      reqSigs = 1;
+      addresses = [outputAddress(output)];
+    } else if (type === "pubkey") {
+      reqSigs = 1;
+      addresses = [new dogecore.PublicKey(script.chunks[0].buf).toAddress(network).toString()];
+    } else if (type === "multisig") {
+      reqSigs = script.chunks[0].opcodenum - Opcode.OP_1 + 1;
+      addresses = script.chunks
+        .slice(1, -2)
+        .map((c) => new dogecore.PublicKey(c.buf).toAddress(network).toString());
+    }
+
+    const out = { asm: scriptToAsm(script.toBuffer(), false), hex };
+    if (reqSigs !== undefined) out.reqSigs = reqSigs;
+    out.type = type;
+    if (addresses) out.addresses = addresses;
+    return out;
+  }
+
+  // TxToJSON: what getrawtransaction / getblock 2 / decoderawtransaction return
+  function txToJson(rec, withBlock) {
+    const { tx, hex } = rec;
+    const out = {
+      hex,
+      txid: tx.hash,
+      hash: tx.hash,
+      size: hex.length / 2,
+      vsize: hex.length / 2,
+      version: tx.version,
+      locktime: tx.nLockTime,
+      vin: tx.inputs.map((input) => {
+        const scriptBuf = input._scriptBuffer || Buffer.alloc(0);
+        if (input.isNull()) {
+          return { coinbase: scriptBuf.toString("hex"), sequence: input.sequenceNumber };
+        }
+        return {
+          txid: input.prevTxId.toString("hex"),
+          vout: input.outputIndex,
+          scriptSig: { asm: scriptToAsm(scriptBuf, true), hex: scriptBuf.toString("hex") },
+          sequence: input.sequenceNumber,
+        };
+      }),
+      vout: tx.outputs.map((output, n) => ({
+        value: toCoins(output.satoshis),
+        n,
+        scriptPubKey: scriptPubKeyJson(output),
+      })),
+    };
+    if (withBlock && rec.block) {
+      out.blockhash = rec.block.hash;
+      out.confirmations = confirmations(rec);
+      out.time = rec.block.time;
+      out.blocktime = rec.block.time;
+    } else if (withBlock) {
+      out.confirmations = 0;
+    }
+    return out;
+  }
+
+  function parseTx(hex) {
+    if (typeof hex !== "string" || !/^([0-9a-fA-F]{2})+$/.test(hex)) {
+      throw rpcError(RPC_DESERIALIZATION_ERROR, "TX decode failed");
+    }
+    try {
+      return new Transaction(hex);
+    } catch {
+      throw rpcError(RPC_DESERIALIZATION_ERROR, "TX decode failed");
+    }
+  }
+
+  function addTx(tx, block) {
+    const rec = { tx, hex: tx.toBuffer().toString("hex"), block, time: now(), seq: seq++ };
+    txs.set(tx.hash, rec);
+    for (const input of tx.inputs) {
+      if (!input.isNull()) spends.set(`${input.prevTxId.toString("hex")}:${input.outputIndex}`, tx.hash);
+    }
+    return rec;
+  }
+
+  // ---- mempool ----
+
+  function mempoolParents(txid) {
+    const parents = new Set();
+    for (const input of txs.get(txid).tx.inputs) {
+      const prev = input.prevTxId.toString("hex");
+      if (mempool.has(prev)) parents.add(prev);
+    }
+    return parents;
+  }
+
+  function mempoolAncestors(txid) {
+    const seen = new Set();
+    const stack = [...mempoolParents(txid)];
+    while (stack.length) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...mempoolParents(id));
+    }
+    return seen;
+  }
+
+  function mempoolDescendants(txid) {
+    const seen = new Set();
+    const stack = [txid];
+    while (stack.length) {
+      const id = stack.pop();
+      txs.get(id).tx.outputs.forEach((_, vout) => {
+        const child = spends.get(`${id}:${vout}`);
+        if (child && mempool.has(child) && !seen.has(child)) {
+          seen.add(child);
+          stack.push(child);
+        }
+      });
+    }
+    return seen;
+  }
+
+  function txFee(tx) {
+    let inSats = 0;
+    for (const input of tx.inputs) {
+      const prev = getOutput(input.prevTxId.toString("hex"), input.outputIndex);
+      if (prev) inSats += prev.satoshis;
+    }
+    return inSats - tx.outputs.reduce((acc, o) => acc + o.satoshis, 0);
+  }
+
+  // AcceptToMemoryPool, minus script checks
+  function acceptToMempool(tx) {
+    const txid = tx.hash;
+    const known = txs.get(txid);
+    if (known && known.block) {
+      throw rpcError(RPC_VERIFY_ALREADY_IN_CHAIN, "transaction already in block chain");
+    }
+    if (known) return txid; // already in the mempool: dogecoind just returns the id
+
+    if (!tx.inputs.length || !tx.outputs.length) {
+      throw rpcError(RPC_VERIFY_REJECTED, "16: bad-txns-vin-empty");
+    }
+    if (tx.inputs.some((input) => input.isNull())) {
+      throw rpcError(RPC_VERIFY_REJECTED, "16: coinbase");
+    }
+
+    let inSats = 0;
+    const seenInputs = new Set();
+    for (const input of tx.inputs) {
+      const key = `${input.prevTxId.toString("hex")}:${input.outputIndex}`;
+      if (seenInputs.has(key)) throw rpcError(RPC_VERIFY_REJECTED, "16: bad-txns-inputs-duplicate");
+      seenInputs.add(key);
+
+      const prev = getOutput(input.prevTxId.toString("hex"), input.outputIndex);
+      const spender = spends.get(key);
+      if (spender && mempool.has(spender)) {
+        throw rpcError(RPC_VERIFY_REJECTED, "18: txn-mempool-conflict");
+      }
+      if (!prev || spender) throw rpcError(RPC_VERIFY_ERROR, "Missing inputs");
+      inSats += prev.satoshis;
+    }
+
+    const outSats = tx.outputs.reduce((acc, o) => acc + o.satoshis, 0);
+    if (outSats > inSats) throw rpcError(RPC_VERIFY_REJECTED, "16: bad-txns-in-belowout");
+
+    // chain limits: count what this tx would add to before touching state
+    const parents = new Set();
+    for (const input of tx.inputs) {
+      const prev = input.prevTxId.toString("hex");
+      if (mempool.has(prev)) parents.add(prev);
+    }
+    const ancestors = new Set(parents);
+    for (const p of parents) for (const a of mempoolAncestors(p)) ancestors.add(a);
+    if (ancestors.size + 1 > chainLimit) {
+      throw rpcError(RPC_VERIFY_REJECTED, "64: too-long-mempool-chain");
+    }
+    for (const a of ancestors) {
+      if (mempoolDescendants(a).size + 1 >= chainLimit + 1) {
+        throw rpcError(RPC_VERIFY_REJECTED, "64: too-long-mempool-chain");
+      }
+    }
+
+    addTx(tx, null);
+    mempool.add(txid);
+    return txid;
+  }
+
+  // ---- mining ----
+
+  function merkleRoot(txids) {
+    let level = txids.map((id) => Buffer.from(id, "hex").reverse());
+    if (!level.length) return Buffer.alloc(32);
+    while (level.length > 1) {
+      if (level.length % 2) level.push(level[level.length - 1]);
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) next.push(sha256d(Buffer.concat([level[i], level[i + 1]])));
+      level = next;
+    }
+    return level[0];
+  }
+
+  function coinbaseTx(height, address) {
+    const tx = new Transaction();
+    const script = new Script()
+      .add(scriptNumBuffer(height))
+      .add(Buffer.from(`mock${seq}`));
+    tx.uncheckedAddInput(
+      new Transaction.Input({
+        prevTxId: Buffer.alloc(32),
+        outputIndex: 0xffffffff,
+        sequenceNumber: 0xffffffff,
+        script,
+      })
+    );
+    tx.addOutput(
+      new Transaction.Output({
+        script: height === 0 ? new Script().add(Opcode.OP_RETURN) : Script.buildPublicKeyHashOut(address),
+        satoshis: height === 0 ? 0 : blockReward,
+      })
+    );
+    return tx;
+  }
+
+  function mineBlock(address) {
+    const prev = tip();
+    const height = prev ? prev.height + 1 : 0;
+    const time = Math.max(now(), prev ? prev.time + 1 : 0);
+
+    const coinbase = coinbaseTx(height, address);
+    const included = [...mempool]; // arrival order keeps parents first
+    const txids = [coinbase.hash, ...included];
+    const root = merkleRoot(txids);
+
+    const header = Buffer.alloc(80);
+    header.writeUInt32LE(0x00620004, 0);
+    Buffer.from(prev ? prev.hash : "00".repeat(32), "hex").reverse().copy(header, 4);
+    root.copy(header, 36);
+    header.writeUInt32LE(time, 68);
+    header.writeUInt32LE(0x207fffff, 72);
+    header.writeUInt32LE(height, 76);
+
+    const block = {
+      hash: reverseHex(sha256d(header)),
+      height,
+      time,
+      prev: prev ? prev.hash : null,
+      txids,
+      header,
+      merkleroot: reverseHex(root),
+    };
+    blocks.push(block);
+    blocksByHash.set(block.hash, block);
+
+    addTx(coinbase, block);
+    for (const txid of included) {
+      txs.get(txid).block = block;
+      mempool.delete(txid);
+    }
+    return block.hash;
+  }
+
+  function mine(n = 1, address) {
+    const payTo = address ? new Address(address, network) : minerKey.toAddress();
+    const hashes = [];
+    for (let i = 0; i < n; i++) hashes.push(mineBlock(payTo));
+    return hashes;
+  }
+
+  mineBlock(minerKey.toAddress()); // genesis
+
+  // ---- wallet ----
+
+  function isValidAddress(address) {
+    return typeof address === "string" && Address.isValid(address, network);
+  }
+
+  function requireAddress(address) {
+    if (!isValidAddress(address)) {
+      throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, "Invalid Dogecoin address");
+    }
+    return address;
+  }
+
+  // outpoints of watched addresses that aren't spent (mempool spends count)
+  function walletUtxos() {
+    const out = [];
+    for (const rec of [...txs.values()].sort((a, b) => a.seq - b.seq)) {
+      rec.tx.outputs.forEach((output, vout) => {
+        const address = outputAddress(output);
+        if (!address || !watched.has(address)) return;
+        if (spends.has(`${rec.tx.hash}:${vout}`)) return;
+        out.push({ rec, vout, output, address });
+      });
+    }
+    return out;
+  }
+
+  function walletCredit(rec) {
+    let credit = 0;
+    for (const output of rec.tx.outputs) {
+      const address = outputAddress(output);
+      if (address && watched.has(address)) credit += output.satoshis;
+    }
+    return credit;
+  }
+
+  function walletDebit(rec) {
+    let debit = 0;
+    for (const input of rec.tx.inputs) {
+      if (input.isNull()) continue;
+      const prev = getOutput(input.prevTxId.toString("hex"), input.outputIndex);
+      const address = prev && outputAddress(prev);
+      if (address && watched.has(address)) debit += prev.satoshis;
+    }
+    return debit;
+  }
+
+  function isWalletTx(rec) {
+    return walletCredit(rec) > 0 || walletDebit(rec) > 0;
+  }
+
+  function blockFields(rec) {
+    const out = { confirmations: confirmations(rec) };
+    if (rec.block) {
+      out.blockhash = rec.block.hash;
+      out.blockindex = rec.block.txids.indexOf(rec.tx.hash);
+      out.blocktime = rec.block.time;
+    }
+    return out;
+  }
+
+  // listtransactions / gettransaction "details" rows
+  function walletEntries(rec) {
+    const rows = [];
+    const debit = walletDebit(rec);
+    const fee = debit > 0 ? txFee(rec.tx) : 0;
+    const coinbase = rec.tx.inputs[0] && rec.tx.inputs[0].isNull();
+
+    rec.tx.outputs.forEach((output, vout) => {
+      const address = outputAddress(output);
+      const mine = address && watched.has(address);
+      if (debit > 0 && !mine) {
+        rows.push({
+          account: "",
+          address: address || undefined,
+          category: "send",
+          amount: -toCoins(output.satoshis),
+          vout,
+          fee: -toCoins(fee),
+          abandoned: false,
+        });
+      }
+      if (mine) {
+        const label = watched.get(address) || "";
+        rows.push({
+          account: label,
+          address,
+          category: coinbase ? "generate" : "receive",
+          amount: toCoins(output.satoshis),
+          label,
+          vout,
+          involvesWatchonly: !keys.has(address) || undefined,
+        });
+      }
+    });
+    return rows;
+  }
+
+  function walletTxs() {
+    return [...txs.values()].filter(isWalletTx).sort((a, b) => a.seq - b.seq);
+  }
+
+  function signWithWallet(tx) {
+    const rebuilt = new Transaction();
+    for (const input of tx.inputs) {
+      const txid = input.prevTxId.toString("hex");
+      const prev = getOutput(txid, input.outputIndex);
+      if (!prev) throw rpcError(RPC_VERIFY_ERROR, "Input not found or already spent");
+      rebuilt.from({
+        txId: txid,
+        outputIndex: input.outputIndex,
+        script: prev.script,
+        satoshis: prev.satoshis,
+      });
+    }
+    for (const output of tx.outputs) {
+      rebuilt.addOutput(new Transaction.Output({ script: output.script, satoshis: output.satoshis }));
+    }
+    rebuilt.nLockTime = tx.nLockTime;
+    rebuilt.sign([...keys.values()]);
+    let complete = false;
+    try {
+      complete = rebuilt.isFullySigned();
+    } catch {
+      complete = false;
+    }
+    return { hex: rebuilt.uncheckedSerialize(), complete };
+  }
+
+  // ---- RPC methods ----
+
+  function getBlockByHash(hash) {
+    const block = blocksByHash.get(String(hash || ""));
+    if (!block) throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, "Block not found");
+    return block;
+  }
+
+  function headerJson(block) {
+    const next = blocks[block.height + 1];
+    const out = {
+      hash: block.hash,
+      confirmations: tip().height - block.height + 1,
+      height: block.height,
+      version: 0x00620004,
+      versionHex: "00620004",
+      merkleroot: block.merkleroot,
+      time: block.time,
+      mediantime: block.time,
+      nonce: block.height,
+      bits: "207fffff",
+      difficulty: 4.656542373906925e-10,
+      chainwork: (block.height + 1).toString(16).padStart(64, "0"),
+    };
+    if (block.prev) out.previousblockhash = block.prev;
+    if (next) out.nextblockhash = next.hash;
+    return out;
+  }
+
+  function blockHex(block) {
+    const count = block.txids.length;
+    const varint =
+      count < 0xfd ? Buffer.from([count]) : Buffer.from([0xfd, count & 0xff, (count >> 8) & 0xff]);
+    return Buffer.concat([block.header, varint, ...block.txids.map((id) => txs.get(id).tx.toBuffer())]).toString(
+      "hex"
+    );
+  }
+
+  const methods = {
+    // -- chain --
+    getblockcount: () => tip().height,
+    getbestblockhash: () => tip().hash,
+    getblockhash: ([height]) => {
+      const h = Number(height);
+      if (!Number.isInteger(h) || h < 0 || h > tip().height) {
+        throw rpcError(RPC_INVALID_PARAMETER, "Block height out of range");
+      }
+      return blocks[h].hash;
+    },
+    getblockheader: ([hash, verbose = true]) => {
+      const block = getBlockByHash(hash);
+      return verbose === false || verbose === 0 ? block.header.toString("hex") : headerJson(block);
+    },
+    getblock: ([hash, verbosity = 1]) => {
+      const block = getBlockByHash(hash);
+      const v = verbosity === true ? 1 : verbosity === false ? 0 : Number(verbosity);
+      if (v === 0) return blockHex(block);
+      const size = blockHex(block).length / 2;
+      return {
+        ...headerJson(block),
+        size,
+        strippedsize: size,
+        weight: size * 4,
+        tx: v >= 2 ? block.txids.map((id) => txToJson(txs.get(id), false)) : block.txids.slice(),
+      };
+    },
+    getblockchaininfo: () => ({
+      chain: net.chain,
+      blocks: tip().height,
+      headers: tip().height,
+      bestblockhash: tip().hash,
+      difficulty: 4.656542373906925e-10,
+      mediantime: tip().time,
+      verificationprogress: 1,
+      initialblockdownload: false,
+      chainwork: (tip().height + 1).toString(16).padStart(64, "0"),
+      pruned: false,
+    }),
+    getnetworkinfo: () => ({
+      version: 1140700,
+      subversion: "/Shibetoshi:1.14.7(mock)/",
+      protocolversion: 70015,
+      localservices: "0000000000000005",
+      localrelay: true,
+      timeoffset: 0,
+      networkactive: true,
+      connections,
+      networks: [],
+      relayfee: 0.001,
+      incrementalfee: 0.0001,
+      localaddresses: [],
+      warnings: "",
+    }),
+    getrawtransaction: ([txid, verbose = false]) => {
+      const rec = txs.get(String(txid || ""));
+      if (!rec) {
+        throw rpcError(
+          RPC_INVALID_ADDRESS_OR_KEY,
+          "No such mempool or blockchain transaction. Use gettransaction for wallet transactions."
+        );
+      }
+      return truthy(verbose) ? txToJson(rec, true) : rec.hex;
+    },
+    decoderawtransaction: ([hex]) => txToJson({ tx: parseTx(hex), hex: String(hex).toLowerCase() }, false),
+    gettxout: ([txid, n, includeMempool = true]) => {
+      const rec = txs.get(String(txid || ""));
+      const vout = Number(n);
+      if (!rec || !rec.tx.outputs[vout]) return null;
+      if (!rec.block && !includeMempool) return null;
+      const spender = spends.get(`${txid}:${vout}`);
+      if (spender && (includeMempool || txs.get(spender).block)) return null;
+      const output = rec.tx.outputs[vout];
+      return {
+        bestblock: tip().hash,
+        confirmations: confirmations(rec),
+        value: toCoins(output.satoshis),
+        scriptPubKey: scriptPubKeyJson(output),
+        version: rec.tx.version,
+        coinbase: rec.tx.inputs[0].isNull(),
+      };
+    },
+    getrawmempool: ([verbose = false]) => {
+      if (!truthy(verbose)) return [...mempool];
+      const out = {};
+      for (const txid of mempool) {
+        const rec = txs.get(txid);
+        const ancestors = mempoolAncestors(txid);
+        const descendants = mempoolDescendants(txid);
+        const size = rec.hex.length / 2;
+        const fee = toCoins(txFee(rec.tx));
+        out[txid] = {
+          size,
+          fee,
+          modifiedfee: fee,
+          time: rec.time,
+          height: tip().height,
+          descendantcount: descendants.size + 1,
+          descendantsize: [...descendants].reduce((acc, id) => acc + txs.get(id).hex.length / 2, size),
+          ancestorcount: ancestors.size + 1,
+          ancestorsize: [...ancestors].reduce((acc, id) => acc + txs.get(id).hex.length / 2, size),
+          depends: [...mempoolParents(txid)],
+        };
+      }
+      return out;
+    },
+    getmempoolinfo: () => {
+      const bytes = [...mempool].reduce((acc, id) => acc + txs.get(id).hex.length / 2, 0);
+      return { size: mempool.size, bytes, usage: bytes * 2, maxmempool: 300000000, mempoolminfee: 0 };
+    },
+    sendrawtransaction: ([hex]) => acceptToMempool(parseTx(hex)),
+
+    // -- mining --
+    generate: ([n = 1]) => mine(Number(n)),
+    generatetoaddress: ([n, address]) => mine(Number(n), requireAddress(address)),
+
+    // -- wallet --
+    importaddress: ([address, label = ""]) => {
+      if (!isValidAddress(address)) {
+        throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, "Invalid Dogecoin address or script");
+      }
+      watched.set(address, String(label || watched.get(address) || ""));
+      return null;
+    },
+    importprivkey: ([wif, label = ""]) => {
+      let key;
+      try {
+        key = PrivateKey.fromWIF(String(wif || ""));
+      } catch {
+        throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, "Invalid private key encoding");
+      }
+      const address = key.toAddress(network).toString();
+      keys.set(address, key);
+      watched.set(address, String(label || watched.get(address) || ""));
+      return null;
+    },
+    getaddressinfo: ([address]) => {
+      requireAddress(address);
+      const label = watched.has(address) ? watched.get(address) : null;
+      return {
+        address,
+        scriptPubKey: Script.buildPublicKeyHashOut(new Address(address, network)).toHex(),
+        ismine: keys.has(address),
+        iswatchonly: watched.has(address) && !keys.has(address),
+        solvable: keys.has(address),
+        label: label || "",
+        labels: label !== null ? [{ name: label, purpose: "receive" }] : [],
+      };
+    },
+    validateaddress: ([address]) => {
+      if (!isValidAddress(address)) return { isvalid: false };
+      return {
+        isvalid: true,
+        address,
+        scriptPubKey: Script.fromAddress(new Address(address, network)).toHex(),
+        ismine: keys.has(address),
+        iswatchonly: watched.has(address) && !keys.has(address),
+        isscript: new Address(address, network).isPayToScriptHash(),
+        account: watched.get(address) || "",
+      };
+    },
+    listunspent: ([minconf = 1, maxconf = 9999999, addresses = []]) => {
+      if (!Array.isArray(addresses)) throw rpcError(RPC_TYPE_ERROR, "Expected type array");
+      for (const a of addresses) {
+        if (!isValidAddress(a)) throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, `Invalid Dogecoin address: ${a}`);
+      }
+      const only = addresses.length ? new Set(addresses) : null;
+      return walletUtxos()
+        .filter(({ rec, address }) => {
+          const conf = confirmations(rec);
+          return conf >= minconf && conf <= maxconf && (!only || only.has(address));
+        })
+        .map(({ rec, vout, output, address }) => ({
+          txid: rec.tx.hash,
+          vout,
+          address,
+          account: watched.get(address) || "",
+          label: watched.get(address) || "",
+          scriptPubKey: output.script.toHex(),
+          amount: toCoins(output.satoshis),
+          confirmations: confirmations(rec),
+          spendable: keys.has(address),
+          solvable: keys.has(address),
+        }));
+    },
+    listtransactions: ([, count = 10, skip = 0]) => {
+      const rows = [];
+      for (const rec of walletTxs()) {
+        for (const row of walletEntries(rec)) {
+          rows.push({
+            ...row,
+            ...blockFields(rec),
+            txid: rec.tx.hash,
+            walletconflicts: [],
+            time: rec.time,
+            timereceived: rec.time,
+            "bip125-replaceable": "no",
+          });
+        }
+      }
+      // the newest `count` after skipping `skip`, oldest first
+      const end = Math.max(0, rows.length - Number(skip));
+      return rows.slice(Math.max(0, end - Number(count)), end);
+    },
+    gettransaction: ([txid]) => {
+      const rec = txs.get(String(txid || ""));
+      if (!rec || !isWalletTx(rec)) {
+        throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, "Invalid or non-wallet transaction id");
+      }
+      const debit = walletDebit(rec);
+      const fee = debit > 0 ? txFee(rec.tx) : 0;
+      const out = {
+        amount: toCoins(walletCredit(rec) - debit + fee),
+        ...blockFields(rec),
+        txid: rec.tx.hash,
+        walletconflicts: [],
+        time: rec.time,
+        timereceived: rec.time,
+        "bip125-replaceable": "no",
+        details: walletEntries(rec),
+        hex: rec.hex,
+      };
+      if (debit > 0) out.fee = -toCoins(fee);
+      return out;
+    },
+    listreceivedbyaddress: ([minconf = 1, includeEmpty = false]) => {
+      const byAddress = new Map();
+      for (const rec of walletTxs()) {
+        const conf = confirmations(rec);
+        if (conf < minconf) continue;
+        rec.tx.outputs.forEach((output) => {
+          const address = outputAddress(output);
+          if (!address || !watched.has(address)) return;
+          const row = byAddress.get(address) || { amount: 0, confirmations: conf, txids: [] };
+          row.amount += output.satoshis;
+          row.confirmations = Math.min(row.confirmations, conf);
+          if (!row.txids.includes(rec.tx.hash)) row.txids.push(rec.tx.hash);
+          byAddress.set(address, row);
+        });
+      }
+      const out = [];
+      for (const [address, label] of watched) {
+        const row = byAddress.get(address);
+        if (!row && !includeEmpty) continue;
+        out.push({
+          involvesWatchonly: !keys.has(address) || undefined,
+          address,
+          account: label,
+          amount: toCoins(row ? row.amount : 0),
+          confirmations: row ? row.confirmations : 0,
+          label,
+          txids: row ? row.txids : [],
+        });
+      }
+      return out;
+    },
+    createrawtransaction: ([inputs, outputs, locktime = 0]) => {
+      if (!Array.isArray(inputs) || !outputs || typeof outputs !== "object") {
+        throw rpcError(RPC_TYPE_ERROR, "Expected type array, object");
+      }
+      const tx = new Transaction();
+      for (const input of inputs) {
+        if (!/^[0-9a-f]{64}$/i.test(String(input.txid || ""))) {
+          throw rpcError(RPC_INVALID_PARAMETER, "txid must be hexadecimal string");
+        }
+        tx.uncheckedAddInput(
+          new Transaction.Input({
+            prevTxId: input.txid,
+            outputIndex: Number(input.vout),
+            sequenceNumber: input.sequence !== undefined ? input.sequence : 0xffffffff,
+            script: new Script(),
+          })
+        );
+      }
+      for (const [address, amount] of Object.entries(outputs)) {
+        if (address === "data") {
+          tx.addOutput(new Transaction.Output({ script: Script.buildDataOut(Buffer.from(amount, "hex")), satoshis: 0 }));
+          continue;
+        }
+        tx.addOutput(
+          new Transaction.Output({
+            script: Script.fromAddress(new Address(requireAddress(address), network)),
+            satoshis: toSats(amount),
+          })
+        );
+      }
+      tx.nLockTime = Number(locktime) || 0;
+      return tx.uncheckedSerialize();
+    },
+    // Dogecoin 1.14 has no signrawtransactionwithwallet: callers fall back
+    signrawtransaction: ([hex]) => ({ ...signWithWallet(parseTx(hex)), errors: undefined }),
+    sendtoaddress: ([address, amount]) => {
+      requireAddress(address);
+      const sats = toSats(amount);
+      if (!(sats > 0)) throw rpcError(RPC_TYPE_ERROR, "Invalid amount for send");
+
+      const tx = new Transaction().feePerKb(100000000);
+      const spendable = walletUtxos().filter((u) => keys.has(u.address));
+      let total = 0;
+      for (const u of spendable) {
+        tx.from({ txId: u.rec.tx.hash, outputIndex: u.vout, script: u.output.script, satoshis: u.output.satoshis });
+        total += u.output.satoshis;
+        if (total >= sats + 100000000) break;
+      }
+      if (total < sats) throw rpcError(RPC_WALLET_INSUFFICIENT_FUNDS, "Insufficient funds");
+      tx.to(address, sats);
+      tx.change(spendable[0].address);
+      tx.sign([...keys.values()]);
+      return acceptToMempool(new Transaction(tx.serialize({ disableDustOutputs: true })));
+    },
+
+    stop: () => {
+      setImmediate(() => close());
+      return "Dogecoin server stopping";
+    },
+  };
+
+  /**
+   * Run one call in-process. Resolves with the result; rejects with an Error
+   * carrying `rpcCode` for RPC errors.
+   */
+  async function call(method, params = []) {
+    if (warmupCalls > 0) {
+      warmupCalls -= 1;
+      throw rpcError(RPC_IN_WARMUP, "Loading block index...");
+    }
+    const fn = methods[method];
+    if (!fn) throw rpcError(RPC_METHOD_NOT_FOUND, "Method not found");
+    try {
+      return await fn(Array.isArray(params) ? params : []);
+    } catch (e) {
+      if (e.rpcCode !== undefined) throw e;
+      throw rpcError(RPC_MISC_ERROR, e.message);
+    }
+  }
+
+  async function reply(req) {
+    const id = req && req.id !== undefined ? req.id : null;
+    try {
+      const result = await call(req && req.method, req && req.params);
+      return { result: result === undefined ? null : result, error: null, id };
+    } catch (e) {
+      return { result: null, error: { code: e.rpcCode, message: e.message }, id };
+    }
+  }
+
+  function authorized(req) {
+    if (!opts.user && !opts.pass) return true;
+    const expected = "Basic " + Buffer.from(`${opts.user || ""}:${opts.pass || ""}`).toString("base64");
+    return req.headers.authorization === expected;
+  }
+
+  function handleHttp(req, res) {
+    if (!authorized(req)) {
+      res.writeHead(401, { "WWW-Authenticate": 'Basic realm="jsonrpc"' });
+      return res.end();
+    }
+    if (req.method !== "POST") {
+      res.writeHead(405);
+      return res.end();
+    }
+
+    const body = [];
+    req.on("data", (d) => body.push(d));
+    req.on("end", async () => {
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.concat(body).toString("utf8"));
+      } catch {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ result: null, error: { code: -32700, message: "Parse error" }, id: null }));
+      }
+
+      let status = 200;
+      let out;
+      if (Array.isArray(payload)) {
+        out = [];
+        for (const one of payload) out.push(await reply(one));
+      } else {
+        out = await reply(payload);
+        // dogecoind: 404 for an unknown method, 500 for any other error
+        if (out.error) status = out.error.code === RPC_METHOD_NOT_FOUND ? 404 : 500;
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(out) + "\n");
+    });
+  }
+
+  function listen(port = net.port, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      server = http.createServer(handleHttp);
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        if (opts.blockIntervalMs > 0) {
+          miningTimer = setInterval(() => mine(1), opts.blockIntervalMs);
+          miningTimer.unref();
+        }
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function close() {
+    if (miningTimer) clearInterval(miningTimer);
+    miningTimer = null;
+    if (!server) return Promise.resolve();
+    const s = server;
+    server = null;
+    return new Promise((resolve) => {
+      s.close(() => resolve());
+      if (s.closeAllConnections) s.closeAllConnections();
+    });
+  }
+
+  return {
+    call,
+    listen,
+    close,
+    mine,
+    network: networkName,
+    /** Peers reported by getnetworkinfo (0 makes the node look offline). */
+    setConnections(n) {
+      connections = n;
+    },
+    setChainLimit(n) {
+      chainLimit = n;
+    },
+    get height() {
+      return tip().height;
+    },
+    get mempool() {
+      return [...mempool];
+    },
+  };
+}
+
+module.exports = {
+  createMockDogecoind,
+  scriptToAsm,
+};
+
+if (require.main === module) {
+  const arg = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+  };
+
+  const network = arg("network", "regtest");
+  const node = createMockDogecoind({
+    network,
+    user: arg("user", process.env.NODE_RPC_USER || undefined),
+    pass: arg("pass", process.env.NODE_RPC_PASS || undefined),
+    chainLimit: Number(arg("chain-limit", 25)),
+    blockIntervalMs: Number(arg("block-interval-ms", 0)),
+  });
+  const blocks = Number(arg("blocks", 0));
+  if (blocks > 0) node.mine(blocks);
+
+  const port = Number(arg("port", (NETWORKS[network] || NETWORKS.regtest).port));
+  node
+    .listen(port, arg("host", "127.0.0.1"))
+    .then((p) => console.log(`mock dogecoind (${node.network}) listening on http://127.0.0.1:${p}`))
+    .catch((err) => {
+      console.error("ERROR:", err.message);
+      process.exit(1);
+    });
+}
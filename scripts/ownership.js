@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+"use strict";
+
+// ownership.js
+//
+// Follow an inscription's postage forward to whoever holds it now.
+//
+// inscribe() in doginals.js builds a chain of P2SH txs; the last one (the
+// reveal) pays the 100000-sat postage to the destination address at vout 0.
+// From there we follow each spend using first-in-first-out sat ordering: the
+// inscription sits at a sat offset inside an output, and a spending tx maps
+// input sats to output sats in order. If that offset lands past the last
+// output, the inscription went to the miner as fee.
+
+const { rpc, findNextOrdinalTx } = require("./decode");
+const { lookupSpend } = require("./spent-index");
+
+const SATS_PER_DOGE = 1e8;
+
+function toSats(value) {
+  return Math.round(Number(value || 0) * SATS_PER_DOGE);
+}
+
+function outputAddress(vout) {
+  const spk = (vout && vout.scriptPubKey) || {};
+  if (spk.address) return spk.address;
+  if (Array.isArray(spk.addresses) && spk.addresses.length) return spk.addresses[0];
+  return null;
+}
+
+const heightCache = new Map();
+
+async function txHeight(rpc, tx) {
+  if (!tx || !tx.blockhash) return null;
+  if (heightCache.has(tx.blockhash)) return heightCache.get(tx.blockhash);
+  const block = await rpc("getblock", [tx.blockhash]);
+  heightCache.set(tx.blockhash, block.height);
+  return block.height;
+}
+
+async function isUnspent(rpc, txid, vout) {
+  // include_mempool=true: a spend sitting in the mempool counts as spent
+  const out = await rpc("gettxout", [txid, vout, true]);
+  return !!out;
+}
+
+// Who spent txid:vout according to the spent-outpoint index alone (no block
+// scan), in findNextOrdinalTx's shape; null if the index doesn't have it.
+function indexedSpend(txid, vout) {
+  const hit = lookupSpend(txid, vout);
+  return hit ? { nextTxid: hit.spendingTxid, voutIndex: vout, height: hit.height } : null;
+}
+
+/**
+ * Walk the P2SH chain from the genesis tx to the reveal tx: the first tx whose
+ * vout 0 is no longer a script-hash output. `rpc` and `nextSpend` default to
+ * the node client and findNextOrdinalTx.
+ */
+async function findRevealTx(
+  genesisTxid,
+  { maxHops = 20000, depthBlocks, rpc: call = rpc, nextSpend } = {}
+) {
+  const follow = nextSpend || ((txid, vout) => findNextOrdinalTx(txid, vout, depthBlocks));
+  let txid = genesisTxid;
+
+  for (let hop = 0; hop < maxHops; hop++) {
+    const tx = await call("getrawtransaction", [txid, 1]);
+    const out0 = (tx.vout || [])[0];
+    if (!out0) throw new Error(`tx ${txid} has no outputs`);
+
+    const type = out0.scriptPubKey && out0.scriptPubKey.type;
+    if (type !== "scripthash") return tx;
+
+    const next = await follow(txid, 0);
+    if (!next) {
+      throw new Error(
+        `reveal chain stops at ${txid}: its P2SH output is not spent yet (still in mempool?)`
+      );
+    }
+    txid = next.nextTxid;
+  }
+
+  throw new Error(`no reveal tx found within ${maxHops} hops of ${genesisTxid}`);
+}
+
+/**
+ * Given the spending tx and which input carries the inscribed output, work out
+ * the output (and offset) the inscription moves to. `rpc` is passed in so the
+ * DRC-20 ledger can use server.js's client.
+ */
+async function locateInSpend(rpc, spendTx, vinIndex, offset) {
+  let inputOffset = offset;
+
+  for (let i = 0; i < vinIndex; i++) {
+    const vin = spendTx.vin[i];
+    const prev = await rpc("getrawtransaction", [vin.txid, 1]);
+    inputOffset += toSats(prev.vout[vin.vout].value);
+  }
+
+  let acc = 0;
+  for (const out of spendTx.vout || []) {
+    const value = toSats(out.value);
+    if (inputOffset < acc + value) {
+      return { vout: out.n, offset: inputOffset - acc, output: out };
+    }
+    acc += value;
+  }
+
+  return null; // landed in the fee
+}
+
+/**
+ * Track an inscription from its reveal output to the current holder.
+ *
+ * Options:
+ *   indexOnly  follow spends through the spent-outpoint index only, never by
+ *              scanning blocks; a spend it doesn't have ends the walk with
+ *              status "not-indexed"
+ *   maxCalls   node calls allowed in total; running out while following
+ *              transfers ends the walk with status "limit" and the last
+ *              holder found, running out before the reveal tx throws
+ *
+ * Returns:
+ *   {
+ *     inscriptionId, genesisTxid, revealTxid,
+ *     status: "unspent" | "burned-as-fee" | "unconfirmed-spend" | "not-indexed" | "limit",
+ *     owner, outpoint, offset, value,
+ *     transfers: [{ type, txid, height, from, to, address, value }]
+ *   }
+ */
+async function trackInscriptionOwner(inscriptionId, options = {}) {
+  const { maxTransfers = 1000, depthBlocks = 5000, indexOnly = false, maxCalls = Infinity } = options;
+  const genesisTxid = String(inscriptionId || "").trim().toLowerCase().replace(/i\d+$/, "");
+  if (!/^[0-9a-f]{64}$/.test(genesisTxid)) {
+    throw new Error("Invalid inscription id");
+  }
+
+  let calls = 0;
+  const call = (method, params) => {
+    if (++calls > maxCalls) {
+      const err = new Error(`owner lookup gave up after ${maxCalls} node calls`);
+      err.code = "OWNER_CALL_LIMIT";
+      return Promise.reject(err);
+    }
+    return rpc(method, params);
+  };
+  const nextSpend = indexOnly
+    ? indexedSpend
+    : (txid, vout) => findNextOrdinalTx(txid, vout, depthBlocks);
+
+  const reveal = await findRevealTx(genesisTxid, { rpc: call, nextSpend });
+  const revealOut = reveal.vout[0];
+
+  let location = {
+    txid: reveal.txid,
+    vout: 0,
+    offset: 0,
+    output: revealOut,
+  };
+
+  const transfers = [
+    {
+      type: "reveal",
+      txid: reveal.txid,
+      height: await txHeight(call, reveal),
+      from: null,
+      to: `${reveal.txid}:0`,
+      address: outputAddress(revealOut),
+      value: toSats(revealOut.value),
+    },
+  ];
+
+  let status = "limit";
+
+  try {
+    for (let n = 0; n < maxTransfers; n++) {
+      if (await isUnspent(call, location.txid, location.vout)) {
+        status = "unspent";
+        break;
+      }
+
+      const next = await nextSpend(location.txid, location.vout);
+      if (!next) {
+        // spent in the mempool (gettxout saw it) but not in a block yet, or
+        // (indexOnly) in a block the spent index hasn't reached
+        status = indexOnly ? "not-indexed" : "unconfirmed-spend";
+        break;
+      }
+
+      const spendTx = await call("getrawtransaction", [next.nextTxid, 1]);
+      const vinIndex = (spendTx.vin || []).findIndex(
+        (v) => v.txid === location.txid && v.vout === location.vout
+      );
+      const from = `${location.txid}:${location.vout}`;
+
+      const moved = vinIndex === -1 ? null : await locateInSpend(call, spendTx, vinIndex, location.offset);
+
+      if (!moved) {
+        transfers.push({
+          type: "fee",
+          txid: spendTx.txid,
+          height: next.height,
+          from,
+          to: null,
+          address: null,
+          value: 0,
+        });
+        status = "burned-as-fee";
+        location = null;
+        break;
+      }
+
+      location = {
+        txid: spendTx.txid,
+        vout: moved.vout,
+        offset: moved.offset,
+        output: moved.output,
+      };
+
+      transfers.push({
+        type: "transfer",
+        txid: spendTx.txid,
+        height: next.height,
+        from,
+        to: `${spendTx.txid}:${moved.vout}`,
+        address: outputAddress(moved.output),
+        value: toSats(moved.output.value),
+      });
+    }
+  } catch (err) {
+    // out of node calls: report the walk as far as it got
+    if (err.code !== "OWNER_CALL_LIMIT") throw err;
+  }
+
+  return {
+    inscriptionId: `${genesisTxid}i${(/i(\d+)$/.exec(inscriptionId) || [, 0])[1]}`,
+    genesisTxid,
+    revealTxid: reveal.txid,
+    status,
+    owner: location ? outputAddress(location.output) : null,
+    outpoint: location ? `${location.txid}:${location.vout}` : null,
+    offset: location ? location.offset : null,
+    value: location ? toSats(location.output.value) : null,
+    transfers,
+  };
+}
+
+module.exports = {
+  trackInscriptionOwner,
+  findRevealTx,
+  locateInSpend,
+  outputAddress,
+};
+
+if (require.main === module) {
+  const [, , idArg] = process.argv;
+  if (!idArg) {
+    console.error("Usage: node scripts/ownership.js <inscription id>");
+    process.exit(1);
+  }
+
+  trackInscriptionOwner(idArg)
+    .then((r) => {
+      console.log(JSON.stringify(r, null, 2));
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error("ERROR:", err.message);
+      process.exit(1);
+    });
+}
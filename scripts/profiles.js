@@ -0,0 +1,239 @@
+"use strict";
+
+// profiles.js
+//
+// Named node profiles: which dogecoind to talk to (network, RPC URL and
+// credentials, or the dogecoin.conf / datadir cookie to read them from, see
+// rpc-credentials.js) and the fee rate to build transactions with. One profile is
+// active at a time and switching takes effect without a restart.
+//
+// Switching puts the profile's settings into process.env, where rpc.js reads
+// them on every call and doginals.js children pick them up when spawned:
+//   NODE_RPC_URL / NODE_RPC_USER / NODE_RPC_PASS, NODE_RPC_AUTH / NODE_RPC_CONF /
+//   NODE_RPC_DATADIR, NETWORK, TESTNET, FEE_PER_KB
+//
+// Each profile also has its own data root, so testnet experiments never mix
+// with mainnet wallets, decoded content, logs or indexes:
+//   "default"  -> the project root (wallets/, content/, index/) as before
+//   other      -> profiles/<name>/wallets, profiles/<name>/content, ...
+//
+// "default" is the .env configuration; saving it writes .env through the
+// hook server.js passes to initProfiles(). The others live in profiles.json
+// (mode 0600, it holds RPC passwords), together with the active name.
+
+const fs = require("fs");
+const path = require("path");
+
+const { RPC_AUTH_SOURCES } = require("./rpc-credentials");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const PROFILES_PATH = path.join(ROOT_DIR, "profiles.json");
+const PROFILES_DIR = path.join(ROOT_DIR, "profiles");
+
+const DEFAULT_PROFILE = "default";
+const NETWORKS = ["mainnet", "testnet", "regtest"];
+const NAME_RE = /^[a-zA-Z0-9_-]{1,40}$/;
+
+let saveDefault = null; // (settings) => void, writes .env
+let defaultSettings = null;
+let stored = { active: DEFAULT_PROFILE, profiles: {} };
+const listeners = [];
+
+function networkFromEnv() {
+  const n = String(process.env.NETWORK || "").toLowerCase();
+  if (NETWORKS.includes(n)) return n;
+  return process.env.TESTNET === "true" ? "testnet" : "mainnet";
+}
+
+function readStored() {
+  try {
+    const data = JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8"));
+    return {
+      active: typeof data.active === "string" ? data.active : DEFAULT_PROFILE,
+      profiles: data.profiles && typeof data.profiles === "object" ? data.profiles : {},
+    };
+  } catch {
+    return { active: DEFAULT_PROFILE, profiles: {} };
+  }
+}
+
+function writeStored() {
+  const tmp = `${PROFILES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, PROFILES_PATH);
+}
+
+function getProfile(name) {
+  if (name === DEFAULT_PROFILE) return { name, ...defaultSettings };
+  const p = stored.profiles[name];
+  return p ? { name, ...p } : null;
+}
+
+function getActiveProfile() {
+  return getProfile(stored.active) || getProfile(DEFAULT_PROFILE);
+}
+
+function profileDataDir(kind, name = getActiveProfile().name) {
+  return name === DEFAULT_PROFILE
+    ? path.join(ROOT_DIR, kind)
+    : path.join(PROFILES_DIR, name, kind);
+}
+
+function applyEnv(profile) {
+  process.env.NODE_RPC_URL = profile.url || "";
+  process.env.NODE_RPC_USER = profile.user || "";
+  process.env.NODE_RPC_PASS = profile.pass || "";
+  process.env.NODE_RPC_AUTH = profile.auth || "password";
+  process.env.NODE_RPC_CONF = profile.conf || "";
+  process.env.NODE_RPC_DATADIR = profile.datadir || "";
+  process.env.NETWORK = profile.network;
+  process.env.TESTNET = profile.network === "mainnet" ? "false" : "true";
+  if (profile.feePerKb) process.env.FEE_PER_KB = String(profile.feePerKb);
+  else delete process.env.FEE_PER_KB;
+}
+
+/**
+ * Load profiles.json and put the active profile's settings into process.env.
+ * Call once, after dotenv and before anything reads the RPC settings.
+ *
+ * @param {{ saveDefault: (settings: object) => void }} opts
+ */
+function initProfiles(opts = {}) {
+  saveDefault = opts.saveDefault || null;
+  defaultSettings = {
+    network: networkFromEnv(),
+    url: process.env.NODE_RPC_URL || "",
+    user: process.env.NODE_RPC_USER || "",
+    pass: process.env.NODE_RPC_PASS || "",
+    auth: RPC_AUTH_SOURCES.includes(process.env.NODE_RPC_AUTH) ? process.env.NODE_RPC_AUTH : "password",
+    conf: process.env.NODE_RPC_CONF || "",
+    datadir: process.env.NODE_RPC_DATADIR || "",
+    feePerKb: process.env.FEE_PER_KB ? Number(process.env.FEE_PER_KB) : null,
+  };
+  stored = readStored();
+  if (!getProfile(stored.active)) stored.active = DEFAULT_PROFILE;
+  if (stored.active !== DEFAULT_PROFILE) applyEnv(getActiveProfile());
+  return getActiveProfile();
+}
+
+// what the UI gets: no passwords
+function publicProfile(p) {
+  return {
+    name: p.name,
+    network: p.network,
+    url: p.url,
+    user: p.user,
+    hasPass: !!p.pass,
+    auth: p.auth || "password",
+    conf: p.conf || "",
+    datadir: p.datadir || "",
+    feePerKb: p.feePerKb || null,
+    dataDir: path.relative(ROOT_DIR, profileDataDir("", p.name)) || ".",
+  };
+}
+
+function listProfiles() {
+  const names = [DEFAULT_PROFILE, ...Object.keys(stored.profiles).sort()];
+  return { active: getActiveProfile().name, profiles: names.map((n) => publicProfile(getProfile(n))) };
+}
+
+/**
+ * Create or update a profile. Fields left undefined keep their value; an
+ * empty password keeps the stored one. Saving the active profile re-applies it.
+ */
+function saveProfile(name, fields = {}) {
+  if (!NAME_RE.test(String(name || ""))) {
+    throw new Error("profile name: 1-40 letters, digits, - or _");
+  }
+  if (fields.network !== undefined && !NETWORKS.includes(fields.network)) {
+    throw new Error(`network must be one of ${NETWORKS.join(", ")}`);
+  }
+  if (fields.auth !== undefined && !RPC_AUTH_SOURCES.includes(fields.auth)) {
+    throw new Error(`auth must be one of ${RPC_AUTH_SOURCES.join(", ")}`);
+  }
+  if (fields.url) new URL(fields.url); // throws on garbage
+  const fee = fields.feePerKb;
+  if (fee !== undefined && fee !== null && fee !== "" && !(Number(fee) > 0)) {
+    throw new Error("feePerKb must be a positive number of sats");
+  }
+
+  const prev = getProfile(name) || {
+    network: "mainnet",
+    url: "",
+    user: "",
+    pass: "",
+    auth: "password",
+    conf: "",
+    datadir: "",
+    feePerKb: null,
+  };
+  const next = {
+    network: fields.network !== undefined ? fields.network : prev.network,
+    url: fields.url !== undefined ? String(fields.url).trim() : prev.url,
+    user: fields.user !== undefined ? String(fields.user) : prev.user,
+    pass: fields.pass ? String(fields.pass) : prev.pass,
+    auth: fields.auth !== undefined ? fields.auth : prev.auth || "password",
+    conf: fields.conf !== undefined ? String(fields.conf).trim() : prev.conf || "",
+    datadir: fields.datadir !== undefined ? String(fields.datadir).trim() : prev.datadir || "",
+    feePerKb: fee === undefined ? prev.feePerKb : fee === null || fee === "" ? null : Number(fee),
+  };
+  // the login comes from the node's own files: don't keep a copy
+  if (next.auth !== "password") {
+    next.user = "";
+    next.pass = "";
+  }
+
+  if (name === DEFAULT_PROFILE) {
+    if (saveDefault) saveDefault(next);
+    defaultSettings = next;
+  } else {
+    stored.profiles[name] = next;
+    writeStored();
+  }
+
+  if (getActiveProfile().name === name) applyEnv(getActiveProfile());
+  return publicProfile(getProfile(name));
+}
+
+function deleteProfile(name) {
+  if (name === DEFAULT_PROFILE) throw new Error("the default profile can't be deleted");
+  if (getActiveProfile().name === name) throw new Error("switch to another profile first");
+  if (!stored.profiles[name]) return false;
+  delete stored.profiles[name];
+  writeStored();
+  // the data under profiles/<name>/ stays: wallets shouldn't vanish with a setting
+  return true;
+}
+
+/**
+ * Make `name` the active profile. Listeners run (and are awaited) after the
+ * environment has switched, e.g. to re-point data dirs and restart indexers.
+ */
+async function activateProfile(name) {
+  const profile = getProfile(name);
+  if (!profile) throw new Error(`unknown profile ${name}`);
+
+  applyEnv(profile);
+  stored.active = name;
+  writeStored();
+
+  for (const fn of listeners) await fn(profile);
+  return profile;
+}
+
+function onProfileChange(fn) {
+  listeners.push(fn);
+}
+
+module.exports = {
+  initProfiles,
+  getActiveProfile,
+  listProfiles,
+  saveProfile,
+  deleteProfile,
+  activateProfile,
+  onProfileChange,
+  profileDataDir,
+  DEFAULT_PROFILE,
+  NETWORKS,
+};
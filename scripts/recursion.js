@@ -0,0 +1,197 @@
+"use strict";
+
+// recursion.js
+//
+// Ord-style recursion endpoints (/r/...) so recursive inscriptions render
+// locally. Mounted on the content origin next to /content, because that's
+// where inscribed HTML runs and a relative "/r/blockheight" resolves.
+//
+//   /r/blockheight            latest height (JSON number)
+//   /r/blockhash[/<height>]   latest or given block hash (JSON string)
+//   /r/blocktime              latest block time, unix seconds (JSON number)
+//   /r/blockinfo/<height|hash>
+//   /r/inscription/<id>       content type/length, number, height, owner ...
+//   /r/metadata/<id>          404: Doginals envelopes carry no CBOR metadata
+//   /r/children/<id>[/<page>] \  always empty: Doginals envelopes carry no
+//   /r/parents/<id>[/<page>]  /  parent tag to build them from
+//
+// Chain data comes from the node RPC, inscription data from master.json (what
+// we have decoded), the local inscription index (numbers) and ownership.js.
+// This origin needs no login, so the owner walk is held to the spent-outpoint
+// index (no block scans) and a fixed number of node calls per lookup.
+
+const express = require("express");
+
+const { getInscriptionById } = require("./inscription-index");
+const { trackInscriptionOwner } = require("./ownership");
+
+const TIP_TTL_MS = 5000;
+const OWNER_TTL_MS = 60000;
+const OWNER_CACHE_MAX = 1000;
+// node calls one owner lookup may make; a longer history gets no owner
+const OWNER_MAX_CALLS = 100;
+
+function parseId(raw) {
+  const m = /^([0-9a-f]{64})(?:i(\d+))?$/.exec(String(raw || "").trim().toLowerCase());
+  return m ? { id: `${m[1]}i${Number(m[2] || 0)}`, txid: m[1] } : null;
+}
+
+/**
+ * @param {object} opts
+ * @param {(method: string, params?: any[]) => Promise<any>} opts.rpc
+ * @param {() => object} opts.loadMaster  master.json contents ({} if none)
+ */
+function createRecursionRouter({ rpc, loadMaster }) {
+  const router = express.Router();
+
+  // pieces that poll /r/blockheight shouldn't each cost a round trip
+  let tip = null;
+  async function getTip() {
+    if (tip && Date.now() - tip.at < TIP_TTL_MS) return tip;
+    const hash = await rpc("getbestblockhash", []);
+    const header = await rpc("getblockheader", [hash, true]);
+    tip = { at: Date.now(), hash, height: header.height, time: header.time };
+    return tip;
+  }
+
+  // following transfers is a chain walk; keep the answer for a minute.
+  // Least recently used first; a lookup in flight is shared by every request
+  // that asks for the same id meanwhile.
+  const owners = new Map();
+  function getOwner(id) {
+    const hit = owners.get(id);
+    owners.delete(id);
+    if (hit && Date.now() - hit.at < OWNER_TTL_MS) {
+      owners.set(id, hit);
+      return hit.owner;
+    }
+
+    const owner = trackInscriptionOwner(id, { indexOnly: true, maxCalls: OWNER_MAX_CALLS }).catch((e) => {
+      console.warn(`[recursion] owner lookup failed for ${id}:`, e.message);
+      return null;
+    });
+    owners.set(id, { at: Date.now(), owner });
+    for (const old of owners.keys()) {
+      if (owners.size <= OWNER_CACHE_MAX) break;
+      owners.delete(old);
+    }
+    return owner;
+  }
+
+  async function resolveBlockHash(query) {
+    const q = String(query || "").trim().toLowerCase();
+    if (/^[0-9a-f]{64}$/.test(q)) return q;
+    if (/^\d+$/.test(q)) return rpc("getblockhash", [Number(q)]);
+    return null;
+  }
+
+  const route = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (e) {
+      // RPC -8 / -5: height out of range, unknown block or tx
+      if (e && [-5, -8].includes(e.code)) return res.status(404).json({ error: e.message });
+      console.error(`[recursion] ${req.originalUrl}:`, e.message);
+      res.status(502).json({ error: e.message || "node RPC failed" });
+    }
+  };
+
+  router.get("/blockheight", route(async (req, res) => {
+    res.json((await getTip()).height);
+  }));
+
+  router.get("/blockhash", route(async (req, res) => {
+    res.json((await getTip()).hash);
+  }));
+
+  router.get("/blockhash/:height", route(async (req, res) => {
+    if (!/^\d+$/.test(req.params.height)) {
+      return res.status(400).json({ error: "height must be a number" });
+    }
+    res.json(await rpc("getblockhash", [Number(req.params.height)]));
+  }));
+
+  router.get("/blocktime", route(async (req, res) => {
+    res.json((await getTip()).time);
+  }));
+
+  router.get("/blockinfo/:query", route(async (req, res) => {
+    const hash = await resolveBlockHash(req.params.query);
+    if (!hash) return res.status(400).json({ error: "expected a block height or hash" });
+
+    const block = await rpc("getblock", [hash, true]);
+    res.json({
+      hash: block.hash,
+      height: block.height,
+      confirmations: block.confirmations,
+      previous_blockhash: block.previousblockhash || null,
+      next_blockhash: block.nextblockhash || null,
+      merkle_root: block.merkleroot,
+      timestamp: block.time,
+      median_time: block.mediantime,
+      version: block.version,
+      bits: block.bits,
+      nonce: block.nonce,
+      difficulty: block.difficulty,
+      size: block.size,
+      transaction_count: (block.tx || []).length,
+    });
+  }));
+
+  router.get("/inscription/:id", route(async (req, res) => {
+    const parsed = parseId(req.params.id);
+    if (!parsed) return res.status(400).json({ error: "invalid inscription id" });
+
+    const entry = loadMaster()[parsed.id] || null;
+    const indexed = getInscriptionById(parsed.id);
+    if (!entry && !indexed) {
+      return res.status(404).json({ error: "inscription not decoded or indexed locally" });
+    }
+
+    const genesis = await rpc("getrawtransaction", [parsed.txid, true]);
+    let height = indexed ? indexed.height : null;
+    if (height == null && genesis.blockhash) {
+      height = (await rpc("getblockheader", [genesis.blockhash, true])).height;
+    }
+
+    const owner = await getOwner(parsed.id);
+    res.json({
+      id: parsed.id,
+      number: indexed ? indexed.number : null,
+      content_type: (entry && entry.mimeType) || (indexed && indexed.contentType) || null,
+      content_length: entry && entry.size != null ? entry.size : indexed ? indexed.size : null,
+      height,
+      timestamp: genesis.blocktime || null,
+      genesis_txid: parsed.txid,
+      address: owner ? owner.owner : null,
+      output: owner ? owner.outpoint : null,
+      satpoint: owner && owner.outpoint ? `${owner.outpoint}:${owner.offset}` : null,
+      value: owner ? owner.value : null,
+      status: owner ? owner.status : null,
+    });
+  }));
+
+  router.get("/metadata/:id", (req, res) => {
+    if (!parseId(req.params.id)) return res.status(400).json({ error: "invalid inscription id" });
+    res.status(404).json({ error: "inscription has no metadata" });
+  });
+
+  for (const kind of ["children", "parents"]) {
+    const list = (req, res) => {
+      if (!parseId(req.params.id)) return res.status(400).json({ error: "invalid inscription id" });
+      res.json({ ids: [], more: false, page: Number(req.params.page) || 0 });
+    };
+    router.get(`/${kind}/:id`, list);
+    router.get(`/${kind}/:id/:page`, list);
+  }
+
+  router.use((req, res) => {
+    res.status(404).json({ error: "unknown recursion endpoint" });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRecursionRouter,
+};
@@ -0,0 +1,211 @@
+"use strict";
+
+// rpc-credentials.js
+//
+// Where rpc.js gets the node's RPC address and login. NODE_RPC_AUTH picks
+// the source:
+//   password (default)  NODE_RPC_URL / NODE_RPC_USER / NODE_RPC_PASS
+//   conf                rpcuser / rpcpassword / rpcport / rpcconnect from the
+//                       dogecoin.conf at NODE_RPC_CONF. Without rpcpassword
+//                       the node uses cookie auth, so we do too.
+//   cookie              the .cookie dogecoind writes into its datadir
+//                       (NODE_RPC_DATADIR, default ~/.dogecoin; testnet3/ or
+//                       regtest/ below it), with NODE_RPC_URL or the
+//                       network's default port
+//
+// conf and cookie are read from disk on use and never copied into .env.
+// dogecoind writes a new cookie each time it starts: files are re-read
+// whenever their mtime changes, and rpc.js retries a 401 after dropping
+// what it read.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const RPC_AUTH_SOURCES = ["password", "conf", "cookie"];
+const RPC_PORTS = { mainnet: 22555, testnet: 44555, regtest: 18332 };
+const NETWORK_SUBDIRS = { mainnet: "", testnet: "testnet3", regtest: "regtest" };
+
+function expandHome(p) {
+  return p && /^~(?=$|[\\/])/.test(p) ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+function defaultDataDir() {
+  if (process.platform === "win32") return path.join(process.env.APPDATA || os.homedir(), "Dogecoin");
+  if (process.platform === "darwin") return path.join(os.homedir(), "Library", "Application Support", "Dogecoin");
+  return path.join(os.homedir(), ".dogecoin");
+}
+
+function envNetwork() {
+  const n = String(process.env.NETWORK || "").toLowerCase();
+  if (RPC_PORTS[n]) return n;
+  return process.env.TESTNET === "true" ? "testnet" : "mainnet";
+}
+
+// ---------------- files, re-read when they change ----------------
+
+const fileCache = new Map(); // path -> { mtimeMs, size, value }
+
+function readWhenChanged(file, parse) {
+  const st = fs.statSync(file);
+  const hit = fileCache.get(file);
+  if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit.value;
+  const value = parse(fs.readFileSync(file, "utf8"));
+  fileCache.set(file, { mtimeMs: st.mtimeMs, size: st.size, value });
+  return value;
+}
+
+/** Forget cached file contents (rpc.js calls this after a 401). */
+function forgetCredentialFiles() {
+  fileCache.clear();
+}
+
+// key=value per line, # comments, the last value wins like in dogecoind
+function parseConf(text) {
+  const conf = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const eq = line.indexOf("=");
+    if (eq <= 0) continue;
+    conf[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+  }
+  return conf;
+}
+
+function parseCookie(text) {
+  const line = text.trim();
+  const colon = line.indexOf(":");
+  if (colon <= 0) throw new Error("malformed cookie file");
+  return { user: line.slice(0, colon), pass: line.slice(colon + 1) };
+}
+
+function credentialError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function readConf(confPath) {
+  try {
+    return readWhenChanged(confPath, parseConf);
+  } catch (e) {
+    if (e.code === "ENOENT") throw credentialError("ENOCONF", `dogecoin.conf not found at ${confPath}`);
+    throw e;
+  }
+}
+
+function readCookie(datadir, network) {
+  const file = path.join(datadir, NETWORK_SUBDIRS[network] || "", ".cookie");
+  try {
+    return { file, ...readWhenChanged(file, parseCookie) };
+  } catch (e) {
+    // dogecoind deletes the cookie on shutdown and writes it on start
+    if (e.code === "ENOENT") {
+      throw credentialError("ENOCOOKIE", `no RPC cookie at ${file} (is dogecoind running?)`);
+    }
+    throw e;
+  }
+}
+
+function confNetwork(conf) {
+  if (conf.regtest === "1") return "regtest";
+  if (conf.testnet === "1") return "testnet";
+  return envNetwork();
+}
+
+// ---------------- sources ----------------
+
+function getRpcAuthSource() {
+  const source = String(process.env.NODE_RPC_AUTH || "password").toLowerCase();
+  return RPC_AUTH_SOURCES.includes(source) ? source : "password";
+}
+
+/**
+ * Credentials for the next RPC call. Throws (code ENOCONF / ENOCOOKIE) when
+ * the configured file isn't there.
+ *
+ * @returns {{ source: string, url: string|null, user: string, pass: string, file: string|null }}
+ *   url null means "rpc.js default"
+ */
+function resolveRpcCredentials() {
+  const source = getRpcAuthSource();
+
+  if (source === "conf") {
+    const confPath = expandHome(process.env.NODE_RPC_CONF || path.join(defaultDataDir(), "dogecoin.conf"));
+    const conf = readConf(confPath);
+    const network = confNetwork(conf);
+    const url = `http://${conf.rpcconnect || "127.0.0.1"}:${conf.rpcport || RPC_PORTS[network]}`;
+    if (conf.rpcpassword) {
+      return { source, url, user: conf.rpcuser || "", pass: conf.rpcpassword, file: confPath };
+    }
+    const cookie = readCookie(expandHome(conf.datadir) || path.dirname(confPath), network);
+    return { source, url, user: cookie.user, pass: cookie.pass, file: cookie.file };
+  }
+
+  if (source === "cookie") {
+    const network = envNetwork();
+    const cookie = readCookie(expandHome(process.env.NODE_RPC_DATADIR) || defaultDataDir(), network);
+    const url = process.env.NODE_RPC_URL || `http://127.0.0.1:${RPC_PORTS[network]}`;
+    return { source, url, user: cookie.user, pass: cookie.pass, file: cookie.file };
+  }
+
+  return {
+    source,
+    url: process.env.NODE_RPC_URL || null,
+    user: process.env.NODE_RPC_USER || "",
+    pass: process.env.NODE_RPC_PASS || "",
+    file: null,
+  };
+}
+
+/**
+ * What Node Tools shows: the active source, the file it reads and any
+ * problems with the node's conf. No passwords.
+ */
+function describeRpcCredentials() {
+  const source = getRpcAuthSource();
+  const out = { source, file: null, url: null, user: null, txindex: null, warnings: [], error: null };
+
+  try {
+    const creds = resolveRpcCredentials();
+    out.file = creds.file;
+    out.url = creds.url;
+    out.user = creds.user;
+  } catch (e) {
+    out.error = e.message;
+  }
+
+  // the conf we can check: the configured one, or the one in the datadir
+  let confPath = null;
+  if (source === "conf") {
+    confPath = expandHome(process.env.NODE_RPC_CONF || path.join(defaultDataDir(), "dogecoin.conf"));
+  } else if (source === "cookie") {
+    confPath = path.join(expandHome(process.env.NODE_RPC_DATADIR) || defaultDataDir(), "dogecoin.conf");
+  }
+  if (confPath) {
+    try {
+      const conf = readConf(confPath);
+      out.conf = confPath;
+      out.txindex = conf.txindex === "1";
+      if (!out.txindex) {
+        out.warnings.push(
+          `txindex=1 is missing from ${confPath}: decoding and ownership lookups need it ` +
+            "(add it and restart dogecoind with -reindex once)"
+        );
+      }
+    } catch (e) {
+      if (source === "conf") out.error = out.error || e.message;
+    }
+  }
+
+  return out;
+}
+
+module.exports = {
+  resolveRpcCredentials,
+  describeRpcCredentials,
+  forgetCredentialFiles,
+  getRpcAuthSource,
+  parseConf,
+  RPC_AUTH_SOURCES,
+};
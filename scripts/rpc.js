@@ -0,0 +1,308 @@
+"use strict";
+
+// rpc.js
+//
+// The one JSON-RPC client for dogecoind. server.js, decode.js, inspect.js and
+// doginals.js all call the node through here.
+//
+// - Config is read from the environment on every call, so saving new RPC
+//   settings in Node Tools applies without a restart:
+//     NODE_RPC_URL / NODE_RPC_USER / NODE_RPC_PASS  (user:pass@ in the URL works too)
+//     NODE_RPC_AUTH=conf|cookie  login from dogecoin.conf or the node's cookie
+//                         instead (see rpc-credentials.js)
+//     RPC_TIMEOUT_MS      per request, default 30000 (0 = none)
+//     RPC_RETRIES         retries on transient failures, default 2
+//     RPC_RETRY_DELAY_MS  first backoff step, doubled each retry, default 500
+// - Transient failures (node down or restarting, warming up, work queue full)
+//   are retried with backoff. A timeout or reset after the request went out is
+//   only retried for calls that are safe to repeat (not sendrawtransaction...).
+// - Every failure is an RpcError with `code` (the node's RPC code, or the
+//   socket / HTTP error), `message` and `method`.
+// - rpcBatch() sends several calls in one HTTP request.
+// - getRpcMetrics() has per-method call counts and latency.
+
+const http = require("http");
+const https = require("https");
+const axios = require("axios");
+
+const { resolveRpcCredentials, forgetCredentialFiles } = require("./rpc-credentials");
+
+const DEFAULT_URL = "http://127.0.0.1:22555";
+const RPC_IN_WARMUP = -28;
+
+// the request never reached the node: always safe to send again
+// (ENOCOOKIE: dogecoind is between deleting its cookie and writing a new one)
+const CONNECT_ERRORS = new Set(["ECONNREFUSED", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "ENOTFOUND", "ENOCOOKIE"]);
+// the request may have been processed before the connection went away
+const IN_FLIGHT_ERRORS = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EPIPE", "ESOCKETTIMEDOUT"]);
+// ...which is only harmless to repeat for calls without side effects
+const NOT_REPLAYABLE = new Set([
+  "sendrawtransaction",
+  "sendtoaddress",
+  "sendmany",
+  "importprivkey",
+  "importaddress",
+  "importpubkey",
+  "walletpassphrase",
+  "stop",
+]);
+
+const httpAgent = new http.Agent({ keepAlive: true });
+const httpsAgent = new https.Agent({ keepAlive: true });
+
+class RpcError extends Error {
+  constructor(message, { code, method, params, status, data } = {}) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    this.method = method;
+    this.params = params;
+    if (status) this.status = status;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+function envNumber(name, fallback) {
+  const v = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(v) && v >= 0
+    ? v
+    : fallback;
+}
+
+function getRpcTuning() {
+  return {
+    timeoutMs: envNumber("RPC_TIMEOUT_MS", 30000),
+    retries: envNumber("RPC_RETRIES", 2),
+    retryDelayMs: envNumber("RPC_RETRY_DELAY_MS", 500),
+  };
+}
+
+// throws when the conf / cookie to read the login from isn't there
+function getRpcConfig() {
+  const creds = resolveRpcCredentials();
+  const url = new URL(creds.url || DEFAULT_URL);
+  const user = creds.user || decodeURIComponent(url.username);
+  const pass = creds.pass || decodeURIComponent(url.password);
+  url.username = "";
+  url.password = "";
+  return {
+    source: creds.source,
+    file: creds.file,
+    url: url.toString(),
+    user,
+    pass,
+    ...getRpcTuning(),
+  };
+}
+
+// ---------------- metrics ----------------
+
+const metrics = new Map(); // method -> { calls, errors, retries, totalMs, maxMs, lastMs }
+
+function record(method, ms, { failed = false, retries = 0 } = {}) {
+  const m = metrics.get(method) || { calls: 0, errors: 0, retries: 0, totalMs: 0, maxMs: 0, lastMs: 0 };
+  m.calls += 1;
+  if (failed) m.errors += 1;
+  m.retries += retries;
+  m.totalMs += ms;
+  m.maxMs = Math.max(m.maxMs, ms);
+  m.lastMs = ms;
+  metrics.set(method, m);
+}
+
+function getRpcMetrics() {
+  const out = {};
+  for (const [method, m] of [...metrics].sort((a, b) => b[1].totalMs - a[1].totalMs)) {
+    out[method] = { ...m, totalMs: Math.round(m.totalMs), avgMs: Math.round(m.totalMs / m.calls) };
+  }
+  return out;
+}
+
+function resetRpcMetrics() {
+  metrics.clear();
+}
+
+// ---------------- transport ----------------
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function toRpcError(err, method, params, cfg) {
+  if (err instanceof RpcError) return err;
+  const code = err.code || "EUNKNOWN";
+  const message =
+    code === "ECONNREFUSED" && cfg
+      ? `cannot connect to dogecoind at ${cfg.url} (is it running with RPC enabled?)`
+      : code === "ECONNABORTED" || code === "ETIMEDOUT"
+      ? `${method} timed out`
+      : err.message;
+  return new RpcError(message, { code, method, params });
+}
+
+// the node answers a failed call with HTTP 500 + { error }; 401 / 403 / 503
+// come back with an empty or HTML body
+function httpError(res, method, params, cfg) {
+  const status = res.status;
+  if (status === 401 || status === 403) {
+    const hint = cfg && cfg.file ? `the login read from ${cfg.file}` : "the RPC user / password";
+    return new RpcError(`RPC authentication failed (check ${hint})`, {
+      code: `HTTP_${status}`,
+      method,
+      params,
+      status,
+    });
+  }
+  return new RpcError(`RPC HTTP ${status}${res.statusText ? ` ${res.statusText}` : ""}`, {
+    code: `HTTP_${status}`,
+    method,
+    params,
+    status,
+  });
+}
+
+function isTransient(err, replayable, cfg) {
+  if (err.code === RPC_IN_WARMUP || err.status === 503) return true;
+  // a restarted node has a new cookie; the retry reads it again
+  if (err.status === 401 && cfg && cfg.source !== "password") {
+    forgetCredentialFiles();
+    return true;
+  }
+  if (CONNECT_ERRORS.has(err.code)) return true;
+  return replayable && IN_FLIGHT_ERRORS.has(err.code);
+}
+
+async function post(body, cfg, timeoutMs) {
+  return axios.post(cfg.url, body, {
+    auth: { username: cfg.user, password: cfg.pass },
+    headers: { "Content-Type": "application/json" },
+    timeout: timeoutMs,
+    httpAgent,
+    httpsAgent,
+    // RPC errors arrive as HTTP 500 with a JSON body; sort them out below
+    validateStatus: () => true,
+    // keep large raw blocks / txs as they are
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+  });
+}
+
+async function withRetries(label, replayable, opts, attempt) {
+  const tuning = getRpcTuning();
+  const retries = opts.retries !== undefined ? opts.retries : tuning.retries;
+  const timeoutMs = opts.timeoutMs !== undefined ? opts.timeoutMs : tuning.timeoutMs;
+
+  const started = Date.now();
+  let tries = 0;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    // per attempt: the cookie may have changed since the last one
+    let cfg = null;
+    try {
+      try {
+        cfg = getRpcConfig();
+      } catch (e) {
+        throw new RpcError(e.message, { code: e.code || "ECREDENTIALS", method: label });
+      }
+      const result = await attempt(cfg, timeoutMs);
+      record(label, Date.now() - started, { retries: tries });
+      return result;
+    } catch (err) {
+      if (tries < retries && isTransient(err, replayable, cfg)) {
+        await sleep(tuning.retryDelayMs * 2 ** tries);
+        tries += 1;
+        continue;
+      }
+      record(label, Date.now() - started, { failed: true, retries: tries });
+      throw err;
+    }
+  }
+}
+
+/**
+ * Call one RPC method.
+ *
+ * @param {string} method
+ * @param {any[]} [params]
+ * @param {{ timeoutMs?: number, retries?: number }} [opts]  override the env
+ *        defaults, e.g. { timeoutMs: 0 } for an importaddress with rescan
+ */
+async function rpc(method, params = [], opts = {}) {
+  const replayable = !NOT_REPLAYABLE.has(method);
+
+  return withRetries(method, replayable, opts, async (cfg, timeoutMs) => {
+    let res;
+    try {
+      res = await post({ jsonrpc: "1.0", id: method, method, params }, cfg, timeoutMs);
+    } catch (err) {
+      throw toRpcError(err, method, params, cfg);
+    }
+
+    const data = res.data;
+    if (data && typeof data === "object" && data.error) {
+      throw new RpcError(data.error.message || JSON.stringify(data.error), {
+        code: data.error.code,
+        method,
+        params,
+        data: data.error,
+      });
+    }
+    if (res.status !== 200 || !data || typeof data !== "object") {
+      throw httpError(res, method, params, cfg);
+    }
+    return data.result;
+  });
+}
+
+/**
+ * Send several calls in one request. Resolves with one `{ result, error }`
+ * per call, in order; `error` is an RpcError for calls the node rejected.
+ * Rejects only when the batch as a whole fails (node down, auth, timeout).
+ *
+ * @param {{ method: string, params?: any[] }[]} calls
+ * @param {{ timeoutMs?: number, retries?: number }} [opts]
+ */
+async function rpcBatch(calls, opts = {}) {
+  if (!calls.length) return [];
+  const methods = [...new Set(calls.map((c) => c.method))];
+  const replayable = methods.every((m) => !NOT_REPLAYABLE.has(m));
+  const label = methods.length === 1 ? `${methods[0]} (batch)` : "batch";
+
+  return withRetries(label, replayable, opts, async (cfg, timeoutMs) => {
+    const body = calls.map((c, i) => ({ jsonrpc: "1.0", id: i, method: c.method, params: c.params || [] }));
+    let res;
+    try {
+      res = await post(body, cfg, timeoutMs);
+    } catch (err) {
+      throw toRpcError(err, label, null, cfg);
+    }
+    if (!Array.isArray(res.data)) {
+      if (res.data && res.data.error) {
+        throw new RpcError(res.data.error.message, { code: res.data.error.code, method: label, data: res.data.error });
+      }
+      throw httpError(res, label, null, cfg);
+    }
+
+    const byId = new Map(res.data.map((r) => [r.id, r]));
+    return calls.map((c, i) => {
+      const r = byId.get(i);
+      if (!r) {
+        return { result: null, error: new RpcError("missing from batch response", { method: c.method, params: c.params }) };
+      }
+      if (r.error) {
+        return {
+          result: null,
+          error: new RpcError(r.error.message, { code: r.error.code, method: c.method, params: c.params, data: r.error }),
+        };
+      }
+      return { result: r.result, error: null };
+    });
+  });
+}
+
+module.exports = {
+  rpc,
+  rpcBatch,
+  RpcError,
+  getRpcConfig,
+  getRpcMetrics,
+  resetRpcMetrics,
+};
@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+"use strict";
+
+// spent-index.js
+//
+// Local on-disk spent-outpoint index: "<txid>:<vout>" -> spending txid + height.
+//
+// Built block by block from the node (getblock <hash> 2) and kept at the tip by
+// the block walker in server.js. findNextOrdinalTx in decode.js uses it so each
+// hop of a Doginals chain is a single lookup instead of a block-by-block scan.
+//
+// Layout (index/spent/):
+//   meta.json          { startHeight, height, hash, hashes: { <height>: <hash> } }
+//   shards/<abc>.tsv   one line per spent outpoint, sharded by first 3 hex chars
+//                      of the spent txid:  txid \t vout \t spendingTxid \t vin \t height
+
+const fs = require("fs");
+const path = require("path");
+
+// re-pointed by useSpentIndexRoot() when server.js switches node profile
+let INDEX_ROOT = path.join(process.cwd(), "index");
+let SPENT_DIR = path.join(INDEX_ROOT, "spent");
+let SHARD_DIR = path.join(SPENT_DIR, "shards");
+let META_PATH = path.join(SPENT_DIR, "meta.json");
+
+// Roughly where Doginals begin on mainnet (early 2023). Override with
+// SPENT_INDEX_START_HEIGHT to index from an earlier / later block.
+const DEFAULT_START_HEIGHT = 4600000;
+
+// how many recent block hashes we keep for reorg detection / rollback
+const REORG_WINDOW = 200;
+
+// buffered lines are appended to their shard files every N blocks
+const FLUSH_EVERY_BLOCKS = 50;
+
+// parsed shards kept in memory for lookups, bounded by the entries they hold
+const SHARD_CACHE_MAX_ENTRIES = 250000;
+
+function ensureIndexDirs() {
+  if (!fs.existsSync(SHARD_DIR)) {
+    fs.mkdirSync(SHARD_DIR, { recursive: true });
+  }
+}
+
+function getStartHeight() {
+  const v = Number(process.env.SPENT_INDEX_START_HEIGHT);
+  return Number.isFinite(v) && v >= 0 ? Math.floor(v) : DEFAULT_START_HEIGHT;
+}
+
+function freshMeta() {
+  const startHeight = getStartHeight();
+  return {
+    startHeight,
+    height: startHeight - 1, // last fully indexed height
+    hash: null,
+    hashes: {},
+    updatedAt: null,
+  };
+}
+
+let metaCache = null;
+
+function loadMeta() {
+  if (metaCache) return metaCache;
+  try {
+    if (fs.existsSync(META_PATH)) {
+      const raw = fs.readFileSync(META_PATH, "utf8");
+      if (raw.trim()) {
+        metaCache = JSON.parse(raw);
+        return metaCache;
+      }
+    }
+  } catch (e) {
+    console.warn("Invalid spent-index meta.json, starting fresh:", e.message);
+  }
+  metaCache = freshMeta();
+  return metaCache;
+}
+
+function saveMeta(meta) {
+  ensureIndexDirs();
+  meta.updatedAt = new Date().toISOString();
+  const tmp = META_PATH + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(meta, null, 2), "utf8");
+  fs.renameSync(tmp, META_PATH);
+  metaCache = meta;
+}
+
+function shardPath(txid) {
+  return path.join(SHARD_DIR, `${String(txid).slice(0, 3).toLowerCase()}.tsv`);
+}
+
+function outpointKey(txid, vout) {
+  return `${String(txid).toLowerCase()}\t${Number(vout)}\t`;
+}
+
+// lines indexed but not yet appended to disk (shard path -> lines[])
+const pendingLines = new Map();
+// same entries keyed by outpoint so lookups see them before a flush
+const pendingEntries = new Map();
+
+function flushPending() {
+  if (!pendingLines.size) return;
+  ensureIndexDirs();
+  for (const [file, lines] of pendingLines) {
+    const text = lines.join("");
+    fs.appendFileSync(file, text, "utf8");
+    appendToCachedShard(file, lines, text.length);
+  }
+  pendingLines.clear();
+  pendingEntries.clear();
+}
+
+function parseLine(line) {
+  const [txid, vout, spendingTxid, vin, height] = line.split("\t");
+  return {
+    txid,
+    vout: Number(vout),
+    spendingTxid,
+    vin: Number(vin),
+    height: Number(height),
+  };
+}
+
+// shard path -> { size, entries: Map<outpointKey, line> }, least recently
+// used first. size is the file length the entries were read at: a shard that
+// grew some other way (the CLI indexing the same dir) is read again.
+const shardCache = new Map();
+let shardCacheEntries = 0;
+
+function lineKey(line) {
+  return line.slice(0, line.indexOf("\t", line.indexOf("\t") + 1) + 1);
+}
+
+function forgetShard(file) {
+  const cached = shardCache.get(file);
+  if (!cached) return;
+  shardCacheEntries -= cached.entries.size;
+  shardCache.delete(file);
+}
+
+function clearShardCache() {
+  shardCache.clear();
+  shardCacheEntries = 0;
+}
+
+function readShard(file) {
+  let size;
+  try {
+    size = fs.statSync(file).size;
+  } catch {
+    return null;
+  }
+
+  const cached = shardCache.get(file);
+  if (cached && cached.size === size) {
+    shardCache.delete(file);
+    shardCache.set(file, cached);
+    return cached.entries;
+  }
+  forgetShard(file);
+
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+  const entries = new Map();
+  for (const line of text.split("\n")) {
+    const key = line && lineKey(line);
+    // the first line for an outpoint wins, as it always has
+    if (key && !entries.has(key)) entries.set(key, line);
+  }
+
+  shardCache.set(file, { size: text.length, entries });
+  shardCacheEntries += entries.size;
+  for (const old of shardCache.keys()) {
+    if (shardCacheEntries <= SHARD_CACHE_MAX_ENTRIES || old === file) break;
+    forgetShard(old);
+  }
+  return entries;
+}
+
+function appendToCachedShard(file, lines, bytes) {
+  const cached = shardCache.get(file);
+  if (!cached) return;
+  for (const raw of lines) {
+    const line = raw.slice(0, -1);
+    const key = lineKey(line);
+    if (cached.entries.has(key)) continue;
+    cached.entries.set(key, line);
+    shardCacheEntries++;
+  }
+  cached.size += bytes;
+}
+
+/**
+ * Look up who spent txid:vout. Returns
+ * { txid, vout, spendingTxid, vin, height } or null if the outpoint is not in
+ * the indexed range (check getCoverage() to tell "unspent" from "not indexed").
+ */
+function lookupSpend(txid, vout) {
+  if (!txid) return null;
+  const key = outpointKey(txid, vout);
+
+  const buffered = pendingEntries.get(key);
+  if (buffered) return buffered;
+
+  const entries = readShard(shardPath(txid));
+  const line = entries && entries.get(key);
+  return line ? parseLine(line) : null;
+}
+
+/**
+ * Heights the index currently answers for (inclusive), or null if nothing has
+ * been indexed yet.
+ */
+function getCoverage() {
+  const meta = loadMeta();
+  if (meta.height < meta.startHeight) return null;
+  return { from: meta.startHeight, to: meta.height };
+}
+
+function getSpentIndexStatus() {
+  const meta = loadMeta();
+  return {
+    startHeight: meta.startHeight,
+    height: meta.height,
+    hash: meta.hash,
+    coverage: getCoverage(),
+    syncing: !!syncing,
+    tip: lastSeenTip,
+    lastError: lastError,
+    updatedAt: meta.updatedAt,
+  };
+}
+
+function recordBlock(meta, height, blk) {
+  for (const tx of blk.tx || []) {
+    const vins = tx.vin || [];
+    for (let i = 0; i < vins.length; i++) {
+      const vin = vins[i];
+      if (!vin || vin.coinbase || !vin.txid) continue;
+
+      const key = outpointKey(vin.txid, vin.vout);
+      const line = `${key}${tx.txid}\t${i}\t${height}\n`;
+      const file = shardPath(vin.txid);
+
+      if (!pendingLines.has(file)) pendingLines.set(file, []);
+      pendingLines.get(file).push(line);
+      pendingEntries.set(key, {
+        txid: vin.txid,
+        vout: vin.vout,
+        spendingTxid: tx.txid,
+        vin: i,
+        height,
+      });
+    }
+  }
+
+  meta.height = height;
+  meta.hash = blk.hash;
+  meta.hashes[height] = blk.hash;
+  delete meta.hashes[height - REORG_WINDOW];
+}
+
+// Rewrite every shard dropping entries above forkHeight. Reorgs are rare and
+// shallow, so a full pass is simpler than keeping per-block undo data.
+function dropEntriesAbove(forkHeight) {
+  ensureIndexDirs();
+  clearShardCache();
+  for (const name of fs.readdirSync(SHARD_DIR)) {
+    if (!name.endsWith(".tsv")) continue;
+    const file = path.join(SHARD_DIR, name);
+    const text = fs.readFileSync(file, "utf8");
+    const kept = text
+      .split("\n")
+      .filter((line) => line && Number(line.split("\t")[4]) <= forkHeight);
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, kept.length ? kept.join("\n") + "\n" : "", "utf8");
+    fs.renameSync(tmp, file);
+  }
+}
+
+async function rollbackToFork(rpc, meta) {
+  let forkHeight = null;
+
+  for (let h = meta.height; h > meta.height - REORG_WINDOW; h--) {
+    const known = meta.hashes[h];
+    if (!known) break;
+    let nodeHash;
+    try {
+      nodeHash = await rpc("getblockhash", [h]);
+    } catch {
+      continue; // node tip is below h after the reorg
+    }
+    if (nodeHash === known) {
+      forkHeight = h;
+      break;
+    }
+  }
+
+  if (forkHeight === null) {
+    throw new Error(
+      `spent-index: reorg deeper than ${REORG_WINDOW} blocks (or no hash history); delete index/spent to rebuild`
+    );
+  }
+
+  console.log(
+    `↺ spent-index: reorg detected, rolling back ${meta.height} → ${forkHeight}`
+  );
+
+  flushPending();
+  dropEntriesAbove(forkHeight);
+
+  for (const h of Object.keys(meta.hashes)) {
+    if (Number(h) > forkHeight) delete meta.hashes[h];
+  }
+  meta.height = forkHeight;
+  meta.hash = meta.hashes[forkHeight];
+  saveMeta(meta);
+}
+
+let syncing = null;
+let lastSeenTip = null;
+let lastError = null;
+
+/**
+ * Move the index to another root (node profile switch). Stop the indexer and
+ * wait for whenSpentIndexIdle() first.
+ */
+function useSpentIndexRoot(root) {
+  INDEX_ROOT = root;
+  SPENT_DIR = path.join(INDEX_ROOT, "spent");
+  SHARD_DIR = path.join(SPENT_DIR, "shards");
+  META_PATH = path.join(SPENT_DIR, "meta.json");
+  metaCache = null;
+  pendingLines.clear();
+  pendingEntries.clear();
+  clearShardCache();
+  lastSeenTip = null;
+  lastError = null;
+}
+
+function whenSpentIndexIdle() {
+  return syncing ? syncing.catch(() => {}) : Promise.resolve();
+}
+
+/**
+ * Index blocks from the last indexed height up to the node tip (or at most
+ * maxBlocks of them). Safe to call repeatedly; concurrent calls share one run.
+ */
+function syncSpentIndex(rpc, options = {}) {
+  if (syncing) return syncing;
+  syncing = runSync(rpc, options)
+    .catch((e) => {
+      lastError = e.message || String(e);
+      throw e;
+    })
+    .finally(() => {
+      syncing = null;
+    });
+  return syncing;
+}
+
+async function runSync(rpc, { maxBlocks = 1000, onProgress } = {}) {
+  const meta = loadMeta();
+  const tip = await rpc("getblockcount", []);
+  lastSeenTip = tip;
+
+  if (meta.hash && meta.height <= tip) {
+    const nodeHash = await rpc("getblockhash", [meta.height]);
+    if (nodeHash !== meta.hash) await rollbackToFork(rpc, meta);
+  } else if (meta.hash && meta.height > tip) {
+    await rollbackToFork(rpc, meta);
+  }
+
+  const target = Math.min(tip, meta.height + maxBlocks);
+  let sinceFlush = 0;
+
+  try {
+    for (let height = meta.height + 1; height <= target; height++) {
+      const hash = await rpc("getblockhash", [height]);
+      const blk = await rpc("getblock", [hash, 2]);
+
+      if (meta.hash && blk.previousblockhash && blk.previousblockhash !== meta.hash) {
+        // chain moved under us mid-sync; persist what we have and retry next round
+        break;
+      }
+
+      recordBlock(meta, height, blk);
+      sinceFlush++;
+
+      if (sinceFlush >= FLUSH_EVERY_BLOCKS) {
+        flushPending();
+        saveMeta(meta);
+        sinceFlush = 0;
+        if (typeof onProgress === "function") onProgress(getSpentIndexStatus());
+      }
+    }
+  } finally {
+    // shard lines first, then meta: a crash in between only re-indexes blocks
+    // whose (identical) lines are already on disk
+    flushPending();
+    saveMeta(meta);
+  }
+
+  lastError = null;
+  return { height: meta.height, tip, caughtUp: meta.height >= tip };
+}
+
+module.exports = {
+  lookupSpend,
+  getCoverage,
+  getSpentIndexStatus,
+  syncSpentIndex,
+  useSpentIndexRoot,
+  whenSpentIndexIdle,
+  INDEX_ROOT,
+  SPENT_DIR,
+};
+
+if (require.main === module) {
+  // node scripts/spent-index.js [maxBlocks] — index a batch using decode.js RPC
+  const { rpc } = require("./decode");
+  const maxBlocks = Number(process.argv[2]) || 1000;
+
+  syncSpentIndex(rpc, {
+    maxBlocks,
+    onProgress: (s) => console.log(`spent-index height ${s.height} / tip ${s.tip}`),
+  })
+    .then((r) => {
+      console.log(`Done. height=${r.height} tip=${r.tip} caughtUp=${r.caughtUp}`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error("ERROR:", err.message);
+      process.exit(1);
+    });
+}
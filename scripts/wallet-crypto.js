@@ -0,0 +1,143 @@
+"use strict";
+
+// wallet-crypto.js
+//
+// Passphrase protection for the private key in wallets/<label>/.wallet.json.
+// The key is derived with scrypt and the WIF sealed with AES-256-GCM, so a
+// wrong passphrase or an edited file fails instead of yielding a bad key.
+// Only `privkey` (the `mnemonic` of an HD wallet) is encrypted: addresses,
+// the account xpub and utxos stay readable so sync and balances work on a
+// locked wallet.
+//
+// Encrypted wallet file:
+//   { address, encrypted: { v, kdf, N, r, p, salt, iv, tag, data }, utxos }
+
+const crypto = require("crypto");
+
+const SCRYPT_N = 1 << 15;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const MIN_PASSPHRASE_LEN = 8;
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(String(passphrase), salt, 32, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r, // 128*N*r is needed; the 32 MiB default is too tight
+  });
+}
+
+function encryptPrivkey(privkey, passphrase) {
+  if (String(passphrase || "").length < MIN_PASSPHRASE_LEN) {
+    throw new Error(`passphrase must be at least ${MIN_PASSPHRASE_LEN} characters`);
+  }
+
+  const params = { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P };
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt, params);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(String(privkey), "utf8"), cipher.final()]);
+
+  return {
+    v: 1,
+    kdf: "scrypt",
+    ...params,
+    salt: salt.toString("hex"),
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    data: data.toString("hex"),
+  };
+}
+
+function decryptPrivkey(encrypted, passphrase) {
+  if (!encrypted || encrypted.v !== 1 || encrypted.kdf !== "scrypt") {
+    throw new Error("unsupported wallet encryption format");
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(encrypted.salt, "hex"), encrypted);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(encrypted.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "hex"));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, "hex")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (_) {
+    throw new Error("wrong passphrase");
+  }
+}
+
+function isEncryptedWallet(wallet) {
+  return !!(wallet && wallet.encrypted);
+}
+
+// Plaintext wallet → encrypted wallet object (same address / utxos, no privkey).
+// HD wallets seal their mnemonic instead; decrypting gives back whichever it was.
+function encryptWallet(wallet, passphrase) {
+  if (isEncryptedWallet(wallet)) throw new Error("wallet is already encrypted");
+
+  const { privkey, mnemonic, ...rest } = wallet || {};
+  const secret = rest.hd ? mnemonic : privkey;
+  if (!secret) throw new Error("wallet has no private key");
+  return { ...rest, encrypted: encryptPrivkey(secret, passphrase) };
+}
+
+module.exports = {
+  encryptPrivkey,
+  decryptPrivkey,
+  encryptWallet,
+  isEncryptedWallet,
+  MIN_PASSPHRASE_LEN,
+};
+
+// Migration: encrypt every plaintext wallets/<label>/.wallet.json (or the
+// files given) with one passphrase from WALLET_PASSPHRASE.
+if (require.main === module) {
+  const fs = require("fs");
+  const path = require("path");
+
+  const [, , cmd, ...files] = process.argv;
+  const passphrase = process.env.WALLET_PASSPHRASE;
+  if (cmd !== "migrate" || !passphrase) {
+    console.error("Usage: WALLET_PASSPHRASE=... node scripts/wallet-crypto.js migrate [wallet.json...]");
+    process.exit(1);
+  }
+
+  const walletsDir = path.join(__dirname, "..", "wallets");
+  const targets = files.length
+    ? files
+    : (fs.existsSync(walletsDir) ? fs.readdirSync(walletsDir) : [])
+        .map((label) => path.join(walletsDir, label, ".wallet.json"))
+        .filter((p) => fs.existsSync(p));
+
+  const { withWalletLock } = require("./wallet-lock");
+
+  (async () => {
+    let failed = false;
+    for (const file of targets) {
+      try {
+        // under the wallet's lock, so a running server can't sync the
+        // plaintext back over it
+        await withWalletLock(file, () => {
+          const wallet = JSON.parse(fs.readFileSync(file, "utf8"));
+          if (isEncryptedWallet(wallet)) {
+            console.log("already encrypted", file);
+            return;
+          }
+          const tmp = file + ".tmp";
+          fs.writeFileSync(tmp, JSON.stringify(encryptWallet(wallet, passphrase), null, 2));
+          fs.renameSync(tmp, file);
+          console.log("encrypted", file);
+        });
+      } catch (err) {
+        failed = true;
+        console.error("ERROR:", file, err.message);
+      }
+    }
+    process.exit(failed ? 1 : 0);
+  })();
+}
@@ -0,0 +1,227 @@
+"use strict";
+
+// wallet-lock.js
+//
+// One writer at a time per wallet. Every read-modify-write of a .wallet.json
+// (sync, mint, send, split, encrypt...) runs inside withWalletLock(), so a
+// sync can't write back UTXOs a mint has just spent.
+//
+// - Inside one process callers queue up in order.
+// - Across processes (the server, doginals.js run by hand, wallet-crypto.js
+//   migrate) the lock is a file next to the wallet, <wallet>.lock, created
+//   with O_EXCL and holding { pid, host, token, since }.
+// - The holder touches the file every few seconds. A lock whose process is
+//   gone (same host) or that hasn't been touched for WALLET_LOCK_STALE_MS
+//   (default 60000) is stale and taken over.
+// - A caller that can't get the lock within waitMs (WALLET_LOCK_WAIT_MS,
+//   default 120000; 0 = don't wait) gets a WalletBusyError, code WALLET_BUSY.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const POLL_MS = 100;
+
+class WalletBusyError extends Error {
+  constructor(message, { walletPath, holder } = {}) {
+    super(message);
+    this.name = "WalletBusyError";
+    this.code = "WALLET_BUSY";
+    this.walletPath = walletPath;
+    this.holder = holder || null;
+  }
+}
+
+function envMs(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function lockPathFor(walletPath) {
+  return `${path.resolve(walletPath)}.lock`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+// what's in a lock file, or null if it's gone; a half-written one reads as {}
+function readLock(lockPath) {
+  let stat;
+  let holder = {};
+  try {
+    stat = fs.statSync(lockPath);
+    holder = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  } catch (e) {
+    if (!stat) return null;
+  }
+  return { holder, mtimeMs: stat.mtimeMs };
+}
+
+function isStale(lock, staleMs) {
+  const { holder } = lock;
+  if (holder.host === os.hostname() && Number.isInteger(holder.pid)) {
+    // our own pid can only be a leftover: in here the queue lets one through
+    if (holder.pid === process.pid || !pidAlive(holder.pid)) return true;
+  }
+  return Date.now() - lock.mtimeMs > staleMs;
+}
+
+// rename first so two processes breaking the same lock can't both win
+function breakLock(lockPath) {
+  const aside = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, aside);
+    fs.unlinkSync(aside);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+}
+
+function tryAcquire(lockPath, token, staleMs) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let fd;
+    try {
+      fd = fs.openSync(lockPath, "wx");
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const lock = readLock(lockPath);
+      if (lock && !isStale(lock, staleMs)) return { holder: lock.holder };
+      if (lock) breakLock(lockPath);
+      continue;
+    }
+    try {
+      fs.writeSync(
+        fd,
+        JSON.stringify({ pid: process.pid, host: os.hostname(), token, since: new Date().toISOString() })
+      );
+    } finally {
+      fs.closeSync(fd);
+    }
+    return { acquired: true };
+  }
+  return { holder: null };
+}
+
+function releaseLock(lockPath, token) {
+  const lock = readLock(lockPath);
+  // taken over as stale while we held it: not ours to remove any more
+  if (!lock || lock.holder.token !== token) return;
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (_) {}
+}
+
+function describeHolder(holder) {
+  if (!holder || !holder.pid) return "another process";
+  const self = holder.pid === process.pid && holder.host === os.hostname();
+  return `${self ? "this process" : `pid ${holder.pid}`}${holder.since ? ` since ${holder.since}` : ""}`;
+}
+
+const queues = new Map(); // resolved lock path -> tail of the in-process queue
+
+/**
+ * Run fn() holding the lock of `walletPath`; resolves to what fn resolves.
+ *   opts.waitMs   how long to wait for it (default WALLET_LOCK_WAIT_MS)
+ *   opts.onWait   called once if the wallet is busy and we start waiting
+ */
+async function withWalletLock(walletPath, fn, { waitMs, onWait } = {}) {
+  const lockPath = lockPathFor(walletPath);
+  const wait = waitMs === undefined || waitMs === null ? envMs("WALLET_LOCK_WAIT_MS", 120000) : waitMs;
+  const staleMs = envMs("WALLET_LOCK_STALE_MS", 60000);
+  const deadline = Date.now() + wait;
+
+  // in-process queue: our turn comes when everyone before us is done
+  const before = queues.get(lockPath);
+  let done;
+  const mine = new Promise((resolve) => {
+    done = resolve;
+  });
+  const tail = (before || Promise.resolve()).then(() => mine);
+  queues.set(lockPath, tail);
+
+  let waited = false;
+  const startWaiting = () => {
+    if (!waited && onWait) onWait();
+    waited = true;
+  };
+
+  const token = crypto.randomBytes(8).toString("hex");
+  let heartbeat = null;
+  try {
+    if (before) {
+      startWaiting();
+      let timer;
+      const ourTurn = await Promise.race([
+        before.then(() => true),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(false), wait);
+        }),
+      ]);
+      clearTimeout(timer);
+      if (!ourTurn) {
+        throw new WalletBusyError("wallet is busy (held by this process), try again in a moment", {
+          walletPath,
+        });
+      }
+    }
+
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const got = tryAcquire(lockPath, token, staleMs);
+      if (got.acquired) break;
+      if (Date.now() >= deadline) {
+        throw new WalletBusyError(`wallet is busy (held by ${describeHolder(got.holder)}), try again in a moment`, {
+          walletPath,
+          holder: got.holder,
+        });
+      }
+      startWaiting();
+      await sleep(Math.min(POLL_MS, Math.max(deadline - Date.now(), 1)));
+    }
+
+    heartbeat = setInterval(() => {
+      const now = new Date();
+      try {
+        fs.utimesSync(lockPath, now, now);
+      } catch (_) {}
+    }, Math.max(Math.floor(staleMs / 4), 250));
+    heartbeat.unref();
+
+    return await fn();
+  } finally {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      releaseLock(lockPath, token);
+    }
+    done();
+    // once everyone queued so far is through, forget the queue
+    tail.then(() => {
+      if (queues.get(lockPath) === tail) queues.delete(lockPath);
+    });
+  }
+}
+
+/** Whether someone (this process or another) holds the lock right now. */
+function isWalletLocked(walletPath) {
+  const lockPath = lockPathFor(walletPath);
+  if (queues.has(lockPath)) return true;
+  const lock = readLock(lockPath);
+  return !!lock && !isStale(lock, envMs("WALLET_LOCK_STALE_MS", 60000));
+}
+
+module.exports = {
+  withWalletLock,
+  isWalletLocked,
+  WalletBusyError,
+};
@@ -8,17 +8,15 @@ const cors = require("cors");
 const { spawn } = require("child_process");
 const dotenv = require("dotenv");
 const multer = require('multer'); 
-const axios = require("axios");
 const crypto = require("crypto");
+const mime = require("mime-types");
+const { EventEmitter } = require("events");
 
 
-// Path to the doginals CLI script
-const DOGINALS_SCRIPT = path.join(__dirname, 'scripts', 'doginals.js');
-
-// Doginals-related directories
-const DOGINALS_IMAGES_DIR = path.join(__dirname, 'images');
-const DOGINALS_JSON_DIR = path.join(__dirname, 'json');
-const DOGINALS_WALLETS_DIR = path.join(__dirname, 'wallets');
+// Doginals-related directories. images/ (files queued to mint) and json/ (mint
+// run files) belong to the active node profile, see useProfileDataDirs().
+const doginalsImagesDir = () => profileDataDir('images');
+const doginalsJsonDir = () => profileDataDir('json');
 const UPLOADS_DIR = path.join(__dirname, "uploads");
 const SAVES_DIR = path.join(__dirname, "saves");
 
@@ -26,28 +24,171 @@ const SAVES_DIR = path.join(__dirname, "saves");
 for (const dir of [UPLOADS_DIR, SAVES_DIR]) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
-
-// Ensure dirs exist
-for (const dir of [DOGINALS_IMAGES_DIR, DOGINALS_JSON_DIR, DOGINALS_WALLETS_DIR]) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
 dotenv.config();
 
 const {
   ensureInscriptionDecoded,
   handleHtmlSvgDependencies,
   getProgress,
-  CONTENT_DIR,
-  MASTER_PATH,
+  useContentDir,
+  getContentDir,
+  getMasterPath,
   findContentFile,
 } = require("./scripts/decode");
 
+const {
+  syncSpentIndex,
+  getSpentIndexStatus,
+  useSpentIndexRoot,
+  whenSpentIndexIdle,
+} = require("./scripts/spent-index");
+
+const { trackInscriptionOwner, outputAddress } = require("./scripts/ownership");
+
+const {
+  listInscriptions,
+  getInscriptionByNumber,
+  getInscriptionIndexStatus,
+  syncInscriptionIndex,
+  useInscriptionIndexRoot,
+  whenInscriptionIndexIdle,
+} = require("./scripts/inscription-index");
+
+const {
+  listTokens,
+  getToken,
+  getAddressBalances,
+  getInscriptionEvents,
+  getDrc20LedgerStatus,
+  syncDrc20Ledger,
+  useDrc20LedgerRoot,
+  whenDrc20LedgerIdle,
+} = require("./scripts/drc20-ledger");
+
+const { startBlockWalker } = require("./scripts/block-walker");
+
+const {
+  decryptPrivkey,
+  encryptWallet,
+  isEncryptedWallet,
+  MIN_PASSPHRASE_LEN,
+} = require("./scripts/wallet-crypto");
+
+const {
+  initAuth,
+  generateAccessToken,
+  verifyLoginSecret,
+  getSession,
+  startSession,
+  endSession,
+  corsOptions,
+  requireAuth,
+  requireCsrf,
+} = require("./scripts/auth");
+const { openWallet, BroadcastError, extractFromScripts } = require("./scripts/doginals");
+const { withWalletLock } = require("./scripts/wallet-lock");
+const { rpc: callDogecoinRpc, getRpcMetrics } = require("./scripts/rpc");
+const { describeRpcCredentials } = require("./scripts/rpc-credentials");
+const { resolveAddressLabels, invalidateAddressLabels } = require("./scripts/address-labels");
+const { createContentApp, startContentServer } = require("./scripts/content-origin");
+const { createRecursionRouter } = require("./scripts/recursion");
+const {
+  useJobsDir,
+  registerJobType,
+  submitJob,
+  listJobs,
+  getJob,
+  hasActiveJobs,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  subscribeJob,
+  unsubscribeJob,
+} = require("./scripts/jobs");
+const {
+  initProfiles,
+  getActiveProfile,
+  listProfiles,
+  saveProfile,
+  deleteProfile,
+  activateProfile,
+  onProfileChange,
+  profileDataDir,
+} = require("./scripts/profiles");
+
 const app = express();
 const PORT = process.env.PORT || 3000;
+// loopback only unless you mean it (e.g. BIND_ADDRESS=0.0.0.0 for the LAN)
+const BIND_ADDRESS = process.env.BIND_ADDRESS || "127.0.0.1";
+// inscription content gets an origin of its own (see scripts/content-origin.js)
+const CONTENT_PORT = Number(process.env.CONTENT_PORT) || Number(PORT) + 1;
 const ENV_PATH = path.join(__dirname, '.env');
 
+// helper to upsert KEY=VALUE in .env text, but only if value is not undefined
+function upsertEnvVar(content, key, value) {
+  if (value === undefined) return content; // leave as-is
+  const line = `${key}=${value ?? ''}`;
+  const re = new RegExp(`^${key}=.*$`, 'm');
+  if (re.test(content)) {
+    return content.replace(re, line);
+  }
+  if (content.trim().length === 0) {
+    return line + '\n';
+  }
+  if (!content.endsWith('\n')) {
+    return content + '\n' + line + '\n';
+  }
+  return content + line + '\n';
+}
+
+// ACCESS_TOKEN is generated once and kept in .env next to the RPC settings
+if (!process.env.ACCESS_TOKEN) {
+  const token = generateAccessToken();
+  const envText = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8') : '';
+  fs.writeFileSync(ENV_PATH, upsertEnvVar(envText, 'ACCESS_TOKEN', token), { mode: 0o600 });
+  process.env.ACCESS_TOKEN = token;
+  console.log(`[auth] generated ACCESS_TOKEN in ${ENV_PATH}`);
+}
+
+// node profiles (scripts/profiles.js); "default" is the RPC settings in .env
+initProfiles({
+  saveDefault: (settings) => {
+    let envText = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8') : '';
+    envText = upsertEnvVar(envText, 'NODE_RPC_URL', settings.url);
+    envText = upsertEnvVar(envText, 'NODE_RPC_USER', settings.user);
+    envText = upsertEnvVar(envText, 'NODE_RPC_PASS', settings.pass);
+    envText = upsertEnvVar(envText, 'NODE_RPC_AUTH', settings.auth);
+    envText = upsertEnvVar(envText, 'NODE_RPC_CONF', settings.conf);
+    envText = upsertEnvVar(envText, 'NODE_RPC_DATADIR', settings.datadir);
+    envText = upsertEnvVar(envText, 'NETWORK', settings.network);
+    envText = upsertEnvVar(envText, 'TESTNET', settings.network === 'mainnet' ? 'false' : 'true');
+    envText = upsertEnvVar(envText, 'FEE_PER_KB', settings.feePerKb ? String(settings.feePerKb) : '');
+    fs.writeFileSync(ENV_PATH, envText, 'utf8');
+  },
+});
+
+// decoded content, the chain indexes and the mint folders live under the
+// active profile
+function useProfileDataDirs() {
+  for (const dir of [doginalsImagesDir(), doginalsJsonDir()]) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+  useContentDir(profileDataDir('content'));
+  const indexRoot = profileDataDir('index');
+  useSpentIndexRoot(indexRoot);
+  useInscriptionIndexRoot(indexRoot);
+  useDrc20LedgerRoot(indexRoot);
+  useJobsDir(profileDataDir('jobs'));
+}
+useProfileDataDirs();
+
+initAuth({
+  accessToken: process.env.ACCESS_TOKEN,
+  password: process.env.AUTH_PASSWORD,
+  sessionHours: process.env.AUTH_SESSION_HOURS,
+  extraOrigins: (process.env.ALLOWED_ORIGINS || '').split(','),
+});
+
 
 app.use((req, res, next) => {
   res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
@@ -56,35 +197,57 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(cors());
+app.use(cors(corsOptions));
+app.use(requireAuth);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 const ROOT = __dirname;
 
-app.use("/assets", express.static(path.join(__dirname, "assets")));
-app.use("/images", express.static(DOGINALS_IMAGES_DIR));
+// ---------- LOGIN (scripts/auth.js) ----------
 
-app.get("/content/:id", (req, res, next) => {
-  const raw = req.params.id || "";
-  if (raw.includes(".")) return next();
+app.get("/login", (req, res) => {
+  res.sendFile(path.join(__dirname, "assets-page", "login.html"));
+});
 
-  const filePath = findContentFile(raw);
-  if (!filePath) {
-    return res.status(404).send("Content not found");
+// Body: { secret }  (the access token, or AUTH_PASSWORD when set)
+app.post("/api/auth/login", async (req, res) => {
+  const secret = String((req.body && req.body.secret) || "");
+  if (!verifyLoginSecret(secret)) {
+    // slow down guessing
+    await new Promise((r) => setTimeout(r, 1000));
+    return res.status(401).json({ error: "wrong token or password" });
   }
+  endSession(req, res);
+  startSession(req, res);
+  res.json({ ok: true });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  res.json({ ok: true, wasLoggedIn: endSession(req, res) });
+});
+
+app.get("/api/auth/status", (req, res) => {
+  res.json({ loggedIn: !!getSession(req), password: !!process.env.AUTH_PASSWORD });
+});
 
-  res.sendFile(filePath);
+app.use("/assets", express.static(path.join(__dirname, "assets")));
+const imagesStatics = new Map(); // dir -> express.static
+app.use("/images", (req, res, next) => {
+  const dir = doginalsImagesDir();
+  if (!imagesStatics.has(dir)) imagesStatics.set(dir, express.static(dir));
+  imagesStatics.get(dir)(req, res, next);
 });
 
-app.use(
-  "/content",
-  express.static(CONTENT_DIR, {
-    setHeaders: (res) => {
-      res.setHeader("Cross-Origin-Resource-Policy", "same-origin");
-    },
-  })
-);
+// decoded content is served from its own origin (scripts/content-origin.js);
+// old /content, /r/ and model-viewer links on this origin just bounce over there
+function redirectToContentOrigin(req, res) {
+  res.redirect(302, `${req.protocol}://${req.hostname}:${CONTENT_PORT}${req.originalUrl}`);
+}
+
+app.get("/content/*", redirectToContentOrigin);
+app.get("/r/*", redirectToContentOrigin);
+app.get("/assets-page/model-viewer.html", redirectToContentOrigin);
 
 app.use("/assets-page", express.static(path.join(__dirname, "assets-page")));
 
@@ -197,6 +360,12 @@ function utxoKey(txid, vout) {
   return `${txid}:${vout}`;
 }
 
+// doginals.js tags UTXOs on sync: inscribed === true carries an inscription,
+// null means it couldn't be traced. Neither is safe to spend as plain DOGE.
+function isSpendableUtxo(u) {
+  return !!u && u.inscribed !== true && u.inscribed !== null;
+}
+
 function normalizeWalletUtxos(wallet) {
   // returns array of { txid, vout, satoshis, confirmations?, key }
   const out = [];
@@ -205,6 +374,7 @@ function normalizeWalletUtxos(wallet) {
   const seen = new Set();
   for (const u of wallet.utxos) {
     if (!u || !u.txid || typeof u.vout === "undefined") continue;
+    if (!isSpendableUtxo(u)) continue;
     const key = utxoKey(u.txid, u.vout);
     if (seen.has(key)) continue;
     seen.add(key);
@@ -271,10 +441,17 @@ function makeId() {
 
 // ---------- DOGINALS / WALLET HELPERS ----------
 
+// wallets (and their logs) belong to the active node profile
+function getDoginalsWalletsDir() {
+  const dir = profileDataDir('wallets');
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
 // wallet dir + .wallet.json resolving
 function getDoginalsWalletDir(label) {
   const safe = (label || '').trim().replace(/[^a-zA-Z0-9_-]/g, '_') || 'wallet1';
-  const dir = path.join(DOGINALS_WALLETS_DIR, safe);
+  const dir = path.join(getDoginalsWalletsDir(), safe);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   return dir;
 }
@@ -293,50 +470,136 @@ function readDoginalsWallet(label) {
   }
 }
 
-function runDoginals(args, { walletLabel, onStdoutChunk, onStderrChunk } = {}) {
-  return new Promise((resolve, reject) => {
-    const env = { ...process.env };
-    if (walletLabel) {
-      env.WALLET = getDoginalsWalletPath(walletLabel);
-    }
+// HD wallets (see scripts/doginals.js) also own every derived address
+function isDoginalsWalletAddress(wallet, address) {
+  if (!wallet || !address) return false;
+  return (
+    wallet.address === address ||
+    (Array.isArray(wallet.addresses) && wallet.addresses.some((a) => a.address === address))
+  );
+}
 
-    const child = spawn(process.execPath, [DOGINALS_SCRIPT, ...args], {
-      cwd: path.join(__dirname, 'scripts'),
-      env,
-    });
+// ---------- WALLET UNLOCK SESSIONS ----------
+// Wallet files keep the key (an HD wallet's mnemonic) encrypted
+// (scripts/wallet-crypto.js). Unlocking decrypts it into this map only;
+// it never goes back to disk. Each spend
+// pushes the expiry out again, so a running batch stays unlocked while it
+// works and an idle wallet locks itself.
 
-    let stdout = '';
-    let stderr = '';
+const WALLET_UNLOCK_DEFAULT_MIN = 15;
+const WALLET_UNLOCK_MAX_MIN = 12 * 60;
 
-    child.stdout.on('data', (d) => {
-      const s = d.toString();
-      stdout += s;
-      if (onStdoutChunk) {
-        onStdoutChunk(s);
-      }
-    });
+const walletSessions = new Map(); // label -> { secret, minutes, expiresAt }
 
-    child.stderr.on('data', (d) => {
-      const s = d.toString();
-      stderr += s;
-      if (onStderrChunk) {
-        onStderrChunk(s);
-      }
-    });
+function walletSessionKey(label) {
+  return path.basename(getDoginalsWalletDir(label));
+}
 
-    child.on('error', (err) => reject(err));
+function unlockWallet(label, passphrase, minutes) {
+  const wallet = readDoginalsWallet(label);
+  if (!wallet) throw new Error("Wallet not found");
+  if (!isEncryptedWallet(wallet)) throw new Error("Wallet is not encrypted; set a passphrase first");
 
-    child.on('close', (code) => {
-      if (code !== 0) {
-        const err = new Error(`doginals exited with code ${code}`);
-        err.code = code;
-        err.stdout = stdout;
-        err.stderr = stderr;
-        return reject(err);
-      }
-      resolve({ stdout, stderr });
-    });
-  });
+  const secret = decryptPrivkey(wallet.encrypted, passphrase);
+  const mins = Math.min(
+    Math.max(Math.floor(Number(minutes) || WALLET_UNLOCK_DEFAULT_MIN), 1),
+    WALLET_UNLOCK_MAX_MIN
+  );
+  const session = { secret, minutes: mins, expiresAt: Date.now() + mins * 60000 };
+  walletSessions.set(walletSessionKey(label), session);
+  return session;
+}
+
+function lockWallet(label) {
+  return walletSessions.delete(walletSessionKey(label));
+}
+
+function getWalletSession(label) {
+  const key = walletSessionKey(label);
+  const session = walletSessions.get(key);
+  if (!session) return null;
+  if (Date.now() >= session.expiresAt) {
+    walletSessions.delete(key);
+    return null;
+  }
+  return session;
+}
+
+// drop expired keys even if nobody asks for them again
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, session] of walletSessions) {
+    if (now >= session.expiresAt) walletSessions.delete(key);
+  }
+}, 60000).unref();
+
+// wallet operations still running: a node profile switch waits until there
+// are none, and no new ones start while it's in progress
+let runningDoginals = 0;
+let profileSwitching = false;
+
+/**
+ * Open wallet `walletLabel` with scripts/doginals.js and run fn(wallet) on it.
+ * With `spend` the unlocked session key is handed over (the mnemonic for HD
+ * wallets); a locked (or never encrypted) wallet throws WALLET_LOCKED instead.
+ * Resolves { result, output }: output is what the operation logged, one line
+ * per entry, also passed to onLog as it happens. A failure carries it as
+ * err.output. Writes queue on the wallet's lock (scripts/wallet-lock.js) for
+ * up to lockWaitMs, then fail with WALLET_BUSY.
+ */
+async function withDoginalsWallet(walletLabel, fn, { spend = false, passphrase, onLog, lockWaitMs } = {}) {
+  if (profileSwitching) {
+    const err = new Error('switching node profile, try again in a moment');
+    err.code = 'PROFILE_SWITCHING';
+    throw err;
+  }
+
+  const opts = { passphrase, lockWaitMs };
+  if (spend) {
+    const wallet = readDoginalsWallet(walletLabel);
+    let message = null;
+    if (wallet && !isEncryptedWallet(wallet)) {
+      message = `wallet "${walletLabel}" is not encrypted; set a passphrase before spending from it`;
+    } else if (!getWalletSession(walletLabel)) {
+      message = `wallet "${walletLabel}" is locked; unlock it first`;
+    }
+    if (message) {
+      const err = new Error(message);
+      err.code = "WALLET_LOCKED";
+      throw err;
+    }
+
+    const session = getWalletSession(walletLabel);
+    session.expiresAt = Date.now() + session.minutes * 60000;
+    opts[wallet && wallet.hd ? "mnemonic" : "privkey"] = session.secret;
+  }
+
+  const output = [];
+  opts.log = (line) => {
+    output.push(line);
+    if (onLog) onLog(line);
+  };
+
+  runningDoginals += 1;
+  try {
+    const result = await fn(openWallet(getDoginalsWalletPath(walletLabel), opts));
+    return { result, output };
+  } catch (err) {
+    err.output = output;
+    throw err;
+  } finally {
+    runningDoginals -= 1;
+  }
+}
+
+// how the CLI reports a failure: RPC errors name their method
+function doginalsErrorMessage(err) {
+  return err.method ? `${err.method}: ${err.message}` : err.message;
+}
+
+// wallet sync: rebuilds .wallet.json's UTXO list from the node
+function syncDoginalsWallet(walletLabel, opts) {
+  return withDoginalsWallet(walletLabel, (w) => w.sync(), opts);
 }
 
 /**
@@ -421,6 +684,8 @@ function parseDoginalsLogText(logText) {
     let type = "other";
     if (upper.startsWith("DRC20 MINT")) type = "drc20-mint";
     else if (upper.startsWith("DRC20 DEPLOY")) type = "drc20-deploy";
+    else if (upper.startsWith("DRC20 TRANSFER")) type = "drc20-transfer";
+    else if (upper.startsWith("AIRDROP")) type = "airdrop";
     else if (upper.startsWith("CREATED WALLET")) type = "wallet-created";
     else if (upper.startsWith("WALLET SPLIT")) type = "wallet-split";
     else if (upper.startsWith("DOGINALS FILE MINT")) type = "doginals-file-mint";
@@ -488,7 +753,7 @@ function getWalletLogEntries(label) {
 // multer storage for doginals file uploads
 const doginalsStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, DOGINALS_IMAGES_DIR);
+    cb(null, doginalsImagesDir());
   },
   filename: (req, file, cb) => {
     // keep original name so ordering via naming scheme works
@@ -498,74 +763,40 @@ const doginalsStorage = multer.diskStorage({
 
 const doginalsUpload = multer({ storage: doginalsStorage });
 
-// -------------------------------------------
-// GENESIS TXID FINDER (PORTED FROM PY LOGIC)
-// -------------------------------------------
-
-async function rpcCall(method, params) {
-  const body = {
-      jsonrpc: "1.0",
-      id: "doginals-genesis",
-      method,
-      params
-  };
-
-  const auth = {
-      username: process.env.NODE_RPC_USER,
-      password: process.env.NODE_RPC_PASS || ""
-  };
-
-  const res = await axios.post(process.env.NODE_RPC_URL, body, { auth });
-  if (res.data.error) throw new Error(res.data.error.message);
-  return res.data.result;
-}
-
-async function findGenesisTxid(startTxid) {
-  let current = startTxid;
-  const visited = new Set();
-
-  while (true) {
-      if (visited.has(current)) throw new Error("Cycle detected");
-      visited.add(current);
-
-      const tx = await rpcCall("getrawtransaction", [current, true]);
-      const vin = tx.vin || [];
-      const vout = tx.vout || [];
-      const isCoinbase = vin.some(v => v.coinbase);
-
-      // Genesis condition
-      if (vin.length === 1 && vout.length === 2 && !isCoinbase) {
-          return current;
-      }
-
-      if (!vin.length || isCoinbase) {
-          throw new Error("Chain ended without finding genesis");
-      }
-
-      // Follow smallest input
-      let smallest = Infinity;
-      let nextTx = null;
-
-      for (const input of vin) {
-          if (!input.txid) continue;
-          const prevTx = await rpcCall("getrawtransaction", [input.txid, true]);
-          const amount = prevTx.vout[input.vout].value;
-          if (amount < smallest) {
-              smallest = amount;
-              nextTx = input.txid;
-          }
-      }
-
-      if (!nextTx) throw new Error("No valid previous tx found");
+// A doginals mint is a chain: the commit, then reveals that each spend the
+// previous hop's P2SH output as input 0. The inscription is the first reveal,
+// the one whose scriptSig opens with the "ord" push. `pendingHex` are raw txs
+// that may not be on chain yet (pending-txs.json); the walk starts at the last
+// of them and goes back through input 0.
+// -> the decoded txs from the inscription reveal to the end, or null
+async function findInscriptionChain(pendingHex) {
+  const known = new Map();
+  for (const hex of pendingHex) {
+    const tx = await callDogecoinRpc("decoderawtransaction", [hex]);
+    known.set(tx.txid, tx);
+  }
 
-      current = nextTx;
+  const chain = [];
+  let current = [...known.keys()].pop();
+  for (let hop = 0; current && hop < 10000; hop++) {
+    const tx = known.get(current) || (await callDogecoinRpc("getrawtransaction", [current, true]));
+    chain.unshift(tx);
+    const input = (tx.vin || [])[0];
+    const scriptSig = input && !input.coinbase && input.scriptSig;
+    if (!scriptSig) return null;
+    // 03 6f7264: push of "ord"
+    if (String(scriptSig.hex || "").startsWith("036f7264")) return chain;
+    // a plain <sig> <pubkey> spend: we left the P2SH hops without finding it
+    if (String(scriptSig.asm || "").split(" ").length <= 2) return null;
+    current = input.txid;
   }
+  return null;
 }
 
 function loadMasterSafe() {
   try {
-    if (!fs.existsSync(MASTER_PATH)) return {};
-    const raw = fs.readFileSync(MASTER_PATH, "utf8");
+    if (!fs.existsSync(getMasterPath())) return {};
+    const raw = fs.readFileSync(getMasterPath(), "utf8");
     if (!raw.trim()) return {};
     return JSON.parse(raw);
   } catch (e) {
@@ -574,29 +805,47 @@ function loadMasterSafe() {
   }
 }
 
+// master.json knows the exact file for <txid>iN; fall back to a dir scan
+function resolveContentFile(idOrTxid) {
+  const entry = loadMasterSafe()[normalizeInscriptionId(idOrTxid)];
+  const filePath =
+    entry && entry.filename ? path.join(getContentDir(), path.basename(entry.filename)) : null;
+  if (filePath && fs.existsSync(filePath)) return filePath;
+  return findContentFile(idOrTxid);
+}
+
 function normalizeBaseTxid(idOrTxid) {
   const clean = String(idOrTxid || "").trim();
   return clean.replace(/i\d+$/i, "");
 }
 
-app.get("/api/inscription/:id", async (req, res) => {
+// "<txid>" / "<txid>iN" -> "<txid>iN" (bare txid means i0)
+function normalizeInscriptionId(idOrTxid) {
+  const clean = String(idOrTxid || "").trim().toLowerCase();
+  const m = /^(.*?)i(\d+)$/.exec(clean);
+  return m ? `${m[1]}i${Number(m[2])}` : `${clean}i0`;
+}
+
+// GET, but it decodes and writes under content/: CSRF-checked like a POST
+app.get("/api/inscription/:id", requireCsrf, async (req, res) => {
   const rawId = decodeURIComponent(req.params.id || "");
   const baseTxid = normalizeBaseTxid(rawId);
-  const progressKey = baseTxid;
+  // progress is tracked per inscription id so i0 / i1 of one chain don't mix
+  const progressKey = normalizeInscriptionId(rawId);
 
   if (!baseTxid || baseTxid.length < 10) {
     return res.status(400).json({ error: "Invalid txid/inscription id" });
   }
 
   try {
-    const result = await ensureInscriptionDecoded(rawId, { progressKey });
+    const result = await ensureInscriptionDecoded(progressKey, { progressKey });
 
     const master = loadMasterSafe();
     const entry = master[result.inscriptionId] || {};
     const filename =
       entry.filename ||
       `${result.inscriptionId}.${(result.mimeType || "bin").split("/")[1] || "bin"}`;
-    const filePath = path.join(CONTENT_DIR, filename);
+    const filePath = path.join(getContentDir(), filename);
 
     let size = entry.size;
     if (!size && fs.existsSync(filePath)) {
@@ -626,16 +875,111 @@ app.get("/api/inscription/:id", async (req, res) => {
   } catch (err) {
     console.error("Error in /api/inscription:", err);
     const msg = err && err.message ? err.message : "Unknown error";
-    return res.status(500).json({ error: msg });
+    // the reveal chain has no such envelope
+    const status = err && err.code === "INSCRIPTION_NOT_FOUND" ? 404 : 500;
+    return res.status(status).json({ error: msg });
+  }
+});
+
+// GET /api/inscription/:id/owner
+// Follow the inscription's postage output forward to its current holder,
+// through the spent-outpoint index only and within OWNER_LOOKUP_MAX_CALLS node
+// calls: a spend the index hasn't reached answers status "not-indexed", a
+// walk that runs out of calls "limit", each with the last holder found.
+const OWNER_LOOKUP_MAX_CALLS = 100;
+
+app.get("/api/inscription/:id/owner", async (req, res) => {
+  const rawId = decodeURIComponent(req.params.id || "");
+  const baseTxid = normalizeBaseTxid(rawId);
+
+  if (!/^[0-9a-fA-F]{64}$/.test(baseTxid)) {
+    return res.status(400).json({ ok: false, error: "Invalid txid/inscription id" });
+  }
+
+  try {
+    const owner = await trackInscriptionOwner(normalizeInscriptionId(rawId), {
+      indexOnly: true,
+      maxCalls: OWNER_LOOKUP_MAX_CALLS,
+    });
+    res.json({ ok: true, ...owner });
+  } catch (err) {
+    console.error("Error in /api/inscription/:id/owner:", err);
+    res.status(500).json({ ok: false, error: err.message || "Unknown error" });
+  }
+});
+
+// GET /api/spent-index/status
+// How far the local spent-outpoint index (used by the decoder) has got.
+app.get("/api/spent-index/status", (req, res) => {
+  try {
+    res.json({ ok: true, enabled: isSpentIndexEnabled(), ...getSpentIndexStatus() });
+  } catch (err) {
+    console.error("Error in /api/spent-index/status:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// SPENT_INDEX=off disables the background spent-outpoint indexer
+function isSpentIndexEnabled() {
+  const v = String(process.env.SPENT_INDEX || "").trim().toLowerCase();
+  return !["off", "0", "false", "no"].includes(v);
+}
+
+// GET /api/inscriptions?page=1&limit=50&type=image/&undecoded=1
+// Inscriptions found by the background indexer, newest number first.
+// `decoded` tells whether the content is already in the local cache.
+app.get("/api/inscriptions", (req, res) => {
+  try {
+    const master = loadMasterSafe();
+    const decodedIds = new Set(Object.keys(master));
+    const undecoded = ["1", "true", "yes"].includes(String(req.query.undecoded || ""));
+
+    const result = listInscriptions({
+      page: req.query.page,
+      limit: req.query.limit,
+      contentType: req.query.type,
+      exclude: undecoded ? decodedIds : null,
+    });
+
+    result.items = result.items.map((r) => ({
+      ...r,
+      decoded: decodedIds.has(r.id),
+    }));
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("Error in /api/inscriptions:", err);
+    res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-const RAWDATA_DIR = path.join(CONTENT_DIR, "rawdata");
+app.get("/api/inscriptions/status", (req, res) => {
+  try {
+    res.json({ ok: true, enabled: isInscriptionIndexEnabled(), ...getInscriptionIndexStatus() });
+  } catch (err) {
+    console.error("Error in /api/inscriptions/status:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/inscriptions/number/:n", (req, res) => {
+  const rec = getInscriptionByNumber(req.params.n);
+  if (!rec) return res.status(404).json({ ok: false, error: "Inscription number not indexed" });
+  res.json({ ok: true, ...rec });
+});
+
+// INSCRIPTION_INDEX=off disables the background inscription indexer
+function isInscriptionIndexEnabled() {
+  const v = String(process.env.INSCRIPTION_INDEX || "").trim().toLowerCase();
+  return !["off", "0", "false", "no"].includes(v);
+}
+
+const rawdataDir = () => path.join(getContentDir(), "rawdata");
 const INSPECT_SCRIPT = path.join(ROOT, "scripts", "inspect.js");
 
 function ensureRawdataDir() {
-  if (!fs.existsSync(RAWDATA_DIR)) {
-    fs.mkdirSync(RAWDATA_DIR, { recursive: true });
+  if (!fs.existsSync(rawdataDir())) {
+    fs.mkdirSync(rawdataDir(), { recursive: true });
   }
 }
 
@@ -650,7 +994,7 @@ app.get("/api/inspect/:id", async (req, res) => {
   }
 
   ensureRawdataDir();
-  const cachePath = path.join(RAWDATA_DIR, `${baseTxid}.txt`);
+  const cachePath = path.join(rawdataDir(), `${baseTxid}.txt`);
 
   if (fs.existsSync(cachePath)) {
     try {
@@ -706,9 +1050,9 @@ app.get("/api/inspect/:id", async (req, res) => {
 app.get("/api/progress/:id", (req, res) => {
   const rawId = decodeURIComponent(req.params.id || "");
   const baseTxid = normalizeBaseTxid(rawId);
-  const key = baseTxid;
+  const key = normalizeInscriptionId(rawId);
 
-  if (!key || key.length < 10) {
+  if (!baseTxid || baseTxid.length < 10) {
     res.writeHead(400, {
       "Content-Type": "text/event-stream",
       "Cache-Control": "no-cache",
@@ -785,7 +1129,7 @@ app.get("/api/doginals/list", (req, res) => {
       let filePath = null;
 
       if (filename) {
-        filePath = path.join(CONTENT_DIR, filename);
+        filePath = path.join(getContentDir(), filename);
         if (!fs.existsSync(filePath)) {
           filePath = null;
         }
@@ -841,14 +1185,11 @@ app.get("/api/doginals/list", (req, res) => {
   }
 });
 
-app.get('/api/doginals/wallets', async (req, res) => {
+// GET, but it syncs every wallet: CSRF-checked like a POST
+app.get('/api/doginals/wallets', requireCsrf, async (req, res) => {
   try {
-    if (!fs.existsSync(DOGINALS_WALLETS_DIR)) {
-      fs.mkdirSync(DOGINALS_WALLETS_DIR, { recursive: true });
-    }
-
     const dirs = fs
-      .readdirSync(DOGINALS_WALLETS_DIR, { withFileTypes: true })
+      .readdirSync(getDoginalsWalletsDir(), { withFileTypes: true })
       .filter((d) => d.isDirectory());
 
       const wallets = [];
@@ -856,11 +1197,14 @@ app.get('/api/doginals/wallets', async (req, res) => {
       for (const d of dirs) {
         const label = d.name;
   
-        // 1) always sync wallet against the node on each load
+        // 1) always sync wallet against the node on each load, unless a
+        // mint or sync holds it right now: then list it as it is
+        let busy = false;
         try {
-          await runDoginals(['wallet', 'sync'], { walletLabel: label });
+          await syncDoginalsWallet(label, { lockWaitMs: 0 });
         } catch (e) {
-          console.warn('wallet sync failed for', label, e.message);
+          busy = e.code === 'WALLET_BUSY';
+          if (!busy) console.warn('wallet sync failed for', label, e.message);
         }
   
         // 2) read the .wallet.json that doginals actually uses
@@ -868,6 +1212,7 @@ app.get('/api/doginals/wallets', async (req, res) => {
   
         let balance = null;
         let utxoCount = 0;  // NEW: track distinct UTXOs
+        let inscriptionCount = 0;
   
         if (w && Array.isArray(w.utxos) && w.utxos.length) {
           const seen = new Set();
@@ -878,15 +1223,21 @@ app.get('/api/doginals/wallets', async (req, res) => {
             const key = `${u.txid}:${u.vout}`;
             if (seen.has(key)) continue;        // de-dupe any duplicates
             seen.add(key);
+
+            // inscribed UTXOs aren't spendable balance
+            if (u.inscribed === true) inscriptionCount++;
+            if (!isSpendableUtxo(u)) continue;
+            utxoCount++;
   
             const s = Number(u.satoshis || 0);
             if (Number.isFinite(s)) totalSats += s;
           }
   
           balance = totalSats / 1e8;            // convert to DOGE
-          utxoCount = seen.size;                // NEW: unique UTXO count
         }
   
+        const session = w ? getWalletSession(label) : null;
+
         wallets.push({
           label,
           address: (w && w.address) || null,
@@ -894,6 +1245,11 @@ app.get('/api/doginals/wallets', async (req, res) => {
           balance,
           unconfirmed: null, // we don't track this per wallet.json right now
           utxoCount,         // NEW: expose to frontend
+          inscriptionCount,
+          hd: !!(w && w.hd),
+          encrypted: isEncryptedWallet(w),
+          unlockedUntil: session ? new Date(session.expiresAt).toISOString() : null,
+          busy,
         });
       }
   
@@ -993,7 +1349,7 @@ app.get("/api/doginals/wallets/:label/log/entry/:id", (req, res) => {
       });
     }
 
-    const full = path.join(DOGINALS_JSON_DIR, base);
+    const full = path.join(doginalsJsonDir(), base);
     if (!fs.existsSync(full)) {
       return res.json({
         ...basePayload,
@@ -1042,7 +1398,7 @@ app.get('/api/doginals/json/:file', (req, res) => {
       return res.status(400).json({ error: 'Invalid filename' });
     }
 
-    const full = path.join(DOGINALS_JSON_DIR, file);
+    const full = path.join(doginalsJsonDir(), file);
     if (!fs.existsSync(full)) {
       return res.status(404).json({ error: 'File not found' });
     }
@@ -1055,30 +1411,6 @@ app.get('/api/doginals/json/:file', (req, res) => {
 });
 
 
-const http = require("http");
-const https = require("https");
-
-// Raw env values
-const NODE_RPC_URL  = process.env.NODE_RPC_URL  || "http://127.0.0.1:22555";
-const NODE_RPC_USER = process.env.NODE_RPC_USER || "";
-const NODE_RPC_PASS = process.env.NODE_RPC_PASS || "";
-
-// Parse URL to get host/port/protocol, and optional user:pass if present
-const rpcUrl = new URL(NODE_RPC_URL);
-
-const DOGE_RPC_HOST = rpcUrl.hostname;
-const DOGE_RPC_PORT = parseInt(
-  rpcUrl.port || (rpcUrl.protocol === "https:" ? 443 : 80),
-  10
-);
-
-// Final credentials: env values win, fallback to URL-embedded creds if any
-const DOGE_RPC_USER = NODE_RPC_USER || rpcUrl.username || "";
-const DOGE_RPC_PASSWORD = NODE_RPC_PASS || rpcUrl.password || "";
-
-// Choose http vs https module based on URL
-const rpcHttp = rpcUrl.protocol === "https:" ? https : http;
-
 /**
  * Try to interpret a string as number / boolean / JSON / or leave as string.
  * This lets you type 1, true, ["addr1","addr2"] in the UI and they become
@@ -1111,64 +1443,6 @@ function smartParseArg(raw) {
   return v;
 }
 
-/**
- * Low-level JSON-RPC call to dogecoind using NODE_RPC_* config.
- */
-function callDogecoinRpc(method, params = []) {
-  return new Promise((resolve, reject) => {
-    const payload = JSON.stringify({
-      jsonrpc: "1.0",
-      id: "dev-cli",
-      method,
-      params,
-    });
-
-    const options = {
-      hostname: DOGE_RPC_HOST,
-      port: DOGE_RPC_PORT,
-      path: "/",
-      method: "POST",
-      auth: `${DOGE_RPC_USER}:${DOGE_RPC_PASSWORD}`,
-      headers: {
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(payload),
-      },
-    };
-
-    const req = rpcHttp.request(options, (resp) => {
-      let data = "";
-
-      resp.on("data", (chunk) => {
-        data += chunk.toString("utf8");
-      });
-
-      resp.on("end", () => {
-        try {
-          const json = JSON.parse(data);
-
-          if (json.error) {
-            const err = new Error(json.error.message || "RPC error");
-            err.code = json.error.code;
-            err.data = json.error;
-            return reject(err);
-          }
-
-          resolve(json.result);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-
-    req.on("error", (err) => {
-      reject(err);
-    });
-
-    req.write(payload);
-    req.end();
-  });
-}
-
 async function waitForTxConfirmation(txid, sendLog) {
   const intervalMs = 30000; // 30s
   // eslint-disable-next-line no-constant-condition
@@ -1252,7 +1526,68 @@ app.post("/api/dev/cli/run", async (req, res) => {
   }
 });
 
+// ---- Node wallet UTXOs, labelled, with server-side filtering / paging ----
+
+// listunspent with each output's wallet label (one batched lookup per address)
+async function listLabelledUtxos() {
+  const unspent = (await callDogecoinRpc('listunspent', [0, 9999999, []])) || [];
+  const labels = await resolveAddressLabels(unspent.map((u) => u.address));
+  return unspent.map((u) => ({
+    txid: u.txid,
+    vout: u.vout,
+    address: u.address,
+    amount: u.amount,
+    confirmations: u.confirmations,
+    label: labels.get(u.address) || 'default',
+  }));
+}
+
+// ?label=&address=&minAmount=&maxAmount=&minConf=&maxConf=
+function filterUtxos(utxos, query) {
+  const num = (v) => (v === undefined || v === '' ? NaN : Number(v));
+  const minAmount = num(query.minAmount);
+  const maxAmount = num(query.maxAmount);
+  const minConf = num(query.minConf);
+  const maxConf = num(query.maxConf);
+
+  return utxos.filter((u) => {
+    if (query.label !== undefined && query.label !== '' && u.label !== String(query.label)) return false;
+    if (query.address && u.address !== String(query.address)) return false;
+    const amount = Number(u.amount || 0);
+    if (Number.isFinite(minAmount) && amount < minAmount) return false;
+    if (Number.isFinite(maxAmount) && amount > maxAmount) return false;
+    const conf = Number(u.confirmations || 0);
+    if (Number.isFinite(minConf) && conf < minConf) return false;
+    if (Number.isFinite(maxConf) && conf > maxConf) return false;
+    return true;
+  });
+}
+
+// ?sort=amount|-amount|confirmations|-confirmations&page=1&limit=100
+// Without `limit` everything comes back (what the pages used to get).
+function pageUtxos(utxos, query) {
+  const sort = String(query.sort || '');
+  const key = sort.replace(/^-/, '');
+  if (key === 'amount' || key === 'confirmations') {
+    const dir = sort.startsWith('-') ? -1 : 1;
+    utxos = utxos.slice().sort((a, b) => dir * (Number(a[key] || 0) - Number(b[key] || 0)));
+  }
+
+  const total = utxos.length;
+  const totalAmount = Number(utxos.reduce((sum, u) => sum + Number(u.amount || 0), 0).toFixed(8));
+  if (query.limit === undefined || query.limit === '') {
+    return { utxos, total, totalAmount, page: 1, limit: total };
+  }
+
+  const limit = Math.max(1, Math.min(5000, Number(query.limit) || 100));
+  const page = Math.max(1, Number(query.page) || 1);
+  const start = (page - 1) * limit;
+  return { utxos: utxos.slice(start, start + limit), total, totalAmount, page, limit };
+}
+
 // ---- Node overview / status ----
+// Same UTXO filters as /api/wallet/utxos narrow the per-label wallet totals;
+// with `limit` the matching page of UTXOs comes back as `utxos` too.
 app.get('/api/node/status', async (req, res) => {
   try {
     const [
@@ -1266,7 +1601,7 @@ app.get('/api/node/status', async (req, res) => {
       callDogecoinRpc('getnetworkinfo', []),
       callDogecoinRpc('getmempoolinfo', []),
       callDogecoinRpc('getrawmempool', [true]),     // verbose mempool
-      callDogecoinRpc('listunspent', [0, 9999999, []]),
+      listLabelledUtxos(),
     ]);
 
     // Pending TXs from verbose mempool
@@ -1288,20 +1623,9 @@ app.get('/api/node/status', async (req, res) => {
     // Build "wallets" by grouping UTXOs by label
     const walletsMap = new Map();
 
-    for (const u of unspent) {
-      let label = 'default';
-      try {
-        if (u.address) {
-          const info = await callDogecoinRpc('getaddressinfo', [u.address]);
-          if (info && typeof info.label === 'string' && info.label.length > 0) {
-            label = info.label;
-          }
-        }
-      } catch (_) {
-        // ignore label lookup errors, fall back to "default"
-      }
-
-      const key = label;
+    const matching = filterUtxos(unspent, req.query);
+    for (const u of matching) {
+      const key = u.label;
       if (!walletsMap.has(key)) {
         walletsMap.set(key, {
           name: key,
@@ -1324,14 +1648,23 @@ app.get('/api/node/status', async (req, res) => {
       typeof networkInfo.connections === 'number' &&
       networkInfo.connections > 0;
 
-    res.json({
+    const profile = getActiveProfile();
+    const out = {
       connected,
+      profile: { name: profile.name, network: profile.network },
+      rpcCredentials: describeRpcCredentials(),
       blockchainInfo,
       networkInfo,
       mempoolInfo,
       pendingTxs,
       wallets,
-    });
+    };
+    if (req.query.limit !== undefined) {
+      const paged = pageUtxos(matching, req.query);
+      out.utxos = paged.utxos;
+      out.utxoPage = { total: paged.total, page: paged.page, limit: paged.limit };
+    }
+    res.json(out);
   } catch (err) {
     console.error('Error in /api/node/status:', err);
     res.status(500).json({
@@ -1357,35 +1690,11 @@ app.get('/api/node/history', async (req, res) => {
 });
 
 // ---- Wallet UTXOs (with labels) ----
+// GET /api/wallet/utxos?label=&address=&minAmount=&minConf=&sort=-amount&page=1&limit=100
 app.get('/api/wallet/utxos', async (req, res) => {
   try {
-    const unspent = await callDogecoinRpc('listunspent', [0, 9999999, []]);
-
-    const utxos = [];
-    for (const u of unspent) {
-      let label = 'default';
-      try {
-        if (u.address) {
-          const info = await callDogecoinRpc('getaddressinfo', [u.address]);
-          if (info && typeof info.label === 'string' && info.label.length > 0) {
-            label = info.label;
-          }
-        }
-      } catch (_) {
-        // ignore labeling issues
-      }
-
-      utxos.push({
-        txid: u.txid,
-        vout: u.vout,
-        address: u.address,
-        amount: u.amount,
-        confirmations: u.confirmations,
-        label,
-      });
-    }
-
-    res.json({ utxos });
+    const utxos = filterUtxos(await listLabelledUtxos(), req.query);
+    res.json(pageUtxos(utxos, req.query));
   } catch (err) {
     console.error('Error in /api/wallet/utxos:', err);
     res.status(500).json({
@@ -1417,7 +1726,10 @@ app.post('/api/wallet/import-privkey', async (req, res) => {
       args.push(rescan);
     }
 
-    await callDogecoinRpc('importprivkey', args);
+    // a rescan can take much longer than the usual RPC timeout
+    await callDogecoinRpc('importprivkey', args, { timeoutMs: rescan === false ? undefined : 0 });
+    // the key's address may already be listed under another label
+    invalidateAddressLabels();
 
     res.json({ ok: true });
   } catch (err) {
@@ -1428,20 +1740,28 @@ app.post('/api/wallet/import-privkey', async (req, res) => {
     });
   }
 });
-// ---- Load current RPC config (for UI) ----
+// ---- RPC latency per method since startup (scripts/rpc.js) ----
+app.get('/api/dev/rpc-metrics', (req, res) => {
+  res.json(getRpcMetrics());
+});
+
+// ---- Load current RPC config (for UI): the active node profile ----
 app.get('/api/dev/rpc-config', (req, res) => {
   try {
-    const url = process.env.NODE_RPC_URL || 'http://127.0.0.1:22555';
-    const user = process.env.NODE_RPC_USER || '';
-    const testnetRaw = process.env.TESTNET;
-    const feePerKbRaw = process.env.FEE_PER_KB;
+    const profile = getActiveProfile();
 
     // we return simple values; client can decide how to display
     res.json({
-      url,
-      user,
-      testnet: testnetRaw === undefined ? '' : testnetRaw,
-      feePerKb: feePerKbRaw === undefined ? '' : Number(feePerKbRaw) || ''
+      profile: profile.name,
+      network: profile.network,
+      url: profile.url || 'http://127.0.0.1:22555',
+      user: profile.user || '',
+      testnet: profile.network === 'mainnet' ? 'false' : 'true',
+      feePerKb: profile.feePerKb || '',
+      auth: profile.auth || 'password',
+      conf: profile.conf || '',
+      datadir: profile.datadir || '',
+      credentials: describeRpcCredentials(),
     });
   } catch (err) {
     console.error('Error in GET /api/dev/rpc-config:', err);
@@ -1670,9 +1990,10 @@ app.post('/api/wallet/send', async (req, res) => {
 });
 
 
-// ---- Save RPC settings into .env and update process.env ----
+// ---- Save RPC settings into the active node profile ----
+// (the default profile is .env; see scripts/profiles.js)
 app.post('/api/dev/rpc-config/save', async (req, res) => {
-  const { url, user, pass, testnet, feePerKb } = req.body || {};
+  const { url, user, pass, testnet, network, feePerKb, auth, conf, datadir } = req.body || {};
 
   // If nothing was provided, bail out
   if (
@@ -1680,94 +2001,230 @@ app.post('/api/dev/rpc-config/save', async (req, res) => {
     user === undefined &&
     pass === undefined &&
     testnet === undefined &&
-    feePerKb === undefined
+    network === undefined &&
+    feePerKb === undefined &&
+    auth === undefined &&
+    conf === undefined &&
+    datadir === undefined
   ) {
     return res.status(400).json({ error: 'No fields provided to update' });
   }
 
-  try {
-    let envText = '';
-    if (fs.existsSync(ENV_PATH)) {
-      envText = fs.readFileSync(ENV_PATH, 'utf8');
-    }
-
-    // helper to upsert KEY=VALUE in .env text, but only if value is not undefined
-    function upsertEnvVar(content, key, value) {
-      if (value === undefined) return content; // leave as-is
-      const line = `${key}=${value ?? ''}`;
-      const re = new RegExp(`^${key}=.*$`, 'm');
-      if (re.test(content)) {
-        return content.replace(re, line);
-      }
-      if (content.trim().length === 0) {
-        return line + '\n';
-      }
-      if (!content.endsWith('\n')) {
-        return content + '\n' + line + '\n';
-      }
-      return content + line + '\n';
-    }
-
-    envText = upsertEnvVar(envText, 'NODE_RPC_URL', url);
-    envText = upsertEnvVar(envText, 'NODE_RPC_USER', user);
-    envText = upsertEnvVar(envText, 'NODE_RPC_PASS', pass);
-    envText = upsertEnvVar(envText, 'TESTNET', testnet);
-    envText = upsertEnvVar(
-      envText,
-      'FEE_PER_KB',
-      feePerKb === undefined ? undefined : String(feePerKb)
-    );
-
-    fs.writeFileSync(ENV_PATH, envText, 'utf8');
-
-    // update in-memory env so new calls use it immediately
-    if (url !== undefined) process.env.NODE_RPC_URL = url;
-    if (user !== undefined) process.env.NODE_RPC_USER = user || '';
-    if (pass !== undefined) process.env.NODE_RPC_PASS = pass || '';
-    if (testnet !== undefined) process.env.TESTNET = testnet;
-    if (feePerKb !== undefined) process.env.FEE_PER_KB = String(feePerKb);
+  const active = getActiveProfile();
+  // older clients send TESTNET=true/false; keep regtest when it's already that
+  let nextNetwork = network;
+  if (nextNetwork === undefined && testnet !== undefined && testnet !== '') {
+    nextNetwork = String(testnet) === 'true'
+      ? (active.network === 'mainnet' ? 'testnet' : active.network)
+      : 'mainnet';
+  }
 
-    res.json({ ok: true });
+  try {
+    const profile = saveProfile(active.name, {
+      url, user, pass, network: nextNetwork, feePerKb, auth, conf, datadir,
+    });
+    res.json({ ok: true, profile, credentials: describeRpcCredentials() });
   } catch (err) {
     console.error('Error saving RPC config:', err);
-    res.status(500).json({
+    res.status(400).json({
       error: 'Failed to save RPC config',
       message: err.message,
     });
   }
 });
 
+// ---------------- NODE PROFILES ----------------
+// Named node settings (network, RPC URL / credentials, fee rate), switched
+// at runtime. Each profile has its own wallets, content and index dirs.
 
-// ---- Transaction status / details ----
-app.post('/api/tx/check', async (req, res) => {
-  const { txid } = req.body || {};
-  if (!txid || typeof txid !== 'string') {
-    return res.status(400).json({ error: 'txid is required' });
+let stopIndexers = [];
+
+// All enabled indexes walk the chain together (scripts/block-walker.js): each
+// block is fetched once however many of them need it. INDEX_POLL_MS is how
+// often they look for new blocks once at the tip.
+function startIndexers() {
+  const indexes = [];
+
+  // keep the spent-outpoint index at the node tip (decoder falls back to
+  // block scanning for any heights it hasn't reached yet)
+  if (isSpentIndexEnabled()) {
+    indexes.push({ name: "spent-index", sync: syncSpentIndex, status: getSpentIndexStatus });
   }
 
-  try {
-    // Wallet-view of the transaction (includes confirmations, details, etc.)
-    const tx = await callDogecoinRpc('gettransaction', [txid, true]);
-    res.json({ tx });
-  } catch (err) {
-    console.error('Error in /api/tx/check:', err);
-    res.status(500).json({
-      error: 'RPC error',
-      message: err.message,
-    });
+  // number new inscriptions as blocks arrive (explorer "Indexed" tab)
+  if (isInscriptionIndexEnabled()) {
+    indexes.push({ name: "inscription-index", sync: syncInscriptionIndex, status: getInscriptionIndexStatus });
   }
-});
 
-// POST /api/doginals/wallets/new
-// Body: { label?: string }
+  // replay DRC-20 deploy / mint / transfer inscriptions into balances
+  if (isDrc20LedgerEnabled()) {
+    indexes.push({ name: "drc20-ledger", sync: syncDrc20Ledger, status: getDrc20LedgerStatus });
+  }
+
+  if (!indexes.length) return;
+  const intervalMs = Number(process.env.INDEX_POLL_MS) || 60000;
+  stopIndexers.push(startBlockWalker(callDogecoinRpc, indexes, { intervalMs }));
+}
+
+onProfileChange(async (profile) => {
+  // let a sync batch in progress finish writing to the old profile's index
+  for (const stop of stopIndexers) stop();
+  stopIndexers = [];
+  await Promise.all([whenSpentIndexIdle(), whenInscriptionIndexIdle(), whenDrc20LedgerIdle()]);
+
+  useProfileDataDirs();
+  // unlocked keys belong to the old profile's wallets
+  walletSessions.clear();
+  invalidateAddressLabels();
+  startIndexers();
+  console.log(`[profiles] switched to "${profile.name}" (${profile.network})`);
+});
+
+app.get('/api/node/profiles', (req, res) => {
+  // credentials: where the active profile's login comes from, conf warnings
+  res.json({ ...listProfiles(), credentials: describeRpcCredentials() });
+});
+
+// Body: { name, network?, url?, user?, pass?, feePerKb?, auth?, conf?, datadir? }
+// (empty pass keeps the stored one; auth "conf" / "cookie" reads the login
+// from dogecoin.conf / the datadir cookie, see scripts/rpc-credentials.js)
+app.post('/api/node/profiles', (req, res) => {
+  const { name, network, url, user, pass, feePerKb, auth, conf, datadir } = req.body || {};
+  try {
+    const profile = saveProfile(name, { network, url, user, pass, feePerKb, auth, conf, datadir });
+    res.json({ ok: true, profile });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/node/profiles/:name/activate', async (req, res) => {
+  if (profileSwitching) {
+    return res.status(409).json({ error: 'a profile switch is already in progress' });
+  }
+  if (runningDoginals > 0) {
+    return res.status(409).json({
+      error: `${runningDoginals} doginals command(s) still running; switch when they finish`,
+    });
+  }
+  if (hasActiveJobs()) {
+    return res.status(409).json({ error: 'background jobs still running; cancel them or wait (see /api/jobs)' });
+  }
+
+  profileSwitching = true;
+  try {
+    await activateProfile(req.params.name);
+    res.json({ ok: true, ...listProfiles() });
+  } catch (err) {
+    if (/^unknown profile/.test(err.message)) return res.status(404).json({ error: err.message });
+    console.error('Error switching node profile:', err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    profileSwitching = false;
+  }
+});
+
+app.delete('/api/node/profiles/:name', (req, res) => {
+  try {
+    if (!deleteProfile(req.params.name)) {
+      return res.status(404).json({ error: `unknown profile ${req.params.name}` });
+    }
+    res.json({ ok: true, ...listProfiles() });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
+// ---------------- BACKGROUND JOBS (scripts/jobs.js) ----------------
+// The mints run as jobs: DRC-20 batches are submitted with POST /api/jobs, the
+// inscription routes answer with the job's SSE stream (streamJob). Either way
+// a dropped connection only loses the subscriber.
+
+function streamJob(res, type, params) {
+  const job = submitJob(type, params);
+  subscribeJob(job.id, res);
+}
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: listJobs() });
+});
+
+// Body: { type, params } -> { job }; then follow /api/jobs/:id/stream
+app.post('/api/jobs', (req, res) => {
+  const { type, params } = req.body || {};
+  try {
+    res.json({ job: submitJob(String(type || ''), params && typeof params === 'object' ? params : {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'unknown job' });
+  res.json({ job });
+});
+
+// replays what the job wrote so far, then follows it live
+app.get('/api/jobs/:id/stream', (req, res) => {
+  if (!subscribeJob(req.params.id, res)) res.status(404).json({ error: 'unknown job' });
+});
+
+app.delete('/api/jobs/:id/subscribers/:subscriberId', (req, res) => {
+  if (!unsubscribeJob(req.params.id, req.params.subscriberId)) {
+    return res.status(404).json({ error: 'unknown subscriber' });
+  }
+  res.json({ ok: true });
+});
+
+const JOB_ACTIONS = { pause: pauseJob, resume: resumeJob, cancel: cancelJob };
+
+app.post('/api/jobs/:id/:action(pause|resume|cancel)', (req, res) => {
+  const { job, status, error } = JOB_ACTIONS[req.params.action](req.params.id);
+  if (error) return res.status(status).json({ error });
+  res.json({ ok: true, job });
+});
+
+// ---- Transaction status / details ----
+app.post('/api/tx/check', async (req, res) => {
+  const { txid } = req.body || {};
+  if (!txid || typeof txid !== 'string') {
+    return res.status(400).json({ error: 'txid is required' });
+  }
+
+  try {
+    // Wallet-view of the transaction (includes confirmations, details, etc.)
+    const tx = await callDogecoinRpc('gettransaction', [txid, true]);
+    res.json({ tx });
+  } catch (err) {
+    console.error('Error in /api/tx/check:', err);
+    res.status(500).json({
+      error: 'RPC error',
+      message: err.message,
+    });
+  }
+});
+
+// POST /api/doginals/wallets/new
+// Body: { label?: string, passphrase: string, hd?: boolean }
+// HD wallets answer with their mnemonic; this is the only time it is shown.
 app.post('/api/doginals/wallets/new', async (req, res) => {
   try {
     const rawLabel = (req.body && req.body.label) || '';
+    const passphrase = String((req.body && req.body.passphrase) || '');
+    const hd = !!(req.body && req.body.hd);
     let label = rawLabel.trim();
 
+    if (passphrase.length < MIN_PASSPHRASE_LEN) {
+      return res.status(400).json({
+        error: `passphrase must be at least ${MIN_PASSPHRASE_LEN} characters`,
+      });
+    }
+
     if (label) {
       label = label.replace(/[^a-zA-Z0-9_-]/g, '_');
-      const dir = path.join(DOGINALS_WALLETS_DIR, label);
+      const dir = path.join(getDoginalsWalletsDir(), label);
       if (fs.existsSync(dir)) {
         return res.status(400).json({ error: 'Wallet already exists for that label' });
       }
@@ -1777,7 +2234,7 @@ app.post('/api/doginals/wallets/new', async (req, res) => {
       let n = 1;
       while (true) {
         const candidate = `wallet${n}`;
-        const dir = path.join(DOGINALS_WALLETS_DIR, candidate);
+        const dir = path.join(getDoginalsWalletsDir(), candidate);
         if (!fs.existsSync(dir)) {
           label = candidate;
           fs.mkdirSync(dir, { recursive: true });
@@ -1789,8 +2246,12 @@ app.post('/api/doginals/wallets/new', async (req, res) => {
 
     const walletPath = getDoginalsWalletPath(label);
 
-    // run "node doginals.js wallet new" with WALLET pointing at this path
-    const result = await runDoginals(['wallet', 'new'], { walletLabel: label });
+    // the passphrase makes doginals write the key encrypted; the mnemonic
+    // only comes back in the result, never in the wallet log or cliOutput
+    const { result: created, output } = await withDoginalsWallet(label, (w) => w.create({ hd }), {
+      passphrase,
+    });
+    const cliOutput = output.join('\n');
 
     if (!fs.existsSync(walletPath)) {
       throw new Error('Wallet file was not created');
@@ -1799,14 +2260,16 @@ app.post('/api/doginals/wallets/new', async (req, res) => {
     const wallet = readDoginalsWallet(label);
     if (!wallet) throw new Error('Failed to read new wallet');
 
-    // auto-import to dogecoin node, NO rescan (empty wallet)
+    // auto-import to dogecoin node as watch-only, NO rescan (empty wallet).
+    // The node only needs the address to list UTXOs; the key stays encrypted.
     let importInfo;
     try {
-      const rpcResult = await callDogecoinRpc('importprivkey', [
-        wallet.privkey,
+      const rpcResult = await callDogecoinRpc('importaddress', [
+        wallet.address,
         label,
         false,
       ]);
+      invalidateAddressLabels([wallet.address]);
       importInfo = { ok: true, rpcResult };
     } catch (err) {
       console.error('Auto-import error for new wallet', err);
@@ -1815,15 +2278,17 @@ app.post('/api/doginals/wallets/new', async (req, res) => {
 
     appendWalletLog(
       label,
-      `Created wallet ${label} address=${wallet.address}\nCLI:\n${result.stdout}`
+      `Created ${wallet.hd ? 'HD ' : ''}wallet ${label} address=${wallet.address}\nCLI:\n${cliOutput}`
     );
 
     res.json({
       ok: true,
       label,
       address: wallet.address,
-      privkey: wallet.privkey,
-      cliOutput: result.stdout,
+      encrypted: isEncryptedWallet(wallet),
+      hd: !!wallet.hd,
+      mnemonic: created.mnemonic,
+      cliOutput,
       import: importInfo,
     });
   } catch (err) {
@@ -1835,6 +2300,77 @@ app.post('/api/doginals/wallets/new', async (req, res) => {
   }
 });
 
+// POST /api/doginals/wallets/unlock
+// Body: { label, passphrase, minutes? }  (key held in memory, see walletSessions)
+app.post('/api/doginals/wallets/unlock', (req, res) => {
+  try {
+    const label = String((req.body && req.body.label) || '').trim();
+    const passphrase = String((req.body && req.body.passphrase) || '');
+    if (!label) return res.status(400).json({ error: 'label required' });
+    if (!readDoginalsWallet(label)) return res.status(404).json({ error: 'Wallet not found' });
+
+    let session;
+    try {
+      session = unlockWallet(label, passphrase, req.body && req.body.minutes);
+    } catch (e) {
+      return res.status(e.message === 'wrong passphrase' ? 401 : 400).json({ error: e.message });
+    }
+
+    appendWalletLog(label, `wallet unlocked for ${session.minutes} min`);
+    res.json({ ok: true, label, expiresAt: new Date(session.expiresAt).toISOString() });
+  } catch (err) {
+    console.error('Error in /api/doginals/wallets/unlock:', err);
+    res.status(500).json({ error: 'Failed to unlock wallet', message: err.message });
+  }
+});
+
+// POST /api/doginals/wallets/lock
+// Body: { label }
+app.post('/api/doginals/wallets/lock', (req, res) => {
+  const label = String((req.body && req.body.label) || '').trim();
+  if (!label) return res.status(400).json({ error: 'label required' });
+  res.json({ ok: true, label, wasUnlocked: lockWallet(label) });
+});
+
+// POST /api/doginals/wallets/encrypt  (migrate a plaintext wallet)
+// Body: { label, passphrase }
+app.post('/api/doginals/wallets/encrypt', async (req, res) => {
+  try {
+    const label = String((req.body && req.body.label) || '').trim();
+    const passphrase = String((req.body && req.body.passphrase) || '');
+    if (!label) return res.status(400).json({ error: 'label required' });
+
+    // read and rewritten under the wallet's lock: a sync mid-way would
+    // otherwise put the plaintext key back
+    const walletPath = getDoginalsWalletPath(label);
+    const outcome = await withWalletLock(walletPath, () => {
+      const wallet = readDoginalsWallet(label);
+      if (!wallet) return { status: 404, error: 'Wallet not found' };
+
+      let encrypted;
+      try {
+        encrypted = encryptWallet(wallet, passphrase);
+      } catch (e) {
+        return { status: 400, error: e.message };
+      }
+
+      atomicWriteJson(walletPath, encrypted);
+      return { wallet };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+
+    const { wallet } = outcome;
+    appendWalletLog(label, `wallet encrypted address=${wallet.address}`);
+    res.json({ ok: true, label, address: wallet.address });
+  } catch (err) {
+    if (err.code === 'WALLET_BUSY') {
+      return res.status(409).json({ error: 'Wallet is busy', message: err.message });
+    }
+    console.error('Error in /api/doginals/wallets/encrypt:', err);
+    res.status(500).json({ error: 'Failed to encrypt wallet', message: err.message });
+  }
+});
+
 // POST /api/doginals/wallets/sync
 // Body: { label }
 app.post('/api/doginals/wallets/sync', async (req, res) => {
@@ -1845,19 +2381,23 @@ app.post('/api/doginals/wallets/sync', async (req, res) => {
     const w = readDoginalsWallet(label);
     if (!w) return res.status(404).json({ error: 'Wallet not found' });
 
-    const result = await runDoginals(['wallet', 'sync'], { walletLabel: label });
+    const { output } = await syncDoginalsWallet(label);
     const updatedWallet = readDoginalsWallet(label);
+    const stdout = output.join('\n');
 
-    appendWalletLog(label, `wallet sync\n${result.stdout}`);
+    appendWalletLog(label, `wallet sync\n${stdout}`);
 
     res.json({
       ok: true,
       label,
-      stdout: result.stdout,
+      stdout,
       utxos: (updatedWallet && updatedWallet.utxos) || [],
       address: updatedWallet && updatedWallet.address,
     });
   } catch (err) {
+    if (err.code === 'WALLET_BUSY') {
+      return res.status(409).json({ error: 'Wallet is busy', message: err.message });
+    }
     console.error('Error in /api/doginals/wallets/sync:', err);
     res.status(500).json({ error: 'Failed to sync wallet', message: err.message });
   }
@@ -1880,24 +2420,22 @@ app.post('/api/doginals/wallets/split', async (req, res) => {
 
     splits = Math.floor(splits);
 
-    const result = await runDoginals(['wallet', 'split', String(splits)], {
-      walletLabel: label,
+    const { result, output } = await withDoginalsWallet(label, (w) => w.split(splits), {
+      spend: true,
     });
-
-    // pull last 64-hex as txid (best-effort)
-    const match = result.stdout.match(/[0-9a-fA-F]{64}/g);
-    const txid = match ? match[match.length - 1] : null;
+    const { txid } = result;
+    const stdout = output.join('\n');
 
     const updatedWallet = readDoginalsWallet(label);
 
-    appendWalletLog(label, `wallet split ${splits}\n${result.stdout}`);
+    appendWalletLog(label, `wallet split ${splits}\n${stdout}`);
 
     res.json({
       ok: true,
       label,
       splits,
       txid,
-      stdout: result.stdout,
+      stdout,
       utxos: (updatedWallet && updatedWallet.utxos) || [],
     });
   } catch (err) {
@@ -1910,19 +2448,6 @@ app.post('/api/doginals/wallets/split', async (req, res) => {
 
 const DRC20_BATCH_SIZE = 12;
 
-// extract inscription txids from doginals stdout
-function parseInscriptionTxids(stdout) {
-  const txids = [];
-  if (!stdout) return txids;
-  const re = /inscription txid:\s*([0-9a-fA-F]{64})/g;
-  let m;
-  while ((m = re.exec(stdout)) !== null) {
-    txids.push(m[1]);
-  }
-  return txids;
-}
-
-
 // returns true once tx has at least 1 confirmation OR is no longer in mempool
 async function isTxConfirmedOrGone(txid) {
   if (!txid) return true;
@@ -1979,6 +2504,519 @@ async function waitForTxChainClear(txid, walletLabel, logFn) {
 }
 
 
+// ---------------- AIRDROP (send inscriptions to a recipient list) ----------------
+//
+// The queue lives in wallets/<label>/airdrop-state.json (loadAirdropState).
+// Item status: pending → sending → sent | failed. Every send pays its fee from
+// state.feeUtxo and the change becomes the next fee UTXO, so one confirmed
+// UTXO >= 1 DOGE funds the whole run. A "sending" item left over from a
+// restart is checked on chain before it is sent again.
+
+const airdropRuns = new Map(); // label -> { stop }
+
+function parseAirdropInscriptionId(id) {
+  const m = /^([0-9a-f]{64})(?:i(\d+))?$/.exec(String(id || '').trim().toLowerCase());
+  return m ? `${m[1]}i${m[2] || 0}` : null;
+}
+
+function airdropSummary(state) {
+  const counts = { pending: 0, sending: 0, sent: 0, failed: 0 };
+  for (const item of state.queue || []) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// biggest confirmed plain UTXO >= 1 DOGE in the doginals wallet
+async function pickAirdropFeeUtxo(label) {
+  const w = readDoginalsWallet(label);
+  const utxos = await attachConfirmationsViaNode(normalizeWalletUtxos(w));
+  return pickFeeUtxo(utxos, 1);
+}
+
+function setAirdropItem(item, status, fields = {}) {
+  Object.assign(item, fields, { status, updatedAt: new Date().toISOString() });
+  if (status !== 'failed') delete item.error;
+}
+
+// Where an item's inscription is now, in trackInscriptionOwner's shape. The
+// outpoint a run last saw it at (item.outpoint) is asked of gettxout first;
+// only when that's spent does it follow the chain, through the spent-outpoint
+// index and within AIRDROP_LOCATE_MAX_CALLS node calls, so a long queue never
+// sends the node scanning blocks while the run holds the wallet.
+const AIRDROP_LOCATE_MAX_CALLS = 200;
+
+async function locateAirdropInscription(item) {
+  if (item.outpoint) {
+    const [txid, vout] = item.outpoint.split(':');
+    const out = await callDogecoinRpc('gettxout', [txid, Number(vout), true]);
+    if (out) {
+      return {
+        status: 'unspent',
+        owner: outputAddress(out),
+        outpoint: item.outpoint,
+        value: Math.round(out.value * 1e8),
+        transfers: [],
+      };
+    }
+  }
+  return trackInscriptionOwner(item.inscriptionId, {
+    indexOnly: true,
+    maxCalls: AIRDROP_LOCATE_MAX_CALLS,
+  });
+}
+
+// GET /api/airdrop/:label  (queue + fee UTXO + counts)
+app.get('/api/airdrop/:label', (req, res) => {
+  try {
+    const label = String(req.params.label || '').trim();
+    if (!readDoginalsWallet(label)) {
+      return res.status(404).json({ ok: false, error: 'Wallet not found' });
+    }
+
+    const state = loadAirdropState(label);
+    res.json({
+      ok: true,
+      label,
+      running: airdropRuns.has(label),
+      feeUtxo: state.feeUtxo,
+      summary: airdropSummary(state),
+      queue: state.queue,
+    });
+  } catch (err) {
+    console.error('Error in /api/airdrop/:label:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/airdrop/:label/load
+// Body: { items: [{ inscriptionId, toAddress }] } or { text: "<id> <address>\n..." },
+//       replace?: true to drop the current queue first
+app.post('/api/airdrop/:label/load', async (req, res) => {
+  try {
+    const label = String(req.params.label || '').trim();
+    if (!readDoginalsWallet(label)) {
+      return res.status(404).json({ ok: false, error: 'Wallet not found' });
+    }
+    if (airdropRuns.has(label)) {
+      return res.status(409).json({ ok: false, error: 'Airdrop is running; stop it first' });
+    }
+
+    const { items, text, replace } = req.body || {};
+    let rows = [];
+    if (Array.isArray(items)) {
+      rows = items.map((it) => [it && it.inscriptionId, it && it.toAddress]);
+    } else if (typeof text === 'string') {
+      rows = text
+        .split(/\r?\n/)
+        .map((l) => l.trim())
+        .filter((l) => l && !l.startsWith('#'))
+        .map((l) => l.split(/[\s,;]+/));
+    }
+    if (!rows.length) {
+      return res.status(400).json({ ok: false, error: 'items or text is required' });
+    }
+
+    const state = loadAirdropState(label);
+    if (replace) state.queue = [];
+
+    // an inscription can only be queued once unless its earlier try failed
+    const queued = new Set(
+      state.queue.filter((q) => q.status !== 'failed').map((q) => q.inscriptionId)
+    );
+    const validAddress = new Map();
+    const added = [];
+    const rejected = [];
+
+    for (const [rawId, rawAddress] of rows) {
+      const inscriptionId = parseAirdropInscriptionId(rawId);
+      const toAddress = String(rawAddress || '').trim();
+      const line = `${rawId || ''} ${toAddress}`.trim();
+
+      if (!inscriptionId) {
+        rejected.push({ line, error: 'invalid inscription id' });
+        continue;
+      }
+      if (queued.has(inscriptionId)) {
+        rejected.push({ line, error: 'already queued' });
+        continue;
+      }
+
+      if (!validAddress.has(toAddress)) {
+        let ok = false;
+        if (toAddress) {
+          const check = await callDogecoinRpc('validateaddress', [toAddress]);
+          ok = !!(check && check.isvalid);
+        }
+        validAddress.set(toAddress, ok);
+      }
+      if (!validAddress.get(toAddress)) {
+        rejected.push({ line, error: 'invalid address' });
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      const item = {
+        id: makeId(),
+        inscriptionId,
+        toAddress,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+      };
+      state.queue.push(item);
+      queued.add(inscriptionId);
+      added.push(item);
+    }
+
+    saveAirdropState(label, state);
+    res.json({ ok: true, added: added.length, rejected, summary: airdropSummary(state) });
+  } catch (err) {
+    console.error('Error in /api/airdrop/:label/load:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/airdrop/:label/retry  (failed → pending)
+app.post('/api/airdrop/:label/retry', (req, res) => {
+  try {
+    const label = String(req.params.label || '').trim();
+    if (airdropRuns.has(label)) {
+      return res.status(409).json({ ok: false, error: 'Airdrop is running; stop it first' });
+    }
+
+    const state = loadAirdropState(label);
+    let retried = 0;
+    for (const item of state.queue) {
+      if (item.status !== 'failed') continue;
+      setAirdropItem(item, 'pending');
+      retried++;
+    }
+    saveAirdropState(label, state);
+    res.json({ ok: true, retried, summary: airdropSummary(state) });
+  } catch (err) {
+    console.error('Error in /api/airdrop/:label/retry:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/airdrop/:label/clear
+// Body: { all?: true }  (default: drop sent items only)
+app.post('/api/airdrop/:label/clear', (req, res) => {
+  try {
+    const label = String(req.params.label || '').trim();
+    if (airdropRuns.has(label)) {
+      return res.status(409).json({ ok: false, error: 'Airdrop is running; stop it first' });
+    }
+
+    const all = !!(req.body && req.body.all);
+    const state = loadAirdropState(label);
+    const before = state.queue.length;
+    state.queue = all ? [] : state.queue.filter((q) => q.status !== 'sent');
+    saveAirdropState(label, state);
+    res.json({ ok: true, removed: before - state.queue.length, summary: airdropSummary(state) });
+  } catch (err) {
+    console.error('Error in /api/airdrop/:label/clear:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/airdrop/:label/stop  (finishes the item in flight, then stops)
+app.post('/api/airdrop/:label/stop', (req, res) => {
+  const label = String(req.params.label || '').trim();
+  const run = airdropRuns.get(label);
+  if (run) run.stop = true;
+  res.json({ ok: true, running: !!run });
+});
+
+// POST /api/airdrop/:label/stream
+// Works through pending items. SSE events: log, item, done, airdropError.
+// Keeps going if the page is closed; use /stop to halt. POST (it spends), so
+// it needs the CSRF token like every other state change.
+app.post('/api/airdrop/:label/stream', async (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const walletLabel = String(req.params.label || '').trim();
+  const startedAtIso = new Date().toISOString();
+  const transcript = [];
+
+  // res, not req: a POST's req closes as soon as its body has been read
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const sendLog = (line) => {
+    const s = String(line || '').trimEnd();
+    if (!s) return;
+    transcript.push(s);
+    if (!clientGone) sseEvent(res, 'log', { line: s });
+  };
+
+  const wallet = readDoginalsWallet(walletLabel);
+  if (!wallet) {
+    sseEvent(res, 'airdropError', { message: 'wallet not found' });
+    return res.end();
+  }
+  if (airdropRuns.has(walletLabel)) {
+    sseEvent(res, 'airdropError', { message: 'an airdrop is already running for this wallet' });
+    return res.end();
+  }
+
+  const run = { stop: false };
+  airdropRuns.set(walletLabel, run);
+
+  const state = loadAirdropState(walletLabel);
+  const emitItem = (item) => {
+    saveAirdropState(walletLabel, state);
+    if (!clientGone) sseEvent(res, 'item', { item, summary: airdropSummary(state) });
+  };
+
+  let stopReason = null;
+
+  try {
+    await syncDoginalsWallet(walletLabel);
+
+    const fee = state.feeUtxo;
+    const stillThere =
+      fee &&
+      (readDoginalsWallet(walletLabel).utxos || []).some(
+        (u) => u.txid === fee.txid && u.vout === fee.vout && isSpendableUtxo(u)
+      );
+    if (!stillThere) {
+      state.feeUtxo = await pickAirdropFeeUtxo(walletLabel);
+      saveAirdropState(walletLabel, state);
+    }
+    if (!state.feeUtxo) {
+      throw new Error('no confirmed plain UTXO of at least 1 DOGE to pay fees from');
+    }
+    sendLog(`[server] fee UTXO: ${state.feeUtxo.key || utxoKey(state.feeUtxo.txid, state.feeUtxo.vout)}`);
+
+    const todo = state.queue.filter((q) => q.status === 'pending' || q.status === 'sending');
+    sendLog(`[server] ${todo.length} inscription(s) to send`);
+
+    for (const item of todo) {
+      if (run.stop) {
+        stopReason = 'stopped';
+        break;
+      }
+
+      const resumed = item.status === 'sending';
+      setAirdropItem(item, 'sending');
+      emitItem(item);
+
+      // where is the inscription now?
+      let where;
+      try {
+        where = await locateAirdropInscription(item);
+      } catch (e) {
+        setAirdropItem(item, 'failed', { error: `could not locate inscription: ${e.message}` });
+        emitItem(item);
+        continue;
+      }
+
+      if (where.status === 'unspent' && where.owner === item.toAddress && !isDoginalsWalletAddress(wallet, where.owner)) {
+        // sent before a restart, we just never got to record it
+        const last = where.transfers[where.transfers.length - 1];
+        setAirdropItem(item, 'sent', { txid: item.txid || (last && last.txid) || null });
+        sendLog(`[server] ${item.inscriptionId} already held by ${item.toAddress}`);
+        emitItem(item);
+        continue;
+      }
+      if (where.status !== 'unspent') {
+        const errors = {
+          'not-indexed': `its last move isn't in the spent-outpoint index yet${resumed ? ' (possibly our own send before a restart)' : ''}; retry once it has caught up`,
+          limit: `too many transfers to follow within ${AIRDROP_LOCATE_MAX_CALLS} node calls`,
+        };
+        setAirdropItem(item, 'failed', {
+          error: errors[where.status] || `inscription is ${where.status}`,
+        });
+        emitItem(item);
+        continue;
+      }
+
+      const held = (readDoginalsWallet(walletLabel).utxos || []).some(
+        (u) => utxoKey(u.txid, u.vout) === where.outpoint
+      );
+      if (!held) {
+        setAirdropItem(item, 'failed', {
+          error: `held by ${where.owner || 'unknown'} at ${where.outpoint}, not this wallet`,
+        });
+        emitItem(item);
+        continue;
+      }
+      // a restart checks this outpoint first
+      setAirdropItem(item, 'sending', { outpoint: where.outpoint });
+      emitItem(item);
+
+      // send it, paying the fee from the fee UTXO
+      let sendTxid = null;
+      for (let attempt = 1; attempt <= 3 && !sendTxid; attempt++) {
+        const feeKey = utxoKey(state.feeUtxo.txid, state.feeUtxo.vout);
+        try {
+          const { result } = await withDoginalsWallet(
+            walletLabel,
+            (w) => w.sendUtxo(where.outpoint, item.toAddress, feeKey),
+            { spend: true, onLog: sendLog }
+          );
+          sendTxid = result.txid;
+        } catch (e) {
+          const out = e.message || '';
+          if (out.includes('too-long-mempool-chain')) {
+            await waitForTxChainClear(state.feeUtxo.txid, walletLabel, sendLog);
+            await syncDoginalsWallet(walletLabel);
+          } else if (e.code === 'INSUFFICIENT_FUNDS' || /fee utxo not found/.test(out)) {
+            await syncDoginalsWallet(walletLabel);
+            state.feeUtxo = await pickAirdropFeeUtxo(walletLabel);
+            if (!state.feeUtxo) {
+              stopReason = 'out of fee funds';
+              break;
+            }
+            sendLog(`[server] switched fee UTXO to ${state.feeUtxo.key}`);
+          } else {
+            setAirdropItem(item, 'failed', { error: doginalsErrorMessage(e) });
+            break;
+          }
+        }
+      }
+
+      if (stopReason) {
+        // nothing was sent for this item: leave it for the next run
+        setAirdropItem(item, 'pending');
+        emitItem(item);
+        break;
+      }
+      if (!sendTxid) {
+        if (item.status !== 'failed') setAirdropItem(item, 'failed', { error: 'send failed after 3 attempts' });
+        emitItem(item);
+        continue;
+      }
+
+      setAirdropItem(item, 'sent', { txid: sendTxid });
+      sendLog(`[server] sent ${item.inscriptionId} to ${item.toAddress} in ${sendTxid}`);
+
+      // change (output 1) pays for the next send while it's big enough
+      const change = (readDoginalsWallet(walletLabel).utxos || []).find(
+        (u) => u.txid === sendTxid && u.vout === 1 && isSpendableUtxo(u)
+      );
+      if (change && change.satoshis >= 1e8) {
+        state.feeUtxo = {
+          txid: change.txid,
+          vout: change.vout,
+          satoshis: change.satoshis,
+          doge: change.satoshis / 1e8,
+          confirmations: 0,
+          key: utxoKey(change.txid, change.vout),
+        };
+      } else {
+        state.feeUtxo = await pickAirdropFeeUtxo(walletLabel);
+        if (!state.feeUtxo) stopReason = 'out of fee funds';
+      }
+      emitItem(item);
+      if (stopReason) break;
+    }
+
+    const summary = airdropSummary(state);
+    sendLog(
+      `[server] airdrop ${stopReason || 'finished'}: ${summary.sent} sent, ${summary.failed} failed, ${summary.pending} pending`
+    );
+    appendWalletLog(
+      walletLabel,
+      [
+        `AIRDROP ${stopReason || 'finished'} sent=${summary.sent} failed=${summary.failed} pending=${summary.pending}`,
+        `startedAt=${startedAtIso}`,
+        `finishedAt=${new Date().toISOString()}`,
+        ...transcript,
+      ].join('\n')
+    );
+    if (!clientGone) sseEvent(res, 'done', { stopped: stopReason, summary });
+  } catch (err) {
+    console.error('Error in /api/airdrop/:label/stream:', err);
+    const message = doginalsErrorMessage(err) || 'airdrop failed';
+    sendLog(`[server] error: ${message}`);
+    appendWalletLog(walletLabel, [`AIRDROP error`, `startedAt=${startedAtIso}`, ...transcript].join('\n'));
+    if (!clientGone) sseEvent(res, 'airdropError', { message, summary: airdropSummary(state) });
+  } finally {
+    saveAirdropState(walletLabel, state);
+    airdropRuns.delete(walletLabel);
+    res.end();
+  }
+});
+
+
+// ---------------- DRC-20 ledger (read-only) ----------------
+
+// GET /api/drc20/tokens
+app.get('/api/drc20/tokens', (req, res) => {
+  try {
+    res.json({ ok: true, height: getDrc20LedgerStatus().height, tokens: listTokens() });
+  } catch (err) {
+    console.error('Error in /api/drc20/tokens:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/drc20/tokens/:tick?page=1&limit=50  (token + holders, largest first)
+app.get('/api/drc20/tokens/:tick', (req, res) => {
+  try {
+    const token = getToken(req.params.tick, {
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    if (!token) {
+      return res.status(404).json({ ok: false, error: 'Ticker not deployed' });
+    }
+    res.json({ ok: true, ...token });
+  } catch (err) {
+    console.error('Error in /api/drc20/tokens/:tick:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/drc20/balances/:address
+app.get('/api/drc20/balances/:address', (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    res.json({ ok: true, address, balances: getAddressBalances(address) });
+  } catch (err) {
+    console.error('Error in /api/drc20/balances/:address:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/drc20/inscription/:id  (was this deploy / mint / transfer valid?)
+app.get('/api/drc20/inscription/:id', (req, res) => {
+  try {
+    const events = getInscriptionEvents(req.params.id);
+    if (!events.length) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Not a DRC-20 inscription, or not processed by the ledger yet',
+      });
+    }
+    res.json({ ok: true, events });
+  } catch (err) {
+    console.error('Error in /api/drc20/inscription/:id:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/drc20/status
+app.get('/api/drc20/status', (req, res) => {
+  res.json({ ok: true, enabled: isDrc20LedgerEnabled(), ...getDrc20LedgerStatus() });
+});
+
+// DRC20_INDEX=off disables the background DRC-20 ledger
+function isDrc20LedgerEnabled() {
+  const v = String(process.env.DRC20_INDEX || '').trim().toLowerCase();
+  return !['off', '0', 'false', 'no'].includes(v);
+}
+
+
 // POST /api/drc20/deploy
 // Body: { label, ticker, max, limit, address? }
 app.post('/api/drc20/deploy', async (req, res) => {
@@ -2011,13 +3049,16 @@ app.post('/api/drc20/deploy', async (req, res) => {
 
     const deployAddress = (address || '').trim() || w.address;
 
-    const args = ['drc-20', 'deploy', deployAddress, tick, maxStr, limStr];
-
-    const result = await runDoginals(args, { walletLabel });
+    const { result, output } = await withDoginalsWallet(
+      walletLabel,
+      (wallet) => wallet.drc20Deploy(deployAddress, tick, maxStr, limStr),
+      { spend: true }
+    );
+    const stdout = output.join('\n');
 
     // sync wallet.json after deploy so balances / utxos are fresh
     try {
-      await runDoginals(['wallet', 'sync'], { walletLabel });
+      await syncDoginalsWallet(walletLabel);
     } catch (e) {
       console.warn(
         'post-deploy wallet sync failed for',
@@ -2026,16 +3067,11 @@ app.post('/api/drc20/deploy', async (req, res) => {
       );
     }
 
-    const txids = [];
-    const re = /inscription txid:\s*([0-9a-fA-F]{64})/g;
-    let m;
-    while ((m = re.exec(result.stdout)) !== null) {
-      txids.push(m[1]);
-    }
+    const txids = result.inscriptionTxid ? [result.inscriptionTxid] : [];
 
     appendWalletLog(
       walletLabel,
-      `DRC20 DEPLOY ${tick} max=${maxStr} lim=${limStr} addr=${deployAddress}\n${result.stdout}`
+      `DRC20 DEPLOY ${tick} max=${maxStr} lim=${limStr} addr=${deployAddress}\n${stdout}`
     );
 
     res.json({
@@ -2043,18 +3079,177 @@ app.post('/api/drc20/deploy', async (req, res) => {
       label: walletLabel,
       ticker: tick,
       txids,
-      stdout: result.stdout,
-      stderr: result.stderr,
+      stdout,
     });
   } catch (err) {
     console.error('Error in /api/drc20/deploy:', err);
     res.status(500).json({
       ok: false,
       error: 'Deploy failed',
-      message: err.message,
-      stdout: err.stdout || '',
-      stderr: err.stderr || '',
+      message: doginalsErrorMessage(err),
+      stdout: (err.output || []).join('\n'),
+    });
+  }
+});
+
+
+// POST /api/drc20/transfer-stream  Body: { label, ticker, amount, to }
+// SSE. Inscribes a DRC-20 transfer to the wallet's own address, waits for the
+// reveal to confirm, then sends the inscription UTXO (postage intact, fee paid
+// from other UTXOs) to `to`.
+// Events: log { line }, stage { stage }, done { inscriptionId, inscriptionTxid, sendTxid }, transferError { message }
+app.post('/api/drc20/transfer-stream', async (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const { label, ticker, amount, to } = req.body || {};
+  const walletLabel = String(label || '').trim();
+  const tick = String(ticker || '').trim();
+  const amtStr = String(amount || '').trim();
+  const recipient = String(to || '').trim();
+
+  const startedAtIso = new Date().toISOString();
+  const transcript = [];
+  let inscriptionTxid = null;
+  let sendTxid = null;
+
+  // once the transfer is inscribed we finish even if the page goes away:
+  // stopping half way leaves the balance stuck as "transferable"
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const sendLog = (line) => {
+    const s = String(line || '').trimEnd();
+    if (!s) return;
+    transcript.push(s);
+    if (!clientGone) sseEvent(res, 'log', { line: s });
+  };
+  const sendStage = (stage) => {
+    sendLog(`[server] stage: ${stage}`);
+    if (!clientGone) sseEvent(res, 'stage', { stage });
+  };
+
+  const finish = (status, payloadEvent, payload) => {
+    appendWalletLog(
+      walletLabel,
+      [
+        `DRC20 TRANSFER ${tick} amount=${amtStr} to=${recipient}`,
+        `status=${status}`,
+        `startedAt=${startedAtIso}`,
+        `finishedAt=${new Date().toISOString()}`,
+        `inscriptionTxid=${inscriptionTxid || 'null'}`,
+        `sendTxid=${sendTxid || 'null'}`,
+        ...transcript,
+      ].join('\n')
+    );
+    if (!clientGone) sseEvent(res, payloadEvent, payload);
+    res.end();
+  };
+
+  const fail = (message) => {
+    sendLog(`[server] error: ${message}`);
+    finish('error', 'transferError', { message, inscriptionTxid, sendTxid });
+  };
+
+  if (!walletLabel) {
+    sseEvent(res, 'transferError', { message: 'label is required' });
+    return res.end();
+  }
+  const wallet = readDoginalsWallet(walletLabel);
+  if (!wallet) {
+    sseEvent(res, 'transferError', { message: 'wallet not found' });
+    return res.end();
+  }
+  if (!tick || tick.length > 4) {
+    sseEvent(res, 'transferError', { message: 'ticker must be 1–4 characters' });
+    return res.end();
+  }
+  if (!/^\d+(\.\d+)?$/.test(amtStr)) {
+    sseEvent(res, 'transferError', { message: 'amount must be a positive number' });
+    return res.end();
+  }
+
+  try {
+    const check = await callDogecoinRpc('validateaddress', [recipient]);
+    if (!check || !check.isvalid) {
+      sseEvent(res, 'transferError', { message: 'recipient address is not valid' });
+      return res.end();
+    }
+  } catch (err) {
+    sseEvent(res, 'transferError', { message: `address check failed: ${err.message}` });
+    return res.end();
+  }
+
+  try {
+    // 1) inscribe the transfer to ourselves
+    sendStage('inscribe');
+    await syncDoginalsWallet(walletLabel);
+    const inscribed = await withDoginalsWallet(
+      walletLabel,
+      (w) => w.drc20Transfer(wallet.address, tick, amtStr, 1),
+      { spend: true, onLog: sendLog }
+    );
+    inscriptionTxid = inscribed.result.results[0].inscriptionTxid;
+    sendLog(`[server] transfer inscription: ${inscriptionTxid}i0`);
+
+    // 2) wait for the reveal to confirm so the transfer is valid before it moves
+    sendStage('confirm');
+    const deadline = Date.now() + 60 * 60 * 1000;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      let confirmations = 0;
+      try {
+        const tx = await callDogecoinRpc('getrawtransaction', [inscriptionTxid, true]);
+        confirmations = Number(tx && tx.confirmations) || 0;
+      } catch (_) {
+        // not visible yet – keep polling
+      }
+      if (confirmations > 0) {
+        sendLog(`[server] reveal confirmed (${confirmations} conf).`);
+        break;
+      }
+      if (Date.now() > deadline) {
+        return fail(
+          `reveal not confirmed after 60 min; send it later with: wallet send-utxo ${inscriptionTxid}:0 ${recipient}`
+        );
+      }
+      sendLog('[server] waiting for reveal to confirm, checking again in 15s...');
+      await sleep(15000);
+    }
+
+    // 3) deliver the inscription UTXO
+    sendStage('send');
+    await syncDoginalsWallet(walletLabel);
+    const sent = await withDoginalsWallet(
+      walletLabel,
+      (w) => w.sendUtxo(`${inscriptionTxid}:0`, recipient),
+      { spend: true, onLog: sendLog }
+    );
+    sendTxid = sent.result.txid;
+
+    try {
+      await syncDoginalsWallet(walletLabel);
+    } catch (e) {
+      sendLog(`[server] post-transfer wallet sync failed: ${e.message}`);
+    }
+
+    sendLog(`[server] sent ${inscriptionTxid}i0 to ${recipient} in ${sendTxid}`);
+    finish('ok', 'done', {
+      ticker: tick,
+      amount: amtStr,
+      to: recipient,
+      inscriptionId: `${inscriptionTxid}i0`,
+      inscriptionTxid,
+      sendTxid,
     });
+  } catch (err) {
+    console.error('Error in /api/drc20/transfer-stream:', err);
+    fail(doginalsErrorMessage(err) || 'transfer failed');
   }
 });
 
@@ -2064,7 +3259,6 @@ app.post('/api/drc20/deploy', async (req, res) => {
 app.post("/api/drc20/mint", async (req, res) => {
   const combinedTxids = [];
   let combinedStdout = "";
-  let combinedStderr = "";
 
   try {
     const { label, ticker, amount, count, address } = req.body || {};
@@ -2130,12 +3324,8 @@ app.post("/api/drc20/mint", async (req, res) => {
 
         await waitForTxChainClear(lastTxid, walletLabel, logLine);
 
-        // real wallet sync (no pending-txs.json at this point)
         try {
-          const syncResult = await runDoginals(["wallet", "sync"], {
-            walletLabel,
-          });
-          combinedStdout += syncResult.stdout || "";
+          await syncDoginalsWallet(walletLabel, { onLog: logLine });
         } catch (syncErr) {
           console.warn(
             "pre-batch wallet sync failed for",
@@ -2145,34 +3335,20 @@ app.post("/api/drc20/mint", async (req, res) => {
         }
       }
 
-      const args = [
-        "drc-20",
-        "mint",
-        targetAddress,
-        tick,
-        amtStr,
-        String(batchCount),
-      ];
-
       try {
-        // Normal batch: doginals prints all "Minting... / broadcasting..."
-        const result = await runDoginals(args, { walletLabel });
-        combinedStdout += result.stdout || "";
-        combinedStderr += result.stderr || "";
-
-        const txids = parseInscriptionTxids(result.stdout || "");
-        if (txids.length) {
-          combinedTxids.push(...txids);
-        }
+        // Normal batch: doginals logs all "Minting... / broadcasting..."
+        const { result } = await withDoginalsWallet(
+          walletLabel,
+          (wallet) => wallet.drc20Mint(targetAddress, tick, amtStr, batchCount),
+          { spend: true, onLog: logLine }
+        );
+        combinedTxids.push(...result.results.map((r) => r.inscriptionTxid));
 
         mintedSoFar += batchCount;
 
         // keep wallet.json fresh (includes zero-conf utxos)
         try {
-          const syncResult2 = await runDoginals(["wallet", "sync"], {
-            walletLabel,
-          });
-          combinedStdout += syncResult2.stdout || "";
+          await syncDoginalsWallet(walletLabel, { onLog: logLine });
         } catch (e) {
           console.warn(
             "post-batch wallet sync failed for",
@@ -2181,27 +3357,16 @@ app.post("/api/drc20/mint", async (req, res) => {
           );
         }
       } catch (err) {
-        // We only get here if the entire batch call to doginals failed
-        combinedStdout += err.stdout || "";
-        combinedStderr += err.stderr || "";
-
-        const out = (err.stdout || "") + " " + (err.stderr || "");
-        const isMempoolChain =
-          out.includes("too-long-mempool-chain") ||
-          out.includes("64: too-long-mempool-chain");
-
-        if (!isMempoolChain) {
+        if (!(err instanceof BroadcastError) || !err.mempoolChain) {
           // some other error – bubble it up
           throw err;
         }
 
         // ---- Fallback: mempool chain error *inside* a batch ----
 
-        // txids that succeeded in this partial batch
-        const okTxids = parseInscriptionTxids(err.stdout || "");
-        if (okTxids.length) {
-          combinedTxids.push(...okTxids);
-        }
+        // mints of this batch that went out before the refused one
+        const okTxids = (err.completed || []).map((r) => r.inscriptionTxid);
+        combinedTxids.push(...okTxids);
 
         const lastOkTxid =
           okTxids.length > 0 ? okTxids[okTxids.length - 1] : null;
@@ -2223,41 +3388,27 @@ app.post("/api/drc20/mint", async (req, res) => {
           );
         } else {
           logLine(
-            "[server] Hit mempool chain limit but no inscription txid found; waiting 30s before retrying..."
+            "[server] Hit mempool chain limit; waiting 30s before retrying..."
           );
           await sleep(30000);
         }
 
-        // First wallet sync: this will *only* rebroadcast pending-txs.json
-        // because of doginals.js main() early-return logic.
+        // the refused mint's remaining txs are in pending-txs.json
         try {
-          const rebroadcastResult = await runDoginals(
-            ["wallet", "sync"],
-            { walletLabel }
-          );
-          combinedStdout += rebroadcastResult.stdout || "";
-          combinedStderr += rebroadcastResult.stderr || "";
-
-          const rebroadcastTxids = parseInscriptionTxids(
-            rebroadcastResult.stdout || ""
-          );
-          if (rebroadcastTxids.length) {
-            combinedTxids.push(...rebroadcastTxids);
-          }
+          await withDoginalsWallet(walletLabel, (wallet) => wallet.broadcastPending(), {
+            onLog: logLine,
+          });
+          if (err.inscriptionTxid) combinedTxids.push(err.inscriptionTxid);
         } catch (rebErr) {
-          combinedStdout +=
-            "\n[server] Error while rebroadcasting pending txs via wallet sync: " +
-            (rebErr.message || "") +
-            "\n";
+          logLine(
+            "[server] Error while rebroadcasting pending txs: " +
+              (rebErr.message || "")
+          );
           throw rebErr;
         }
 
-        // Second wallet sync: now really refresh utxos to match node.
         try {
-          const syncResult3 = await runDoginals(["wallet", "sync"], {
-            walletLabel,
-          });
-          combinedStdout += syncResult3.stdout || "";
+          await syncDoginalsWallet(walletLabel, { onLog: logLine });
         } catch (syncErr3) {
           console.warn(
             "wallet sync after pending rebroadcast failed for",
@@ -2266,10 +3417,8 @@ app.post("/api/drc20/mint", async (req, res) => {
           );
         }
 
-        // At this point doginals has built the full batch and
-        // pending-txs.json has been rebroadcast, so we count this batch
-        // as minted and move on.
-        mintedSoFar += batchCount;
+        // the rest of the batch was never built: the next round mints it
+        mintedSoFar += okTxids.length + 1;
       }
     } // end while
 
@@ -2286,16 +3435,14 @@ app.post("/api/drc20/mint", async (req, res) => {
       count: totalRequested,
       txids: combinedTxids,
       stdout: combinedStdout,
-      stderr: combinedStderr,
     });
   } catch (err) {
     console.error("Error in /api/drc20/mint:", err);
     res.status(500).json({
       ok: false,
       error: "Mint failed",
-      message: err.message,
-      stdout: combinedStdout || err.stdout || "",
-      stderr: combinedStderr || err.stderr || "",
+      message: doginalsErrorMessage(err),
+      stdout: combinedStdout,
     });
   }
 });
@@ -2307,6 +3454,7 @@ function getDistinctUtxoKeys(wallet) {
   const seen = new Set();
   for (const u of wallet.utxos) {
     if (!u || !u.txid || typeof u.vout === 'undefined') continue;
+    if (!isSpendableUtxo(u)) continue;
     const key = `${u.txid}:${u.vout}`;
     if (!seen.has(key)) {
       seen.add(key);
@@ -2327,7 +3475,7 @@ function calcWalletBalanceDoge(wallet) {
   let totalSats = 0;
 
   for (const u of wallet.utxos) {
-    if (!u || !u.txid) continue;
+    if (!u || !u.txid || !isSpendableUtxo(u)) continue;
     const key = `${u.txid}:${u.vout}`;
     if (seen.has(key)) continue;
     seen.add(key);
@@ -2347,8 +3495,12 @@ function atomicWriteJson(filePath, dataObj) {
 
 
 // --- DRC-20 streaming mint (waves of 12, mempool-aware, no round UTXO tracking) ---
-// --- DRC-20 streaming mint (waves of 12, mempool-aware, no round UTXO tracking) ---
-app.get('/api/drc20/mint-stream', async (req, res) => {
+// Runs as a background job (scripts/jobs.js): submitted with
+// POST /api/jobs { type: 'drc20-mint', params: { label, ticker, amount, count,
+// address } } and watched through /api/jobs/:id/stream. `req` / `res` are the job's.
+registerJobType('drc20-mint', drc20MintStream);
+
+async function drc20MintStream(req, res) {
   // ----- SSE HEADERS -----
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -2465,10 +3617,8 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
   async function syncWalletOnce() {
     try {
       sendLog(`[server] syncing wallet ${walletLabel}...`);
-      const syncResult = await runDoginals(['wallet', 'sync'], { walletLabel });
-      const firstLine = (syncResult.stdout || '')
-        .split(/\r?\n/)
-        .find((l) => l.trim());
+      const { output } = await syncDoginalsWallet(walletLabel);
+      const firstLine = output.find((l) => l.trim());
       if (firstLine) {
         sendLog(`[wallet-sync] ${firstLine}`);
       }
@@ -2516,110 +3666,69 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
     return null;
   }
 
-  // delete this wallet's pending-txs.json (if any)
+  // delete this wallet's pending-txs.json (if any), under its lock
   async function deletePendingFile() {
-    const walletPath = getDoginalsWalletPath(walletLabel);
-    const pendingPath = path.join(path.dirname(walletPath), 'pending-txs.json');
     try {
-      await fs.promises.unlink(pendingPath);
+      const { result } = await withDoginalsWallet(walletLabel, (w) => w.clearPending());
       sendLog(
-        `[server] deleted pending-txs.json at "${pendingPath}" after chain-limit`
+        result.deleted
+          ? '[server] deleted pending-txs.json after chain-limit'
+          : '[server] pending-txs.json not found (nothing to delete)'
       );
     } catch (err) {
-      if (err && err.code === 'ENOENT') {
-        sendLog(
-          `[server] pending-txs.json not found at "${pendingPath}" (nothing to delete)`
-        );
-      } else {
-        sendLog(
-          `[server] failed to delete pending-txs.json: ${
-            err.message || String(err)
-          }`
-        );
-      }
+      sendLog(
+        `[server] failed to delete pending-txs.json: ${
+          err.message || String(err)
+        }`
+      );
     }
   }
 
   // run a single mint wave of N inscriptions (up to 12)
   async function runMintWave(waveCount) {
-    return new Promise((resolve) => {
-      const args = [
-        'drc-20',
-        'mint',
-        targetAddress,
-        tick,
-        amtStr,
-        String(waveCount),
-      ];
-
-      const env = {
-        ...process.env,
-        WALLET: getDoginalsWalletPath(walletLabel),
-      };
-
-      sendLog(
-        `[server] starting wave of ${waveCount} mints for ${tick} to ${targetAddress}`
-      );
-
-      const child = spawn(process.execPath, [DOGINALS_SCRIPT, ...args], {
-        cwd: path.join(__dirname, 'scripts'),
-        env,
-      });
-
-      let stdoutBuf = '';
-      let stderrBuf = '';
-      const mintedTxids = [];
-
-      child.stdout.on('data', (chunk) => {
-        const text = chunk.toString();
-        stdoutBuf += text;
-
-        for (const line of text.split(/\r?\n/)) {
-          if (!line.trim()) continue;
-          sendLog(line);
-
-          const m = line.match(/inscription txid:\s*([0-9a-fA-F]{64})/);
-          if (m) {
-            mintedTxids.push(m[1]);
-          }
-        }
-      });
+    sendLog(
+      `[server] starting wave of ${waveCount} mints for ${tick} to ${targetAddress}`
+    );
 
-      child.stderr.on('data', (chunk) => {
-        const text = chunk.toString();
-        stderrBuf += text;
-        for (const line of text.split(/\r?\n/)) {
-          if (!line.trim()) continue;
-          sendLog(`[stderr] ${line}`);
-        }
-      });
+    const lines = [];
+    const onLog = (line) => {
+      lines.push(line);
+      sendLog(line);
+    };
 
-      const finish = (code) => {
-        const mergedOut = (stdoutBuf || '') + '\n' + (stderrBuf || '');
-        const isMempoolChain =
-          mergedOut.includes('too-long-mempool-chain') ||
-          mergedOut.includes('64: too-long-mempool-chain');
-
-        resolve({
-          exitCode: code,
-          chainLimit: isMempoolChain,
-          mintedTxids,
-          stdout: stdoutBuf,
-          stderr: stderrBuf,
-        });
+    try {
+      const { result } = await withDoginalsWallet(
+        walletLabel,
+        (w) => w.drc20Mint(targetAddress, tick, amtStr, waveCount),
+        { spend: true, onLog }
+      );
+      return {
+        exitCode: 0,
+        chainLimit: false,
+        mintedTxids: result.results.map((r) => r.inscriptionTxid),
+        stdout: lines.join('\n'),
+        stderr: '',
       };
-
-      child.on('close', (code) => finish(code));
-      child.on('error', () => finish(1));
-    });
+    } catch (err) {
+      const message = doginalsErrorMessage(err);
+      sendLog(`[server] ${message}`);
+      return {
+        exitCode: 1,
+        chainLimit: !!err.mempoolChain,
+        // mints before the failed one went out
+        mintedTxids: (err.completed || []).map((r) => r.inscriptionTxid),
+        stdout: lines.join('\n'),
+        stderr: message,
+      };
+    }
   }
 
   // =========================================================
-  // ✅ NEW: HANDOFF helper → proxy /api/drc20/multi-mint-stream SSE
+  // ✅ NEW: HANDOFF helper → run the multi-mint-stream handler inside this job
   // =========================================================
   async function handoffToMultiMintStream() {
-    // We proxy the SSE output so the frontend can keep using mint-stream.
-    // Payload uses ONE job (the same targetAddress + total count).
+    // Its events go straight to our stream so the frontend can keep using
+    // mint-stream. Payload uses ONE job (the same targetAddress + total count).
     const payload = {
       label: walletLabel,
       ticker: tick,
@@ -2632,69 +3741,27 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
       ],
     };
 
-    const http = require('http');
-    const port =
-      (req.socket && req.socket.localPort) ||
-      (process.env.PORT ? Number(process.env.PORT) : 3000);
+    sendLog('[server] multi-utxo detected → handing off to multi-mint-stream');
 
-    const pathUrl =
-      '/api/drc20/multi-mint-stream?data=' +
-      encodeURIComponent(JSON.stringify(payload));
-
-    sendLog(
-      `[server] multi-utxo detected → handing off to ${pathUrl} (proxying SSE)`
-    );
+    // same job (pause / cancel apply), our response minus the end
+    const innerReq = Object.assign(new EventEmitter(), {
+      query: payload,
+      body: payload,
+      job: req.job,
+    });
+    req.on('close', () => innerReq.emit('close'));
 
     return new Promise((resolve) => {
-      const upstream = http.request(
-        {
-          host: '127.0.0.1',
-          port,
-          method: 'GET',
-          path: pathUrl,
-          headers: {
-            // keep SSE semantics
-            Accept: 'text/event-stream',
-          },
-        },
-        (upstreamRes) => {
-          upstreamRes.on('data', (chunk) => {
-            if (cancelled) return;
-            res.write(chunk);
-          });
-
-          upstreamRes.on('end', () => {
-            resolve();
-          });
-
-          upstreamRes.on('error', (e) => {
-            if (!cancelled) {
-              sseEvent(res, 'mintError', {
-                message: `handoff upstream error: ${e.message || String(e)}`,
-              });
-            }
-            resolve();
-          });
-        }
-      );
-
-      upstream.on('error', (e) => {
-        if (!cancelled) {
-          sseEvent(res, 'mintError', {
-            message: `handoff request failed: ${e.message || String(e)}`,
-          });
-        }
+      const innerRes = {
+        headersSent: true,
+        writeHead: () => innerRes,
+        write: (chunk) => res.write(chunk),
+        end: () => resolve(),
+      };
+      drc20MultiMintStream(innerReq, innerRes).catch((e) => {
+        sseEvent(res, 'mintError', { message: `handoff failed: ${e.message || String(e)}` });
         resolve();
       });
-
-      // If client disconnects, abort upstream
-      req.on('close', () => {
-        try {
-          upstream.destroy();
-        } catch (_) {}
-      });
-
-      upstream.end();
     });
   }
   // =========================================================
@@ -2714,7 +3781,9 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
     }
     startBalance = calcWalletBalanceDoge(wallet);
 
-    const utxoCount = Array.isArray(wallet.utxos) ? wallet.utxos.length : 0;
+    const utxoCount = Array.isArray(wallet.utxos)
+      ? wallet.utxos.filter(isSpendableUtxo).length
+      : 0;
     sendLog(
       `[server] ${utxoCount} UTXOs detected → starting mempool-aware bulk minting`
     );
@@ -2725,12 +3794,12 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
     // - >1 UTXO → handoff to multi-mint-stream (existing functionality)
     // =========================================================
     if (utxoCount > 1) {
-      // Let multi-mint-stream do the real work; we just proxy SSE.
+      // Let multi-mint-stream do the real work; its events go to our stream.
       await handoffToMultiMintStream();
 
       // Best-effort final balance capture for this wrapper route’s log
       try {
-        await runDoginals(['wallet', 'sync'], { walletLabel });
+        await syncDoginalsWallet(walletLabel);
       } catch (_) {}
       endBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
 
@@ -2750,6 +3819,8 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
 
     try {
       while (!cancelled && completed < total) {
+        await req.job.checkpoint(); // paused: wait here, between waves
+        if (cancelled) break;
         const remaining = total - completed;
         if (remaining <= 0) break;
 
@@ -2824,7 +3895,7 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
 
         // some hard error (non-zero exit, not mempool-related)
         if (wave.exitCode !== 0 && !wave.chainLimit) {
-          sendLog(`[server] doginals exited with code ${wave.exitCode}`);
+          sendLog('[server] mint wave failed (non chain-limit)');
           sseEvent(res, 'mintError', {
             message: 'mint wave failed',
             stdout: wave.stdout,
@@ -2944,7 +4015,7 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
         // test wave hard error (not chain-limit) → abort
         if (testWave.exitCode !== 0 && !testWave.chainLimit) {
           sendLog(
-            `[server] test wave failed with code ${testWave.exitCode} (non chain-limit)`
+            '[server] test wave failed (non chain-limit)'
           );
           sseEvent(res, 'mintError', {
             message:
@@ -3005,7 +4076,7 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
       });
 
       try {
-        await runDoginals(['wallet', 'sync'], { walletLabel });
+        await syncDoginalsWallet(walletLabel);
       } catch (_) {}
       endBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
 
@@ -3018,7 +4089,7 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
 
       // capture end balance (best effort)
       try {
-        await runDoginals(['wallet', 'sync'], { walletLabel });
+        await syncDoginalsWallet(walletLabel);
       } catch (_) {}
       endBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
 
@@ -3033,12 +4104,16 @@ app.get('/api/drc20/mint-stream', async (req, res) => {
       res.end();
     }
   })();
-});
+}
+
 
 
 
+// Background job 'drc20-multi-mint': params { label, ticker, amount,
+// jobs: [{ address, count }] }, submitted and watched like 'drc20-mint'.
+registerJobType('drc20-multi-mint', drc20MultiMintStream);
 
-app.get('/api/drc20/multi-mint-stream', async (req, res) => {
+async function drc20MultiMintStream(req, res) {
   // SSE headers
   res.writeHead(200, {
     "Content-Type": "text/event-stream",
@@ -3050,20 +4125,7 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
   req.on("close", () => { cancelled = true });
 
   // -------------------- Parse request --------------------
-  let raw = req.query.data;
-  if (!raw) {
-    sseEvent(res, "mintError", { message: "Missing payload." });
-    // logging: can't log to wallet without label; just end
-    return res.end();
-  }
-
-  let payload;
-  try {
-    payload = JSON.parse(raw);
-  } catch (e) {
-    sseEvent(res, "mintError", { message: "Invalid JSON payload." });
-    return res.end();
-  }
+  const payload = req.query || {};
 
   const walletLabel = (payload.label || "").trim();
   const ticker = (payload.ticker || "").trim();
@@ -3151,8 +4213,8 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
 
   async function syncWalletOnce() {
     try {
-      const syncResult = await runDoginals(["wallet", "sync"], { walletLabel });
-      const first = (syncResult.stdout || "").split(/\r?\n/).find(l => l.trim());
+      const { output } = await syncDoginalsWallet(walletLabel);
+      const first = output.find(l => l.trim());
       if (first) log(`[wallet-sync] ${first}`);
     } catch (err) {
       log(`[server] wallet sync error: ${err.message}`);
@@ -3179,89 +4241,47 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
   }
 
   async function deletePending() {
-    const walletPath = getDoginalsWalletPath(walletLabel);
-    const pending = path.join(path.dirname(walletPath), "pending-txs.json");
     try {
-      await fs.promises.unlink(pending);
-      log(`[server] deleted pending-txs.json`);
+      const { result } = await withDoginalsWallet(walletLabel, (w) => w.clearPending());
+      log(result.deleted ? `[server] deleted pending-txs.json` : `[server] no pending-txs.json to delete`);
     } catch (e) {
-      if (e.code === "ENOENT") {
-        log(`[server] no pending-txs.json to delete`);
-      } else {
-        log(`[server] failed to delete pending-txs.json: ${e.message}`);
-      }
+      log(`[server] failed to delete pending-txs.json: ${e.message}`);
     }
   }
 
   async function runWave(count, targetAddress) {
-    return new Promise((resolve) => {
-      const args = [
-        "drc-20",
-        "mint",
-        targetAddress,
-        ticker,
-        amount,
-        String(count),
-      ];
-
-      const env = { ...process.env, WALLET: getDoginalsWalletPath(walletLabel) };
-
-      log(`[server] starting wave of ${count} → ${targetAddress}`);
-
-      const child = spawn(process.execPath, [DOGINALS_SCRIPT, ...args], {
-        cwd: path.join(__dirname, "scripts"),
-        env,
-      });
-
-      let stdoutBuf = "";
-      let stderrBuf = "";
-      const txids = [];
-
-      child.stdout.on("data", (chunk) => {
-        const txt = chunk.toString();
-        stdoutBuf += txt;
-        for (const line of txt.split(/\r?\n/)) {
-          if (!line.trim()) continue;
-          log(line);
-          const m = line.match(/inscription txid:\s*([0-9a-fA-F]{64})/);
-          if (m) txids.push(m[1]);
-        }
-      });
-
-      child.stderr.on("data", (chunk) => {
-        const txt = chunk.toString();
-        stderrBuf += txt;
-        for (const line of txt.split(/\r?\n/)) {
-          if (!line.trim()) continue;
-          log(`[stderr] ${line}`);
-        }
-      });
+    log(`[server] starting wave of ${count} → ${targetAddress}`);
 
-      child.on("close", (code) => {
-        const merged = stdoutBuf + "\n" + stderrBuf;
-        const chainLimit =
-          merged.includes("too-long-mempool-chain") ||
-          merged.includes("64: too-long-mempool-chain");
-
-        resolve({
-          exitCode: code,
-          chainLimit,
-          mintedTxids: txids,
-          stdout: stdoutBuf,
-          stderr: stderrBuf,
-        });
-      });
+    const lines = [];
+    const onLog = (line) => {
+      lines.push(line);
+      log(line);
+    };
 
-      child.on("error", () => {
-        resolve({
-          exitCode: 1,
-          chainLimit: false,
-          mintedTxids: [],
-          stdout: stdoutBuf,
-          stderr: stderrBuf,
-        });
-      });
-    });
+    try {
+      const { result } = await withDoginalsWallet(
+        walletLabel,
+        (w) => w.drc20Mint(targetAddress, ticker, amount, count),
+        { spend: true, onLog }
+      );
+      return {
+        exitCode: 0,
+        chainLimit: false,
+        mintedTxids: result.results.map((r) => r.inscriptionTxid),
+        stdout: lines.join("\n"),
+        stderr: "",
+      };
+    } catch (err) {
+      const message = doginalsErrorMessage(err);
+      log(`[server] ${message}`);
+      return {
+        exitCode: 1,
+        chainLimit: !!err.mempoolChain,
+        mintedTxids: (err.completed || []).map((r) => r.inscriptionTxid),
+        stdout: lines.join("\n"),
+        stderr: message,
+      };
+    }
   }
 
   // WATCH CONFIRMATION (uses your existing function)
@@ -3298,6 +4318,8 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
         let jobCompleted = 0;
 
         while (!cancelled && jobCompleted < needed) {
+          await req.job.checkpoint(); // paused: wait here, between waves
+          if (cancelled) break;
           const remaining = needed - jobCompleted;
           const waveCount = Math.min(MAX_WAVE, remaining);
 
@@ -3395,7 +4417,7 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
 
       // ---- capture endBalance right before final logging ----
       try {
-        await runDoginals(["wallet", "sync"], { walletLabel });
+        await syncDoginalsWallet(walletLabel);
       } catch (_) {}
       endBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
 
@@ -3407,7 +4429,7 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
 
       // ---- capture endBalance right before final logging (error path) ----
       try {
-        await runDoginals(["wallet", "sync"], { walletLabel });
+        await syncDoginalsWallet(walletLabel);
       } catch (_) {}
       endBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
 
@@ -3417,7 +4439,7 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
       if (cancelled) {
         // ---- capture endBalance right before final logging (cancel path) ----
         try {
-          await runDoginals(["wallet", "sync"], { walletLabel });
+          await syncDoginalsWallet(walletLabel);
         } catch (_) {}
         endBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
 
@@ -3426,7 +4448,7 @@ app.get('/api/drc20/multi-mint-stream', async (req, res) => {
     }
 
   })();
-});
+}
 
 
 
@@ -3439,13 +4461,14 @@ app.post('/api/doginals/upload', doginalsUpload.array('files', 10000), (req, res
       return res.status(400).json({ ok: false, error: 'No files uploaded' });
     }
 
-    // Only keep the files from THIS upload in DOGINALS_IMAGES_DIR
+    // Only keep the files from THIS upload in images/
     const keep = new Set(uploaded.map((f) => f.filename));
     try {
-      const existing = fs.readdirSync(DOGINALS_IMAGES_DIR);
+      const imagesDir = doginalsImagesDir();
+      const existing = fs.readdirSync(imagesDir);
       for (const name of existing) {
         if (!keep.has(name)) {
-          fsExtra.removeSync(path.join(DOGINALS_IMAGES_DIR, name));
+          fsExtra.removeSync(path.join(imagesDir, name));
         }
       }
     } catch (e) {
@@ -3487,16 +4510,17 @@ app.post('/api/doginals/upload', doginalsUpload.array('files', 10000), (req, res
 });
 
 // POST /api/doginals/cleanup-images
-// Clears the DOGINALS_IMAGES_DIR (used on clear/refresh)
+// Clears images/ (used on clear/refresh)
 app.post('/api/doginals/cleanup-images', async (req, res) => {
   try {
-    if (!fs.existsSync(DOGINALS_IMAGES_DIR)) {
+    const imagesDir = doginalsImagesDir();
+    if (!fs.existsSync(imagesDir)) {
       return res.json({ ok: true, cleared: 0 });
     }
 
-    const entries = fs.readdirSync(DOGINALS_IMAGES_DIR);
+    const entries = fs.readdirSync(imagesDir);
     for (const name of entries) {
-      fsExtra.removeSync(path.join(DOGINALS_IMAGES_DIR, name));
+      fsExtra.removeSync(path.join(imagesDir, name));
     }
 
     res.json({ ok: true, cleared: entries.length });
@@ -3524,7 +4548,7 @@ app.post("/api/doginals/delete-image", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Invalid file name" });
     }
 
-    const imagesDir = path.join(__dirname, "images");
+    const imagesDir = doginalsImagesDir();
     const filePath = path.join(imagesDir, name);
 
     // ensure file exists inside /images
@@ -3548,40 +4572,172 @@ app.post("/api/doginals/delete-image", async (req, res) => {
   }
 });
 
+// Dry run for /api/doginals/mint-stream: builds every commit/reveal tx for the
+// files in images/ against the current .wallet.json (no sync, no broadcast,
+// wallet file untouched) and reports sizes and fees per file.
+async function runMintDryRun(res, { walletLabel, recipientAddress, exportHex }) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (obj) => {
+    try {
+      res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    } catch (_) {}
+  };
+
+  try {
+    if (!readDoginalsWallet(walletLabel)) throw new Error("Wallet not found");
+
+    const folder = doginalsImagesDir();
+    const files = fs
+      .readdirSync(folder)
+      .filter((f) => !f.startsWith("."))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    if (!files.length) throw new Error("No files in images/ to inscribe");
+
+    send({ type: "status", message: `Dry run: building txs for ${files.length} files...` });
+
+    let hexFile = null;
+    let hexOut = null;
+    if (exportHex) {
+      const jsonDir = doginalsJsonDir();
+      if (!fs.existsSync(jsonDir)) fs.mkdirSync(jsonDir, { recursive: true });
+      const runIso = new Date().toISOString().replace(/[:.]/g, "-");
+      hexFile = `dryrun_${walletLabel}_${runIso}.json`;
+      hexOut = path.join(jsonDir, hexFile);
+    }
+
+    let built = 0;
+    const { result: report } = await withDoginalsWallet(
+      walletLabel,
+      (w) => w.dryRun(recipientAddress, files.map((f) => path.join(folder, f)), { hexOut }),
+      {
+        spend: true,
+        onLog: (line) => {
+          if (!line.startsWith("dry-run ") || line.startsWith("dry-run report:")) return;
+          built++;
+          send({ type: "log", message: line });
+          send({ type: "progress", current: built, total: files.length });
+        },
+      }
+    );
+    report.files.forEach((f) => {
+      f.file = path.basename(f.file);
+    });
+
+    send({ type: "dryRun", report, hexFile });
+    send({ type: "done", dryRun: true, results: report.files });
+  } catch (err) {
+    send({ type: "error", message: doginalsErrorMessage(err) || "Dry run failed" });
+  } finally {
+    res.end();
+  }
+}
+
+// How long the mint-stream round-trip check waits for each reveal to confirm,
+// and how often it asks the node meanwhile.
+const MINT_VERIFY_TIMEOUT_MS = Number(process.env.MINT_VERIFY_TIMEOUT_MS) || 30 * 60 * 1000;
+const MINT_VERIFY_POLL_MS = Number(process.env.MINT_VERIFY_POLL_MS) || 30 * 1000;
+
+const baseMimeType = (t) => String(t || "").split(";")[0].trim().toLowerCase();
+
+// What a file in images/ should decode back to once inscribed. doginals.js
+// picks the content type the same way (mime-types lookup on the filename).
+function mintSourceFingerprint(filePath) {
+  const data = fs.readFileSync(filePath);
+  return {
+    sha256: crypto.createHash("sha256").update(data).digest("hex"),
+    mimeType: baseMimeType(mime.lookup(filePath) || "application/octet-stream"),
+    size: data.length,
+  };
+}
+
+// Decode a freshly minted inscription through the viewer's path and compare
+// it with mintSourceFingerprint(). Returns the differences ([] = match).
+async function verifyMintedInscription(inscriptionId, source) {
+  const result = await ensureInscriptionDecoded(inscriptionId, { progressKey: inscriptionId });
+
+  let data = result.resultBuf;
+  if (!data) {
+    const entry = loadMasterSafe()[result.inscriptionId] || {};
+    const filePath = entry.filename
+      ? path.join(getContentDir(), entry.filename)
+      : findContentFile(result.inscriptionId);
+    if (!filePath || !fs.existsSync(filePath)) throw new Error("decoded content file missing");
+    data = fs.readFileSync(filePath);
+  }
+
+  const problems = [];
+  const sha256 = crypto.createHash("sha256").update(data).digest("hex");
+  if (sha256 !== source.sha256) {
+    problems.push(`sha256 ${sha256} (${data.length} bytes) != source ${source.sha256} (${source.size} bytes)`);
+  }
+  const mimeType = baseMimeType(result.mimeType);
+  if (mimeType !== source.mimeType) {
+    problems.push(`MIME type ${mimeType || "none"} != source ${source.mimeType}`);
+  }
+  return problems;
+}
+
 // === Doginals Mint Stream (DROP-IN REPLACEMENT BLOCK) ===
+// Body: { label, recipientAddress, dryRun?, exportHex? }
 app.post("/api/doginals/mint-stream", async (req, res) => {
-  const { label, walletName, recipientAddress } = req.body || {};
+  const { label, walletName, recipientAddress, dryRun, exportHex } = req.body || {};
   const walletLabel = label || walletName;
 
   if (!walletLabel || !recipientAddress) {
     return res.status(400).json({ error: "Missing fields" });
   }
 
-  const walletPath = getDoginalsWalletPath(walletLabel);
-  const folder = path.join(__dirname, "images");
+  if (dryRun) {
+    return runMintDryRun(res, { walletLabel, recipientAddress, exportHex: !!exportHex });
+  }
+
+  // runs as a background job: closing the tab doesn't stop the batch
+  streamJob(res, "doginals-mint", { label: walletLabel, recipientAddress });
+});
+
+registerJobType("doginals-mint", (req, res) => {
+  const { label: walletLabel, recipientAddress } = req.body;
+  // POST /api/jobs gets here without the route
+  if (!walletLabel || !recipientAddress) {
+    return res.status(400).json({ error: "Missing fields" });
+  }
+  // the label names the run file below: a wallet name, and a wallet that exists
+  if (typeof walletLabel !== "string" || !/^[a-zA-Z0-9_-]+$/.test(walletLabel)) {
+    return res.status(400).json({ error: "Invalid wallet label" });
+  }
+  if (!readDoginalsWallet(walletLabel)) {
+    return res.status(404).json({ error: "Wallet not found" });
+  }
 
   // --- persistent run output (written incrementally) ---
   const runIso = new Date().toISOString().replace(/[:.]/g, "-");
   const outName = `inscriptions_${walletLabel}_${runIso}.json`;
-  const outPath = path.join(DOGINALS_JSON_DIR, outName);
 
   const runState = {
     label: walletLabel,
     recipientAddress,
+    // run files are per profile; mint-resume checks this too
+    profile: getActiveProfile().name,
+    jobId: req.job.id,
     startedAt: new Date().toISOString(),
     finishedAt: null,
-    status: "running", // running | done | error
+    status: "running", // running | done | error | cancelled
     startBalance: null,
     endBalance: null,
     totalFiles: 0,
     completed: 0,
-    results: [], // { file, inscriptionId, mode, txid }
+    results: [], // { file, inscriptionId, mode, txid, source, verified }
     error: null,
   };
 
   // Write an initial file right away (so it exists even if we crash early)
   try {
-    atomicWriteJson(outPath, runState);
+    atomicWriteJson(path.join(doginalsJsonDir(), outName), runState);
   } catch (e) {
     appendWalletLog(
       walletLabel,
@@ -3589,6 +4745,87 @@ app.post("/api/doginals/mint-stream", async (req, res) => {
     );
   }
 
+  return streamMintRun(res, { walletLabel, recipientAddress, runState, outName, job: req.job });
+});
+
+// POST /api/doginals/mint-resume
+// Body: { runFile, label? }  runFile: an inscriptions_<label>_<iso>.json in json/
+// Continues an interrupted mint-stream run (server restart, tab closed) and
+// appends to the same run file. See reconcileResumedRun() in streamMintRun.
+app.post("/api/doginals/mint-resume", (req, res) => {
+  const runFile = String((req.body && req.body.runFile) || "");
+  const checked = loadResumableRun(runFile, req.body && req.body.label);
+  if (checked.error) return res.status(checked.status).json({ error: checked.error });
+
+  streamJob(res, "doginals-mint-resume", { runFile });
+});
+
+registerJobType("doginals-mint-resume", (req, res) => {
+  const { runFile } = req.body;
+  // checked again: things may have moved since the route looked
+  const { runState, status, error } = loadResumableRun(runFile);
+  if (error) return res.status(status).json({ error });
+
+  runState.jobId = req.job.id;
+  runState.status = "running";
+  runState.finishedAt = null;
+  runState.error = null;
+  runState.resumedAt = [...(runState.resumedAt || []), new Date().toISOString()];
+
+  return streamMintRun(res, {
+    walletLabel: runState.label,
+    recipientAddress: runState.recipientAddress,
+    runState,
+    outName: runFile,
+    resume: true,
+    job: req.job,
+  });
+});
+
+// -> { runState } or { status, error }. Every way in (the route, POST
+// /api/jobs) comes through here, so the name is checked here: a plain file
+// name in json/, nothing with a path in it.
+function loadResumableRun(runFile, label) {
+  if (typeof runFile !== "string" || !/^inscriptions_[\w.-]+\.json$/.test(runFile)) {
+    return { status: 400, error: "runFile must be an inscriptions_<label>_<time>.json run file" };
+  }
+
+  let runState;
+  try {
+    runState = JSON.parse(fs.readFileSync(path.join(doginalsJsonDir(), runFile), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return { status: 404, error: "Run file not found" };
+    return { status: 400, error: `Unreadable run file: ${e.message}` };
+  }
+  if (!runState || !runState.label || !runState.recipientAddress || !Array.isArray(runState.results)) {
+    return { status: 400, error: "Not a mint run file" };
+  }
+  if (label && label !== runState.label) {
+    return { status: 400, error: `Run belongs to wallet ${runState.label}` };
+  }
+  // older run files have no profile; they sit in the default profile's json/
+  const profile = getActiveProfile().name;
+  if (runState.profile && runState.profile !== profile) {
+    return { status: 409, error: `Run belongs to node profile ${runState.profile}, not ${profile}` };
+  }
+  if (runState.status === "done") return { status: 409, error: "Run already finished" };
+  if (liveMintRuns.has(runFile)) return { status: 409, error: "Run is still in progress" };
+  if (!readDoginalsWallet(runState.label)) return { status: 404, error: "Wallet not found" };
+  return { runState };
+}
+
+// run files being streamed right now (mint-resume refuses those)
+const liveMintRuns = new Set();
+
+// The batch behind mint-stream and mint-resume: mints what's in images/ into
+// runState.results, persisting json/<outName> after every file and verifying
+// each one once its reveal confirms. With `resume`, reconciles runState with
+// the chain and the wallet's pending-txs.json first.
+async function streamMintRun(res, { walletLabel, recipientAddress, runState, outName, resume = false, job }) {
+  const walletPath = getDoginalsWalletPath(walletLabel);
+  const folder = doginalsImagesDir();
+  const outPath = path.join(doginalsJsonDir(), outName);
+
   const persistRunState = () => {
     runState.completed = runState.results.length;
     try {
@@ -3613,14 +4850,6 @@ app.post("/api/doginals/mint-stream", async (req, res) => {
     } catch (_) {}
   }
 
-  const isMempoolChainErr = (txt) => {
-    const t = String(txt || "");
-    return (
-      t.includes("too-long-mempool-chain") ||
-      t.includes("64: too-long-mempool-chain")
-    );
-  };
-
   const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
   // =========================================================
@@ -3742,264 +4971,326 @@ app.post("/api/doginals/mint-stream", async (req, res) => {
     }
   }
 
-  // =========================================================
-  // ✅ NEW: resolve the *correct* inscription txid after mempool recovery
-  // =========================================================
-  //
-  // Reliable method:
-  //  - Take a tx that we KNOW is part of the mint (confirmed tip or walletSync printed tx)
-  //  - Find its genesis txid via findGenesisTxid()
-  //  - Find the reveal/inscription tx that spends genesisTxid in vin[]
-  //  - That reveal txid is the correct inscription txid
-  async function resolveInscriptionTxidAfterRecovery(baseTxid) {
-    if (!baseTxid) return null;
-
-    let genesisTxid = null;
-    try {
-      genesisTxid = await findGenesisTxid(baseTxid);
-    } catch (_) {
-      genesisTxid = null;
-    }
-    if (!genesisTxid) return null;
-
-    let txs = null;
-    try {
-      txs = await callDogecoinRpc("listtransactions", ["*", 2000, 0, true]);
-    } catch (_) {
-      txs = null;
+  // Send this wallet's pending-txs.json. While the node still says the
+  // mempool chain is too long, wait for our last broadcast to confirm (30s
+  // when there's none to wait on) and try again. Resolves like
+  // broadcastPending(): { txids, inscriptionTxid }, or null if nothing was pending.
+  async function broadcastPendingWithRetry(reasonLabel, maxTries = 50) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { result } = await withDoginalsWallet(walletLabel, (w) => w.broadcastPending(), {
+          onLog: (line) => send({ type: "log", message: line }),
+        });
+        return result;
+      } catch (err) {
+        if (!err.mempoolChain || attempt >= maxTries) throw err;
+        send({
+          type: "status",
+          message: `${reasonLabel}: mempool chain still too long (try ${attempt}/${maxTries})`,
+        });
+        if (!(await waitForWalletTipConfirmation30s(reasonLabel))) await sleep(30_000);
+      }
     }
-    if (!Array.isArray(txs) || !txs.length) return null;
+  }
 
-    // Deduplicate (listtransactions can include multiple rows per tx)
-    const seen = new Set();
-    const uniqueTxids = [];
-    for (const t of txs) {
-      const txid = t && t.txid;
-      if (!txid) continue;
-      if (seen.has(txid)) continue;
-      seen.add(txid);
-      uniqueTxids.push(txid);
+  // Wait (MINT_VERIFY_POLL_MS, 30s like the mempool-chain wait) until txid
+  // confirms, or give up after MINT_VERIFY_TIMEOUT_MS or once the run has ended.
+  async function waitForConfirmation(txid) {
+    const deadline = Date.now() + MINT_VERIFY_TIMEOUT_MS;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      if ((await getConfirmations(txid)) >= 1) return true;
+      if (Date.now() >= deadline || verifyStopped) return false;
+      send({
+        type: "log",
+        message: `[server] verify: waiting for ${txid} to confirm (${MINT_VERIFY_POLL_MS / 1000}s poll)`,
+      });
+      await sleep(MINT_VERIFY_POLL_MS);
     }
+  }
 
-    // Scan wallet txs for a tx that spends genesisTxid in vin[]
-    for (const txid of uniqueTxids) {
-      try {
-        const raw = await callDogecoinRpc("getrawtransaction", [txid, true]);
-        const vin = (raw && raw.vin) || [];
-        if (!Array.isArray(vin)) continue;
-
-        if (vin.some((v) => v && v.txid === genesisTxid)) {
-          return txid; // ✅ reveal/inscription txid
+  // Round trip, per file: as soon as a reveal is recorded, wait in the
+  // background for it to confirm, decode it the way the viewer does and
+  // compare bytes + MIME type with the file that was inscribed. Minting goes on
+  // meanwhile; a confirmed inscription that doesn't match stops the run before
+  // its next file (see the mint loop).
+  const verifying = [];
+  let verifyStopped = false;
+  let mismatched = null; // first result that decoded to something else
+
+  function startVerify(r) {
+    // verified or flagged by an earlier session of a resumed run
+    if (!r.source || typeof r.verified === "boolean") return;
+    const check = (async () => {
+      let problems;
+      if (!(await waitForConfirmation(r.txid))) {
+        if (verifyStopped) return; // the run ended first; a resume checks it
+        problems = [`reveal not confirmed after ${Math.round(MINT_VERIFY_TIMEOUT_MS / 60000)} min`];
+      } else {
+        try {
+          problems = await verifyMintedInscription(r.inscriptionId, r.source);
+        } catch (e) {
+          problems = [`decode failed: ${e.message || String(e)}`];
         }
-      } catch (_) {
-        // ignore
+        if (problems.length && !mismatched) mismatched = r;
       }
-    }
 
-    return null;
+      r.verified = problems.length === 0;
+      if (r.verified) {
+        delete r.mismatch;
+        send({ type: "status", message: `Verified ${r.file} (${r.inscriptionId}).` });
+      } else {
+        r.mismatch = problems;
+        send({
+          type: "status",
+          message: `${r.file} ${r.inscriptionId} does NOT match its source file: ${problems.join("; ")}`,
+        });
+      }
+      persistRunState();
+    })();
+    verifying.push(check);
   }
 
-  // Runs wallet sync until it prints an inscription txid.
-  // If wallet sync hits mempool-chain again, we wait on THIS wallet’s tip (again).
-  //
-  // ✅ FIX ADDED:
-  // If wallet sync DOES NOT print inscription txid (the "balance spam" case),
-  // we attempt to resolve the inscription txid from the node using the confirmedTipTxid.
-  async function syncUntilInscriptionTxid(confirmedTipTxid) {
-    const maxLoops = 50;
-    for (let loop = 1; loop <= maxLoops; loop++) {
-      let syncStdout = "";
+  // After the last file: wait for the checks still running and sum them up.
+  async function verifyRunResults() {
+    await Promise.all(verifying);
 
-      try {
-        await runDoginals(["wallet", "sync"], {
-          walletLabel,
-          onStdoutChunk: (line) => {
-            syncStdout += line;
-            send({ type: "log", message: line.trimEnd() });
-          },
-          onStderrChunk: (line) => {
-            send({ type: "log", message: `[stderr] ${line.trimEnd()}` });
-          },
-        });
-      } catch (err) {
-        const out =
-          (err.stdout || "") + " " + (err.stderr || "") + " " + (err.message || "");
+    const summary = { checked: 0, verified: 0, mismatches: [] };
+    for (const r of runState.results) {
+      if (!r.source) continue;
+      summary.checked++;
+      if (r.verified === true) summary.verified++;
+      else if (r.mismatch) summary.mismatches.push({ file: r.file, inscriptionId: r.inscriptionId, problems: r.mismatch });
+    }
+
+    if (!summary.checked) return summary;
+    if (!summary.mismatches.length) {
+      send({
+        type: "status",
+        message: `Verified: all ${summary.checked} inscriptions decode to their source files.`,
+      });
+    } else {
+      send({
+        type: "status",
+        message: `Verification: ${summary.mismatches.length} of ${summary.checked} inscriptions do NOT match their source files:`,
+      });
+      for (const m of summary.mismatches) {
+        send({ type: "status", message: `  ${m.file} ${m.inscriptionId}: ${m.problems.join("; ")}` });
+      }
+    }
+    return summary;
+  }
 
-        if (!isMempoolChainErr(out)) throw err;
+  // Resume: settle what the interrupted run left behind before minting more.
+  //  - recorded results that are confirmed or still in the mempool stay; if
+  //    the crash came before their file was removed, it's removed now. Ones
+  //    the node doesn't know are dropped so their file gets minted again.
+  //  - pending-txs.json is the half-broadcast chain of the file that was
+  //    being minted. Its content is read back out of the chain and matched
+  //    (sha256 + MIME type, like the round-trip check) against the files
+  //    left in images/; it's rebroadcast and recorded for the one it carries.
+  //    If images/ no longer has that file the resume is refused, before
+  //    anything is broadcast.
+  // Returns the files still to mint.
+  async function reconcileResumedRun(files) {
+    const inImages = new Set(files);
+    const recorded = new Set();
+    const kept = [];
+
+    for (const r of runState.results) {
+      let conf;
+      try {
+        const raw = await callDogecoinRpc("getrawtransaction", [r.txid, true]);
+        conf = Number((raw && raw.confirmations) || 0);
+      } catch (e) {
+        if (e.code !== -5) throw e; // node trouble: don't guess
+        conf = null;
+      }
 
-        await waitForWalletTipConfirmation30s("wallet sync mempool-chain");
+      if (conf === null && inImages.has(r.file)) {
+        send({ type: "status", message: `${r.file}: ${r.inscriptionId} is not on chain, minting it again` });
         continue;
       }
-
-      // 1) Best case: doginals printed the inscription txid
-      const m = syncStdout.match(/inscription txid:\s*([0-9a-fA-F]{64})/);
-      if (m) {
-        return { txid: m[1], source: "printed" };
+      if (conf === null) {
+        send({
+          type: "status",
+          message: `${r.file}: ${r.inscriptionId} is not on chain and the file is gone from images/, keeping the record`,
+        });
+      } else {
+        send({
+          type: "log",
+          message: `[server] resume: ${r.file} ${r.inscriptionId} ${conf ? `confirmed (${conf})` : "in mempool"}, skipping`,
+        });
       }
+      kept.push(r);
+      recorded.add(r.file);
+      if (inImages.has(r.file)) fsExtra.removeSync(path.join(folder, r.file));
+    }
+    runState.results = kept;
+    persistRunState();
 
-      // 2) ✅ NEW: If nothing printed, try resolving from the node (wallet scoped) using confirmed tip
-      if (confirmedTipTxid) {
-        try {
-          const resolved = await resolveInscriptionTxidAfterRecovery(confirmedTipTxid);
-          if (resolved) {
-            send({
-              type: "status",
-              message: `wallet sync did not print inscription txid — resolved from node: ${resolved}`,
-            });
-            return { txid: resolved, source: "resolved" };
+    const pendingPath = path.join(path.dirname(walletPath), "pending-txs.json");
+    if (fs.existsSync(pendingPath)) {
+      const pending = JSON.parse(fs.readFileSync(pendingPath, "utf8"));
+
+      // before broadcasting: the chain is easiest to follow while we hold the hex
+      const chain = await findInscriptionChain(pending);
+      const inscriptionTxid = chain ? chain[0].txid : null;
+      let filename = null;
+      let source = null;
+      if (chain) {
+        const content = extractFromScripts(chain.map((tx) => tx.vin[0].scriptSig.hex));
+        const sha256 = crypto.createHash("sha256").update(content.data).digest("hex");
+        const mimeType = baseMimeType(content.contentType);
+        for (const f of files) {
+          const full = path.join(folder, f);
+          if (recorded.has(f) || fs.statSync(full).size !== content.data.length) continue;
+          const fp = mintSourceFingerprint(full);
+          if (fp.sha256 === sha256 && fp.mimeType === mimeType) {
+            filename = f;
+            source = fp;
+            break;
           }
-        } catch (_) {
-          // ignore and keep looping
+        }
+        if (!filename) {
+          throw new Error(
+            `pending-txs.json finishes inscription ${inscriptionTxid}i0 (${mimeType}, ` +
+              `${content.data.length} bytes, sha256 ${sha256}), which matches no file left in images/. ` +
+              `Put that file back before resuming.`
+          );
         }
       }
-
       send({
         type: "status",
-        message: `wallet sync did not print inscription txid (loop ${loop}/${maxLoops}) — retrying after 30s...`,
+        message: `Finishing ${pending.length} pending txs${filename ? ` of ${filename}` : ""}...`,
       });
-      await sleep(30_000);
+
+      await broadcastPendingWithRetry("Pending txs");
+
+      if (!inscriptionTxid) {
+        send({ type: "status", message: "Pending txs broadcast, but they don't carry an inscription." });
+      } else {
+        runState.results.push({
+          file: filename,
+          inscriptionId: `${inscriptionTxid}i0`,
+          mode: "resumed",
+          txid: inscriptionTxid,
+          source,
+        });
+        persistRunState();
+        send({ type: "status", message: `Saved inscription ID (resumed): ${inscriptionTxid}i0` });
+        if (filename) {
+          recorded.add(filename);
+          fsExtra.removeSync(path.join(folder, filename));
+        }
+      }
     }
 
-    // ✅ If still nothing, return null so caller can do a final resolve attempt / error cleanly
-    return { txid: null, source: "none" };
+    send({
+      type: "status",
+      message: `Resuming ${outName}: ${runState.results.length} inscriptions recorded.`,
+    });
+    return files.filter((f) => !recorded.has(f));
   }
 
-  // =========================================================
-
+  liveMintRuns.add(outName);
   try {
-    const files = fs
+    let files = fs
       .readdirSync(folder)
       .filter((f) => !f.startsWith("."))
       .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
 
-    runState.totalFiles = files.length;
+    if (resume) files = await reconcileResumedRun(files);
+    runState.results.forEach(startVerify);
+
+    const alreadyDone = runState.results.length;
+    runState.totalFiles = alreadyDone + files.length;
 
     // Best effort: sync wallet first so startBalance reflects latest utxos
     try {
-      await runDoginals(["wallet", "sync"], { walletLabel });
+      await syncDoginalsWallet(walletLabel);
     } catch (_) {}
-    const wStart = readDoginalsWallet(walletLabel);
-    runState.startBalance = calcWalletBalanceDoge(wStart);
+    if (runState.startBalance === null) {
+      runState.startBalance = calcWalletBalanceDoge(readDoginalsWallet(walletLabel));
+    }
     persistRunState();
 
     send({ type: "status", message: `Found ${files.length} files.` });
 
-    const minted = [];
-
     for (let i = 0; i < files.length; i++) {
+      await job.checkpoint(); // paused: wait here, between files
+      if (job.cancelled) break;
+      if (mismatched) {
+        throw new Error(
+          `${mismatched.file} (${mismatched.inscriptionId}) doesn't decode to its source file: ` +
+            `${mismatched.mismatch.join("; ")}. Stopped before minting ${files[i]}.`
+        );
+      }
+
       const filename = files[i];
       const fullPath = path.join(folder, filename);
 
       send({ type: "status", message: `Minting ${filename}` });
-      send({ type: "progress", current: i + 1, total: files.length });
+      send({ type: "progress", current: alreadyDone + i + 1, total: runState.totalFiles });
 
-      let inscriptionTxid = null;
-      let usedWalletSync = false;
+      // taken now: the file is removed once it's minted
+      const source = mintSourceFingerprint(fullPath);
 
       try {
         // --- Attempt normal mint ---
-        await runDoginals(["mint", recipientAddress, fullPath], {
+        const { result } = await withDoginalsWallet(
           walletLabel,
-          onStdoutChunk: (line) => {
-            if (line.includes("inscription txid:")) {
-              const m = line.match(/([0-9a-fA-F]{64})/);
-              if (m) inscriptionTxid = m[1];
-            }
-            send({ type: "log", message: line.trimEnd() });
-          },
-          onStderrChunk: (line) => {
-            send({ type: "log", message: `[stderr] ${line.trimEnd()}` });
-          },
-        });
-
-        if (!inscriptionTxid) {
-          throw new Error("Mint finished without an inscription txid in stdout.");
-        }
-
-        // ✅ NORMAL PATH UNCHANGED:
-        // If doginals prints the txid directly (no mempool wait), that's the inscription txid.
-        const inscriptionId = `${inscriptionTxid}i0`;
-        minted.push({ file: filename, inscriptionId });
+          (w) => w.mintFile(recipientAddress, fullPath),
+          { spend: true, onLog: (line) => send({ type: "log", message: line }) }
+        );
+        const inscriptionId = `${result.inscriptionTxid}i0`;
 
         runState.results.push({
           file: filename,
           inscriptionId,
           mode: "normal",
-          txid: inscriptionTxid,
+          txid: result.inscriptionTxid,
+          source,
         });
         persistRunState();
+        startVerify(runState.results[runState.results.length - 1]);
 
         send({
           type: "status",
           message: `Saved inscription ID (normal): ${inscriptionId}`,
         });
       } catch (err) {
-        const out =
-          (err.stdout || "") + " " + (err.stderr || "") + " " + (err.message || "");
-
-        if (!isMempoolChainErr(out)) {
+        if (!(err instanceof BroadcastError) || !err.mempoolChain) {
           send({
             type: "error",
-            message: err.message || "Mint failed",
-            stdout: err.stdout || "",
-            stderr: err.stderr || "",
+            message: doginalsErrorMessage(err) || "Mint failed",
           });
           throw err;
         }
 
         // ✅ MEMPOOL-CHAIN PATH
+        // what didn't go out is in pending-txs.json; the inscription txid is
+        // known either way
         send({
           type: "status",
-          message: "Mempool chain too long — switching to wait + wallet sync recovery...",
+          message: "Mempool chain too long — waiting to send the rest of this file's txs...",
         });
 
         // ✅ Wait on THIS wallet’s last broadcast only (30s poll, no jumping)
-        const confirmedTipTxid = await waitForWalletTipConfirmation30s("mint mempool-chain");
-
-        // ✅ Now wallet sync (to continue the same file)
-        usedWalletSync = true;
-
-        // This may print txid OR may not (balance spam case)
-        const syncResult = await syncUntilInscriptionTxid(confirmedTipTxid);
-
-        send({
-          type: "status",
-          message: `wallet sync completed pending mint. txid: ${syncResult.txid || "none"}`,
-        });
-
-        // ✅ FINAL TXID SELECTION (ONLY FOR RECOVERY)
-        // Priority:
-        //  1) If sync already resolved a txid from node -> that's final
-        //  2) If sync printed a txid -> resolve via genesis->reveal if possible, else use printed
-        //  3) If sync printed nothing -> resolve from confirmed tip, else hard error
-        let finalInscriptionTxid = null;
-
-        if (syncResult && syncResult.txid && syncResult.source === "resolved") {
-          finalInscriptionTxid = syncResult.txid;
-        } else if (syncResult && syncResult.txid && syncResult.source === "printed") {
-          const resolved = await resolveInscriptionTxidAfterRecovery(syncResult.txid);
-          finalInscriptionTxid = resolved || syncResult.txid;
-        } else {
-          const resolved = await resolveInscriptionTxidAfterRecovery(confirmedTipTxid);
-          if (!resolved) {
-            throw new Error(
-              "wallet sync did not print inscription txid and node resolution failed — cannot determine final inscription txid."
-            );
-          }
-          finalInscriptionTxid = resolved;
-        }
+        await waitForWalletTipConfirmation30s("mint mempool-chain");
+        await broadcastPendingWithRetry("mint mempool-chain");
 
-        const inscriptionId = `${finalInscriptionTxid}i0`;
-        minted.push({ file: filename, inscriptionId });
+        const inscriptionId = `${err.inscriptionTxid}i0`;
 
-        // ✅ Save ONLY the correct txid (no genesisTxid field, no extras)
         runState.results.push({
           file: filename,
           inscriptionId,
           mode: "mempool-recovery",
-          txid: finalInscriptionTxid,
+          txid: err.inscriptionTxid,
+          source,
         });
         persistRunState();
+        startVerify(runState.results[runState.results.length - 1]);
 
         send({
           type: "status",
@@ -4018,25 +5309,28 @@ app.post("/api/doginals/mint-stream", async (req, res) => {
           }`,
         });
       }
+    }
 
-      // Optional cleanup: remove pending-txs.json after recovery completion
-      if (usedWalletSync) {
-        const pendingPath = path.join(path.dirname(walletPath), "pending-txs.json");
-        if (fs.existsSync(pendingPath)) {
-          try {
-            fs.unlinkSync(pendingPath);
-            send({
-              type: "log",
-              message: "[server] removed pending-txs.json after completion.",
-            });
-          } catch (_) {}
-        }
-      }
+    if (job.cancelled) {
+      runState.status = "cancelled";
+      runState.finishedAt = new Date().toISOString();
+      persistRunState();
+      appendWalletLog(
+        walletLabel,
+        `DOGINALS FILE MINT CANCELLED\ncompleted=${runState.completed}/${runState.totalFiles}\noutputJson=${outName}`
+      );
+      send({
+        type: "status",
+        message: `Cancelled after ${runState.completed} of ${runState.totalFiles} files. Resume it with ${outName}.`,
+      });
+      return res.end();
     }
 
+    const verification = await verifyRunResults();
+
     // Best effort: final sync + end balance
     try {
-      await runDoginals(["wallet", "sync"], { walletLabel });
+      await syncDoginalsWallet(walletLabel);
     } catch (_) {}
     const wEnd = readDoginalsWallet(walletLabel);
     runState.endBalance = calcWalletBalanceDoge(wEnd);
@@ -4054,11 +5348,17 @@ app.post("/api/doginals/mint-stream", async (req, res) => {
         `completed=${runState.completed}`,
         `startBalance=${runState.startBalance}`,
         `endBalance=${runState.endBalance}`,
+        `verified=${verification.verified}/${verification.checked}`,
         `outputJson=${outName}`,
       ].join("\n")
     );
 
-    send({ type: "done", results: minted, outputJson: outName });
+    send({
+      type: "done",
+      results: runState.results.map(({ file, inscriptionId }) => ({ file, inscriptionId })),
+      outputJson: outName,
+      verification,
+    });
     res.end();
   } catch (err) {
     runState.status = "error";
@@ -4088,12 +5388,13 @@ app.post("/api/doginals/mint-stream", async (req, res) => {
       outputJson: outName,
     });
     res.end();
+  } finally {
+    verifyStopped = true;
+    liveMintRuns.delete(outName);
   }
-});
-
+}
 
 
-const JSON_DIR = path.join(ROOT, "json");
 
 // safe allow-list for filenames to prevent path traversal
 function isSafeJsonFileName(name) {
@@ -4112,15 +5413,16 @@ function isSafeJsonFileName(name) {
 // List JSON files in /json
 app.get("/api/json-files", async (req, res) => {
   try {
-    await fs.promises.mkdir(JSON_DIR, { recursive: true });
+    const jsonDir = doginalsJsonDir();
+    await fs.promises.mkdir(jsonDir, { recursive: true });
 
-    const names = await fs.promises.readdir(JSON_DIR);
+    const names = await fs.promises.readdir(jsonDir);
     const files = [];
 
     for (const name of names) {
       if (!name.toLowerCase().endsWith(".json")) continue;
 
-      const full = path.join(JSON_DIR, name);
+      const full = path.join(jsonDir, name);
       let st;
       try {
         st = await fs.promises.stat(full);
@@ -4159,11 +5461,12 @@ app.get("/api/json-files/:name", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Invalid file name." });
     }
 
-    const full = path.join(JSON_DIR, name);
+    const jsonDir = doginalsJsonDir();
+    const full = path.join(jsonDir, name);
 
-    // Ensure resolved path stays inside JSON_DIR
+    // Ensure resolved path stays inside json/
     const resolved = path.resolve(full);
-    const base = path.resolve(JSON_DIR);
+    const base = path.resolve(jsonDir);
     if (!resolved.startsWith(base + path.sep) && resolved !== base) {
       return res.status(400).json({ ok: false, error: "Blocked path traversal." });
     }
@@ -4426,6 +5729,45 @@ app.delete("/api/define/saves/:name", async (req, res) => {
 
 
 
-app.listen(PORT, () => {
-  console.log(`Doginal Viewer server listening on http://localhost:${PORT}`);
+app.listen(PORT, BIND_ADDRESS, () => {
+  const host = ['0.0.0.0', '::'].includes(BIND_ADDRESS)
+    ? '127.0.0.1'
+    : BIND_ADDRESS.includes(':') ? `[${BIND_ADDRESS}]` : BIND_ADDRESS;
+  console.log(`Doginal Viewer server listening on http://${host}:${PORT}`);
+  const contentApp = createContentApp({
+    contentDir: getContentDir,
+    assetsDir: path.join(__dirname, 'assets-page'),
+    resolveContentFile,
+    recursion: createRecursionRouter({ rpc: callDogecoinRpc, loadMaster: loadMasterSafe }),
+  });
+  startContentServer(contentApp, CONTENT_PORT, BIND_ADDRESS).then((server) => {
+    if (server) console.log(`[content] inscription content served from http://${host}:${CONTENT_PORT}`);
+  });
+  // the token goes after # so it never reaches a request log or Referer
+  console.log(`[auth] log in at http://${host}:${PORT}/login#token=${process.env.ACCESS_TOKEN}`);
+  if (!['127.0.0.1', 'localhost', '::1'].includes(BIND_ADDRESS)) {
+    console.warn(`[auth] BIND_ADDRESS=${BIND_ADDRESS}: reachable from other machines, login still required`);
+  }
+
+  const profile = getActiveProfile();
+  console.log(`[profiles] node profile "${profile.name}" (${profile.network})`);
+  startIndexers();
+
+  // plaintext wallets can't spend through the server until they're encrypted
+  try {
+    const plaintext = fs
+      .readdirSync(getDoginalsWalletsDir())
+      .filter((label) => {
+        const w = readDoginalsWallet(label);
+        return w && !isEncryptedWallet(w);
+      });
+    if (plaintext.length) {
+      console.warn(
+        `[wallets] not encrypted: ${plaintext.join(", ")}. ` +
+          "Encrypt them from the Doginals page or with: node scripts/wallet-crypto.js migrate"
+      );
+    }
+  } catch (_) {
+    // no wallets dir yet
+  }
 });
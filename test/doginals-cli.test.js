@@ -0,0 +1,101 @@
+"use strict";
+
+// scripts/doginals.js --json against the mock node: the events a script sees
+// and the exit codes it can tell failures apart by.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const { startMockNode } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "scripts", "doginals.js");
+
+function cli(node, walletPath, args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args, "--json"],
+      {
+        timeout: 30000,
+        env: {
+          PATH: process.env.PATH,
+          NETWORK: node.network,
+          NODE_RPC_URL: node.url,
+          NODE_RPC_USER: "mock",
+          NODE_RPC_PASS: "mockpass",
+          RPC_RETRIES: "0",
+          WALLET: walletPath,
+          ...env,
+        },
+      },
+      (err, stdout, stderr) => {
+        const events = stdout
+          .split("\n")
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+        resolve({ code: err ? err.code : 0, events, stderr, ofType: (type) => events.filter((e) => e.type === type) });
+      }
+    );
+  });
+}
+
+test("--json prints one event per line and exit codes tell failures apart", async (t) => {
+  // commit + reveal are a chain of two: with a limit of 1 the reveal is refused
+  const node = await startMockNode({ chainLimit: 1 });
+  t.after(() => node.close());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doginals-cli-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const walletPath = path.join(dir, ".wallet.json");
+  const run = (...args) => cli(node, walletPath, args);
+
+  const created = await run("wallet", "new");
+  assert.equal(created.code, 0, created.stderr);
+  const { address } = created.ofType("result")[0].result;
+  await node.call("importaddress", [address, "cli", false]);
+  node.mine(1, address);
+
+  const synced = await run("wallet", "sync");
+  assert.equal(synced.code, 0, synced.stderr);
+  assert.deepEqual(synced.ofType("balance"), [
+    { type: "balance", address, balance: 1000000000000, inscribed: 0, addresses: 1 },
+  ]);
+  assert.equal(synced.events[synced.events.length - 1].type, "result");
+
+  const file = path.join(dir, "hello.txt");
+  fs.writeFileSync(file, "hello\n");
+  const refused = await run("mint", address, file);
+  assert.equal(refused.code, 3, JSON.stringify(refused.events));
+  const [commit] = refused.ofType("broadcast");
+  assert.deepEqual(commit, { type: "broadcast", txid: node.mempool[0], index: 1, total: 2 });
+  const [saved] = refused.ofType("pending-saved");
+  assert.equal(saved.mempoolChain, true);
+  assert.deepEqual(saved.sent, [commit.txid]);
+  const [error] = refused.ofType("error");
+  assert.equal(error.code, "MEMPOOL_CHAIN");
+  assert.equal(error.method, "sendrawtransaction");
+  assert.deepEqual(error.pending, saved.txids);
+
+  // once the commit confirms, the next run only sends the saved reveal
+  node.mine(1);
+  const resent = await run("wallet", "sync");
+  assert.equal(resent.code, 0, resent.stderr);
+  assert.deepEqual(resent.ofType("inscription"), [
+    { type: "inscription", txid: error.inscriptionTxid, inscriptionId: `${error.inscriptionTxid}i0` },
+  ]);
+  assert.deepEqual(resent.ofType("result")[0].result.txids, [error.inscriptionTxid]);
+
+  const broke = await run("wallet", "send", address, "2000000000000");
+  assert.equal(broke.code, 2, JSON.stringify(broke.events));
+  assert.equal(broke.ofType("error")[0].code, "INSUFFICIENT_FUNDS");
+
+  const down = await cli(node, walletPath, ["wallet", "sync"], { NODE_RPC_URL: "http://127.0.0.1:1" });
+  assert.equal(down.code, 4, JSON.stringify(down.events));
+  const [rpcError] = down.ofType("error");
+  assert.equal(rpcError.code, "RPC_ERROR");
+  assert.equal(rpcError.method, "listunspent");
+  assert.equal(rpcError.rpcCode, "ECONNREFUSED");
+});
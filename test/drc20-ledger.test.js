@@ -0,0 +1,198 @@
+"use strict";
+
+// scripts/drc20-ledger.js replaying inscriptions made with scripts/doginals.js
+// on the mock node: deploy / mint / transfer rules and transfer settlement.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dogecore = require("bitcore-lib-doge");
+
+const { startMockNode } = require("./helpers");
+
+// a fresh node, a funded wallet and an empty ledger; the ledger starts at the
+// wallet's funding block so it sees everything inscribed afterwards
+async function setup(t) {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drc20-ledger-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  Object.assign(process.env, {
+    NETWORK: node.network,
+    NODE_RPC_URL: node.url,
+    NODE_RPC_USER: "mock",
+    NODE_RPC_PASS: "mockpass",
+    RPC_RETRIES: "0",
+    DRC20_INDEX_START_HEIGHT: "1",
+  });
+  const { openWallet } = require("../scripts/doginals");
+  const ledger = require("../scripts/drc20-ledger");
+  ledger.useDrc20LedgerRoot(dir);
+
+  const walletPath = path.join(dir, ".wallet.json");
+  const wallet = openWallet(walletPath);
+  const { address } = await wallet.create();
+  await node.call("importaddress", [address, "drc", false]);
+  node.mine(1, address);
+  await wallet.sync();
+
+  // inscribe a DRC-20 payload and confirm it in its own block, so the ledger
+  // sees the operations in the order they're made here
+  async function inscribe(op, to = address) {
+    const { inscriptionTxid } = await wallet.mint(
+      to,
+      "text/plain;charset=utf-8",
+      Buffer.from(JSON.stringify({ p: "drc-20", ...op }))
+    );
+    node.mine(1);
+    return `${inscriptionTxid}i0`;
+  }
+
+  async function sync() {
+    const r = await ledger.syncDrc20Ledger((method, params) => node.call(method, params));
+    assert.equal(r.caughtUp, true);
+  }
+
+  function event(id) {
+    const [e] = ledger.getInscriptionEvents(id);
+    return e;
+  }
+
+  function balance(addr, tick) {
+    return ledger.getAddressBalances(addr).find((b) => b.tick === tick);
+  }
+
+  return { node, walletPath, wallet, address, ledger, inscribe, sync, event, balance };
+}
+
+function newAddress(node) {
+  return new dogecore.PrivateKey(undefined, dogecore.Networks.get(node.network)).toAddress().toString();
+}
+
+test("the first deploy of a tick wins and mints stop at lim and max", async (t) => {
+  const { address, ledger, inscribe, sync, event, balance } = await setup(t);
+
+  const deploy = await inscribe({ op: "deploy", tick: "DOGI", max: "250", lim: "100" });
+  const again = await inscribe({ op: "deploy", tick: "dogi", max: "1000000", lim: "1000000" });
+  const overLim = await inscribe({ op: "mint", tick: "dogi", amt: "101" });
+  const mints = [];
+  for (let i = 0; i < 4; i++) mints.push(await inscribe({ op: "mint", tick: "dogi", amt: "100" }));
+  const unknown = await inscribe({ op: "mint", tick: "nope", amt: "1" });
+  await sync();
+
+  assert.equal(event(deploy).valid, true);
+  assert.deepEqual(
+    { valid: event(again).valid, reason: event(again).reason },
+    { valid: false, reason: "tick already deployed" }
+  );
+  assert.equal(event(overLim).reason, "amt exceeds lim");
+  assert.deepEqual(
+    mints.map((id) => [event(id).valid, event(id).amt]),
+    [
+      [true, "100"],
+      [true, "100"],
+      [true, "50"],
+      [false, "100"],
+    ]
+  );
+  assert.equal(event(mints[2]).reason, "partial: only the remaining supply was minted");
+  assert.equal(event(mints[3]).reason, "max supply reached");
+  assert.equal(event(unknown).reason, "tick not deployed");
+
+  const token = ledger.getToken("DOGI");
+  assert.equal(token.deployId, deploy);
+  assert.equal(token.deployer, address);
+  assert.deepEqual(
+    { max: token.max, lim: token.lim, minted: token.minted, mintedOut: token.mintedOut, holders: token.holders },
+    { max: "250", lim: "100", minted: "250", mintedOut: true, holders: 1 }
+  );
+  assert.deepEqual(balance(address, "dogi"), { tick: "dogi", available: "250", transferable: "0", total: "250" });
+});
+
+test("amounts are parsed as decimals to dec places, without rounding", async (t) => {
+  const { address, ledger, inscribe, sync, event, balance } = await setup(t);
+
+  // no lim: it defaults to max
+  await inscribe({ op: "deploy", tick: "tiny", max: "1.5", dec: "2" });
+  const tooPrecise = await inscribe({ op: "mint", tick: "tiny", amt: "0.001" });
+  const quarter = await inscribe({ op: "mint", tick: "tiny", amt: "0.25" });
+  const rest = await inscribe({ op: "mint", tick: "tiny", amt: "1.5" });
+  const badDec = await inscribe({ op: "deploy", tick: "bdec", max: "1", dec: "19" });
+  const tooBig = await inscribe({ op: "deploy", tick: "huge", max: "18446744073709551616" });
+  // dec 18: raw amounts far past Number.MAX_SAFE_INTEGER
+  await inscribe({ op: "deploy", tick: "wide", max: "18446744073709551615", lim: "9999999999999999999" });
+  const wide = await inscribe({ op: "mint", tick: "wide", amt: "9007199254740993.000000000000000001" });
+  await sync();
+
+  assert.equal(event(tooPrecise).reason, "invalid amt");
+  assert.equal(event(quarter).amt, "0.25");
+  assert.deepEqual([event(rest).valid, event(rest).amt], [true, "1.25"]);
+  assert.equal(event(badDec).reason, "invalid dec");
+  assert.equal(event(tooBig).reason, "max too large");
+  assert.equal(ledger.getToken("bdec"), null);
+  assert.equal(ledger.getToken("huge"), null);
+
+  const tiny = ledger.getToken("tiny");
+  assert.deepEqual([tiny.lim, tiny.minted, tiny.dec], ["1.5", "1.5", 2]);
+  assert.equal(balance(address, "tiny").available, "1.5");
+
+  assert.equal(event(wide).amt, "9007199254740993.000000000000000001");
+  assert.equal(balance(address, "wide").available, "9007199254740993.000000000000000001");
+  assert.equal(ledger.getToken("wide").max, "18446744073709551615");
+});
+
+test("a transfer settles to whoever receives it, or back to the sender if it goes to fee", async (t) => {
+  const { node, walletPath, wallet, address, ledger, inscribe, sync, event, balance } = await setup(t);
+  const receiver = newAddress(node);
+
+  await inscribe({ op: "deploy", tick: "dogi", max: "1000", lim: "100" });
+  await inscribe({ op: "mint", tick: "dogi", amt: "100" });
+  const short = await inscribe({ op: "transfer", tick: "dogi", amt: "101" });
+  // inscribed to an address with no balance: the inscriber is the receiver
+  const notHeld = await inscribe({ op: "transfer", tick: "dogi", amt: "1" }, receiver);
+  const sent = await inscribe({ op: "transfer", tick: "dogi", amt: "30" });
+  const burned = await inscribe({ op: "transfer", tick: "dogi", amt: "20" });
+  await sync();
+
+  assert.equal(event(short).reason, "insufficient available balance");
+  assert.equal(event(notHeld).reason, "insufficient available balance");
+  assert.equal(event(sent).valid, true);
+  assert.deepEqual(balance(address, "dogi"), { tick: "dogi", available: "50", transferable: "50", total: "100" });
+
+  await wallet.sync();
+  await wallet.sendUtxo(`${sent.slice(0, -2)}:0`, receiver);
+  node.mine(1);
+
+  // the funding input comes first and the outputs don't cover it, so the
+  // inscription (input 1, offset 0) lands in the fee
+  await wallet.sync();
+  const { privkey, utxos } = JSON.parse(fs.readFileSync(walletPath, "utf8"));
+  const burnedTxid = burned.slice(0, -2);
+  const inscription = utxos.find((u) => u.txid === burnedTxid && u.vout === 0);
+  const funding = utxos.find((u) => u.txid !== burnedTxid && u.satoshis > 200000000);
+  const burn = new dogecore.Transaction()
+    .from(funding)
+    .from(inscription)
+    .to(address, funding.satoshis - 100000000)
+    .sign(dogecore.PrivateKey.fromWIF(privkey));
+  await node.call("sendrawtransaction", [burn.uncheckedSerialize()]);
+  node.mine(1);
+  await sync();
+
+  const [, sendEvent] = ledger.getInscriptionEvents(sent);
+  assert.deepEqual(
+    { op: sendEvent.op, from: sendEvent.from, to: sendEvent.to, amt: sendEvent.amt, returned: sendEvent.returned },
+    { op: "transfer-send", from: address, to: receiver, amt: "30", returned: false }
+  );
+  const [, burnEvent] = ledger.getInscriptionEvents(burned);
+  assert.deepEqual(
+    { txid: burnEvent.txid, to: burnEvent.to, returned: burnEvent.returned },
+    { txid: burn.hash, to: address, returned: true }
+  );
+
+  assert.deepEqual(balance(address, "dogi"), { tick: "dogi", available: "70", transferable: "0", total: "70" });
+  assert.deepEqual(balance(receiver, "dogi"), { tick: "dogi", available: "30", transferable: "0", total: "30" });
+});
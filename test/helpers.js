@@ -0,0 +1,195 @@
+"use strict";
+
+// Shared setup for the end-to-end tests: a mock dogecoind (scripts/mock-dogecoind.js)
+// and the real server.js running against it.
+//
+// server.js keeps its wallets, images, content and indexes next to itself, so
+// each test run copies server.js + scripts/ into a temp dir (node_modules and
+// the static assets are symlinked) and starts it there. The working tree is
+// never written to.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const { createMockDogecoind } = require("../scripts/mock-dogecoind");
+
+const ROOT = path.resolve(__dirname, "..");
+const TOKEN = "test-token";
+const RPC_USER = "mock";
+const RPC_PASS = "mockpass";
+
+async function startMockNode(opts = {}) {
+  const node = createMockDogecoind({ user: RPC_USER, pass: RPC_PASS, ...opts });
+  const port = await node.listen(0);
+  node.url = `http://127.0.0.1:${port}`;
+  return node;
+}
+
+function makeSandbox() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doginal-tools-test-"));
+  fs.copyFileSync(path.join(ROOT, "server.js"), path.join(dir, "server.js"));
+  fs.copyFileSync(path.join(ROOT, "package.json"), path.join(dir, "package.json"));
+  fs.cpSync(path.join(ROOT, "scripts"), path.join(dir, "scripts"), { recursive: true });
+  for (const name of ["node_modules", "assets", "assets-page"]) {
+    fs.symlinkSync(path.join(ROOT, name), path.join(dir, name), "dir");
+  }
+  return dir;
+}
+
+function freePort() {
+  const net = require("net");
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js in a sandbox against `node`. Resolves once both the API
+ * and the content origin are listening.
+ */
+async function startServer(node, env = {}) {
+  const dir = makeSandbox();
+  const port = await freePort();
+  const contentPort = await freePort();
+
+  let child;
+  let output = "";
+
+  async function launch() {
+    child = spawn(process.execPath, ["server.js"], {
+      cwd: dir,
+      env: {
+        PATH: process.env.PATH,
+        HOME: dir,
+        ACCESS_TOKEN: TOKEN,
+        NODE_RPC_URL: node.url,
+        NODE_RPC_USER: RPC_USER,
+        NODE_RPC_PASS: RPC_PASS,
+        NETWORK: node.network,
+        TESTNET: "true",
+        PORT: String(port),
+        CONTENT_PORT: String(contentPort),
+        BIND_ADDRESS: "127.0.0.1",
+        SPENT_INDEX: "off",
+        INSCRIPTION_INDEX: "off",
+        DRC20_INDEX: "off",
+        ...env,
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let started = "";
+    child.stdout.on("data", (d) => (output += d));
+    child.stderr.on("data", (d) => (output += d));
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 20000);
+      child.stdout.on("data", (d) => {
+        started += d;
+        if (/inscription content served from/.test(started)) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      child.once("exit", (code) => {
+        clearTimeout(timer);
+        reject(new Error(`server exited with ${code}:\n${output}`));
+      });
+    });
+  }
+
+  async function kill() {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    child.kill("SIGTERM");
+    await exited;
+  }
+
+  await launch();
+
+  const base = `http://127.0.0.1:${port}`;
+
+  async function api(method, urlPath, body) {
+    const res = await fetch(base + urlPath, {
+      method,
+      headers: { Authorization: `Bearer ${TOKEN}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    return { status: res.status, json, text };
+  }
+
+  // POST (GET without a body) and collect `data:` events until one with type
+  // done / error, until onEvent returns true or until the stream ends
+  async function sse(urlPath, body, { timeoutMs = 60000, onEvent } = {}) {
+    const res = await fetch(base + urlPath, {
+      method: body === undefined ? "GET" : "POST",
+      headers: { Authorization: `Bearer ${TOKEN}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const events = [];
+    let buf = "";
+    const decoder = new TextDecoder();
+    for await (const chunk of res.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      let i;
+      while ((i = buf.indexOf("\n\n")) > -1) {
+        const frame = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        const data = frame
+          .split("\n")
+          .filter((l) => l.startsWith("data: "))
+          .map((l) => l.slice(6))
+          .join("\n");
+        if (!data) continue;
+        const event = JSON.parse(data);
+        events.push(event);
+        if (onEvent && onEvent(event) === true) return events;
+        if (event.type === "done" || event.type === "error") return events;
+      }
+    }
+    return events;
+  }
+
+  async function stop() {
+    await kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // kill and start again on the same data, like a crash + restart
+  async function restart() {
+    await kill();
+    await launch();
+  }
+
+  return {
+    dir,
+    base,
+    contentBase: `http://127.0.0.1:${contentPort}`,
+    api,
+    sse,
+    stop,
+    restart,
+    output: () => output,
+  };
+}
+
+module.exports = {
+  startMockNode,
+  startServer,
+  TOKEN,
+};
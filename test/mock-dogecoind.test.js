@@ -0,0 +1,160 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dogecore = require("bitcore-lib-doge");
+
+const { createMockDogecoind, scriptToAsm } = require("../scripts/mock-dogecoind");
+const { rpc } = require("../scripts/rpc");
+
+const network = dogecore.Networks.get("regtest");
+
+function fundedWallet(node) {
+  const key = new dogecore.PrivateKey(undefined, network);
+  const address = key.toAddress().toString();
+  return node
+    .call("importprivkey", [key.toWIF(), "test"])
+    .then(() => node.call("generatetoaddress", [1, address]))
+    .then(() => ({ key, address }));
+}
+
+// spend `utxo` back to `address`, paying `fee` sats
+function spend(utxo, key, address, fee = 1000000) {
+  const sats = Math.round(utxo.amount * 1e8);
+  return new dogecore.Transaction()
+    .from({ txId: utxo.txid, outputIndex: utxo.vout, script: utxo.scriptPubKey, satoshis: sats })
+    .to(address, sats - fee)
+    .sign(key);
+}
+
+test("mining on demand credits the wallet", async () => {
+  const node = createMockDogecoind();
+  const { address } = await fundedWallet(node);
+
+  assert.equal(await node.call("getblockcount"), 1);
+  const utxos = await node.call("listunspent", [1, 9999999, [address]]);
+  assert.equal(utxos.length, 1);
+  assert.equal(utxos[0].amount, 10000);
+  assert.equal(utxos[0].label, "test");
+
+  node.mine(2);
+  const [again] = await node.call("listunspent", [0]);
+  assert.equal(again.confirmations, 3);
+});
+
+test("sendrawtransaction: mempool, missing inputs, already in chain", async () => {
+  const node = createMockDogecoind();
+  const { key, address } = await fundedWallet(node);
+  const [utxo] = await node.call("listunspent", [0]);
+
+  const tx = spend(utxo, key, address);
+  const txid = await node.call("sendrawtransaction", [tx.uncheckedSerialize()]);
+  assert.equal(txid, tx.hash);
+  assert.deepEqual(await node.call("getrawmempool"), [txid]);
+  // resending a mempool tx is a no-op
+  assert.equal(await node.call("sendrawtransaction", [tx.uncheckedSerialize()]), txid);
+
+  const conflict = spend(utxo, key, address, 2000000);
+  await assert.rejects(node.call("sendrawtransaction", [conflict.uncheckedSerialize()]), {
+    rpcCode: -26,
+    message: "18: txn-mempool-conflict",
+  });
+
+  const [blockhash] = node.mine(1);
+  assert.deepEqual(await node.call("getrawmempool"), []);
+  await assert.rejects(node.call("sendrawtransaction", [tx.uncheckedSerialize()]), { rpcCode: -27 });
+  await assert.rejects(node.call("sendrawtransaction", [conflict.uncheckedSerialize()]), {
+    rpcCode: -25,
+    message: "Missing inputs",
+  });
+
+  const raw = await node.call("getrawtransaction", [txid, true]);
+  assert.equal(raw.blockhash, blockhash);
+  assert.equal(raw.confirmations, 1);
+  assert.match(raw.vin[0].scriptSig.asm, /^[0-9a-f]+\[ALL\] [0-9a-f]{66}$/);
+});
+
+test("too-long-mempool-chain until a block is mined", async () => {
+  const node = createMockDogecoind({ chainLimit: 3 });
+  const { key, address } = await fundedWallet(node);
+  let [utxo] = await node.call("listunspent", [0]);
+
+  for (let i = 0; i < 3; i++) {
+    const tx = spend(utxo, key, address);
+    await node.call("sendrawtransaction", [tx.uncheckedSerialize()]);
+    utxo = { txid: tx.hash, vout: 0, scriptPubKey: tx.outputs[0].script.toHex(), amount: tx.outputs[0].satoshis / 1e8 };
+  }
+
+  const fourth = spend(utxo, key, address);
+  await assert.rejects(node.call("sendrawtransaction", [fourth.uncheckedSerialize()]), {
+    rpcCode: -26,
+    message: "64: too-long-mempool-chain",
+  });
+
+  const verbose = await node.call("getrawmempool", [true]);
+  assert.equal(Math.max(...Object.values(verbose).map((e) => e.ancestorcount)), 3);
+
+  node.mine(1);
+  assert.equal(await node.call("sendrawtransaction", [fourth.uncheckedSerialize()]), fourth.hash);
+});
+
+test("blocks and wallet history", async () => {
+  const node = createMockDogecoind();
+  const { key, address } = await fundedWallet(node);
+  const [utxo] = await node.call("listunspent", [0]);
+  const other = new dogecore.PrivateKey(undefined, network).toAddress().toString();
+  const tx = spend(utxo, key, other);
+  await node.call("sendrawtransaction", [tx.uncheckedSerialize()]);
+
+  const sends = (await node.call("listtransactions", ["*", 10, 0, true])).filter((r) => r.category === "send");
+  assert.equal(sends.length, 1);
+  assert.equal(sends[0].confirmations, 0);
+  assert.equal(sends[0].address, other);
+
+  const [hash] = node.mine(1);
+  assert.equal(await node.call("getblockhash", [2]), hash);
+  await assert.rejects(node.call("getblockhash", [3]), { rpcCode: -8 });
+
+  const block = await node.call("getblock", [hash]);
+  assert.equal(block.tx.length, 2);
+  assert.equal(block.tx[1], tx.hash);
+  const full = await node.call("getblock", [hash, 2]);
+  assert.equal(full.tx[1].vout[0].scriptPubKey.addresses[0], other);
+  const hex = await node.call("getblock", [hash, 0]);
+  assert.equal(hex.slice(0, 160), (await node.call("getblockheader", [hash, false])));
+
+  const wtx = await node.call("gettransaction", [tx.hash]);
+  assert.equal(wtx.confirmations, 1);
+  assert.equal(wtx.fee, -0.01);
+  await assert.rejects(node.call("gettransaction", ["00".repeat(32)]), { rpcCode: -5 });
+});
+
+test("asm renders like dogecoind", () => {
+  const script = new dogecore.Script().add(Buffer.from("ord")).add(dogecore.Opcode.OP_1).add(Buffer.from("text/plain"));
+  assert.equal(scriptToAsm(script.toBuffer(), true), "6582895 1 746578742f706c61696e");
+});
+
+test("over HTTP with basic auth, through the shared RPC client", async (t) => {
+  const node = createMockDogecoind({ user: "u", pass: "p" });
+  const port = await node.listen(0);
+  t.after(() => node.close());
+
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+  });
+  Object.assign(process.env, {
+    NODE_RPC_AUTH: "password",
+    NODE_RPC_URL: `http://127.0.0.1:${port}`,
+    NODE_RPC_USER: "u",
+    NODE_RPC_PASS: "p",
+    RPC_RETRIES: "0",
+  });
+
+  assert.equal(await rpc("getblockcount"), 0);
+  await assert.rejects(rpc("getblockhash", [5]), { code: -8, message: /out of range/ });
+  await assert.rejects(rpc("nosuchmethod"), { code: -32601 });
+
+  process.env.NODE_RPC_PASS = "wrong";
+  await assert.rejects(rpc("getblockcount"), { status: 401 });
+});
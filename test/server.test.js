@@ -0,0 +1,523 @@
+"use strict";
+
+// End to end: server.js + doginals.js against the mock node. Create a wallet,
+// fund it, mint a file and read it back through the viewer APIs.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { startMockNode, startServer, TOKEN } = require("./helpers");
+
+const PASSPHRASE = "correct horse battery";
+
+test("mint a file and decode it back", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const status = await server.api("GET", "/api/node/status");
+  assert.equal(status.status, 200, status.text);
+
+  // wallet, funded by mining to it
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "e2e",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(created.status, 200, created.text);
+  assert.ok(created.json.import.ok, JSON.stringify(created.json.import));
+  const { address } = created.json;
+
+  node.mine(1, address);
+  const synced = await server.api("POST", "/api/doginals/wallets/sync", { label: "e2e" });
+  assert.equal(synced.status, 200, synced.text);
+  assert.equal(synced.json.utxos.length, 1);
+
+  const unlocked = await server.api("POST", "/api/doginals/wallets/unlock", {
+    label: "e2e",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(unlocked.status, 200, unlocked.text);
+
+  // mint
+  const body = Buffer.from("hello from the mock node\n");
+  fs.mkdirSync(path.join(server.dir, "images"), { recursive: true });
+  fs.writeFileSync(path.join(server.dir, "images", "hello.txt"), body);
+
+  const events = await server.sse(
+    "/api/doginals/mint-stream",
+    { label: "e2e", recipientAddress: address },
+    {
+      onEvent: (e) => {
+        // confirm commit + reveal before the round-trip check waits on them
+        if (e.type === "status" && /^Saved inscription ID/.test(e.message)) {
+          assert.ok(node.mempool.length >= 2, "commit + reveal are in the mempool");
+          node.mine(1);
+        }
+      },
+    }
+  );
+  const done = events[events.length - 1];
+  assert.equal(done.type, "done", JSON.stringify(events, null, 2));
+  assert.equal(done.results.length, 1);
+  const { inscriptionId } = done.results[0];
+  assert.match(inscriptionId, /^[0-9a-f]{64}i0$/);
+  assert.deepEqual(done.verification, { checked: 1, verified: 1, mismatches: [] });
+
+  const run = JSON.parse(fs.readFileSync(path.join(server.dir, "json", done.outputJson), "utf8"));
+  assert.equal(run.results[0].verified, true);
+  assert.equal(run.results[0].source.mimeType, "text/plain");
+
+  // decode through the viewer
+  const decoded = await server.api("GET", `/api/inscription/${inscriptionId}`);
+  assert.equal(decoded.status, 200, decoded.text);
+
+  // the chain holds one envelope: i1 ends at the last reveal
+  const missing = await server.api("GET", `/api/inscription/${inscriptionId.replace(/i0$/, "i1")}`);
+  assert.equal(missing.status, 404, missing.text);
+
+  const list = await server.api("GET", "/api/doginals/list");
+  assert.equal(list.status, 200, list.text);
+  const entry = list.json.find((e) => e.inscriptionId === inscriptionId);
+  assert.ok(entry, `${inscriptionId} missing from ${list.text}`);
+  assert.match(entry.mimeType, /^text\/plain/);
+
+  const content = await fetch(server.contentBase + entry.url);
+  assert.equal(content.status, 200);
+  assert.deepEqual(Buffer.from(await content.arrayBuffer()), body);
+
+  // recursion info: a reveal nobody has spent needs no spent index for its owner
+  const info = await fetch(`${server.contentBase}/r/inscription/${inscriptionId}`);
+  assert.equal(info.status, 200);
+  const infoJson = await info.json();
+  assert.equal(infoJson.content_length, body.length);
+  assert.equal(infoJson.status, "unspent");
+  assert.equal(infoJson.address, address);
+
+  const owner = await server.api("GET", `/api/inscription/${inscriptionId}/owner`);
+  assert.equal(owner.status, 200, owner.text);
+  assert.equal(owner.json.status, "unspent");
+  assert.equal(owner.json.owner, address);
+});
+
+test("a reveal refused with too-long-mempool-chain goes out once a block is mined", async (t) => {
+  // commit + reveal are a chain of two: with a limit of 1 the reveal is refused
+  const node = await startMockNode({ chainLimit: 1 });
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "chain",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(created.status, 200, created.text);
+  const { address } = created.json;
+  node.mine(1, address);
+  await server.api("POST", "/api/doginals/wallets/unlock", { label: "chain", passphrase: PASSPHRASE });
+
+  fs.mkdirSync(path.join(server.dir, "images"), { recursive: true });
+  fs.writeFileSync(path.join(server.dir, "images", "chain.txt"), "chained\n");
+
+  let commit = null;
+  const events = await server.sse(
+    "/api/doginals/mint-stream",
+    { label: "chain", recipientAddress: address },
+    {
+      onEvent: (e) => {
+        if (!commit && e.type === "status" && /Mempool chain too long/.test(e.message)) {
+          // only the commit made it: confirm it so the saved reveal can follow
+          [commit] = node.mempool;
+          node.mine(1);
+        }
+        // the rest of the chain went out from pending-txs.json
+        return !!commit && /^Saved inscription ID \(recovery\)/.test(e.message || "");
+      },
+    }
+  );
+  assert.ok(commit, JSON.stringify(events, null, 2));
+  assert.ok(
+    events.some((e) => /too-long-mempool-chain/.test(e.message || "")),
+    "the node's error reaches the stream"
+  );
+
+  const [reveal] = node.mempool;
+  assert.ok(reveal, "the reveal was rebroadcast");
+  node.mine(1);
+
+  const decoded = await server.api("GET", `/api/inscription/${reveal}i0`);
+  assert.equal(decoded.status, 200, decoded.text);
+});
+
+test("an interrupted run resumes from its run file", async (t) => {
+  const node = await startMockNode({ chainLimit: 1 });
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "resume",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(created.status, 200, created.text);
+  const { address } = created.json;
+  node.mine(1, address);
+  await server.api("POST", "/api/doginals/wallets/unlock", { label: "resume", passphrase: PASSPHRASE });
+
+  const images = path.join(server.dir, "images");
+  fs.mkdirSync(images, { recursive: true });
+  fs.writeFileSync(path.join(images, "1.txt"), "first\n");
+  fs.writeFileSync(path.join(images, "2.txt"), "second\n");
+
+  // the reveal of 1.txt is refused and saved to pending-txs.json: "crash" there
+  await server.sse(
+    "/api/doginals/mint-stream",
+    { label: "resume", recipientAddress: address },
+    { onEvent: (e) => e.type === "status" && /Mempool chain too long/.test(e.message) }
+  );
+  await server.restart();
+  node.setChainLimit(25);
+
+  // the job that was streaming it didn't survive the restart
+  const jobs = await server.api("GET", "/api/jobs");
+  assert.deepEqual(
+    jobs.json.jobs.map((j) => [j.type, j.status]),
+    [["doginals-mint", "interrupted"]]
+  );
+
+  const runFile = fs.readdirSync(path.join(server.dir, "json")).find((f) => f.startsWith("inscriptions_resume_"));
+  assert.ok(runFile);
+  assert.ok(fs.existsSync(path.join(server.dir, "wallets", "resume", "pending-txs.json")));
+
+  const bad = await server.api("POST", "/api/doginals/mint-resume", { runFile: "nope.json" });
+  assert.equal(bad.status, 400);
+
+  // a run file from another node profile isn't resumed against this one
+  const saved = JSON.parse(fs.readFileSync(path.join(server.dir, "json", runFile), "utf8"));
+  assert.equal(saved.profile, "default");
+  const foreignFile = "inscriptions_resume_testnet.json";
+  fs.writeFileSync(path.join(server.dir, "json", foreignFile), JSON.stringify({ ...saved, profile: "testnet" }));
+  const foreign = await server.api("POST", "/api/doginals/mint-resume", { runFile: foreignFile });
+  assert.equal(foreign.status, 409, foreign.text);
+  assert.match(foreign.json.error, /node profile testnet/);
+
+  await server.api("POST", "/api/doginals/wallets/unlock", { label: "resume", passphrase: PASSPHRASE });
+
+  // the pending chain carries 1.txt: without it in images/ there's nothing to
+  // record it for, and nothing is broadcast
+  fs.renameSync(path.join(images, "1.txt"), path.join(server.dir, "1.txt"));
+  const mempool = node.mempool.length;
+  const refused = await server.sse("/api/doginals/mint-resume", { runFile });
+  const refusal = refused[refused.length - 1];
+  assert.equal(refusal.type, "error", JSON.stringify(refused, null, 2));
+  assert.match(refusal.message, /matches no file left in images\//);
+  assert.equal(node.mempool.length, mempool);
+
+  // images/ edited since the crash: 0.txt now sorts first, the chain still
+  // goes to 1.txt
+  fs.renameSync(path.join(server.dir, "1.txt"), path.join(images, "1.txt"));
+  fs.writeFileSync(path.join(images, "0.txt"), "zeroth\n");
+  const events = await server.sse(
+    "/api/doginals/mint-resume",
+    { runFile },
+    {
+      onEvent: (e) => {
+        // confirm each inscription before the round-trip check waits on it
+        if (e.type === "status" && /^Saved inscription ID/.test(e.message)) node.mine(1);
+      },
+    }
+  );
+  const done = events[events.length - 1];
+  assert.equal(done.type, "done", JSON.stringify(events, null, 2));
+  assert.equal(done.outputJson, runFile);
+  assert.deepEqual(
+    done.results.map((r) => r.file),
+    ["1.txt", "0.txt", "2.txt"]
+  );
+  assert.deepEqual(done.verification, { checked: 3, verified: 3, mismatches: [] });
+
+  const run = JSON.parse(fs.readFileSync(path.join(server.dir, "json", runFile), "utf8"));
+  assert.equal(run.status, "done");
+  assert.equal(run.resumedAt.length, 2);
+  assert.deepEqual(
+    run.results.map((r) => r.mode),
+    ["resumed", "normal", "normal"]
+  );
+  assert.deepEqual(fs.readdirSync(images), []);
+
+  const again = await server.api("POST", "/api/doginals/mint-resume", { runFile });
+  assert.equal(again.status, 409);
+});
+
+test("a mint job outlives its connection and can be paused, cancelled and resumed", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "jobs",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(created.status, 200, created.text);
+  const { address } = created.json;
+  node.mine(1, address);
+  await server.api("POST", "/api/doginals/wallets/unlock", { label: "jobs", passphrase: PASSPHRASE });
+
+  const images = path.join(server.dir, "images");
+  fs.mkdirSync(images, { recursive: true });
+  fs.writeFileSync(path.join(images, "1.txt"), "first\n");
+  fs.writeFileSync(path.join(images, "2.txt"), "second\n");
+
+  // the first frame names the job; hang up right there and pause it while
+  // its wallet sync runs, before the first file
+  const [first] = await server.sse(
+    "/api/doginals/mint-stream",
+    { label: "jobs", recipientAddress: address },
+    { onEvent: () => true }
+  );
+  const jobId = first.id;
+  assert.ok(jobId, JSON.stringify(first));
+  const paused = await server.api("POST", `/api/jobs/${jobId}/pause`);
+  assert.equal(paused.json.job.status, "paused", paused.text);
+
+  await new Promise((r) => setTimeout(r, 1500));
+  assert.deepEqual(node.mempool, []);
+  const listed = await server.api("GET", "/api/jobs");
+  assert.deepEqual(
+    listed.json.jobs.map((j) => [j.id, j.status]),
+    [[jobId, "paused"]]
+  );
+
+  // resubscribe: the replay starts over from the job frame
+  let cancelled = null;
+  const events = await server.sse(`/api/jobs/${jobId}/stream`, undefined, {
+    onEvent: (e) => {
+      if (!cancelled && e.action === "pause") cancelled = server.api("POST", `/api/jobs/${jobId}/cancel`);
+    },
+  });
+  assert.equal(events[0].id, jobId);
+  assert.equal((await cancelled).status, 200);
+  assert.deepEqual(events[events.length - 1], { id: jobId, status: "cancelled" });
+  assert.ok(!events.some((e) => /^Minting/.test(e.message || "")), JSON.stringify(events, null, 2));
+  assert.equal((await server.api("POST", `/api/jobs/${jobId}/resume`)).status, 409);
+
+  // a cancelled run is resumable
+  const runFile = fs.readdirSync(path.join(server.dir, "json")).find((f) => f.startsWith("inscriptions_jobs_"));
+  const run = JSON.parse(fs.readFileSync(path.join(server.dir, "json", runFile), "utf8"));
+  assert.equal(run.status, "cancelled");
+  assert.deepEqual(run.results, []);
+
+  const resumed = await server.sse(
+    "/api/doginals/mint-resume",
+    { runFile },
+    {
+      onEvent: (e) => {
+        if (e.type === "status" && /^Saved inscription ID/.test(e.message)) node.mine(1);
+      },
+    }
+  );
+  const done = resumed[resumed.length - 1];
+  assert.equal(done.type, "done", JSON.stringify(resumed, null, 2));
+  assert.deepEqual(done.verification, { checked: 2, verified: 2, mismatches: [] });
+});
+
+test("DRC-20 mints are submitted through /api/jobs", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "drc",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(created.status, 200, created.text);
+
+  // the old GET routes started a job per request
+  assert.equal((await server.api("GET", "/api/drc20/mint-stream?label=drc")).status, 404);
+  assert.deepEqual((await server.api("GET", "/api/jobs")).json.jobs, []);
+
+  const submitted = await server.api("POST", "/api/jobs", {
+    type: "drc20-multi-mint",
+    params: { label: "drc", ticker: "DOGI", amount: "1000", jobs: [] },
+  });
+  assert.equal(submitted.status, 200, submitted.text);
+  const jobId = submitted.json.job.id;
+
+  const events = await server.sse(`/api/jobs/${jobId}/stream`);
+  assert.equal(events[0].id, jobId);
+  assert.ok(events.some((e) => e.message === "no mint jobs provided"), JSON.stringify(events));
+  assert.equal(events[events.length - 1].id, jobId);
+});
+
+test("jobs submitted directly check their wallet label and run file", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  fs.writeFileSync(path.join(server.dir, "outside.json"), JSON.stringify({ label: "x", recipientAddress: "D", results: [] }));
+
+  const cases = [
+    ["doginals-mint", { label: "../../x", recipientAddress: "D" }, "Invalid wallet label"],
+    ["doginals-mint", { label: "nobody", recipientAddress: "D" }, "Wallet not found"],
+    ["doginals-mint-resume", { runFile: "inscriptions_x/../../../outside.json" }, /^runFile must be/],
+  ];
+  for (const [type, params, message] of cases) {
+    const submitted = await server.api("POST", "/api/jobs", { type, params });
+    assert.equal(submitted.status, 200, submitted.text);
+    const events = await server.sse(`/api/jobs/${submitted.json.job.id}/stream`);
+    const error = events.find((e) => e.type === "error");
+    assert.ok(error, JSON.stringify(events));
+    if (message instanceof RegExp) assert.match(error.message, message);
+    else assert.equal(error.message, message);
+  }
+  assert.deepEqual(fs.readdirSync(server.dir).filter((f) => f.startsWith("inscriptions_")), []);
+});
+
+test("an airdrop item caught mid-send is looked up, not sent again", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "drop",
+    passphrase: PASSPHRASE,
+  });
+  assert.equal(created.status, 200, created.text);
+  const { address } = created.json;
+  node.mine(1, address);
+  await server.api("POST", "/api/doginals/wallets/unlock", { label: "drop", passphrase: PASSPHRASE });
+  const recipient = (await server.api("POST", "/api/doginals/wallets/new", { label: "to", passphrase: PASSPHRASE })).json.address;
+
+  fs.mkdirSync(path.join(server.dir, "images"), { recursive: true });
+  fs.writeFileSync(path.join(server.dir, "images", "drop.txt"), "airdropped\n");
+  const minted = await server.sse(
+    "/api/doginals/mint-stream",
+    { label: "drop", recipientAddress: address },
+    {
+      onEvent: (e) => {
+        if (e.type === "status" && /^Saved inscription ID/.test(e.message)) node.mine(1);
+      },
+    }
+  );
+  const { inscriptionId } = minted[minted.length - 1].results[0];
+  node.mine(1);
+
+  const loaded = await server.api("POST", "/api/airdrop/drop/load", { text: `${inscriptionId} ${recipient}` });
+  assert.equal(loaded.status, 200, loaded.text);
+
+  const first = await server.sse("/api/airdrop/drop/stream", {});
+  const sent = first.filter((e) => e.item).pop().item;
+  assert.equal(sent.status, "sent", JSON.stringify(first, null, 2));
+  assert.match(sent.outpoint, /^[0-9a-f]{64}:\d+$/);
+
+  // a restart between the broadcast and recording it: the recorded outpoint
+  // is spent, and with no spent index to follow the send it isn't guessed at
+  const statePath = path.join(server.dir, "wallets", "drop", "airdrop-state.json");
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  Object.assign(state.queue[0], { status: "sending", txid: null });
+  fs.writeFileSync(statePath, JSON.stringify(state));
+  const mempool = node.mempool.length;
+
+  const second = await server.sse("/api/airdrop/drop/stream", {});
+  const retried = second.filter((e) => e.item).pop().item;
+  assert.equal(retried.status, "failed", JSON.stringify(second, null, 2));
+  assert.match(retried.error, /spent-outpoint index/);
+  assert.equal(node.mempool.length, mempool, "sent twice");
+});
+
+test("a minted file that doesn't decode to its source stops the run", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node, { MINT_VERIFY_POLL_MS: "300" });
+  t.after(() => server.stop());
+
+  const created = await server.api("POST", "/api/doginals/wallets/new", {
+    label: "verify",
+    passphrase: PASSPHRASE,
+  });
+  const { address } = created.json;
+  node.mine(1, address);
+  await server.api("POST", "/api/doginals/wallets/unlock", { label: "verify", passphrase: PASSPHRASE });
+
+  const images = path.join(server.dir, "images");
+  fs.mkdirSync(images, { recursive: true });
+  for (const n of [1, 2, 3, 4]) fs.writeFileSync(path.join(images, `${n}.txt`), `file ${n}\n`);
+
+  // hold the run after the first file, and have the viewer's cached copy of
+  // it say something else before its reveal confirms
+  let jobId = null;
+  let tampered = null;
+  const events = await server.sse(
+    "/api/doginals/mint-stream",
+    { label: "verify", recipientAddress: address },
+    {
+      onEvent: (e) => {
+        if (!jobId) jobId = e.id;
+        if (!tampered && e.type === "status" && /^Saved inscription ID/.test(e.message)) {
+          const inscriptionId = e.message.split(": ")[1];
+          tampered = (async () => {
+            await server.api("POST", `/api/jobs/${jobId}/pause`);
+            const decoded = await server.api("GET", `/api/inscription/${inscriptionId}`);
+            assert.equal(decoded.status, 200, decoded.text);
+            fs.writeFileSync(path.join(server.dir, "content", decoded.json.filename), "not file 1\n");
+            node.mine(1);
+            await new Promise((r) => setTimeout(r, 1500));
+            await server.api("POST", `/api/jobs/${jobId}/resume`);
+          })();
+        }
+      },
+    }
+  );
+  await tampered;
+
+  const last = events[events.length - 1];
+  assert.equal(last.type, "error", JSON.stringify(events, null, 2));
+  // the pause may land after 2.txt has started; 4.txt is never reached
+  assert.match(last.message, /^1\.txt .* doesn't decode to its source file: sha256 .*Stopped before minting [234]\.txt/);
+  assert.ok(fs.readdirSync(images).includes("4.txt"));
+
+  const run = JSON.parse(fs.readFileSync(path.join(server.dir, "json", last.outputJson), "utf8"));
+  assert.equal(run.status, "error");
+  assert.equal(run.results[0].file, "1.txt");
+  assert.equal(run.results[0].verified, false);
+  assert.ok(run.results.length < 4);
+});
+
+test("GET routes that change state want the CSRF token from a browser session", async (t) => {
+  const node = await startMockNode();
+  t.after(() => node.close());
+  const server = await startServer(node);
+  t.after(() => server.stop());
+
+  const login = await fetch(server.base + "/api/auth/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ secret: TOKEN }),
+  });
+  assert.equal(login.status, 200);
+  const cookies = login.headers
+    .getSetCookie()
+    .map((c) => c.split(";")[0])
+    .filter((c) => !c.endsWith("="));
+  const csrf = cookies.find((c) => c.startsWith("doginals_csrf=")).split("=")[1];
+  const get = (urlPath, headers = {}) =>
+    fetch(server.base + urlPath, { headers: { Cookie: cookies.join("; "), ...headers } });
+
+  const inscription = `/api/inscription/${"ab".repeat(32)}`;
+  for (const urlPath of ["/api/doginals/wallets", inscription]) {
+    assert.equal((await get(urlPath)).status, 403, urlPath);
+    assert.equal((await get(urlPath, { "X-CSRF-Token": "nope" })).status, 403, urlPath);
+    assert.equal((await get(urlPath, { "X-CSRF-Token": csrf, Origin: "http://evil.example" })).status, 403, urlPath);
+  }
+  assert.equal((await get("/api/doginals/wallets", { "X-CSRF-Token": csrf })).status, 200);
+  // scripts with the access token don't need it
+  assert.equal((await server.api("GET", "/api/doginals/wallets")).status, 200);
+  // read-only GETs don't either
+  assert.equal((await get("/api/jobs")).status, 200);
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const {
+  encryptPrivkey,
+  decryptPrivkey,
+  encryptWallet,
+  isEncryptedWallet,
+} = require("../scripts/wallet-crypto");
+const { withWalletLock } = require("../scripts/wallet-lock");
+
+const CLI = path.join(__dirname, "..", "scripts", "wallet-crypto.js");
+const WIF = "QTZdpRiP1ryLwV7Vpfhzmmzi6dbNB9hCcDdmZ9oJzBLLqr3ZCmqs";
+const PASSPHRASE = "correct horse";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// flip the low bit of the first byte of a hex field
+function tamper(encrypted, field) {
+  const buf = Buffer.from(encrypted[field], "hex");
+  buf[0] ^= 1;
+  return { ...encrypted, [field]: buf.toString("hex") };
+}
+
+test("a sealed key decrypts with its passphrase and nothing else", () => {
+  const encrypted = encryptPrivkey(WIF, PASSPHRASE);
+  assert.equal(encrypted.kdf, "scrypt");
+  assert.equal(JSON.stringify(encrypted).includes(WIF), false);
+  assert.notEqual(encryptPrivkey(WIF, PASSPHRASE).salt, encrypted.salt, "fresh salt per seal");
+
+  assert.equal(decryptPrivkey(encrypted, PASSPHRASE), WIF);
+  assert.throws(() => decryptPrivkey(encrypted, "wrong horse"), /^Error: wrong passphrase$/);
+  assert.throws(() => encryptPrivkey(WIF, "short"), /at least 8 characters/);
+  assert.throws(() => decryptPrivkey({ ...encrypted, v: 2 }, PASSPHRASE), /unsupported/);
+});
+
+test("an edited tag or ciphertext fails the GCM check", () => {
+  const encrypted = encryptPrivkey(WIF, PASSPHRASE);
+  assert.throws(() => decryptPrivkey(tamper(encrypted, "tag"), PASSPHRASE), /wrong passphrase/);
+  assert.throws(() => decryptPrivkey(tamper(encrypted, "data"), PASSPHRASE), /wrong passphrase/);
+  assert.throws(() => decryptPrivkey(tamper(encrypted, "iv"), PASSPHRASE), /wrong passphrase/);
+});
+
+test("encryptWallet keeps addresses and utxos and seals the HD mnemonic", () => {
+  const utxos = [{ txid: "aa".repeat(32), vout: 0, satoshis: 100000 }];
+  const plain = { privkey: WIF, address: "nAddr", utxos };
+  const wallet = encryptWallet(plain, PASSPHRASE);
+  assert.ok(isEncryptedWallet(wallet));
+  assert.deepEqual(Object.keys(wallet).sort(), ["address", "encrypted", "utxos"]);
+  assert.deepEqual(wallet.utxos, utxos);
+  assert.equal(decryptPrivkey(wallet.encrypted, PASSPHRASE), WIF);
+  assert.throws(() => encryptWallet(wallet, PASSPHRASE), /already encrypted/);
+  assert.throws(() => encryptWallet({ address: "nAddr" }, PASSPHRASE), /no private key/);
+
+  const mnemonic = "abandon ".repeat(11) + "about";
+  const hd = encryptWallet({ hd: { xpub: "tpub" }, mnemonic, privkey: WIF, address: "nAddr" }, PASSPHRASE);
+  assert.equal("privkey" in hd || "mnemonic" in hd, false);
+  assert.equal(decryptPrivkey(hd.encrypted, PASSPHRASE), mnemonic);
+});
+
+test("migrate waits for the wallet's lock before rewriting it", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wallet-crypto-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const walletPath = path.join(dir, ".wallet.json");
+  fs.writeFileSync(walletPath, JSON.stringify({ privkey: WIF, address: "nAddr", utxos: [] }));
+
+  const migrate = () =>
+    new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [CLI, "migrate", walletPath],
+        { timeout: 30000, env: { PATH: process.env.PATH, WALLET_PASSPHRASE: PASSPHRASE } },
+        (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr })
+      );
+    });
+
+  let run;
+  await withWalletLock(walletPath, async () => {
+    run = migrate();
+    await sleep(1000);
+    // a sync holding the lock would write the plaintext file back here
+    assert.equal(isEncryptedWallet(JSON.parse(fs.readFileSync(walletPath, "utf8"))), false);
+  });
+
+  const first = await run;
+  assert.equal(first.code, 0, first.stderr);
+  assert.match(first.stdout, /^encrypted /);
+  const wallet = JSON.parse(fs.readFileSync(walletPath, "utf8"));
+  assert.equal(wallet.privkey, undefined);
+  assert.equal(decryptPrivkey(wallet.encrypted, PASSPHRASE), WIF);
+  assert.equal(fs.existsSync(`${walletPath}.lock`), false);
+  assert.equal(fs.existsSync(`${walletPath}.tmp`), false);
+
+  const again = await migrate();
+  assert.equal(again.code, 0, again.stderr);
+  assert.match(again.stdout, /^already encrypted /);
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { withWalletLock, isWalletLocked } = require("../scripts/wallet-lock");
+
+function tempWallet(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wallet-lock-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, ".wallet.json");
+}
+
+function writeLock(walletPath, holder, ageMs = 0) {
+  const lockPath = `${walletPath}.lock`;
+  fs.writeFileSync(lockPath, JSON.stringify({ host: os.hostname(), token: "x", ...holder }));
+  if (ageMs) {
+    const then = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockPath, then, then);
+  }
+  return lockPath;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("callers in one process take turns", async (t) => {
+  const walletPath = tempWallet(t);
+  const order = [];
+  let waits = 0;
+
+  const run = (name, ms) =>
+    withWalletLock(
+      walletPath,
+      async () => {
+        order.push(`${name}+`);
+        assert.ok(isWalletLocked(walletPath));
+        await sleep(ms);
+        order.push(`${name}-`);
+        return name;
+      },
+      { onWait: () => waits++ }
+    );
+
+  assert.deepEqual(await Promise.all([run("a", 50), run("b", 10), run("c", 0)]), ["a", "b", "c"]);
+  assert.deepEqual(order, ["a+", "a-", "b+", "b-", "c+", "c-"]);
+  assert.equal(waits, 2);
+  assert.equal(fs.existsSync(`${walletPath}.lock`), false);
+  assert.equal(isWalletLocked(walletPath), false);
+});
+
+test("a failing holder still lets the next one in", async (t) => {
+  const walletPath = tempWallet(t);
+  const first = withWalletLock(walletPath, () => {
+    throw new Error("boom");
+  });
+  const second = withWalletLock(walletPath, () => "ok");
+  await assert.rejects(first, /boom/);
+  assert.equal(await second, "ok");
+});
+
+test("a lock held by a live process is busy", async (t) => {
+  const walletPath = tempWallet(t);
+  // the test runner that started us: alive, and not us
+  writeLock(walletPath, { pid: process.ppid, since: "2024-01-01T00:00:00.000Z" });
+
+  assert.ok(isWalletLocked(walletPath));
+  await assert.rejects(
+    withWalletLock(walletPath, () => assert.fail("ran without the lock"), { waitMs: 200 }),
+    (err) => {
+      assert.equal(err.code, "WALLET_BUSY");
+      assert.equal(err.holder.pid, process.ppid);
+      assert.match(err.message, new RegExp(`pid ${process.ppid}`));
+      return true;
+    }
+  );
+  assert.ok(fs.existsSync(`${walletPath}.lock`), "someone else's lock is left alone");
+});
+
+test("a lock left by a dead process or not touched for too long is taken over", async (t) => {
+  const walletPath = tempWallet(t);
+  const { pid } = spawnSync(process.execPath, ["-e", ""]);
+  writeLock(walletPath, { pid });
+  assert.equal(await withWalletLock(walletPath, () => "dead", { waitMs: 0 }), "dead");
+
+  writeLock(walletPath, { pid: process.ppid, host: "elsewhere" }, 10 * 60 * 1000);
+  assert.equal(await withWalletLock(walletPath, () => "old", { waitMs: 0 }), "old");
+  assert.equal(fs.existsSync(`${walletPath}.lock`), false);
+});
+
+test("clearPending deletes pending-txs.json only once it has the lock", async (t) => {
+  const { openWallet } = require("../scripts/doginals");
+  const walletPath = tempWallet(t);
+  const wallet = openWallet(walletPath);
+  fs.writeFileSync(wallet.pendingPath, "[]");
+
+  let cleared = null;
+  await withWalletLock(walletPath, async () => {
+    cleared = wallet.clearPending();
+    await sleep(200);
+    assert.ok(fs.existsSync(wallet.pendingPath), "deleted while someone else held the lock");
+  });
+  assert.deepEqual(await cleared, { deleted: true });
+  assert.equal(fs.existsSync(wallet.pendingPath), false);
+  assert.deepEqual(await wallet.clearPending(), { deleted: false });
+});